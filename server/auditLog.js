@@ -0,0 +1,103 @@
+// Audit trail of admin actions, kept in access_audit_log next to the sensitive
+// data requests. Each entry names the actor, the target (type, id and a label
+// that survives the target's deletion), a before/after diff, and the IP and user
+// agent of the request.
+
+// Contact details need a sensitive data grant to read, so the trail only records
+// that they changed, never their values. The same goes for secrets.
+const REDACTED_FIELDS = new Set([
+  'password',
+  'phoneNumber',
+  'guardianPhone',
+  'currentLocation',
+  'totp_secret_encrypted',
+  'totp_pending_secret_encrypted'
+]);
+const IGNORED_FIELDS = new Set(['updated_at']);
+const REDACTED = '[redacted]';
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * { field: { from, to } } for every field that differs. `before` is null for
+ * created targets and `after` is null for deleted ones.
+ */
+export const diffChanges = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (sameValue(from, to)) continue;
+
+    changes[field] = REDACTED_FIELDS.has(field)
+      ? { from: from === null ? null : REDACTED, to: to === null ? null : REDACTED }
+      : { from, to };
+  }
+  return changes;
+};
+
+export const recordAuditEntry = async (db, {
+  actorId, action, targetType, targetId, targetLabel, before = null, after = null, reason, ip, userAgent
+}) => {
+  const changes = diffChanges(before, after);
+  await db.query(
+    `INSERT INTO access_audit_log
+       (admin_id, action, target_type, target_id, target_label, changes, reason, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      actorId,
+      action,
+      targetType,
+      targetId ?? null,
+      targetLabel || null,
+      Object.keys(changes).length > 0 ? JSON.stringify(changes) : null,
+      reason || null,
+      ip || null,
+      userAgent || null
+    ]
+  );
+};
+
+export const MAX_AUDIT_PAGE_SIZE = 100;
+
+/**
+ * One page of the trail, newest first. `from` and `to` are dates and both days
+ * are included.
+ */
+export const listAuditEntries = async (db, { actorId, action, targetType, targetId, from, to, page = 1, pageSize = 25 } = {}) => {
+  const conditions = [];
+  const values = [];
+  const add = (sql, value) => {
+    values.push(value);
+    conditions.push(sql.replace('?', `$${values.length}`));
+  };
+
+  if (actorId) add('aal.admin_id = ?', actorId);
+  if (action) add('aal.action = ?', action);
+  if (targetType) add('aal.target_type = ?', targetType);
+  if (targetId) add('aal.target_id = ?', targetId);
+  if (from) add('aal.created_at >= ?::date', from);
+  if (to) add(`aal.created_at < ?::date + INTERVAL '1 day'`, to);
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await db.query(`SELECT COUNT(*)::int as total FROM access_audit_log aal ${where}`, values);
+
+  const result = await db.query(
+    `SELECT aal.id, aal.action, aal.data_type, aal.reason, aal.created_at, aal.ip_address, aal.user_agent,
+       aal.admin_id, admin.name as admin_name, admin.email as admin_email, admin.role as admin_role,
+       aal.target_type, aal.target_id, aal.target_label, aal.changes,
+       student.name as student_name, student.email as student_email
+     FROM access_audit_log aal
+     LEFT JOIN users admin ON aal.admin_id = admin.id
+     LEFT JOIN users student ON aal.student_id = student.id
+     ${where}
+     ORDER BY aal.created_at DESC, aal.id DESC
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, pageSize, (page - 1) * pageSize]
+  );
+
+  return { entries: result.rows, total: countResult.rows[0].total, page, pageSize };
+};
@@ -0,0 +1,104 @@
+import { hasPermission } from './permissions.js';
+
+// Authorization helpers shared by the routes. What a user may do comes from the
+// permissions of their role (permissions.js). classes:write is scoped by
+// ownership: a teacher account is linked to one teachers row (teachers.user_id)
+// and may manage only that teacher's classes, unless it also holds
+// classes:manage_all. Modules and lessons are authorized through their class.
+
+const denyPermission = (res, permission) => res.status(403).json({
+  error: 'You do not have permission to perform this action',
+  code: 'PERMISSION_DENIED',
+  permission
+});
+
+// Runs after authenticateToken
+export const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return denyPermission(res, permission);
+  }
+  next();
+};
+
+export const getTeacherForUser = async (db, userId) => {
+  const result = await db.query('SELECT * FROM teachers WHERE user_id = $1 AND deleted_at IS NULL', [userId]);
+  return result.rows[0] || null;
+};
+
+// Loads the teachers row of the signed-in teacher into req.teacher
+export const requireTeacherProfile = (db) => async (req, res, next) => {
+  if (!hasPermission(req.user, 'teacher_profile:write')) {
+    return denyPermission(res, 'teacher_profile:write');
+  }
+
+  try {
+    req.teacher = await getTeacherForUser(db, req.user.id);
+    if (!req.teacher) {
+      return res.status(403).json({ error: 'Your account is not linked to a teacher profile' });
+    }
+    next();
+  } catch (error) {
+    console.error('Teacher profile lookup error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+};
+
+export const canManageClass = async (db, user, classId) => {
+  if (hasPermission(user, 'classes:manage_all')) return true;
+  if (!hasPermission(user, 'classes:write')) return false;
+
+  const result = await db.query(
+    `SELECT 1 FROM classes c
+     JOIN teachers t ON c.teacher_id = t.id
+     WHERE c.id = $1 AND t.user_id = $2 AND c.deleted_at IS NULL AND t.deleted_at IS NULL`,
+    [classId, user.id]
+  );
+  return result.rows.length > 0;
+};
+
+// Resolvers return the id of the class a request targets, or null if the target does not exist
+// or its class is in the trash
+export const classOfClassParam = async (db, req) => {
+  const result = await db.query('SELECT id FROM classes WHERE id = $1 AND deleted_at IS NULL', [req.params.id]);
+  return result.rows[0]?.id ?? null;
+};
+
+export const classOfModuleParam = async (db, req) => {
+  const result = await db.query(
+    'SELECT m.class_id FROM modules m JOIN classes c ON m.class_id = c.id WHERE m.id = $1 AND c.deleted_at IS NULL',
+    [req.params.id]
+  );
+  return result.rows[0]?.class_id ?? null;
+};
+
+export const classOfLessonParam = async (db, req) => {
+  const result = await db.query(
+    `SELECT m.class_id FROM lessons l
+     JOIN modules m ON l.module_id = m.id
+     JOIN classes c ON m.class_id = c.id
+     WHERE l.id = $1 AND c.deleted_at IS NULL`,
+    [req.params.id]
+  );
+  return result.rows[0]?.class_id ?? null;
+};
+
+/**
+ * Lets users who may manage the class through (see canManageClass). Sets req.classId.
+ * Register it before body parsers such as multer so rejected uploads are never stored.
+ */
+export const requireClassManager = (db, resolveClassId, notFoundError = 'Class not found') => async (req, res, next) => {
+  try {
+    const classId = await resolveClassId(db, req);
+    if (classId === null) {
+      return res.status(404).json({ error: notFoundError });
+    }
+    if (!(await canManageClass(db, req.user, classId))) {
+      return res.status(403).json({ error: 'You can only manage your own classes' });
+    }
+    req.classId = classId;
+    next();
+  } catch (error) {
+    console.error('Class authorization error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+};
@@ -0,0 +1,174 @@
+// Public class catalog: full-text search, filters, sorting and paging over the
+// classes anyone can see. Classes in the trash, or whose teacher is, are never listed.
+
+export const DEFAULT_CATALOG_PAGE_SIZE = 12;
+export const MAX_CATALOG_PAGE_SIZE = 48;
+
+// Must match the expression indexed by 018_class_search.sql
+export const CLASS_SEARCH_VECTOR_SQL = `(
+  setweight(to_tsvector('simple', COALESCE(c.title, '')), 'A') ||
+  setweight(to_tsvector('simple', COALESCE(c.description, '')), 'B')
+)`;
+
+// Public sort keys and their columns; a leading "-" sorts descending.
+// relevance needs a search and always puts the best match first.
+const SORT_COLUMNS = {
+  created_at: 'c.created_at',
+  title: 'c.title',
+  price: 'c.price',
+  enrollments: 'enrollment_count',
+  relevance: `ts_rank(${CLASS_SEARCH_VECTOR_SQL}, to_tsquery('simple', $1))`
+};
+
+/**
+ * Turns free text into a prefix tsquery ("alg equa" -> "alg:* & equa:*") so results
+ * update while typing. Anything but letters and digits is dropped, which also keeps
+ * tsquery operators out of user input. Returns '' when nothing searchable is left.
+ */
+export const toSearchQuery = (text) =>
+  String(text || '')
+    .split(/\s+/)
+    .map(word => word.replace(/[^\p{L}\p{N}]/gu, ''))
+    .filter(Boolean)
+    .slice(0, 8)
+    .map(word => `${word}:*`)
+    .join(' & ');
+
+const parseAmount = (value) => {
+  if (value === undefined || value === '') return null;
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount >= 0 ? amount : NaN;
+};
+
+/**
+ * Reads q, subject, teacherId, minPrice, maxPrice, free and sort from a request query.
+ * Returns { filters, sort } or { error }.
+ */
+export const parseCatalogFilters = (query) => {
+  // Repeated or bracketed parameters (?sort=a&sort=b, ?q[]=x) arrive as arrays or objects
+  for (const name of ['q', 'subject', 'sort', 'teacherId', 'minPrice', 'maxPrice', 'free']) {
+    if (query[name] !== undefined && typeof query[name] !== 'string') {
+      return { error: `${name} must be a single value` };
+    }
+  }
+
+  const search = toSearchQuery(query.q);
+  const subject = (query.subject || '').trim();
+
+  let teacherId = null;
+  if (query.teacherId !== undefined && query.teacherId !== '') {
+    teacherId = Number(query.teacherId);
+    if (!Number.isInteger(teacherId) || teacherId <= 0) {
+      return { error: 'Teacher is invalid' };
+    }
+  }
+
+  const minPrice = parseAmount(query.minPrice);
+  const maxPrice = parseAmount(query.maxPrice);
+  if (Number.isNaN(minPrice) || Number.isNaN(maxPrice)) {
+    return { error: 'Prices must be non-negative numbers' };
+  }
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+    return { error: 'The minimum price cannot be above the maximum price' };
+  }
+
+  const sort = query.sort || (search ? 'relevance' : '-created_at');
+  const sortKey = sort.replace(/^-/, '');
+  if (!SORT_COLUMNS[sortKey]) {
+    return { error: `Sort must be one of ${Object.keys(SORT_COLUMNS).join(', ')}, optionally prefixed with -` };
+  }
+  if (sortKey === 'relevance' && !search) {
+    return { error: 'Sorting by relevance needs a search' };
+  }
+
+  return {
+    filters: { search, subject, teacherId, minPrice, maxPrice, freeOnly: query.free === 'true' },
+    sort
+  };
+};
+
+export const parseCatalogPaging = (query) => ({
+  page: Math.max(parseInt(query.page, 10) || 1, 1),
+  pageSize: Math.min(Math.max(parseInt(query.pageSize, 10) || DEFAULT_CATALOG_PAGE_SIZE, 1), MAX_CATALOG_PAGE_SIZE)
+});
+
+// The search term is always $1 when there is one, so the relevance sort can refer to it
+const buildWhere = ({ search, subject, teacherId, minPrice, maxPrice, freeOnly }) => {
+  const conditions = ['c.deleted_at IS NULL', 't.deleted_at IS NULL'];
+  const values = [];
+
+  if (search) {
+    values.push(search);
+    conditions.push(`${CLASS_SEARCH_VECTOR_SQL} @@ to_tsquery('simple', $1)`);
+  }
+  if (subject) {
+    values.push(subject);
+    conditions.push(`LOWER(t.subject) = LOWER($${values.length})`);
+  }
+  if (teacherId) {
+    values.push(teacherId);
+    conditions.push(`c.teacher_id = $${values.length}`);
+  }
+  if (freeOnly) {
+    conditions.push('c.is_free = true');
+  }
+  if (minPrice !== null) {
+    values.push(minPrice);
+    conditions.push(`c.price >= $${values.length}`);
+  }
+  if (maxPrice !== null) {
+    values.push(maxPrice);
+    conditions.push(`c.price <= $${values.length}`);
+  }
+
+  return { where: `WHERE ${conditions.join(' AND ')}`, values };
+};
+
+const orderBy = (sort) => {
+  const descending = sort.startsWith('-') || sort === 'relevance';
+  const column = SORT_COLUMNS[sort.replace(/^-/, '')];
+  return `ORDER BY ${column} ${descending ? 'DESC' : 'ASC'} NULLS LAST, c.id ${descending ? 'DESC' : 'ASC'}`;
+};
+
+/**
+ * One page of catalog classes with their teacher and enrollment count, and the
+ * total for the pager.
+ */
+export const findCatalogClasses = async (db, { filters, sort, page, pageSize }) => {
+  const { where, values } = buildWhere(filters);
+  const from = `FROM classes c JOIN teachers t ON c.teacher_id = t.id ${where}`;
+
+  const [result, count] = await Promise.all([
+    db.query(
+      `SELECT c.id, c.title, c.description, c.thumbnail, c.price, c.is_free, c.created_at, c.teacher_id,
+         t.name as teacher_name, t.subject as teacher_subject, t.photo as teacher_photo,
+         (SELECT COUNT(*)::int FROM user_classes uc WHERE uc.class_id = c.id) as enrollment_count
+       ${from}
+       ${orderBy(sort)}
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, pageSize, (page - 1) * pageSize]
+    ),
+    db.query(`SELECT COUNT(*)::int as total ${from}`, values)
+  ]);
+
+  const total = count.rows[0].total;
+  return {
+    classes: result.rows,
+    total,
+    page,
+    pageSize,
+    totalPages: Math.max(Math.ceil(total / pageSize), 1)
+  };
+};
+
+// Subjects of teachers that have at least one listed class, for the subject filter
+export const listCatalogSubjects = async (db) => {
+  const result = await db.query(
+    `SELECT DISTINCT t.subject
+     FROM teachers t
+     JOIN classes c ON c.teacher_id = t.id
+     WHERE t.deleted_at IS NULL AND c.deleted_at IS NULL AND t.subject <> ''
+     ORDER BY t.subject`
+  );
+  return result.rows.map(row => row.subject);
+};
@@ -0,0 +1,71 @@
+// Class resource helpers: the class-with-teacher shape returned by
+// GET/PATCH /api/classes/:id and the validation of class updates. Classes and
+// teachers in the trash are treated as missing.
+
+const CLASS_WITH_TEACHER_SQL = `
+  SELECT c.*, t.name as teacher_name,
+    CASE WHEN t.id IS NULL THEN NULL
+      ELSE json_build_object('id', t.id, 'name', t.name, 'subject', t.subject, 'bio', t.bio, 'photo', t.photo)
+    END as teacher
+  FROM classes c
+  LEFT JOIN teachers t ON c.teacher_id = t.id AND t.deleted_at IS NULL`;
+
+export const getClassWithTeacher = async (db, id) => {
+  const result = await db.query(`${CLASS_WITH_TEACHER_SQL} WHERE c.id = $1 AND c.deleted_at IS NULL`, [id]);
+  return result.rows[0] || null;
+};
+
+// Multipart forms send booleans as strings
+const parseBoolean = (value) => {
+  if (value === true || value === 'true' || value === '1') return true;
+  if (value === false || value === 'false' || value === '0') return false;
+  return null;
+};
+
+/**
+ * Turns a PATCH body into { changes } (column -> value) against the current
+ * row, or { error }. Price and is_free are kept consistent: a free class costs
+ * 0, a paid one more than 0, and a price alone decides free/paid like on create.
+ */
+export const parseClassUpdate = (body, current) => {
+  const changes = {};
+
+  if (body.title !== undefined) {
+    if (!String(body.title).trim()) return { error: 'Title cannot be empty' };
+    changes.title = String(body.title).trim();
+  }
+  if (body.description !== undefined) {
+    changes.description = String(body.description).trim();
+  }
+  if (body.video_url !== undefined) {
+    changes.video_url = String(body.video_url).trim() || null;
+  }
+  if (body.teacher_id !== undefined) {
+    const teacherId = Number(body.teacher_id);
+    if (!Number.isInteger(teacherId) || teacherId <= 0) return { error: 'Teacher is invalid' };
+    changes.teacher_id = teacherId;
+  }
+
+  const priceGiven = body.price !== undefined && body.price !== '';
+  const freeGiven = body.is_free !== undefined && body.is_free !== '';
+  if (priceGiven || freeGiven) {
+    const price = priceGiven ? Number(body.price) : null;
+    if (priceGiven && (!Number.isFinite(price) || price < 0)) {
+      return { error: 'Price must be a non-negative number' };
+    }
+    const isFree = freeGiven ? parseBoolean(body.is_free) : price === 0;
+    if (isFree === null) return { error: 'is_free must be true or false' };
+
+    if (isFree) {
+      if (priceGiven && price > 0) return { error: 'A free class cannot have a price' };
+      changes.price = 0;
+    } else {
+      const paidPrice = priceGiven ? price : Number(current.price);
+      if (!(paidPrice > 0)) return { error: 'A paid class needs a price above 0' };
+      changes.price = paidPrice;
+    }
+    changes.is_free = isFree;
+  }
+
+  return { changes };
+};
@@ -0,0 +1,73 @@
+// CSV serialization for admin exports, and parsing for admin imports.
+// Cells starting with a formula character are prefixed with a quote so
+// spreadsheet apps do not execute them (CSV injection).
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ header, value: (row) => any }]
+export const toCsv = (columns, rows) => {
+  const lines = [columns.map(column => escapeCell(column.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCell(column.value(row))).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+export const sendCsv = (res, filename, csv) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  // BOM so Excel opens UTF-8 (Arabic names) correctly
+  res.send(`\uFEFF${csv}`);
+};
+
+// RFC 4180 parsing: quoted cells may hold commas, quotes ("") and line breaks.
+// Returns rows of strings; a leading BOM is dropped.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
@@ -0,0 +1,18 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { Pool } from 'pg';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Loaded here too so the pool is configured no matter which entry point imports it first
+dotenv.config({ path: path.resolve(__dirname, '.env') });
+
+// PostgreSQL connection shared by the API server and the migration CLI
+export const pool = new Pool({
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  host: process.env.DB_HOST,
+  port: parseInt(process.env.DB_PORT || '5432'),
+  database: process.env.DB_NAME
+});
@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+
+// Email verification. Registration mails a link carrying a random token; only
+// its SHA-256 hash is stored, together with the address it was sent to, so a
+// link stops working once the account's email changes. Which actions need a
+// verified address is configured with EMAIL_VERIFICATION_REQUIRED_FOR, a
+// comma separated list of VERIFIABLE_ACTIONS ("none" disables the policy).
+
+export const VERIFIABLE_ACTIONS = ['redeem_code', 'enroll', 'guardian_link'];
+
+// Read lazily: dotenv runs after ES module imports are evaluated
+export const getVerificationTtlHours = () => parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '48', 10);
+export const getResendIntervalSeconds = () => parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS || '60', 10);
+
+export const getVerificationRequiredActions = () => {
+  const configured = process.env.EMAIL_VERIFICATION_REQUIRED_FOR;
+  if (configured === undefined) return VERIFIABLE_ACTIONS;
+  return configured
+    .split(',')
+    .map(action => action.trim())
+    .filter(action => VERIFIABLE_ACTIONS.includes(action));
+};
+
+export const isVerificationRequiredFor = (action) => getVerificationRequiredActions().includes(action);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export const createEmailVerificationToken = async (db, user) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  // Only the most recent link of a user stays valid
+  await db.query(
+    `UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND used_at IS NULL`,
+    [user.id]
+  );
+  const result = await db.query(
+    `INSERT INTO email_verification_tokens (user_id, email, token_hash, expires_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(hours => $4))
+     RETURNING expires_at`,
+    [user.id, user.email, hashToken(token), getVerificationTtlHours()]
+  );
+
+  return { token, expiresAt: result.rows[0].expires_at };
+};
+
+// Seconds until the user may request another verification mail (0 when allowed)
+export const getResendWaitSeconds = async (db, userId) => {
+  const result = await db.query(
+    `SELECT EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - created_at)) as age_seconds
+     FROM email_verification_tokens WHERE user_id = $1
+     ORDER BY created_at DESC LIMIT 1`,
+    [userId]
+  );
+  if (result.rows.length === 0) return 0;
+  return Math.max(0, Math.ceil(getResendIntervalSeconds() - Number(result.rows[0].age_seconds)));
+};
+
+/**
+ * Consumes a verification token and marks the account's email as verified.
+ * Returns the user id, or null when the token is unknown, expired, already
+ * used, or was issued for a different address than the account has now.
+ */
+export const consumeEmailVerificationToken = async (db, token) => {
+  if (typeof token !== 'string' || !token) return null;
+
+  const result = await db.query(
+    `UPDATE email_verification_tokens t SET used_at = CURRENT_TIMESTAMP
+     FROM users u
+     WHERE t.user_id = u.id AND t.email = u.email
+       AND t.token_hash = $1 AND t.used_at IS NULL AND t.expires_at > CURRENT_TIMESTAMP
+     RETURNING t.user_id`,
+    [hashToken(token)]
+  );
+  const userId = result.rows[0]?.user_id;
+  if (!userId) return null;
+
+  await db.query(
+    'UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = $1',
+    [userId]
+  );
+  return userId;
+};
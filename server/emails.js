@@ -0,0 +1,137 @@
+// Templates for the mails the platform sends. Each builder returns
+// { subject, text, html } ready to pass to sendMail together with `to`.
+
+// Read lazily: dotenv runs after ES module imports are evaluated
+const getAppUrl = () => (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+export const appLink = (pathname, params = {}) => {
+  const url = new URL(`${getAppUrl()}${pathname}`);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const layout = (paragraphs, action) => `<!doctype html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #111827; line-height: 1.5;">
+    ${paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n    ')}
+    <p><a href="${escapeHtml(action.url)}" style="display: inline-block; padding: 10px 18px; background: #2563eb; color: #ffffff; border-radius: 6px; text-decoration: none;">${escapeHtml(action.label)}</a></p>
+    <p style="font-size: 12px; color: #6b7280;">If the button does not work, open this link: ${escapeHtml(action.url)}</p>
+  </body>
+</html>`;
+
+export const passwordResetEmail = ({ name, resetUrl, expiresInMinutes }) => {
+  const paragraphs = [
+    `Hello ${name || 'there'},`,
+    'We received a request to reset the password of your account.',
+    `The link below is valid for ${expiresInMinutes} minutes and can be used once.`,
+    'If you did not ask for a password reset, you can ignore this email; your password stays the same.'
+  ];
+  return {
+    subject: 'Reset your password',
+    text: `${paragraphs.join('\n\n')}\n\nReset your password: ${resetUrl}\n`,
+    html: layout(paragraphs, { url: resetUrl, label: 'Reset password' })
+  };
+};
+
+export const verificationEmail = ({ name, verifyUrl, expiresInHours }) => {
+  const paragraphs = [
+    `Hello ${name || 'there'},`,
+    'Please confirm that this is your email address so you can enroll in classes and redeem access codes.',
+    `The link below is valid for ${expiresInHours} hours.`,
+    'If you did not create an account, you can ignore this email.'
+  ];
+  return {
+    subject: 'Confirm your email address',
+    text: `${paragraphs.join('\n\n')}\n\nConfirm your email: ${verifyUrl}\n`,
+    html: layout(paragraphs, { url: verifyUrl, label: 'Confirm email' })
+  };
+};
+
+export const guardianLinkRequestEmail = ({ name, guardianName, reviewUrl }) => {
+  const paragraphs = [
+    `Hello ${name || 'there'},`,
+    `An administrator wants to link ${guardianName} to your account as your parent or guardian.`,
+    'Once you approve, they can see your classes, lesson progress and quiz results. They cannot change anything.',
+    'If you do not know this person, decline the request.'
+  ];
+  return {
+    subject: 'Approve a guardian for your account',
+    text: `${paragraphs.join('\n\n')}\n\nReview the request: ${reviewUrl}\n`,
+    html: layout(paragraphs, { url: reviewUrl, label: 'Review request' })
+  };
+};
+
+export const passwordChangedEmail = ({ name, resetUrl }) => {
+  const paragraphs = [
+    `Hello ${name || 'there'},`,
+    'The password of your account was just changed from your profile page. Your other sessions have been signed out.',
+    'If you did not change it, reset your password right away.'
+  ];
+  return {
+    subject: 'Your password was changed',
+    text: `${paragraphs.join('\n\n')}\n\nReset your password: ${resetUrl}\n`,
+    html: layout(paragraphs, { url: resetUrl, label: 'Reset password' })
+  };
+};
+
+export const deletionRequestReviewedEmail = ({ name, approved, comment, url }) => {
+  const paragraphs = [
+    `Hello ${name || 'there'},`,
+    approved
+      ? 'Your request to delete your account has been approved. Your personal data has been removed and you can no longer sign in.'
+      : 'Your request to delete your account has been declined, and your account stays active.',
+    ...(comment ? [`Comment from the administrator: ${comment}`] : []),
+    approved
+      ? 'Records of access codes you redeemed are kept without your name, as required for our accounts.'
+      : 'You can find the status of your request on your profile page.'
+  ];
+  return {
+    subject: approved ? 'Your account has been deleted' : 'Your account deletion request',
+    text: `${paragraphs.join('\n\n')}\n\n${approved ? 'Website' : 'Your profile'}: ${url}\n`,
+    html: layout(paragraphs, { url: url, label: approved ? 'Go to the website' : 'Open your profile' })
+  };
+};
+
+const DATA_TYPE_LABELS = {
+  phone: 'phone number',
+  guardian_phone: 'guardian phone number',
+  location: 'location',
+  all: 'contact details'
+};
+
+export const sensitiveAccessRequestedEmail = ({ name, requesterName, studentName, dataType, reason, reviewUrl }) => {
+  const paragraphs = [
+    `Hello ${name || 'there'},`,
+    `${requesterName} asks to see the ${DATA_TYPE_LABELS[dataType]} of ${studentName}.`,
+    `Reason given: ${reason}`,
+    'Access needs the approval of a second administrator. Please approve or deny the request.'
+  ];
+  return {
+    subject: 'Sensitive data access waiting for approval',
+    text: `${paragraphs.join('\n\n')}\n\nReview the request: ${reviewUrl}\n`,
+    html: layout(paragraphs, { url: reviewUrl, label: 'Review request' })
+  };
+};
+
+export const sensitiveAccessReviewedEmail = ({ name, approved, reviewerName, studentName, dataType, comment, expiresInMinutes, url }) => {
+  const paragraphs = [
+    `Hello ${name || 'there'},`,
+    approved
+      ? `${reviewerName} approved your request to see the ${DATA_TYPE_LABELS[dataType]} of ${studentName}. Your access ends in ${expiresInMinutes} minutes.`
+      : `${reviewerName} denied your request to see the ${DATA_TYPE_LABELS[dataType]} of ${studentName}.`,
+    `Comment: ${comment}`
+  ];
+  return {
+    subject: approved ? 'Sensitive data access approved' : 'Sensitive data access denied',
+    text: `${paragraphs.join('\n\n')}\n\nYour requests: ${url}\n`,
+    html: layout(paragraphs, { url, label: 'Open your requests' })
+  };
+};
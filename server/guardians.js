@@ -0,0 +1,277 @@
+import crypto from 'crypto';
+import { decryptSensitiveFields } from './secureStorage.js';
+
+// Guardian accounts and their links to students. A link is created either when
+// a guardian redeems an invite code the student generated, or by an admin. The
+// student's consent is recorded on the link: generating the invite code is the
+// consent for invite links, admin links stay pending until the student approves.
+// Guardians only ever see students behind an active link, and read-only.
+// Ended links (declined, revoked) are kept as consent history.
+
+// Read lazily: dotenv runs after ES module imports are evaluated
+export const getGuardianInviteTtlDays = () => parseInt(process.env.GUARDIAN_INVITE_TTL_DAYS || '7', 10);
+
+// No 0/O or 1/I so codes can be read out over the phone
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const generateInviteCode = () => {
+  let raw = '';
+  for (let i = 0; i < 10; i++) {
+    raw += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+};
+
+export const normalizeInviteCode = (code) => String(code || '').replace(/[\s-]+/g, '').toUpperCase();
+
+const hashInviteCode = (code) => crypto.createHash('sha256').update(normalizeInviteCode(code)).digest('hex');
+
+// Only the newest invite code of a student stays valid
+export const createGuardianInvite = async (db, studentId, { ip, userAgent } = {}) => {
+  const code = generateInviteCode();
+
+  await revokeGuardianInvites(db, studentId);
+  const result = await db.query(
+    `INSERT INTO guardian_invites (student_id, code_hash, created_ip, created_user_agent, expires_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(days => $5))
+     RETURNING expires_at`,
+    [studentId, hashInviteCode(code), ip || null, userAgent || null, getGuardianInviteTtlDays()]
+  );
+
+  return { code, expiresAt: result.rows[0].expires_at };
+};
+
+export const revokeGuardianInvites = async (db, studentId) => {
+  await db.query(
+    `UPDATE guardian_invites SET revoked_at = CURRENT_TIMESTAMP
+     WHERE student_id = $1 AND used_at IS NULL AND revoked_at IS NULL`,
+    [studentId]
+  );
+};
+
+export const getOpenGuardianInvite = async (db, studentId) => {
+  const result = await db.query(
+    `SELECT id, created_at, expires_at FROM guardian_invites
+     WHERE student_id = $1 AND used_at IS NULL AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     ORDER BY created_at DESC LIMIT 1`,
+    [studentId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Links a guardian to the student who generated the invite code. The consent
+ * recorded on the link is the one given when the code was generated.
+ * Returns { link } or { error: 'invalid_code' | 'already_linked' }.
+ * Run inside a transaction so a rejected redemption does not use up the code.
+ */
+export const redeemGuardianInvite = async (db, guardianId, code) => {
+  const inviteResult = await db.query(
+    `UPDATE guardian_invites SET used_at = CURRENT_TIMESTAMP, used_by = $2
+     WHERE code_hash = $1 AND used_at IS NULL AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING *`,
+    [hashInviteCode(code), guardianId]
+  );
+  const invite = inviteResult.rows[0];
+  if (!invite) return { error: 'invalid_code' };
+
+  const openResult = await db.query(
+    `SELECT * FROM guardian_links
+     WHERE guardian_id = $1 AND student_id = $2 AND status IN ('pending', 'active')
+     FOR UPDATE`,
+    [guardianId, invite.student_id]
+  );
+  const open = openResult.rows[0];
+  if (open?.status === 'active') return { error: 'already_linked' };
+
+  const consent = [invite.id, invite.created_at, invite.created_ip, invite.created_user_agent];
+  const result = open
+    // A pending admin request is settled by the code, which carries the student's consent
+    ? await db.query(
+      `UPDATE guardian_links
+       SET status = 'active', invite_id = $2, consent_given_at = $3, consent_ip = $4, consent_user_agent = $5
+       WHERE id = $1 RETURNING *`,
+      [open.id, ...consent]
+    )
+    : await db.query(
+      `INSERT INTO guardian_links
+         (guardian_id, student_id, status, linked_via, invite_id, consent_given_at, consent_ip, consent_user_agent)
+       VALUES ($1, $2, 'active', 'invite_code', $3, $4, $5, $6)
+       RETURNING *`,
+      [guardianId, invite.student_id, ...consent]
+    );
+
+  return { link: result.rows[0] };
+};
+
+// Admin-created links wait for the student's consent. Returns null if an open link already exists.
+export const requestGuardianLink = async (db, { guardianId, studentId, adminId }) => {
+  const result = await db.query(
+    `INSERT INTO guardian_links (guardian_id, student_id, status, linked_via, created_by)
+     VALUES ($1, $2, 'pending', 'admin', $3)
+     ON CONFLICT (guardian_id, student_id) WHERE status IN ('pending', 'active') DO NOTHING
+     RETURNING *`,
+    [guardianId, studentId, adminId]
+  );
+  return result.rows[0] || null;
+};
+
+// The student approves or declines a pending link. Returns the updated link, or null.
+export const respondToGuardianLink = async (db, { linkId, studentId, approve, ip, userAgent }) => {
+  const result = approve
+    ? await db.query(
+      `UPDATE guardian_links
+       SET status = 'active', consent_given_at = CURRENT_TIMESTAMP, consent_ip = $3, consent_user_agent = $4
+       WHERE id = $1 AND student_id = $2 AND status = 'pending'
+       RETURNING *`,
+      [linkId, studentId, ip || null, userAgent || null]
+    )
+    : await db.query(
+      `UPDATE guardian_links
+       SET status = 'declined', ended_at = CURRENT_TIMESTAMP, ended_by = $2
+       WHERE id = $1 AND student_id = $2 AND status = 'pending'
+       RETURNING *`,
+      [linkId, studentId]
+    );
+  return result.rows[0] || null;
+};
+
+/**
+ * Ends an open link (the student withdraws consent, the guardian unlinks, or
+ * an admin removes it). The given ids all have to match, so callers limit it
+ * to links they may touch, e.g. { linkId, studentId }. Returns the link, or null.
+ */
+export const endGuardianLink = async (db, { endedBy, linkId, guardianId, studentId }) => {
+  const conditions = [`status IN ('pending', 'active')`];
+  const values = [endedBy];
+
+  if (linkId !== undefined) {
+    values.push(linkId);
+    conditions.push(`id = $${values.length}`);
+  }
+  if (guardianId !== undefined) {
+    values.push(guardianId);
+    conditions.push(`guardian_id = $${values.length}`);
+  }
+  if (studentId !== undefined) {
+    values.push(studentId);
+    conditions.push(`student_id = $${values.length}`);
+  }
+
+  const result = await db.query(
+    `UPDATE guardian_links SET status = 'revoked', ended_at = CURRENT_TIMESTAMP, ended_by = $1
+     WHERE ${conditions.join(' AND ')}
+     RETURNING *`,
+    values
+  );
+  return result.rows[0] || null;
+};
+
+const LINK_COLUMNS = `l.id, l.guardian_id, l.student_id, l.status, l.linked_via, l.created_at,
+  l.consent_given_at, l.ended_at`;
+
+export const listGuardianLinksForStudent = async (db, studentId, { includeEnded = false } = {}) => {
+  const result = await db.query(
+    `SELECT ${LINK_COLUMNS}, g.name as guardian_name, g.email as guardian_email
+     FROM guardian_links l
+     JOIN users g ON l.guardian_id = g.id
+     WHERE l.student_id = $1 ${includeEnded ? '' : `AND l.status IN ('pending', 'active')`}
+     ORDER BY l.created_at DESC`,
+    [studentId]
+  );
+  return result.rows;
+};
+
+export const listStudentsForGuardian = async (db, guardianId) => {
+  const result = await db.query(
+    `SELECT ${LINK_COLUMNS}, s.name as student_name
+     FROM guardian_links l
+     JOIN users s ON l.student_id = s.id
+     WHERE l.guardian_id = $1 AND l.status IN ('pending', 'active')
+     ORDER BY s.name`,
+    [guardianId]
+  );
+  return result.rows;
+};
+
+export const hasActiveGuardianLink = async (db, guardianId, studentId) => {
+  const result = await db.query(
+    `SELECT 1 FROM guardian_links WHERE guardian_id = $1 AND student_id = $2 AND status = 'active'`,
+    [guardianId, studentId]
+  );
+  return result.rows.length > 0;
+};
+
+// Read-only summary a guardian sees: enrolled classes with lesson progress, and finished quizzes
+export const getStudentOverview = async (db, studentId) => {
+  const studentResult = await db.query('SELECT id, name FROM users WHERE id = $1', [studentId]);
+
+  const classesResult = await db.query(
+    `SELECT c.id, c.title, t.name as teacher_name, uc.enrolled_at,
+       (SELECT COUNT(*) FROM lessons l JOIN modules m ON l.module_id = m.id WHERE m.class_id = c.id) as total_lessons,
+       (SELECT COUNT(*) FROM lesson_progress lp
+          JOIN lessons l ON lp.lesson_id = l.id
+          JOIN modules m ON l.module_id = m.id
+        WHERE lp.user_id = uc.user_id AND m.class_id = c.id AND lp.completed_at IS NOT NULL) as completed_lessons,
+       (SELECT MAX(lp.updated_at) FROM lesson_progress lp
+          JOIN lessons l ON lp.lesson_id = l.id
+          JOIN modules m ON l.module_id = m.id
+        WHERE lp.user_id = uc.user_id AND m.class_id = c.id) as last_activity_at
+     FROM user_classes uc
+     JOIN classes c ON uc.class_id = c.id
+     JOIN teachers t ON c.teacher_id = t.id
+     WHERE uc.user_id = $1 AND c.deleted_at IS NULL AND t.deleted_at IS NULL
+     ORDER BY uc.enrolled_at DESC`,
+    [studentId]
+  );
+
+  const quizResult = await db.query(
+    `SELECT a.id, a.status, a.score, a.max_score, a.submitted_at,
+       q.title as quiz_title, q.passing_score, c.title as class_title
+     FROM quiz_attempts a
+     JOIN quizzes q ON a.quiz_id = q.id
+     JOIN classes c ON q.class_id = c.id
+     WHERE a.user_id = $1 AND a.status <> 'in_progress' AND c.deleted_at IS NULL
+     ORDER BY a.submitted_at DESC NULLS LAST, a.id DESC`,
+    [studentId]
+  );
+
+  return {
+    student: studentResult.rows[0] || null,
+    classes: classesResult.rows.map(row => ({
+      ...row,
+      total_lessons: parseInt(row.total_lessons, 10),
+      completed_lessons: parseInt(row.completed_lessons, 10)
+    })),
+    quizResults: quizResult.rows.map(({ score, max_score, passing_score, ...row }) => {
+      const percent = max_score > 0 ? Math.round((score / max_score) * 1000) / 10 : 0;
+      return {
+        ...row,
+        score: score === null ? null : parseFloat(score),
+        max_score: max_score === null ? null : parseFloat(max_score),
+        percent,
+        passed: passing_score === null ? null : percent >= parseFloat(passing_score)
+      };
+    })
+  };
+};
+
+const phoneDigits = (phone) => String(phone || '').replace(/\D/g, '');
+
+// Guardian accounts whose phone number is the student's guardianPhone, as suggestions for admins.
+// Phone numbers are only stored encrypted, so the comparison happens after decrypting.
+export const findGuardiansByPhone = async (db, guardianPhone) => {
+  const digits = phoneDigits(guardianPhone);
+  if (digits.length < 6) return [];
+
+  const result = await db.query(
+    `SELECT u.id, u.name, u.email, ssd.user_id, ssd.phone_number_encrypted, ssd.encrypted_data_key
+     FROM users u
+     JOIN student_sensitive_data ssd ON ssd.user_id = u.id
+     WHERE u.role = 'guardian' AND ssd.phone_number_encrypted IS NOT NULL
+     ORDER BY u.name`
+  );
+  return result.rows
+    .filter(row => phoneDigits(decryptSensitiveFields(row).phoneNumber) === digits)
+    .map(({ id, name, email }) => ({ id, name, email }));
+};
@@ -1,6 +1,7 @@
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import fs from 'fs';
 import crypto from 'crypto';
 
 // ✅ لازم التعريف هنا في الأول
@@ -13,21 +14,126 @@ dotenv.config({ path: path.resolve(__dirname, '.env') });
 // باقي الاستيرادات
 import express from 'express';
 import cors from 'cors';
-import { Pool } from 'pg';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import multer from 'multer';
 import { v4 as uuidv4 } from 'uuid';
+import { pool } from './db.js';
+import { migrateUp } from './migrator.js';
+import { saveSensitiveData, loadSensitiveData, decryptSensitiveFields, SENSITIVE_FIELDS } from './secureStorage.js';
+import { parseQuizQuestions, gradeAttempt, percentScore, shuffle, toStudentQuestion, SUBMIT_GRACE_SECONDS } from './quizzes.js';
+import { toCsv, sendCsv } from './csv.js';
+import { MemoryAttemptStore, createBruteForceGuard } from './rateLimiter.js';
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  verifyAccessToken,
+  isSessionActive,
+  markSessionMfaVerified,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} from './sessions.js';
+import {
+  isTwoFactorRequiredFor,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  verifySecondFactor,
+  replaceRecoveryCodes
+} from './twoFactor.js';
+import QRCode from 'qrcode';
+import { sendMail } from './mailer.js';
+import {
+  appLink,
+  passwordResetEmail,
+  verificationEmail,
+  guardianLinkRequestEmail,
+  passwordChangedEmail,
+  deletionRequestReviewedEmail,
+  sensitiveAccessRequestedEmail,
+  sensitiveAccessReviewedEmail
+} from './emails.js';
+import { getEditableProfileFields, validateProfileFields, validatePassword } from './profileValidation.js';
+import {
+  collectPersonalData,
+  toExportFiles,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  getLatestDeletionRequest,
+  listDeletionRequests,
+  reviewDeletionRequest
+} from './privacy.js';
+import { createZip, sendZip } from './zip.js';
+import { recordAuditEntry, listAuditEntries, MAX_AUDIT_PAGE_SIZE } from './auditLog.js';
+import { parseStudentFilters, parsePaging, findStudents, countStudents } from './students.js';
+import { getClassWithTeacher, parseClassUpdate } from './classes.js';
+import { TRASH_TYPES, moveToTrash, restoreFromTrash, purgeFromTrash, listTrash } from './trash.js';
+import { parseCatalogFilters, parseCatalogPaging, findCatalogClasses, listCatalogSubjects } from './catalog.js';
+import {
+  readRoster,
+  validateRoster,
+  assignTemporaryPasswords,
+  createRosterStudents,
+  MAX_IMPORT_FILE_BYTES
+} from './studentImport.js';
+import {
+  SENSITIVE_DATA_TYPES,
+  ACCESS_WINDOW_MINUTES,
+  isApprovalRequiredFor,
+  logSensitiveDataAccess,
+  findActiveGrant,
+  grantSensitiveAccess,
+  createAccessRequest,
+  listAccessRequests,
+  reviewAccessRequest,
+  cancelAccessRequest
+} from './sensitiveAccess.js';
+import { createPasswordResetToken, consumePasswordResetToken, getPasswordResetTtlMinutes } from './passwordResets.js';
+import {
+  createEmailVerificationToken,
+  consumeEmailVerificationToken,
+  getResendWaitSeconds,
+  getVerificationTtlHours,
+  isVerificationRequiredFor
+} from './emailVerification.js';
+import {
+  createGuardianInvite,
+  revokeGuardianInvites,
+  getOpenGuardianInvite,
+  redeemGuardianInvite,
+  requestGuardianLink,
+  respondToGuardianLink,
+  endGuardianLink,
+  listGuardianLinksForStudent,
+  listStudentsForGuardian,
+  hasActiveGuardianLink,
+  getStudentOverview,
+  findGuardiansByPhone
+} from './guardians.js';
+import { MEDIA_DIR, MEDIA_PREFIX, isProtectedMediaPath, signMediaUrl, verifyMediaSignature } from './media.js';
+import { getPermissionsForRole, getRolesWithPermission, hasPermission } from './permissions.js';
+import {
+  requirePermission,
+  requireTeacherProfile,
+  requireClassManager,
+  canManageClass,
+  getTeacherForUser,
+  classOfClassParam,
+  classOfModuleParam,
+  classOfLessonParam
+} from './authorization.js';
 
 
 const app = express();
 const PORT = 3001;
-const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret';
 
 // Middleware
 app.use(cors());
 app.use(express.json());
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Public assets (teacher photos, class thumbnails) are openly cacheable; their filenames never change
+app.use('/uploads', express.static(path.join(__dirname, 'uploads'), { maxAge: '30d', immutable: true, index: false }));
 
 console.log('DB_USER:', process.env.DB_USER);
 console.log('DB_PASSWORD:', process.env.DB_PASSWORD);
@@ -35,129 +141,31 @@ console.log('DB_HOST:', process.env.DB_HOST);
 console.log('DB_PORT:', process.env.DB_PORT);
 console.log('DB_NAME:', process.env.DB_NAME);
 
-// PostgreSQL connection
-const pool = new Pool({
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
-  host: process.env.DB_HOST,
-  port: parseInt(process.env.DB_PORT || '5432'),
-  database: process.env.DB_NAME
-});
-
-// Encryption utilities
-const generateEncryptionKey = () => {
-  return crypto.randomBytes(32).toString('hex');
-};
-
-const encryptData = (data, key) => {
-  const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipher('aes-256-cbc', key);
-  let encrypted = cipher.update(data, 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-  return iv.toString('hex') + ':' + encrypted;
-};
-
-const decryptData = (encryptedData, key) => {
+// Initialize database: apply pending schema migrations, then backfill and seed.
+// A failed migration rejects, and the server does not start (see app.listen below).
+const initializeDatabase = async () => {
   try {
-    const parts = encryptedData.split(':');
-    const iv = Buffer.from(parts[0], 'hex');
-    const encrypted = parts[1];
-    const decipher = crypto.createDecipher('aes-256-cbc', key);
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    return decrypted;
+    const applied = await migrateUp(pool);
+    console.log(`📋 Schema migrations applied: ${applied.length}`);
   } catch (error) {
-    console.error('Decryption error:', error);
-    return null;
+    console.error('❌ Schema migration error:', error);
+    throw error;
   }
-};
 
-// Initialize database tables
-const initializeDatabase = async () => {
   const client = await pool.connect();
   
   try {
-    // Users table with all fields including sensitive data
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        email TEXT UNIQUE NOT NULL,
-        password TEXT NOT NULL,
-        name TEXT NOT NULL,
-        role TEXT DEFAULT 'student',
-        country TEXT,
-        "phoneNumber" TEXT,
-        "guardianPhone" TEXT,
-        "currentLocation" TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Migrate existing users table to new schema
-    await migrateUsersTable(client);
-
-    // Teachers table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS teachers (
-        id SERIAL PRIMARY KEY,
-        name TEXT NOT NULL,
-        bio TEXT,
-        subject TEXT NOT NULL,
-        photo TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+    // Encrypt any students registered before secure storage existed
+    await migrateSensitiveData(client);
 
-    // Classes table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS classes (
-        id SERIAL PRIMARY KEY,
-        title TEXT NOT NULL,
-        description TEXT,
-        teacher_id INTEGER,
-        video_url TEXT,
-        thumbnail TEXT,
-        price DECIMAL(10,2) DEFAULT 0,
-        is_free BOOLEAN DEFAULT true,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (teacher_id) REFERENCES teachers(id)
-      )
-    `);
-
-    // Access codes table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS access_codes (
-        id SERIAL PRIMARY KEY,
-        code TEXT UNIQUE NOT NULL,
-        class_id INTEGER,
-        price DECIMAL(10,2) NOT NULL,
-        is_used BOOLEAN DEFAULT false,
-        used_by INTEGER,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        used_at TIMESTAMP,
-        FOREIGN KEY (class_id) REFERENCES classes(id),
-        FOREIGN KEY (used_by) REFERENCES users(id)
-      )
-    `);
-
-    // User classes (enrolled classes)
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS user_classes (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER,
-        class_id INTEGER,
-        enrolled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id),
-        FOREIGN KEY (class_id) REFERENCES classes(id),
-        UNIQUE(user_id, class_id)
-      )
-    `);
-
-    // Insert default admin user
-    const adminPassword = bcrypt.hashSync('Admin12345!', 10);
+    // Insert default admin user; set ADMIN_INITIAL_PASSWORD to avoid the well-known default
+    if (!process.env.ADMIN_INITIAL_PASSWORD) {
+      console.warn('⚠️ ADMIN_INITIAL_PASSWORD is not set; a new default admin gets the password Admin12345!');
+    }
+    const adminPassword = bcrypt.hashSync(process.env.ADMIN_INITIAL_PASSWORD || 'Admin12345!', 10);
     await client.query(`
-      INSERT INTO users (email, password, name, role) 
-      VALUES ($1, $2, $3, $4) 
+      INSERT INTO users (email, password, name, role, email_verified_at) 
+      VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP) 
       ON CONFLICT (email) DO NOTHING
     `, ['admin@example.com', adminPassword, 'Administrator', 'admin']);
 
@@ -169,97 +177,47 @@ const initializeDatabase = async () => {
   }
 };
 
-// Database migration function to ensure all required columns exist
-const migrateUsersTable = async (client) => {
-  try {
-    console.log('🔧 Checking users table schema...');
-    
-    // Get current columns
-    const result = await client.query(`
-      SELECT column_name 
-      FROM information_schema.columns 
-      WHERE table_name = 'users' 
-      ORDER BY ordinal_position
-    `);
-    
-    const existingColumns = result.rows.map(row => row.column_name);
-    console.log('📋 Existing columns:', existingColumns);
-    
-    // Add missing columns if they don't exist
-    const requiredColumns = [
-      { name: 'phoneNumber', type: 'TEXT' },
-      { name: 'guardianPhone', type: 'TEXT' },
-      { name: 'currentLocation', type: 'TEXT' }
-    ];
-    
-    for (const column of requiredColumns) {
-      if (!existingColumns.includes(column.name)) {
-        console.log(`➕ Adding missing column: ${column.name}`);
-        await client.query(`ALTER TABLE users ADD COLUMN "${column.name}" ${column.type}`);
-      }
-    }
-    
-    // Verify final schema
-    const finalResult = await client.query(`
-      SELECT column_name, data_type, is_nullable 
-      FROM information_schema.columns 
-      WHERE table_name = 'users' 
-      ORDER BY ordinal_position
-    `);
-    
-    console.log('📋 Final users table schema:');
-    finalResult.rows.forEach(row => {
-      console.log(`  ${row.column_name}: ${row.data_type} (${row.is_nullable === 'YES' ? 'NULL' : 'NOT NULL'})`);
-    });
-    
-  } catch (error) {
-    console.error('❌ Migration error:', error);
-    throw error;
-  }
-};
-
 // Migrate existing sensitive data to secure storage
 const migrateSensitiveData = async (client) => {
   try {
     console.log('🔄 Starting sensitive data migration...');
     
-    // Get all users with sensitive data
+    // Get users with sensitive data that has no secure record yet
     const usersResult = await client.query(`
-      SELECT id, "phoneNumber", "guardianPhone", "currentLocation"
-      FROM users 
-      WHERE "phoneNumber" IS NOT NULL OR "guardianPhone" IS NOT NULL OR "currentLocation" IS NOT NULL
+      SELECT u.id, u."phoneNumber", u."guardianPhone", u."currentLocation"
+      FROM users u
+      LEFT JOIN student_sensitive_data ssd ON ssd.user_id = u.id
+      WHERE ssd.id IS NULL
+        AND (u."phoneNumber" IS NOT NULL OR u."guardianPhone" IS NOT NULL OR u."currentLocation" IS NOT NULL)
     `);
-    
+
     console.log(`📊 Found ${usersResult.rows.length} users with sensitive data to migrate`);
-    
+
     for (const user of usersResult.rows) {
-      if (user.phoneNumber || user.guardianPhone || user.currentLocation) {
-        // Generate encryption key for this user
-        const encryptionKey = generateEncryptionKey();
-        const encryptionKeyHash = bcrypt.hashSync(encryptionKey, 10);
-        
-        // Encrypt sensitive data
-        const encryptedPhone = user.phoneNumber ? encryptData(user.phoneNumber, encryptionKey) : null;
-        const encryptedGuardianPhone = user.guardianPhone ? encryptData(user.guardianPhone, encryptionKey) : null;
-        const encryptedLocation = user.currentLocation ? encryptData(user.currentLocation, encryptionKey) : null;
-        
-        // Insert into secure storage
-        await client.query(`
-          INSERT INTO student_sensitive_data 
-          (user_id, phone_number_encrypted, guardian_phone_encrypted, location_encrypted, encryption_key_hash)
-          VALUES ($1, $2, $3, $4, $5)
-          ON CONFLICT (user_id) DO UPDATE SET
-            phone_number_encrypted = EXCLUDED.phone_number_encrypted,
-            guardian_phone_encrypted = EXCLUDED.guardian_phone_encrypted,
-            location_encrypted = EXCLUDED.location_encrypted,
-            encryption_key_hash = EXCLUDED.encryption_key_hash,
-            updated_at = CURRENT_TIMESTAMP
-        `, [user.id, encryptedPhone, encryptedGuardianPhone, encryptedLocation, encryptionKeyHash]);
-        
-        console.log(`✅ Migrated sensitive data for user ${user.id}`);
-      }
+      await saveSensitiveData(client, user.id, user);
+      console.log(`✅ Migrated sensitive data for user ${user.id}`);
     }
-    
+
+    // The encrypted store is the only copy: clear plaintext left by older versions
+    const cleared = await client.query(`
+      UPDATE users u SET "phoneNumber" = NULL, "guardianPhone" = NULL, "currentLocation" = NULL
+      FROM student_sensitive_data ssd
+      WHERE ssd.user_id = u.id
+        AND (u."phoneNumber" IS NOT NULL OR u."guardianPhone" IS NOT NULL OR u."currentLocation" IS NOT NULL)
+    `);
+    console.log(`🧹 Cleared plaintext contact details for ${cleared.rowCount} users`);
+
+    // Records saved before phone lookup hashes existed get them by being saved again
+    const unhashed = await client.query(`
+      SELECT * FROM student_sensitive_data
+      WHERE (phone_number_encrypted IS NOT NULL AND phone_number_hash IS NULL)
+         OR (guardian_phone_encrypted IS NOT NULL AND guardian_phone_hash IS NULL)
+    `);
+    for (const row of unhashed.rows) {
+      await saveSensitiveData(client, row.user_id, decryptSensitiveFields(row));
+    }
+    console.log(`🔎 Added phone lookup hashes for ${unhashed.rows.length} users`);
+
     console.log('✅ Sensitive data migration completed');
     
   } catch (error) {
@@ -268,9 +226,6 @@ const migrateSensitiveData = async (client) => {
   }
 };
 
-// Initialize database on startup
-initializeDatabase();
-
 // Add route logging middleware for debugging
 app.use((req, res, next) => {
   console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
@@ -289,8 +244,84 @@ const storage = multer.diskStorage({
 
 const upload = multer({ storage });
 
+// Deletes a file from the public uploads folder, such as a replaced photo. Paths
+// outside the folder are ignored, and a missing file is not an error.
+const removeUpload = (publicPath) => {
+  if (typeof publicPath !== 'string' || !publicPath.startsWith('/uploads/')) return;
+  fs.promises.unlink(path.join(__dirname, 'uploads', path.basename(publicPath))).catch((error) => {
+    if (error.code !== 'ENOENT') console.error('Remove upload error:', error);
+  });
+};
+
+// Paid lesson content goes to the private media folder under an unguessable name
+fs.mkdirSync(MEDIA_DIR, { recursive: true });
+
+// The private media files of lessons: their uploaded videos and attachments
+const lessonMediaPaths = (lessons) =>
+  lessons.flatMap(lesson => [lesson.video_url, ...(lesson.attachments || []).map(attachment => attachment.url)])
+    .filter(isProtectedMediaPath);
+
+// Deletes the given media files unless a lesson still refers to them (a pasted link
+// can point at another lesson's file). Call after the change is committed; it never throws.
+const removeUnreferencedMedia = async (db, mediaPaths) => {
+  const candidates = [...new Set(mediaPaths)];
+  if (candidates.length === 0) return;
+
+  try {
+    const result = await db.query(
+      `SELECT video_url as url FROM lessons WHERE video_url = ANY($1)
+       UNION
+       SELECT attachment->>'url' FROM lessons, jsonb_array_elements(attachments) attachment
+       WHERE attachment->>'url' = ANY($1)`,
+      [candidates]
+    );
+    const stillUsed = new Set(result.rows.map(row => row.url));
+    await Promise.all(candidates.filter(mediaPath => !stillUsed.has(mediaPath)).map(mediaPath =>
+      fs.promises.unlink(path.join(MEDIA_DIR, path.basename(mediaPath))).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      })
+    ));
+  } catch (error) {
+    console.error('Remove media error:', error);
+  }
+};
+
+const privateStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, MEDIA_DIR);
+  },
+  filename: (req, file, cb) => {
+    cb(null, `${Date.now()}-${crypto.randomBytes(12).toString('hex')}${path.extname(file.originalname).toLowerCase()}`);
+  }
+});
+
+const uploadPrivate = multer({ storage: privateStorage });
+
+// Student rosters are read straight from memory and never written to disk
+const rosterUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_IMPORT_FILE_BYTES } }).single('file');
+const receiveRoster = (req, res, next) => rosterUpload(req, res, (error) => {
+  if (error) {
+    const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+    return res.status(400).json({ error: tooLarge ? `The file must be smaller than ${MAX_IMPORT_FILE_BYTES / 1024 / 1024} MB` : 'Upload failed' });
+  }
+  next();
+});
+const lessonUploads = uploadPrivate.fields([
+  { name: 'attachments', maxCount: 10 },
+  { name: 'video', maxCount: 1 }
+]);
+
 // Authentication middleware
-const authenticateToken = (req, res, next) => {
+// Access tokens are short-lived; the client answers a 401 by calling /api/auth/refresh
+// Sign-in state, sessions, 2FA enrollment and the own profile
+const TWO_FACTOR_EXEMPT_PATHS = /^\/api\/(auth\/|validate-token$|me$)/;
+
+const authenticateToken = async (req, res, next) => {
+  // Already authenticated by an earlier middleware for this request (see the /api/admin guard)
+  if (req.user) {
+    return next();
+  }
+
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -298,18 +329,197 @@ const authenticateToken = (req, res, next) => {
     return res.sendStatus(401);
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) return res.sendStatus(403);
-    req.user = user;
-    next();
+  let user;
+  try {
+    user = await verifyAccessToken(token);
+  } catch (err) {
+    const expired = err.name === 'TokenExpiredError';
+    return res.status(401).json({ error: expired ? 'Access token expired' : 'Invalid token', code: expired ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID' });
+  }
+
+  try {
+    // Tokens issued before sessions existed have no sid and must log in again
+    if (!user.sid || !(await isSessionActive(pool, user.sid))) {
+      return res.status(401).json({ error: 'Session has ended', code: 'SESSION_REVOKED' });
+    }
+  } catch (error) {
+    console.error('Session check error:', error);
+    return res.status(500).json({ error: 'Database error' });
+  }
+
+  // With ADMIN_2FA_REQUIRED, an admin session opened without a second factor only reaches
+  // the own-account routes needed to enroll; every admin action anywhere is refused
+  if (isTwoFactorRequiredFor(user) && !user.mfa && !TWO_FACTOR_EXEMPT_PATHS.test(req.baseUrl + req.path)) {
+    return res.status(403).json({
+      error: 'Two-factor authentication is required for admin accounts',
+      code: 'TWO_FACTOR_REQUIRED'
+    });
+  }
+
+  req.user = user;
+  next();
+};
+
+// Admins and the class's own teacher can open it; everyone else needs an enrollment in user_classes
+const hasClassAccess = async (user, classId) => {
+  if (await canManageClass(pool, user, classId)) return true;
+  const result = await pool.query(
+    `SELECT 1 FROM user_classes uc JOIN classes c ON uc.class_id = c.id
+     WHERE uc.user_id = $1 AND uc.class_id = $2 AND c.deleted_at IS NULL`,
+    [user.id, classId]
+  );
+  return result.rows.length > 0;
+};
+
+// Brute-force protection for login and access-code redemption
+
+// Behind a reverse proxy set TRUST_PROXY (e.g. "1") so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy === 'true' || trustProxy);
+}
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const MINUTE_MS = 60 * 1000;
+const attemptStore = new MemoryAttemptStore();
+
+const recordLockout = async ({ action, scope, identifier, failures, lockoutLevel, lockedUntil, context }) => {
+  console.warn(`🔒 ${action} locked for ${scope} ${identifier} until ${lockedUntil.toISOString()} (level ${lockoutLevel})`);
+  await pool.query(
+    `INSERT INTO auth_lockouts (action, scope, identifier, user_id, ip_address, user_agent, failed_attempts, lockout_level, locked_until)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [action, scope, identifier, context.userId || null, context.ip || null, context.userAgent || null,
+      failures, lockoutLevel, lockedUntil]
+  );
+};
+
+const createGuard = (action, envPrefix, defaults) => createBruteForceGuard({
+  action,
+  store: attemptStore,
+  limits: {
+    ip: envNumber(`${envPrefix}_MAX_ATTEMPTS_PER_IP`, defaults.ip),
+    account: envNumber(`${envPrefix}_MAX_ATTEMPTS_PER_ACCOUNT`, defaults.account)
+  },
+  windowMs: envNumber('AUTH_RATE_WINDOW_MINUTES', 15) * MINUTE_MS,
+  baseLockoutMs: envNumber('AUTH_LOCKOUT_BASE_MINUTES', 5) * MINUTE_MS,
+  maxLockoutMs: envNumber('AUTH_LOCKOUT_MAX_MINUTES', 24 * 60) * MINUTE_MS,
+  onLockout: recordLockout
+});
+
+const bruteForceGuards = {
+  login: createGuard('login', 'LOGIN', { ip: 20, account: 5 }),
+  redeem_code: createGuard('redeem_code', 'REDEEM', { ip: 10, account: 10 }),
+  password_reset: createGuard('password_reset', 'PASSWORD_RESET', { ip: 10, account: 5 })
+};
+
+const requestContext = (req) => ({ ip: req.ip, userAgent: req.get('user-agent') || null });
+
+// Writes an admin action to the audit trail with the acting user and where the request came from.
+// Pass the transaction's client as db so the entry commits or rolls back with the change.
+const audit = (db, req, entry) => recordAuditEntry(db, { ...entry, actorId: req.user.id, ...requestContext(req) });
+
+const sendLockedOut = (res, retryAfterSeconds) => {
+  const minutes = Math.ceil(retryAfterSeconds / 60);
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    error: `Too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    retryAfter: retryAfterSeconds
   });
 };
 
+// Email verification
+
+const sendVerificationEmail = async (db, user) => {
+  const { token } = await createEmailVerificationToken(db, user);
+  const mail = verificationEmail({
+    name: user.name,
+    verifyUrl: appLink('/verify-email', { token }),
+    expiresInHours: getVerificationTtlHours()
+  });
+  await sendMail({ to: user.email, ...mail });
+};
+
+// Blocks the action for students whose email is unverified when the policy requires it.
+// Users who can open every class anyway are exempt.
+const requireVerifiedEmail = (action) => async (req, res, next) => {
+  if (hasPermission(req.user, 'classes:manage_all') || !isVerificationRequiredFor(action)) {
+    return next();
+  }
+
+  try {
+    const result = await pool.query('SELECT email_verified_at FROM users WHERE id = $1', [req.user.id]);
+    if (!result.rows[0]?.email_verified_at) {
+      return res.status(403).json({
+        error: 'Please verify your email address first. Check your inbox for the confirmation link.',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Email verification check error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+};
+
+// Two-factor authentication
+
+// Describes the 2FA state of a user for the client; verified refers to the current session
+const twoFactorSummary = (user, sessionVerified) => ({
+  enabled: !!user.totp_enabled_at,
+  verified: !!sessionVerified,
+  required: isTwoFactorRequiredFor(user)
+});
+
+// Contact details are only stored encrypted; this adds them to a users row for the account owner
+const withContactDetails = async (db, user) => ({
+  ...user,
+  phoneNumber: null,
+  guardianPhone: null,
+  currentLocation: null,
+  ...(await loadSensitiveData(db, user.id))
+});
+
+// The user object returned by login and registration
+const toAuthUser = (user, { mfa = false } = {}) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  phoneNumber: user.phoneNumber,
+  guardianPhone: user.guardianPhone,
+  currentLocation: user.currentLocation,
+  country: user.country,
+  role: user.role,
+  permissions: getPermissionsForRole(user.role),
+  emailVerified: !!user.email_verified_at,
+  twoFactor: twoFactorSummary(user, mfa)
+});
+
+app.use('/api/admin', authenticateToken);
+
 // Routes
 
 // Token validation endpoint
-app.get('/api/validate-token', authenticateToken, (req, res) => {
-  res.json({ valid: true, user: req.user });
+app.get('/api/validate-token', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT email_verified_at, totp_enabled_at, role FROM users WHERE id = $1', [req.user.id]);
+    const user = result.rows[0] || {};
+    res.json({
+      valid: true,
+      user: {
+        ...req.user,
+        permissions: getPermissionsForRole(req.user.role),
+        emailVerified: !!user.email_verified_at,
+        twoFactor: twoFactorSummary({ ...user, role: req.user.role }, req.user.mfa)
+      }
+    });
+  } catch (error) {
+    console.error('Validate token error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
 });
 
 app.post('/api/auth/login', async (req, res) => {
@@ -317,37 +527,42 @@ app.post('/api/auth/login', async (req, res) => {
 
   console.log('🔧 Login attempt for:', email);
 
+  const guard = bruteForceGuards.login;
+  const keys = { ip: req.ip, account: typeof email === 'string' ? email.trim().toLowerCase() : null };
+
   try {
-    const result = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
+    const lock = await guard.check(keys);
+    if (lock.locked) {
+      return sendLockedOut(res, lock.retryAfterSeconds);
+    }
+
+    const result = await pool.query('SELECT * FROM users WHERE email = $1 AND deleted_at IS NULL', [email]);
     const user = result.rows[0];
 
     if (!user || !bcrypt.compareSync(password, user.password)) {
       console.error('❌ Invalid credentials for:', email);
+      await guard.fail(keys, { ...requestContext(req), userId: user?.id });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    // With 2FA the failure count is only cleared after the second step,
+    // otherwise a known password would allow unlimited code guesses
+    if (user.totp_enabled_at) {
+      console.log('🔐 Password accepted, second factor required for:', email);
+      return res.json({ twoFactorRequired: true, challengeToken: signTwoFactorChallenge(user.id) });
+    }
+
+    await guard.succeed({ account: keys.account });
+    const session = await createSession(pool, user, requestContext(req));
+
     console.log('✅ Login successful for:', email);
     console.log('  User ID:', user.id);
     console.log('  Role:', user.role);
 
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-
     res.json({
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        phoneNumber: user.phoneNumber,
-        guardianPhone: user.guardianPhone,
-        currentLocation: user.currentLocation,
-        country: user.country,
-        role: user.role
-      }
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      user: toAuthUser(await withContactDetails(pool, user))
     });
   } catch (error) {
     console.error('❌ Login error:', error);
@@ -430,20 +645,24 @@ app.post('/api/auth/register', async (req, res) => {
   const hashedPassword = bcrypt.hashSync(password, 10);
   console.log('🔐 Password hashed successfully');
   
+  const client = await pool.connect();
+
   try {
     // Step 5: Check if user already exists
-    const existingUser = await pool.query('SELECT id FROM users WHERE email = $1', [cleanEmail]);
+    const existingUser = await client.query('SELECT id FROM users WHERE email = $1', [cleanEmail]);
     if (existingUser.rows.length > 0) {
       console.error('❌ User already exists:', cleanEmail);
       return res.status(409).json({ error: 'Email already exists' });
     }
     
-    // Step 6: Create user with all data including sensitive fields
-    const userResult = await pool.query(`
-      INSERT INTO users (name, email, password, country, "phoneNumber", "guardianPhone", "currentLocation", role)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      RETURNING id, name, email, country, "phoneNumber", "guardianPhone", "currentLocation", role, created_at
-    `, [cleanName, cleanEmail, hashedPassword, cleanCountry, cleanPhoneNumber, cleanGuardianPhone, cleanCurrentLocation, 'student']);
+    await client.query('BEGIN');
+
+    // Step 6: Create user; the sensitive fields are only stored encrypted (step 7)
+    const userResult = await client.query(`
+      INSERT INTO users (name, email, password, country, role)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id, name, email, country, role, created_at
+    `, [cleanName, cleanEmail, hashedPassword, cleanCountry, 'student']);
     
     const user = userResult.rows[0];
     console.log('✅ User created successfully in database:');
@@ -451,20 +670,28 @@ app.post('/api/auth/register', async (req, res) => {
     console.log('  Name:', user.name);
     console.log('  Email:', user.email);
     console.log('  Country:', user.country);
-    console.log('  Phone Number:', user.phoneNumber);
-    console.log('  Guardian Phone:', user.guardianPhone);
-    console.log('  Current Location:', user.currentLocation);
     console.log('  Role:', user.role);
     console.log('  Created At:', user.created_at);
+
+    // Step 7: Store encrypted copies of the sensitive fields
+    await saveSensitiveData(client, user.id, {
+      phoneNumber: cleanPhoneNumber,
+      guardianPhone: cleanGuardianPhone,
+      currentLocation: cleanCurrentLocation
+    });
+
+    await client.query('COMMIT');
+    console.log('🔒 Sensitive data encrypted and stored');
     
-    // Step 8: Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Step 8: Start a session (access token + refresh token)
+    const session = await createSession(pool, user, requestContext(req));
     
-    console.log('🎫 JWT token generated successfully');
+    console.log('🎫 Session tokens generated successfully');
+
+    // Not awaited: a mail failure must not fail the registration; the user can resend
+    sendVerificationEmail(pool, user).catch(error => {
+      console.error('❌ Verification mail error:', error);
+    });
     
     // Step 9: Prepare response (include all data)
     const responseUser = {
@@ -472,10 +699,12 @@ app.post('/api/auth/register', async (req, res) => {
       name: user.name,
       email: user.email,
       country: user.country,
-      phoneNumber: user.phoneNumber,
-      guardianPhone: user.guardianPhone,
-      currentLocation: user.currentLocation,
-      role: user.role
+      phoneNumber: cleanPhoneNumber,
+      guardianPhone: cleanGuardianPhone,
+      currentLocation: cleanCurrentLocation,
+      role: user.role,
+      permissions: getPermissionsForRole(user.role),
+      emailVerified: false
     };
     
     console.log('📤 Sending response:');
@@ -484,7 +713,8 @@ app.post('/api/auth/register', async (req, res) => {
     
     // Step 10: Send response
     res.status(201).json({
-      token,
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
       user: responseUser
     });
     
@@ -492,6 +722,7 @@ app.post('/api/auth/register', async (req, res) => {
     console.log('🚀 REGISTRATION ENDPOINT - END');
     
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('❌ Registration error:', error);
     console.error('❌ Error details:', {
       message: error.message,
@@ -511,519 +742,3024 @@ app.post('/api/auth/register', async (req, res) => {
     } else {
       return res.status(500).json({ error: 'Database error: ' + error.message });
     }
+  } finally {
+    client.release();
   }
 });
 
-// Teachers routes
-app.get('/api/teachers', async (req, res) => {
+// Parents and guardians sign up with their own account; students are linked afterwards
+app.post('/api/auth/register/guardian', async (req, res) => {
+  const { email, password, name, phoneNumber } = req.body;
+
+  const validationErrors = [];
+  if (!email || typeof email !== 'string' || !email.trim()) {
+    validationErrors.push('Email is required');
+  }
+  if (!password || typeof password !== 'string' || password.length < 6) {
+    validationErrors.push('Password must be at least 6 characters');
+  }
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    validationErrors.push('Name is required');
+  }
+  if (!phoneNumber || typeof phoneNumber !== 'string' || !phoneNumber.trim()) {
+    validationErrors.push('Phone number is required');
+  }
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', details: validationErrors.join('. ') });
+  }
+
+  const client = await pool.connect();
   try {
-    const result = await pool.query('SELECT * FROM teachers ORDER BY created_at DESC');
-    res.json(result.rows);
+    const existing = await client.query('SELECT id FROM users WHERE email = $1', [email.trim()]);
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ error: 'Email already exists' });
+    }
+
+    await client.query('BEGIN');
+    const userResult = await client.query(
+      `INSERT INTO users (name, email, password, role)
+       VALUES ($1, $2, $3, 'guardian')
+       RETURNING id, name, email, role, created_at`,
+      [name.trim(), email.trim(), bcrypt.hashSync(password, 10)]
+    );
+    const user = userResult.rows[0];
+    await saveSensitiveData(client, user.id, { phoneNumber: phoneNumber.trim() });
+    await client.query('COMMIT');
+    console.log(`👪 Guardian account created: ${user.email}`);
+
+    const session = await createSession(pool, user, requestContext(req));
+
+    // Not awaited: a mail failure must not fail the registration; the user can resend
+    sendVerificationEmail(pool, user).catch(error => {
+      console.error('❌ Verification mail error:', error);
+    });
+
+    res.status(201).json({
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      user: toAuthUser({ ...user, phoneNumber: phoneNumber.trim() })
+    });
   } catch (error) {
-    console.error('Get teachers error:', error);
+    await client.query('ROLLBACK');
+    console.error('Guardian registration error:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Email already exists' });
+    }
     res.status(500).json({ error: 'Database error' });
+  } finally {
+    client.release();
   }
 });
 
-app.get('/api/teachers/:id', async (req, res) => {
-  const { id } = req.params;
-  
+// Second login step for accounts with two-factor authentication
+app.post('/api/auth/login/2fa', async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!code && !recoveryCode) {
+    return res.status(400).json({ error: 'Authentication code is required' });
+  }
+
   try {
-    const result = await pool.query('SELECT * FROM teachers WHERE id = $1', [id]);
-    const teacher = result.rows[0];
-    
-    if (!teacher) {
-      return res.status(404).json({ error: 'Teacher not found' });
+    const userId = await verifyTwoFactorChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({ error: 'Your sign-in has expired. Please enter your password again.' });
     }
-    res.json(teacher);
+
+    const result = await pool.query('SELECT * FROM users WHERE id = $1 AND deleted_at IS NULL', [userId]);
+    const user = result.rows[0];
+    if (!user) {
+      return res.status(401).json({ error: 'Your sign-in has expired. Please enter your password again.' });
+    }
+
+    const guard = bruteForceGuards.login;
+    const keys = { ip: req.ip, account: user.email.trim().toLowerCase() };
+    const lock = await guard.check(keys);
+    if (lock.locked) {
+      return sendLockedOut(res, lock.retryAfterSeconds);
+    }
+
+    const method = await verifySecondFactor(pool, user.id, { code, recoveryCode });
+    if (!method) {
+      await guard.fail(keys, { ...requestContext(req), userId: user.id });
+      return res.status(401).json({ error: recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code' });
+    }
+
+    await guard.succeed({ account: keys.account });
+    const session = await createSession(pool, user, { ...requestContext(req), mfa: true });
+
+    console.log(`✅ Two-factor login successful for user ${user.id} (${method})`);
+    res.json({
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      user: toAuthUser(await withContactDetails(pool, user), { mfa: true })
+    });
   } catch (error) {
-    console.error('Get teacher error:', error);
+    console.error('❌ Two-factor login error:', error);
     res.status(500).json({ error: 'Database error' });
   }
 });
 
-app.post('/api/teachers', authenticateToken, upload.single('photo'), async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
-  }
+// Two-factor management routes (own account)
 
-  const { name, bio, subject } = req.body;
-  const photo = req.file ? `/uploads/${req.file.filename}` : null;
+const checkPassword = async (userId, password) => {
+  const result = await pool.query('SELECT password FROM users WHERE id = $1', [userId]);
+  return !!result.rows[0] && typeof password === 'string' && bcrypt.compareSync(password, result.rows[0].password);
+};
 
-  // ✅ Enhanced validation
-  if (!name || !name.trim()) {
-    return res.status(400).json({ error: 'Teacher name is required' });
-  }
-  if (!subject || !subject.trim()) {
-    return res.status(400).json({ error: 'Subject is required' });
+app.get('/api/auth/2fa', authenticateToken, async (req, res) => {
+  try {
+    const status = await getTwoFactorStatus(pool, req.user.id);
+    res.json({ ...status, verified: !!req.user.mfa, required: isTwoFactorRequiredFor(req.user) });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ error: 'Database error' });
   }
+});
 
+app.post('/api/auth/2fa/setup', authenticateToken, async (req, res) => {
   try {
-    console.log('Creating teacher:', { name, bio, subject, photo });
-    
-    const result = await pool.query(
-      'INSERT INTO teachers (name, bio, subject, photo) VALUES ($1, $2, $3, $4) RETURNING *',
-      [name.trim(), bio?.trim() || '', subject.trim(), photo]
-    );
-    
-    console.log('Teacher created successfully:', result.rows[0]);
-    res.status(201).json(result.rows[0]);
+    if (!(await checkPassword(req.user.id, req.body.password))) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    const { secret, otpauthUrl } = await startTwoFactorSetup(pool, req.user);
+    const qrCodeDataUrl = await QRCode.toDataURL(otpauthUrl);
+    res.json({ secret, otpauthUrl, qrCodeDataUrl });
   } catch (error) {
-    console.error('Create teacher error:', error);
-    
-    // ✅ Enhanced error handling
-    if (error.code === '23505') { // Unique constraint violation
-      res.status(400).json({ error: 'A teacher with this name already exists' });
-    } else if (error.code === '23502') { // Not null violation
-      res.status(400).json({ error: 'Required fields are missing' });
-    } else {
-      res.status(500).json({ error: 'Database error: ' + error.message });
-    }
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ error: 'Database error' });
   }
 });
 
-app.delete('/api/teachers/:id', authenticateToken, async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
-  }
-  
-  const { id } = req.params;
-  
+app.post('/api/auth/2fa/enable', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+
   try {
-    const result = await pool.query('DELETE FROM teachers WHERE id = $1', [id]);
-    if (result.rowCount === 0) {
-      return res.status(404).json({ error: 'Teacher not found' });
+    await client.query('BEGIN');
+    const recoveryCodes = await enableTwoFactor(client, req.user.id, req.body.code);
+    if (!recoveryCodes) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid authentication code. Check the time on your device and try again.' });
     }
-    res.json({ success: true });
+
+    // The code just entered proves the second factor for this session; other sessions must sign in again
+    const token = await markSessionMfaVerified(client, req.user, req.user.sid);
+    await revokeUserSessions(client, req.user.id, 'two_factor_enabled', { exceptSessionId: req.user.sid });
+    await client.query('COMMIT');
+
+    console.log(`🔐 Two-factor authentication enabled for user ${req.user.id}`);
+    res.json({ success: true, token, recoveryCodes });
   } catch (error) {
-    console.error('Delete teacher error:', error);
+    await client.query('ROLLBACK');
+    console.error('Enable two-factor error:', error);
     res.status(500).json({ error: 'Database error' });
+  } finally {
+    client.release();
   }
 });
 
-// Classes routes
-app.get('/api/classes', async (req, res) => {
-  const { teacher_id } = req.query;
-  
+app.post('/api/auth/2fa/recovery-codes', authenticateToken, async (req, res) => {
   try {
-    let query = `
-      SELECT c.*, t.name as teacher_name 
-      FROM classes c 
-      JOIN teachers t ON c.teacher_id = t.id
-    `;
-    let params = [];
-
-    if (teacher_id) {
-      query += ` WHERE c.teacher_id = $1`;
-      params.push(teacher_id);
+    if (!(await verifySecondFactor(pool, req.user.id, { code: req.body.code }))) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
     }
 
-    query += ` ORDER BY c.created_at DESC`;
-
-    const result = await pool.query(query, params);
-    res.json(result.rows);
+    const recoveryCodes = await replaceRecoveryCodes(pool, req.user.id);
+    console.log(`🔐 Recovery codes regenerated for user ${req.user.id}`);
+    res.json({ recoveryCodes });
   } catch (error) {
-    console.error('Get classes error:', error);
+    console.error('Regenerate recovery codes error:', error);
     res.status(500).json({ error: 'Database error' });
   }
 });
 
-app.post('/api/classes', authenticateToken, upload.single('thumbnail'), async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+app.post('/api/auth/2fa/disable', authenticateToken, async (req, res) => {
+  if (isTwoFactorRequiredFor(req.user)) {
+    return res.status(400).json({ error: 'Two-factor authentication is required for admin accounts' });
   }
 
-  const { title, description, teacher_id, video_url, price } = req.body;
-  const thumbnail = req.file ? `/uploads/${req.file.filename}` : null;
-  const is_free = parseFloat(price) === 0 ? true : false;
-
   try {
-    const result = await pool.query(
-      `INSERT INTO classes (title, description, teacher_id, video_url, thumbnail, price, is_free) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7) 
-       RETURNING *`,
-      [title, description, teacher_id, video_url, thumbnail, price, is_free]
-    );
-    res.status(201).json(result.rows[0]);
+    if (!(await checkPassword(req.user.id, req.body.password))) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+    if (!(await verifySecondFactor(pool, req.user.id, { code: req.body.code }))) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    await disableTwoFactor(pool, req.user.id);
+    console.log(`🔓 Two-factor authentication disabled for user ${req.user.id}`);
+    res.json({ success: true });
   } catch (error) {
-    console.error('Create class error:', error);
+    console.error('Disable two-factor error:', error);
     res.status(500).json({ error: 'Database error' });
   }
 });
 
-app.delete('/api/classes/:id', authenticateToken, async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
-  }
-  
-  const { id } = req.params;
-  
+// Session routes
+
+app.post('/api/auth/refresh', async (req, res) => {
   try {
-    const result = await pool.query('DELETE FROM classes WHERE id = $1', [id]);
-    if (result.rowCount === 0) {
-      return res.status(404).json({ error: 'Class not found' });
+    const result = await rotateSession(pool, req.body.refreshToken, requestContext(req));
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
     }
-    res.json({ success: true });
+    res.json({ token: result.accessToken, refreshToken: result.refreshToken });
   } catch (error) {
-    console.error('Delete class error:', error);
+    console.error('Refresh token error:', error);
     res.status(500).json({ error: 'Database error' });
   }
 });
 
-// Access codes routes
-app.post('/api/access-codes', authenticateToken, async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSession(pool, req.user.sid, 'logout');
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Database error' });
   }
+});
 
-  const { class_id, price } = req.body;
-  const code = uuidv4().substring(0, 8).toUpperCase();
+app.post('/api/auth/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(pool, req.user.id, 'logout_all');
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error('Logout everywhere error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
 
+app.get('/api/auth/sessions', authenticateToken, async (req, res) => {
   try {
     const result = await pool.query(
-      'INSERT INTO access_codes (code, class_id, price) VALUES ($1, $2, $3) RETURNING *',
-      [code, class_id, price]
+      `SELECT id, ip_address, user_agent, created_at, last_used_at, expires_at
+       FROM sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       ORDER BY last_used_at DESC`,
+      [req.user.id]
     );
-    res.status(201).json(result.rows[0]);
+    res.json(result.rows.map(session => ({ ...session, current: session.id === req.user.sid })));
   } catch (error) {
-    console.error('Create access code error:', error);
+    console.error('Get sessions error:', error);
     res.status(500).json({ error: 'Database error' });
   }
 });
 
-app.get('/api/access-codes', authenticateToken, async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+// Password reset routes
+
+app.post('/api/auth/forgot-password', async (req, res) => {
+  const { email } = req.body;
+
+  if (!email || typeof email !== 'string' || !email.trim()) {
+    return res.status(400).json({ error: 'Email is required' });
   }
 
+  const cleanEmail = email.trim();
+  const guard = bruteForceGuards.password_reset;
+  const keys = { ip: req.ip, account: cleanEmail.toLowerCase() };
+
   try {
-    const result = await pool.query(`
-      SELECT ac.*, c.title as class_title, u.name as used_by_name 
-      FROM access_codes ac 
-      JOIN classes c ON ac.class_id = c.id 
-      LEFT JOIN users u ON ac.used_by = u.id 
-      ORDER BY ac.created_at DESC
-    `);
-    res.json(result.rows);
+    const lock = await guard.check(keys);
+    if (lock.locked) {
+      return sendLockedOut(res, lock.retryAfterSeconds);
+    }
+
+    const result = await pool.query('SELECT id, name, email FROM users WHERE email = $1 AND deleted_at IS NULL', [cleanEmail]);
+    const user = result.rows[0];
+
+    // Every request counts against the limit so the endpoint cannot be used to flood an inbox
+    await guard.fail(keys, { ...requestContext(req), userId: user?.id });
+
+    if (user) {
+      const { token } = await createPasswordResetToken(pool, user.id, requestContext(req));
+      const mail = passwordResetEmail({
+        name: user.name,
+        resetUrl: appLink('/reset-password', { token }),
+        expiresInMinutes: getPasswordResetTtlMinutes()
+      });
+      // Not awaited: the response must not reveal whether an account exists
+      sendMail({ to: user.email, ...mail }).catch(error => {
+        console.error('Password reset mail error:', error);
+      });
+      console.log(`🔑 Password reset requested for user ${user.id}`);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent.'
+    });
   } catch (error) {
-    console.error('Get access codes error:', error);
+    console.error('Forgot password error:', error);
     res.status(500).json({ error: 'Database error' });
   }
 });
 
-// Redeem access code
-app.post('/api/redeem-code', authenticateToken, async (req, res) => {
-  const { code } = req.body;
-  const user_id = req.user.id;
+app.post('/api/auth/reset-password', async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({ error: 'Reset token is required' });
+  }
+  if (!password || typeof password !== 'string' || password.length < 6) {
+    return res.status(400).json({ error: 'Password is required and must be at least 6 characters' });
+  }
 
   const client = await pool.connect();
-  
+
   try {
     await client.query('BEGIN');
 
-    // First, check if the code exists and is unused
-    const accessCodeResult = await client.query(
-      'SELECT * FROM access_codes WHERE code = $1 AND is_used = false',
-      [code]
-    );
-    
-    const accessCode = accessCodeResult.rows[0];
-    if (!accessCode) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({ error: 'Invalid or already used code' });
-    }
-
-    // Check if user already has access to this class
-    const existingAccessResult = await client.query(
-      'SELECT * FROM user_classes WHERE user_id = $1 AND class_id = $2',
-      [user_id, accessCode.class_id]
-    );
-
-    if (existingAccessResult.rows.length > 0) {
+    const userId = await consumePasswordResetToken(client, token, requestContext(req));
+    if (!userId) {
       await client.query('ROLLBACK');
-      return res.status(400).json({ error: 'You already have access to this class' });
+      return res.status(400).json({ error: 'This reset link is invalid or has expired' });
     }
 
-    // Mark code as used
-    await client.query(
-      'UPDATE access_codes SET is_used = true, used_by = $1, used_at = CURRENT_TIMESTAMP WHERE id = $2',
-      [user_id, accessCode.id]
-    );
-
-    // Enroll user in the class
-    await client.query(
-      'INSERT INTO user_classes (user_id, class_id) VALUES ($1, $2)',
-      [user_id, accessCode.class_id]
+    const result = await client.query(
+      'UPDATE users SET password = $1 WHERE id = $2 RETURNING email',
+      [bcrypt.hashSync(password, 10), userId]
     );
 
     await client.query('COMMIT');
 
-    res.json({ 
-      success: true, 
-      message: 'Code redeemed successfully!',
-      class_id: accessCode.class_id
-    });
+    // Sessions opened with the old password end, and failed logins no longer count
+    await revokeUserSessions(pool, userId, 'password_reset');
+    await bruteForceGuards.login.succeed({ account: result.rows[0].email.trim().toLowerCase() });
+
+    console.log(`🔑 Password reset completed for user ${userId}`);
+    res.json({ success: true });
   } catch (error) {
     await client.query('ROLLBACK');
-    console.error('Redeem code error:', error);
-    res.status(500).json({ error: 'Database error during redemption' });
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Database error' });
   } finally {
     client.release();
   }
 });
 
-// Enroll in free class
-app.post('/api/enroll-free', authenticateToken, async (req, res) => {
-  const { class_id } = req.body;
-  const user_id = req.user.id;
+// Profile routes: every signed-in user manages their own account here
 
-  try {
-    // Check if class is free
-    const classResult = await pool.query(
-      'SELECT * FROM classes WHERE id = $1 AND is_free = true',
-      [class_id]
-    );
-    
-    if (classResult.rows.length === 0) {
-      return res.status(400).json({ error: 'Class not found or not free' });
-    }
+const PROFILE_COLUMNS = 'id, name, email, role, country, created_at, email_verified_at';
 
-    // Check if already enrolled
-    const existingAccessResult = await pool.query(
-      'SELECT * FROM user_classes WHERE user_id = $1 AND class_id = $2',
-      [user_id, class_id]
-    );
+const toProfile = ({ email_verified_at, ...user }) => ({
+  ...user,
+  emailVerified: !!email_verified_at,
+  editableFields: getEditableProfileFields(user.role)
+});
 
-    if (existingAccessResult.rows.length > 0) {
-      return res.status(400).json({ error: 'Already enrolled in this class' });
+app.get('/api/me', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(`SELECT ${PROFILE_COLUMNS} FROM users WHERE id = $1`, [req.user.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
     }
-
-    // Enroll user
-    await pool.query(
-      'INSERT INTO user_classes (user_id, class_id) VALUES ($1, $2)',
-      [user_id, class_id]
-    );
-
-    res.json({ 
-      success: true, 
-      message: 'Enrolled successfully!',
-      class_id: class_id
-    });
+    res.json(toProfile(await withContactDetails(pool, result.rows[0])));
   } catch (error) {
-    console.error('Enroll free class error:', error);
+    console.error('Get profile error:', error);
     res.status(500).json({ error: 'Database error' });
   }
 });
 
-// Get user's enrolled classes
-app.get('/api/my-classes', authenticateToken, async (req, res) => {
-  const user_id = req.user.id;
+// The email address is not editable here: it is the login and has been verified
+app.patch('/api/me', authenticateToken, async (req, res) => {
+  const changes = {};
+  for (const field of getEditableProfileFields(req.user.role)) {
+    if (req.body[field] !== undefined) {
+      changes[field] = req.body[field];
+    }
+  }
 
-  try {
-    const result = await pool.query(`
-      SELECT c.*, t.name as teacher_name, uc.enrolled_at 
-      FROM user_classes uc 
-      JOIN classes c ON uc.class_id = c.id 
-      JOIN teachers t ON c.teacher_id = t.id 
-      WHERE uc.user_id = $1 
-      ORDER BY uc.enrolled_at DESC
-    `, [user_id]);
-    res.json(result.rows);
-  } catch (error) {
-    console.error('Get my classes error:', error);
-    res.status(500).json({ error: 'Database error' });
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: 'No profile fields to update' });
+  }
+  const validationErrors = validateProfileFields(changes);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ error: validationErrors.join('. ') });
   }
-});
 
-// Check if user has access to a class
-app.get('/api/check-access/:class_id', authenticateToken, async (req, res) => {
-  const { class_id } = req.params;
-  const user_id = req.user.id;
+  // Contact details go to the encrypted store only, everything else to the users row
+  const fields = [];
+  const values = [];
+  const contactChanges = {};
+  let paramCount = 1;
+  for (const [field, value] of Object.entries(changes)) {
+    if (SENSITIVE_FIELDS[field]) {
+      contactChanges[field] = value.trim();
+      continue;
+    }
+    fields.push(`"${field}" = $${paramCount++}`);
+    values.push(value.trim());
+  }
+  values.push(req.user.id);
 
+  const client = await pool.connect();
   try {
-    const result = await pool.query(
-      'SELECT * FROM user_classes WHERE user_id = $1 AND class_id = $2',
-      [user_id, class_id]
-    );
-    res.json({ hasAccess: result.rows.length > 0 });
+    await client.query('BEGIN');
+    const result = fields.length > 0
+      ? await client.query(`UPDATE users SET ${fields.join(', ')} WHERE id = $${paramCount} RETURNING ${PROFILE_COLUMNS}`, values)
+      : await client.query(`SELECT ${PROFILE_COLUMNS} FROM users WHERE id = $1`, values);
+    const user = result.rows[0];
+    if (!user) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (Object.keys(contactChanges).length > 0) {
+      const current = await loadSensitiveData(client, user.id);
+      await saveSensitiveData(client, user.id, { ...current, ...contactChanges });
+    }
+    const profile = toProfile(await withContactDetails(client, user));
+    await client.query('COMMIT');
+
+    console.log(`👤 User ${user.id} updated their profile: ${Object.keys(changes).join(', ')}`);
+    res.json(profile);
   } catch (error) {
-    console.error('Check access error:', error);
+    await client.query('ROLLBACK');
+    console.error('Update profile error:', error);
     res.status(500).json({ error: 'Database error' });
+  } finally {
+    client.release();
   }
 });
 
-// Update class (video) info
-app.put('/api/videos/:id', authenticateToken, upload.single('thumbnail'), async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+app.post('/api/me/password', authenticateToken, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || typeof currentPassword !== 'string') {
+    return res.status(400).json({ error: 'Current password is required' });
+  }
+  const passwordError = validatePassword(newPassword);
+  if (passwordError) {
+    return res.status(400).json({ error: passwordError });
   }
 
-  const { id } = req.params;
-  const { title, description, video_url, price } = req.body;
-  let thumbnail = req.file ? `/uploads/${req.file.filename}` : undefined;
+  // Wrong current passwords count like failed logins, so a stolen session cannot guess it
+  const guard = bruteForceGuards.login;
+  const keys = { ip: req.ip, account: req.user.email.trim().toLowerCase() };
 
   try {
-    // Build update query dynamically
-    let fields = [];
-    let values = [];
-    let paramCount = 1;
-
-    if (title !== undefined) { 
-      fields.push(`title = $${paramCount++}`); 
-      values.push(title); 
+    const lock = await guard.check(keys);
+    if (lock.locked) {
+      return sendLockedOut(res, lock.retryAfterSeconds);
     }
-    if (description !== undefined) { 
-      fields.push(`description = $${paramCount++}`); 
-      values.push(description); 
-    }
-    if (video_url !== undefined) { 
-      fields.push(`video_url = $${paramCount++}`); 
-      values.push(video_url); 
-    }
-    if (price !== undefined) { 
-      fields.push(`price = $${paramCount++}`); 
-      values.push(price); 
+
+    const result = await pool.query('SELECT id, name, email, password FROM users WHERE id = $1', [req.user.id]);
+    const user = result.rows[0];
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
-    if (thumbnail !== undefined) { 
-      fields.push(`thumbnail = $${paramCount++}`); 
-      values.push(thumbnail); 
+
+    if (!bcrypt.compareSync(currentPassword, user.password)) {
+      await guard.fail(keys, { ...requestContext(req), userId: user.id });
+      return res.status(400).json({ error: 'Current password is incorrect' });
     }
-    // is_free logic
-    if (price !== undefined) { 
-      fields.push(`is_free = $${paramCount++}`); 
-      values.push(parseFloat(price) === 0 ? true : false); 
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ error: 'The new password must be different from the current one' });
     }
 
-    if (fields.length === 0) {
-      return res.status(400).json({ error: 'No fields to update' });
-    }
+    await pool.query('UPDATE users SET password = $1 WHERE id = $2', [bcrypt.hashSync(newPassword, 10), user.id]);
+    await guard.succeed({ account: keys.account });
 
-    values.push(id);
-    const sql = `UPDATE classes SET ${fields.join(', ')} WHERE id = $${paramCount} RETURNING *`;
+    // Other sessions may have been opened with the old password; this one stays signed in
+    const revoked = await revokeUserSessions(pool, user.id, 'password_changed', { exceptSessionId: req.user.sid });
+    console.log(`🔑 User ${user.id} changed their password (${revoked} other sessions ended)`);
 
-    const result = await pool.query(sql, values);
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Class not found' });
-    }
-    
-    res.json(result.rows[0]);
+    sendMail({
+      to: user.email,
+      ...passwordChangedEmail({ name: user.name, resetUrl: appLink('/forgot-password') })
+    }).catch(error => {
+      console.error('❌ Password changed mail error:', error);
+    });
+
+    res.json({ success: true, revokedSessions: revoked });
   } catch (error) {
-    console.error('Update class error:', error);
+    console.error('Change password error:', error);
     res.status(500).json({ error: 'Database error' });
   }
 });
 
-// Statistics endpoints
-app.get('/api/stats/students', async (req, res) => {
+// Personal data export: ?format=zip for one file per section, JSON otherwise
+app.get('/api/me/export', authenticateToken, async (req, res) => {
+  const format = req.query.format === 'zip' ? 'zip' : 'json';
+
+  try {
+    const data = await collectPersonalData(pool, req.user.id);
+    if (!data) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    console.log(`📦 User ${req.user.id} exported their personal data (${format})`);
+
+    const filename = `my-data-${data.exportedAt.slice(0, 10)}`;
+    if (format === 'zip') {
+      return sendZip(res, `${filename}.zip`, createZip(toExportFiles(data)));
+    }
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+    res.type('application/json').send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    console.error('Personal data export error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Account deletion is requested here and carried out once an admin approves it
+app.get('/api/me/deletion-request', authenticateToken, requirePermission('account_deletion:request'), async (req, res) => {
+  try {
+    res.json(await getLatestDeletionRequest(pool, req.user.id));
+  } catch (error) {
+    console.error('Get deletion request error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.post('/api/me/deletion-request', authenticateToken, requirePermission('account_deletion:request'), async (req, res) => {
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 1000) : '';
+
+  try {
+    const request = await requestAccountDeletion(pool, req.user.id, { reason, ...requestContext(req) });
+    if (!request) {
+      return res.status(409).json({ error: 'You already have a pending deletion request' });
+    }
+    console.log(`🗑️ User ${req.user.id} requested account deletion (request ${request.id})`);
+    res.status(201).json(request);
+  } catch (error) {
+    console.error('Create deletion request error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.delete('/api/me/deletion-request', authenticateToken, requirePermission('account_deletion:request'), async (req, res) => {
+  try {
+    const request = await cancelAccountDeletion(pool, req.user.id);
+    if (!request) {
+      return res.status(404).json({ error: 'No pending deletion request found' });
+    }
+    res.json(request);
+  } catch (error) {
+    console.error('Cancel deletion request error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Email verification routes
+
+app.post('/api/auth/verify-email', async (req, res) => {
+  const { token } = req.body;
+
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({ error: 'Verification token is required' });
+  }
+
+  try {
+    const userId = await consumeEmailVerificationToken(pool, token);
+    if (!userId) {
+      return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+    }
+
+    console.log(`✅ Email verified for user ${userId}`);
+    res.json({ success: true, userId });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.post('/api/auth/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT id, name, email, email_verified_at FROM users WHERE id = $1', [req.user.id]);
+    const user = result.rows[0];
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.email_verified_at) {
+      return res.status(400).json({ error: 'Your email address is already verified' });
+    }
+
+    const waitSeconds = await getResendWaitSeconds(pool, user.id);
+    if (waitSeconds > 0) {
+      res.set('Retry-After', String(waitSeconds));
+      return res.status(429).json({
+        error: `Please wait ${waitSeconds} seconds before requesting another email.`,
+        retryAfter: waitSeconds
+      });
+    }
+
+    await sendVerificationEmail(pool, user);
+    res.json({ success: true, message: `A new confirmation link has been sent to ${user.email}.` });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// Guardian routes
+
+const GUARDIAN_LINK_ERRORS = {
+  invalid_code: 'This invite code is invalid, expired or already used',
+  already_linked: 'You are already linked to this student'
+};
+
+// Students: invite codes and consent to the guardians who may follow their progress
+app.get('/api/student/guardians', authenticateToken, requirePermission('guardian_links:manage'), async (req, res) => {
+  try {
+    const [links, invite] = await Promise.all([
+      listGuardianLinksForStudent(pool, req.user.id),
+      getOpenGuardianInvite(pool, req.user.id)
+    ]);
+    res.json({ links, invite });
+  } catch (error) {
+    console.error('Get guardian links error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.post('/api/student/guardians/invite', authenticateToken, requirePermission('guardian_links:manage'), async (req, res) => {
+  try {
+    const invite = await createGuardianInvite(pool, req.user.id, requestContext(req));
+    res.status(201).json(invite);
+  } catch (error) {
+    console.error('Create guardian invite error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.delete('/api/student/guardians/invite', authenticateToken, requirePermission('guardian_links:manage'), async (req, res) => {
+  try {
+    await revokeGuardianInvites(pool, req.user.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke guardian invite error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.post('/api/student/guardians/:id/consent', authenticateToken, requirePermission('guardian_links:manage'), async (req, res) => {
+  const approve = req.body.approve === true;
+
+  try {
+    const link = await respondToGuardianLink(pool, {
+      linkId: req.params.id,
+      studentId: req.user.id,
+      approve,
+      ...requestContext(req)
+    });
+    if (!link) {
+      return res.status(404).json({ error: 'No pending guardian request found' });
+    }
+    console.log(`👪 Student ${req.user.id} ${approve ? 'approved' : 'declined'} guardian link ${link.id}`);
+    res.json(link);
+  } catch (error) {
+    console.error('Guardian consent error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Withdrawing consent ends the link immediately
+app.delete('/api/student/guardians/:id', authenticateToken, requirePermission('guardian_links:manage'), async (req, res) => {
+  try {
+    const link = await endGuardianLink(pool, { endedBy: req.user.id, linkId: req.params.id, studentId: req.user.id });
+    if (!link) {
+      return res.status(404).json({ error: 'Guardian link not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke guardian link error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Guardians: link students with an invite code and follow their progress (read-only)
+app.get('/api/guardian/students', authenticateToken, requirePermission('guardian_portal:view'), async (req, res) => {
+  try {
+    res.json(await listStudentsForGuardian(pool, req.user.id));
+  } catch (error) {
+    console.error('Get guardian students error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.post('/api/guardian/students', authenticateToken, requirePermission('guardian_portal:view'), requireVerifiedEmail('guardian_link'), async (req, res) => {
+  const { code } = req.body;
+  if (!code || typeof code !== 'string') {
+    return res.status(400).json({ error: 'Invite code is required' });
+  }
+
+  // Shares the counters of access code redemption: both are guessable codes
+  const guard = bruteForceGuards.redeem_code;
+  const keys = { ip: req.ip, account: String(req.user.id) };
+  let client;
+  try {
+    const lock = await guard.check(keys);
+    if (lock.locked) {
+      return sendLockedOut(res, lock.retryAfterSeconds);
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const { link, error } = await redeemGuardianInvite(client, req.user.id, code);
+    if (error) {
+      await client.query('ROLLBACK');
+      if (error === 'invalid_code') {
+        await guard.fail(keys, { ...requestContext(req), userId: req.user.id });
+      }
+      return res.status(400).json({ error: GUARDIAN_LINK_ERRORS[error] });
+    }
+    await client.query('COMMIT');
+
+    console.log(`👪 Guardian ${req.user.id} linked to student ${link.student_id} by invite code`);
+    res.status(201).json(link);
+  } catch (error) {
+    await client?.query('ROLLBACK');
+    console.error('Redeem guardian invite error:', error);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    client?.release();
+  }
+});
+
+app.get('/api/guardian/students/:id', authenticateToken, requirePermission('guardian_portal:view'), async (req, res) => {
+  try {
+    if (!(await hasActiveGuardianLink(pool, req.user.id, req.params.id))) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+    res.json(await getStudentOverview(pool, req.params.id));
+  } catch (error) {
+    console.error('Get student overview error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.delete('/api/guardian/students/:id', authenticateToken, requirePermission('guardian_portal:view'), async (req, res) => {
+  try {
+    const link = await endGuardianLink(pool, { endedBy: req.user.id, guardianId: req.user.id, studentId: req.params.id });
+    if (!link) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Unlink student error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Teachers routes
+app.get('/api/teachers', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM teachers WHERE deleted_at IS NULL ORDER BY created_at DESC');
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get teachers error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.get('/api/teachers/:id', async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const result = await pool.query('SELECT * FROM teachers WHERE id = $1 AND deleted_at IS NULL', [id]);
+    const teacher = result.rows[0];
+    
+    if (!teacher) {
+      return res.status(404).json({ error: 'Teacher not found' });
+    }
+    res.json(teacher);
+  } catch (error) {
+    console.error('Get teacher error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.post('/api/teachers', authenticateToken, requirePermission('teachers:write'), upload.single('photo'), async (req, res) => {
+  const { name, bio, subject } = req.body;
+  const photo = req.file ? `/uploads/${req.file.filename}` : null;
+
+  // ✅ Enhanced validation
+  if (!name || !name.trim()) {
+    return res.status(400).json({ error: 'Teacher name is required' });
+  }
+  if (!subject || !subject.trim()) {
+    return res.status(400).json({ error: 'Subject is required' });
+  }
+
+  try {
+    console.log('Creating teacher:', { name, bio, subject, photo });
+    
+    const result = await pool.query(
+      'INSERT INTO teachers (name, bio, subject, photo) VALUES ($1, $2, $3, $4) RETURNING *',
+      [name.trim(), bio?.trim() || '', subject.trim(), photo]
+    );
+    
+    console.log('Teacher created successfully:', result.rows[0]);
+    await audit(pool, req, {
+      action: 'teacher.create', targetType: 'teacher', targetId: result.rows[0].id, targetLabel: result.rows[0].name,
+      after: result.rows[0]
+    });
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error('Create teacher error:', error);
+    
+    // ✅ Enhanced error handling
+    if (error.code === '23505') { // Unique constraint violation
+      res.status(400).json({ error: 'A teacher with this name already exists' });
+    } else if (error.code === '23502') { // Not null violation
+      res.status(400).json({ error: 'Required fields are missing' });
+    } else {
+      res.status(500).json({ error: 'Database error: ' + error.message });
+    }
+  }
+});
+
+// Moves the teacher to the trash; their classes disappear from the catalog with them
+app.delete('/api/teachers/:id', authenticateToken, requirePermission('teachers:write'), async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const teacher = await moveToTrash(pool, 'teacher', id, req.user.id);
+    if (!teacher) {
+      return res.status(404).json({ error: 'Teacher not found' });
+    }
+    await audit(pool, req, {
+      action: 'teacher.delete', targetType: 'teacher', targetId: teacher.id, targetLabel: teacher.name,
+      before: { deleted_at: null }, after: { deleted_at: teacher.deleted_at }
+    });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete teacher error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Validates a name/bio/subject edit and a replacement photo into column changes.
+// The uploaded photo is in `changes` even on error so the caller can remove it.
+const parseTeacherChanges = (body, file) => {
+  const changes = {};
+  for (const field of ['name', 'bio', 'subject']) {
+    if (body[field] !== undefined) changes[field] = String(body[field]).trim();
+  }
+  if (file) changes.photo = `/uploads/${file.filename}`;
+
+  if (changes.name === '') return { changes, error: 'Teacher name cannot be empty' };
+  if (changes.subject === '') return { changes, error: 'Subject cannot be empty' };
+  if (Object.keys(changes).length === 0) return { changes, error: 'No fields to update' };
+  return { changes };
+};
+
+// Applies the changes and removes the photo file they replace
+const updateTeacher = async (db, teacher, changes) => {
+  const columns = Object.keys(changes);
+  const result = await db.query(
+    `UPDATE teachers SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}
+     WHERE id = $${columns.length + 1} RETURNING *`,
+    [...Object.values(changes), teacher.id]
+  );
+  if (changes.photo && teacher.photo && teacher.photo !== changes.photo) {
+    removeUpload(teacher.photo);
+  }
+  return result.rows[0];
+};
+
+app.patch('/api/teachers/:id', authenticateToken, requirePermission('teachers:write'), upload.single('photo'), async (req, res) => {
+  const { changes, error } = parseTeacherChanges(req.body, req.file);
+  if (error) {
+    removeUpload(changes.photo);
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const before = (await pool.query('SELECT * FROM teachers WHERE id = $1 AND deleted_at IS NULL', [req.params.id])).rows[0];
+    if (!before) {
+      removeUpload(changes.photo);
+      return res.status(404).json({ error: 'Teacher not found' });
+    }
+
+    const teacher = await updateTeacher(pool, before, changes);
+    await audit(pool, req, {
+      action: 'teacher.update', targetType: 'teacher', targetId: teacher.id, targetLabel: teacher.name,
+      before, after: teacher
+    });
+    res.json(teacher);
+  } catch (error) {
+    removeUpload(changes.photo);
+    console.error('Update teacher error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Gives a teacher profile its own login so the teacher can manage their classes
+app.post('/api/teachers/:id/account', authenticateToken, requirePermission('teachers:write'), async (req, res) => {
+  const { id } = req.params;
+  const { email, password } = req.body;
+
+  if (!email || typeof email !== 'string' || !email.trim()) {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+  if (!password || typeof password !== 'string' || password.length < 6) {
+    return res.status(400).json({ error: 'Password must be at least 6 characters' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const teacherResult = await client.query('SELECT * FROM teachers WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [id]);
+    const teacher = teacherResult.rows[0];
+    if (!teacher) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Teacher not found' });
+    }
+    if (teacher.user_id) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'This teacher already has a login' });
+    }
+
+    const existing = await client.query('SELECT id FROM users WHERE email = $1', [email.trim()]);
+    if (existing.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Email already exists' });
+    }
+
+    // The admin hands out the address, so it counts as verified
+    const userResult = await client.query(
+      `INSERT INTO users (name, email, password, role, email_verified_at)
+       VALUES ($1, $2, $3, 'teacher', CURRENT_TIMESTAMP)
+       RETURNING id, name, email, role, created_at`,
+      [teacher.name, email.trim(), bcrypt.hashSync(password, 10)]
+    );
+    const user = userResult.rows[0];
+    await client.query('UPDATE teachers SET user_id = $1 WHERE id = $2', [user.id, id]);
+    await audit(client, req, {
+      action: 'teacher.account_create', targetType: 'teacher', targetId: teacher.id, targetLabel: teacher.name,
+      before: { user_id: null }, after: { user_id: user.id, email: user.email }
+    });
+
+    await client.query('COMMIT');
+    console.log(`👩‍🏫 Teacher ${id} linked to new account ${user.email}`);
+    res.status(201).json({ user, teacher: { ...teacher, user_id: user.id } });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Create teacher account error:', error);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Teacher dashboard routes (the signed-in teacher's own profile and classes)
+app.get('/api/teacher/profile', authenticateToken, requireTeacherProfile(pool), (req, res) => {
+  res.json(req.teacher);
+});
+
+app.put('/api/teacher/profile', authenticateToken, requireTeacherProfile(pool), upload.single('photo'), async (req, res) => {
+  const { changes, error } = parseTeacherChanges(req.body, req.file);
+  if (error) {
+    removeUpload(changes.photo);
+    return res.status(400).json({ error });
+  }
+
+  try {
+    res.json(await updateTeacher(pool, req.teacher, changes));
+  } catch (error) {
+    removeUpload(changes.photo);
+    console.error('Update teacher profile error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.get('/api/teacher/classes', authenticateToken, requireTeacherProfile(pool), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT c.*,
+         (SELECT COUNT(*) FROM user_classes uc WHERE uc.class_id = c.id) as student_count,
+         (SELECT COUNT(*) FROM modules m WHERE m.class_id = c.id) as module_count,
+         (SELECT COUNT(*) FROM lessons l JOIN modules m ON l.module_id = m.id WHERE m.class_id = c.id) as lesson_count
+       FROM classes c
+       WHERE c.teacher_id = $1 AND c.deleted_at IS NULL
+       ORDER BY c.created_at DESC`,
+      [req.teacher.id]
+    );
+    res.json(result.rows.map(row => ({
+      ...row,
+      student_count: parseInt(row.student_count, 10),
+      module_count: parseInt(row.module_count, 10),
+      lesson_count: parseInt(row.lesson_count, 10)
+    })));
+  } catch (error) {
+    console.error('Get teacher classes error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Contact details stay with the admins; teachers see who is enrolled and how far they got
+app.get('/api/teacher/classes/:id/students', authenticateToken, requireClassManager(pool, classOfClassParam), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT u.id, u.name, u.email, uc.enrolled_at,
+         (SELECT COUNT(*) FROM lesson_progress lp
+            JOIN lessons l ON lp.lesson_id = l.id
+            JOIN modules m ON l.module_id = m.id
+          WHERE lp.user_id = u.id AND m.class_id = uc.class_id AND lp.completed_at IS NOT NULL) as completed_lessons,
+         (SELECT COUNT(*) FROM lessons l JOIN modules m ON l.module_id = m.id WHERE m.class_id = uc.class_id) as total_lessons
+       FROM user_classes uc
+       JOIN users u ON uc.user_id = u.id
+       WHERE uc.class_id = $1 AND u.deleted_at IS NULL AND u.anonymized_at IS NULL
+       ORDER BY uc.enrolled_at DESC`,
+      [req.classId]
+    );
+    res.json(result.rows.map(row => ({
+      ...row,
+      completed_lessons: parseInt(row.completed_lessons, 10),
+      total_lessons: parseInt(row.total_lessons, 10)
+    })));
+  } catch (error) {
+    console.error('Get class students error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Classes routes
+app.get('/api/classes', async (req, res) => {
+  const { teacher_id } = req.query;
+  
+  try {
+    let query = `
+      SELECT c.*, t.name as teacher_name 
+      FROM classes c 
+      JOIN teachers t ON c.teacher_id = t.id
+      WHERE c.deleted_at IS NULL AND t.deleted_at IS NULL
+    `;
+    let params = [];
+
+    if (teacher_id) {
+      query += ` AND c.teacher_id = $1`;
+      params.push(teacher_id);
+    }
+
+    query += ` ORDER BY c.created_at DESC`;
+
+    const result = await pool.query(query, params);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get classes error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Public catalog: search, filters, sorting and paging, with the subjects to filter by.
+// Registered before /api/classes/:id so "catalog" is not taken for an id.
+app.get('/api/classes/catalog', async (req, res) => {
+  try {
+    const { filters, sort, error } = parseCatalogFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { page, pageSize } = parseCatalogPaging(req.query);
+
+    const [catalog, subjects] = await Promise.all([
+      findCatalogClasses(pool, { filters, sort, page, pageSize }),
+      listCatalogSubjects(pool)
+    ]);
+    res.json({ ...catalog, subjects });
+  } catch (error) {
+    console.error('Get class catalog error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// One class with its teacher's details
+app.get('/api/classes/:id', async (req, res) => {
+  try {
+    const classItem = await getClassWithTeacher(pool, req.params.id);
+    // A class whose teacher is in the trash is hidden along with the teacher
+    if (!classItem || !classItem.teacher) {
+      return res.status(404).json({ error: 'Class not found' });
+    }
+    res.json(classItem);
+  } catch (error) {
+    console.error('Get class error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.post('/api/classes', authenticateToken, requirePermission('classes:write'), upload.single('thumbnail'), async (req, res) => {
+  const { title, description, video_url, price } = req.body;
+  let { teacher_id } = req.body;
+  const thumbnail = req.file ? `/uploads/${req.file.filename}` : null;
+  const is_free = parseFloat(price) === 0 ? true : false;
+
+  try {
+    // Without classes:manage_all a class is always created under the user's own teacher profile
+    if (!hasPermission(req.user, 'classes:manage_all')) {
+      const teacher = await getTeacherForUser(pool, req.user.id);
+      if (!teacher) {
+        return res.status(403).json({ error: 'Your account is not linked to a teacher profile' });
+      }
+      teacher_id = teacher.id;
+    }
+
+    const result = await pool.query(
+      `INSERT INTO classes (title, description, teacher_id, video_url, thumbnail, price, is_free) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7) 
+       RETURNING *`,
+      [title, description, teacher_id, video_url, thumbnail, price, is_free]
+    );
+    await audit(pool, req, {
+      action: 'class.create', targetType: 'class', targetId: result.rows[0].id, targetLabel: result.rows[0].title,
+      after: result.rows[0]
+    });
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error('Create class error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Moves the class to the trash; enrollments and access codes are kept for a restore
+app.delete('/api/classes/:id', authenticateToken, requirePermission('classes:delete'), async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const classItem = await moveToTrash(pool, 'class', id, req.user.id);
+    if (!classItem) {
+      return res.status(404).json({ error: 'Class not found' });
+    }
+    await audit(pool, req, {
+      action: 'class.delete', targetType: 'class', targetId: classItem.id, targetLabel: classItem.title,
+      before: { deleted_at: null }, after: { deleted_at: classItem.deleted_at }
+    });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete class error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Access codes routes
+
+const MAX_CODES_PER_BATCH = 1000;
+
+const generateAccessCode = () => uuidv4().replace(/-/g, '').substring(0, 8).toUpperCase();
+
+// Derived from the stored counters so expiry needs no background job
+const ACCESS_CODE_STATUS_SQL = `CASE
+    WHEN ac.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN ac.redemption_count >= ac.max_redemptions THEN 'used'
+    WHEN ac.expires_at IS NOT NULL AND ac.expires_at <= CURRENT_TIMESTAMP THEN 'expired'
+    ELSE 'available'
+  END`;
+
+// Validates price, max_redemptions and expires_at shared by single and batch generation
+const parseAccessCodeOptions = (body) => {
+  const price = parseFloat(body.price);
+  const maxRedemptions = body.max_redemptions === undefined || body.max_redemptions === '' ? 1 : parseInt(body.max_redemptions, 10);
+  const expiresAt = body.expires_at ? new Date(body.expires_at) : null;
+
+  if (!body.class_id) {
+    return { error: 'Class is required' };
+  }
+  if (!Number.isFinite(price) || price < 0) {
+    return { error: 'Price must be a non-negative number' };
+  }
+  if (!Number.isInteger(maxRedemptions) || maxRedemptions < 1) {
+    return { error: 'Max redemptions must be a positive whole number' };
+  }
+  if (expiresAt && (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date())) {
+    return { error: 'Expiry date must be in the future' };
+  }
+  return { options: { classId: body.class_id, price, maxRedemptions, expiresAt } };
+};
+
+// Inserts `quantity` codes, retrying the rare collision with an existing code
+const insertAccessCodes = async (db, quantity, { classId, price, maxRedemptions, expiresAt }, batchId = null) => {
+  const codes = [];
+  while (codes.length < quantity) {
+    const result = await db.query(
+      `INSERT INTO access_codes (code, class_id, price, max_redemptions, expires_at, batch_id)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (code) DO NOTHING
+       RETURNING *`,
+      [generateAccessCode(), classId, price, maxRedemptions, expiresAt, batchId]
+    );
+    if (result.rows[0]) codes.push(result.rows[0]);
+  }
+  return codes;
+};
+
+app.post('/api/access-codes', authenticateToken, requirePermission('access_codes:manage'), async (req, res) => {
+  const { options, error } = parseAccessCodeOptions(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const [accessCode] = await insertAccessCodes(pool, 1, options);
+    await audit(pool, req, {
+      action: 'access_code.create', targetType: 'access_code', targetId: accessCode.id, targetLabel: accessCode.code,
+      after: accessCode
+    });
+    res.status(201).json(accessCode);
+  } catch (error) {
+    console.error('Create access code error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.post('/api/access-codes/batches', authenticateToken, requirePermission('access_codes:manage'), async (req, res) => {
+  const { options, error } = parseAccessCodeOptions(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const quantity = parseInt(req.body.quantity, 10);
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_CODES_PER_BATCH) {
+    return res.status(400).json({ error: `Quantity must be between 1 and ${MAX_CODES_PER_BATCH}` });
+  }
+
+  const client = await pool.connect();
+  try {
+    const classResult = await client.query('SELECT id FROM classes WHERE id = $1 AND deleted_at IS NULL', [options.classId]);
+    if (classResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Class not found' });
+    }
+
+    await client.query('BEGIN');
+    const batchResult = await client.query(
+      `INSERT INTO access_code_batches (class_id, label, price, quantity, max_redemptions, expires_at, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [options.classId, req.body.label?.trim() || '', options.price, quantity,
+        options.maxRedemptions, options.expiresAt, req.user.id]
+    );
+    const batch = batchResult.rows[0];
+    const codes = await insertAccessCodes(client, quantity, options, batch.id);
+    await audit(client, req, {
+      action: 'access_code_batch.create', targetType: 'access_code_batch', targetId: batch.id,
+      targetLabel: batch.label || `Batch ${batch.id}`, after: batch
+    });
+    await client.query('COMMIT');
+
+    console.log(`🎟️ Generated ${quantity} access codes in batch ${batch.id}`);
+    res.status(201).json({ batch, codes });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Create access code batch error:', error);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    client.release();
+  }
+});
+
+app.get('/api/access-codes', authenticateToken, requirePermission('access_codes:manage'), async (req, res) => {
+  const { batch_id, status } = req.query;
+
+  try {
+    const conditions = [];
+    const values = [];
+    if (batch_id) {
+      values.push(batch_id);
+      conditions.push(`ac.batch_id = $${values.length}`);
+    }
+    if (status) {
+      values.push(status);
+      conditions.push(`${ACCESS_CODE_STATUS_SQL} = $${values.length}`);
+    }
+
+    const result = await pool.query(`
+      SELECT ac.*, ${ACCESS_CODE_STATUS_SQL} as status, c.title as class_title, u.name as used_by_name
+      FROM access_codes ac 
+      JOIN classes c ON ac.class_id = c.id 
+      LEFT JOIN users u ON ac.used_by = u.id 
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY ac.created_at DESC
+    `, values);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get access codes error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.get('/api/access-codes/batches', authenticateToken, requirePermission('access_codes:manage'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT b.*, c.title as class_title, u.name as created_by_name,
+        COUNT(ac.id)::int as code_count,
+        COALESCE(SUM(ac.redemption_count), 0)::int as redemption_count,
+        COUNT(ac.id) FILTER (WHERE ac.revoked_at IS NOT NULL)::int as revoked_count
+      FROM access_code_batches b
+      JOIN classes c ON b.class_id = c.id
+      LEFT JOIN users u ON b.created_by = u.id
+      LEFT JOIN access_codes ac ON ac.batch_id = b.id
+      GROUP BY b.id, c.title, u.name
+      ORDER BY b.created_at DESC
+    `);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get access code batches error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.get('/api/access-codes/batches/:id/export', authenticateToken, requirePermission('access_codes:manage'), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await pool.query(`
+      SELECT ac.*, ${ACCESS_CODE_STATUS_SQL} as status, c.title as class_title
+      FROM access_codes ac
+      JOIN classes c ON ac.class_id = c.id
+      WHERE ac.batch_id = $1
+      ORDER BY ac.id
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const csv = toCsv([
+      { header: 'Code', value: row => row.code },
+      { header: 'Class', value: row => row.class_title },
+      { header: 'Price', value: row => row.price },
+      { header: 'Max Redemptions', value: row => row.max_redemptions },
+      { header: 'Redemptions', value: row => row.redemption_count },
+      { header: 'Expires At', value: row => row.expires_at },
+      { header: 'Status', value: row => row.status }
+    ], result.rows);
+
+    sendCsv(res, `access-codes-batch-${id}.csv`, csv);
+  } catch (error) {
+    console.error('Export access code batch error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Revoked codes can no longer be redeemed; existing enrollments are kept
+app.post('/api/access-codes/:id/revoke', authenticateToken, requirePermission('access_codes:manage'), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await pool.query(
+      `UPDATE access_codes SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $1
+       WHERE id = $2 AND revoked_at IS NULL
+       RETURNING *`,
+      [req.user.id, id]
+    );
+
+    const accessCode = result.rows[0];
+    if (!accessCode) {
+      return res.status(404).json({ error: 'Access code not found or already revoked' });
+    }
+    await audit(pool, req, {
+      action: 'access_code.revoke', targetType: 'access_code', targetId: accessCode.id, targetLabel: accessCode.code,
+      before: { revoked_at: null }, after: { revoked_at: accessCode.revoked_at }
+    });
+    res.json(accessCode);
+  } catch (error) {
+    console.error('Revoke access code error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.post('/api/access-codes/batches/:id/revoke', authenticateToken, requirePermission('access_codes:manage'), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await pool.query(
+      `UPDATE access_codes SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $1
+       WHERE batch_id = $2 AND revoked_at IS NULL`,
+      [req.user.id, id]
+    );
+    await audit(pool, req, {
+      action: 'access_code_batch.revoke', targetType: 'access_code_batch', targetId: Number(id),
+      after: { revoked_codes: result.rowCount }
+    });
+    res.json({ success: true, revoked: result.rowCount });
+  } catch (error) {
+    console.error('Revoke access code batch error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Redeem access code
+app.post('/api/redeem-code', authenticateToken, requireVerifiedEmail('redeem_code'), async (req, res) => {
+  const { code } = req.body;
+  const user_id = req.user.id;
+
+  const guard = bruteForceGuards.redeem_code;
+  const keys = { ip: req.ip, account: String(user_id) };
+  let client;
+
+  try {
+    const lock = await guard.check(keys);
+    if (lock.locked) {
+      return sendLockedOut(res, lock.retryAfterSeconds);
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    // Lock the code row so concurrent redemptions cannot exceed the limit
+    const accessCodeResult = await client.query(
+      `SELECT ac.*, ${ACCESS_CODE_STATUS_SQL} as status FROM access_codes ac WHERE ac.code = $1 FOR UPDATE`,
+      [typeof code === 'string' ? code.trim().toUpperCase() : code]
+    );
+    
+    const accessCode = accessCodeResult.rows[0];
+    // Only unknown codes count as failures; those are what an enumeration attempt produces
+    if (!accessCode) {
+      await client.query('ROLLBACK');
+      await guard.fail(keys, { ...requestContext(req), userId: user_id });
+      return res.status(400).json({ error: 'Invalid or already used code' });
+    }
+    if (accessCode.status === 'used') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid or already used code' });
+    }
+    if (accessCode.status === 'revoked') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'This code has been revoked' });
+    }
+    if (accessCode.status === 'expired') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'This code has expired' });
+    }
+
+    const classResult = await client.query('SELECT deleted_at FROM classes WHERE id = $1', [accessCode.class_id]);
+    if (classResult.rows[0]?.deleted_at) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'This class is no longer available' });
+    }
+
+    // Check if user already has access to this class
+    const existingAccessResult = await client.query(
+      'SELECT * FROM user_classes WHERE user_id = $1 AND class_id = $2',
+      [user_id, accessCode.class_id]
+    );
+
+    if (existingAccessResult.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'You already have access to this class' });
+    }
+
+    // Record the redemption; is_used flips once the last redemption is taken
+    const redemptionResult = await client.query(
+      `INSERT INTO access_code_redemptions (access_code_id, user_id) VALUES ($1, $2)
+       ON CONFLICT (access_code_id, user_id) DO NOTHING
+       RETURNING id`,
+      [accessCode.id, user_id]
+    );
+    if (redemptionResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'You have already used this code' });
+    }
+    await client.query(
+      `UPDATE access_codes
+       SET redemption_count = redemption_count + 1,
+           is_used = redemption_count + 1 >= max_redemptions,
+           used_by = $1,
+           used_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [user_id, accessCode.id]
+    );
+
+    // Enroll user in the class
+    await client.query(
+      'INSERT INTO user_classes (user_id, class_id) VALUES ($1, $2)',
+      [user_id, accessCode.class_id]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({ 
+      success: true, 
+      message: 'Code redeemed successfully!',
+      class_id: accessCode.class_id
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK');
+    console.error('Redeem code error:', error);
+    res.status(500).json({ error: 'Database error during redemption' });
+  } finally {
+    client?.release();
+  }
+});
+
+// Enroll in free class
+app.post('/api/enroll-free', authenticateToken, requireVerifiedEmail('enroll'), async (req, res) => {
+  const { class_id } = req.body;
+  const user_id = req.user.id;
+
+  try {
+    // Check if class is free
+    const classResult = await pool.query(
+      'SELECT * FROM classes WHERE id = $1 AND is_free = true AND deleted_at IS NULL',
+      [class_id]
+    );
+    
+    if (classResult.rows.length === 0) {
+      return res.status(400).json({ error: 'Class not found or not free' });
+    }
+
+    // Check if already enrolled
+    const existingAccessResult = await pool.query(
+      'SELECT * FROM user_classes WHERE user_id = $1 AND class_id = $2',
+      [user_id, class_id]
+    );
+
+    if (existingAccessResult.rows.length > 0) {
+      return res.status(400).json({ error: 'Already enrolled in this class' });
+    }
+
+    // Enroll user
+    await pool.query(
+      'INSERT INTO user_classes (user_id, class_id) VALUES ($1, $2)',
+      [user_id, class_id]
+    );
+
+    res.json({ 
+      success: true, 
+      message: 'Enrolled successfully!',
+      class_id: class_id
+    });
+  } catch (error) {
+    console.error('Enroll free class error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Get user's enrolled classes
+app.get('/api/my-classes', authenticateToken, async (req, res) => {
+  const user_id = req.user.id;
+
+  try {
+    const result = await pool.query(`
+      SELECT c.*, t.name as teacher_name, uc.enrolled_at,
+        lc.total_lessons, lc.completed_lessons
+      FROM user_classes uc 
+      JOIN classes c ON uc.class_id = c.id 
+      JOIN teachers t ON c.teacher_id = t.id 
+      LEFT JOIN LATERAL (
+        SELECT COUNT(l.id)::int as total_lessons, COUNT(lp.completed_at)::int as completed_lessons
+        FROM modules m
+        JOIN lessons l ON l.module_id = m.id
+        LEFT JOIN lesson_progress lp ON lp.lesson_id = l.id AND lp.user_id = uc.user_id
+        WHERE m.class_id = c.id
+      ) lc ON true
+      WHERE uc.user_id = $1 AND c.deleted_at IS NULL AND t.deleted_at IS NULL
+      ORDER BY uc.enrolled_at DESC
+    `, [user_id]);
+    res.json(result.rows.map(row => ({
+      ...row,
+      progress_percent: row.total_lessons > 0 ? Math.round((row.completed_lessons / row.total_lessons) * 100) : 0
+    })));
+  } catch (error) {
+    console.error('Get my classes error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Check if user has access to a class
+app.get('/api/check-access/:class_id', authenticateToken, async (req, res) => {
+  const { class_id } = req.params;
+  const user_id = req.user.id;
+
+  try {
+    const result = await pool.query(
+      `SELECT 1 FROM user_classes uc JOIN classes c ON uc.class_id = c.id
+       WHERE uc.user_id = $1 AND uc.class_id = $2 AND c.deleted_at IS NULL`,
+      [user_id, class_id]
+    );
+    res.json({ hasAccess: result.rows.length > 0 });
+  } catch (error) {
+    console.error('Check access error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Updates any class column. Teachers can edit their own classes; moving a class to
+// another teacher needs classes:manage_all.
+const updateClass = async (req, res) => {
+  const { id } = req.params;
+  // An uploaded thumbnail is only kept when the update goes through
+  const thumbnail = req.file ? `/uploads/${req.file.filename}` : null;
+  let saved = false;
+  const fail = (status, error) => {
+    removeUpload(thumbnail);
+    return res.status(status).json({ error });
+  };
+
+  try {
+    const before = (await pool.query('SELECT * FROM classes WHERE id = $1 AND deleted_at IS NULL', [id])).rows[0];
+    if (!before) {
+      return fail(404, 'Class not found');
+    }
+
+    const { changes, error } = parseClassUpdate(req.body, before);
+    if (error) {
+      return fail(400, error);
+    }
+    if (thumbnail) {
+      changes.thumbnail = thumbnail;
+    }
+
+    if (changes.teacher_id !== undefined && changes.teacher_id !== before.teacher_id) {
+      if (!hasPermission(req.user, 'classes:manage_all')) {
+        return fail(403, 'Only administrators can move a class to another teacher');
+      }
+      const teacher = await pool.query('SELECT id FROM teachers WHERE id = $1 AND deleted_at IS NULL', [changes.teacher_id]);
+      if (teacher.rows.length === 0) {
+        return fail(400, 'Teacher not found');
+      }
+    }
+
+    const columns = Object.keys(changes);
+    if (columns.length === 0) {
+      return fail(400, 'No fields to update');
+    }
+
+    const result = await pool.query(
+      `UPDATE classes SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}
+       WHERE id = $${columns.length + 1} RETURNING *`,
+      [...Object.values(changes), id]
+    );
+    saved = true;
+
+    await audit(pool, req, {
+      action: 'class.update', targetType: 'class', targetId: result.rows[0].id, targetLabel: result.rows[0].title,
+      before, after: result.rows[0]
+    });
+    if (changes.thumbnail && before.thumbnail !== changes.thumbnail) {
+      removeUpload(before.thumbnail);
+    }
+
+    res.json(await getClassWithTeacher(pool, id));
+  } catch (error) {
+    if (!saved) removeUpload(thumbnail);
+    console.error('Update class error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+};
+
+app.patch('/api/classes/:id', authenticateToken, requireClassManager(pool, classOfClassParam), upload.single('thumbnail'), updateClass);
+
+// Older clients still update classes here
+app.put('/api/videos/:id', authenticateToken, requireClassManager(pool, classOfClassParam), upload.single('thumbnail'), updateClass);
+
+// Course structure routes (modules and lessons inside a class)
+
+// Attachments arrive as uploaded files; existing ones are kept via a JSON list in the body.
+// Only attachments the lesson already has can be kept, so no other URL gets in this way.
+const buildLessonAttachments = (files, existing, current = []) => {
+  let kept = [];
+  if (existing !== undefined) {
+    try {
+      const parsed = typeof existing === 'string' ? JSON.parse(existing) : existing;
+      const currentByUrl = new Map((current || []).map(attachment => [attachment.url, attachment]));
+      kept = Array.isArray(parsed)
+        ? parsed.map(attachment => currentByUrl.get(attachment?.url)).filter(Boolean)
+        : [];
+    } catch (error) {
+      kept = [];
+    }
+  }
+  const uploaded = (files || []).map(file => ({ name: file.originalname, url: `${MEDIA_PREFIX}${file.filename}` }));
+  return [...kept, ...uploaded];
+};
+
+// Lesson content is only sent to users who have access to the class
+const toLessonSummary = ({ video_url, attachments, ...lesson }) => ({
+  ...lesson,
+  has_video: !!video_url,
+  attachment_count: Array.isArray(attachments) ? attachments.length : 0
+});
+
+app.get('/api/classes/:id/modules', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const classResult = await pool.query('SELECT id FROM classes WHERE id = $1 AND deleted_at IS NULL', [id]);
+    if (classResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Class not found' });
+    }
+
+    const hasAccess = await hasClassAccess(req.user, id);
+
+    const modulesResult = await pool.query(
+      'SELECT * FROM modules WHERE class_id = $1 ORDER BY sort_order, id',
+      [id]
+    );
+    const lessonsResult = await pool.query(
+      `SELECT l.* FROM lessons l
+       JOIN modules m ON l.module_id = m.id
+       WHERE m.class_id = $1
+       ORDER BY l.sort_order, l.id`,
+      [id]
+    );
+
+    const modules = modulesResult.rows.map(module => ({
+      ...module,
+      lessons: lessonsResult.rows
+        .filter(lesson => lesson.module_id === module.id)
+        .map(lesson => (hasAccess ? lesson : toLessonSummary(lesson)))
+    }));
+
+    res.json({ hasAccess, modules });
+  } catch (error) {
+    console.error('Get class modules error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.post('/api/classes/:id/modules', authenticateToken, requireClassManager(pool, classOfClassParam), async (req, res) => {
+  const { id } = req.params;
+  const { title, description, sort_order } = req.body;
+
+  if (!title || !title.trim()) {
+    return res.status(400).json({ error: 'Module title is required' });
+  }
+
+  try {
+    // New modules go to the end unless an explicit position is given
+    const result = await pool.query(
+      `INSERT INTO modules (class_id, title, description, sort_order)
+       VALUES ($1, $2, $3, COALESCE($4, (SELECT COALESCE(MAX(sort_order) + 1, 0) FROM modules WHERE class_id = $1)))
+       RETURNING *`,
+      [id, title.trim(), description?.trim() || '', sort_order ?? null]
+    );
+    await audit(pool, req, {
+      action: 'module.create', targetType: 'module', targetId: result.rows[0].id, targetLabel: result.rows[0].title,
+      after: result.rows[0]
+    });
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error('Create module error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.put('/api/modules/:id', authenticateToken, requireClassManager(pool, classOfModuleParam, 'Module not found'), async (req, res) => {
+  const { id } = req.params;
+  const { title, description, sort_order } = req.body;
+
+  if (title !== undefined && !String(title).trim()) {
+    return res.status(400).json({ error: 'Module title cannot be empty' });
+  }
+
+  try {
+    let fields = [];
+    let values = [];
+    let paramCount = 1;
+
+    if (title !== undefined) {
+      fields.push(`title = $${paramCount++}`);
+      values.push(String(title).trim());
+    }
+    if (description !== undefined) {
+      fields.push(`description = $${paramCount++}`);
+      values.push(description);
+    }
+    if (sort_order !== undefined) {
+      fields.push(`sort_order = $${paramCount++}`);
+      values.push(parseInt(sort_order, 10) || 0);
+    }
+
+    if (fields.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const before = (await pool.query('SELECT * FROM modules WHERE id = $1', [id])).rows[0];
+
+    values.push(id);
+    const result = await pool.query(
+      `UPDATE modules SET ${fields.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+      values
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Module not found' });
+    }
+    await audit(pool, req, {
+      action: 'module.update', targetType: 'module', targetId: result.rows[0].id, targetLabel: result.rows[0].title,
+      before, after: result.rows[0]
+    });
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Update module error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.delete('/api/modules/:id', authenticateToken, requireClassManager(pool, classOfModuleParam, 'Module not found'), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const lessons = await pool.query('SELECT video_url, attachments FROM lessons WHERE module_id = $1', [id]);
+    const result = await pool.query('DELETE FROM modules WHERE id = $1 RETURNING *', [id]);
+    const module = result.rows[0];
+    if (!module) {
+      return res.status(404).json({ error: 'Module not found' });
+    }
+    await audit(pool, req, {
+      action: 'module.delete', targetType: 'module', targetId: module.id, targetLabel: module.title, before: module
+    });
+    removeUnreferencedMedia(pool, lessonMediaPaths(lessons.rows));
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete module error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.get('/api/lessons/:id', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await pool.query(
+      `SELECT l.*, m.class_id, m.title as module_title
+       FROM lessons l
+       JOIN modules m ON l.module_id = m.id
+       WHERE l.id = $1`,
+      [id]
+    );
+    const lesson = result.rows[0];
+
+    if (!lesson) {
+      return res.status(404).json({ error: 'Lesson not found' });
+    }
+    if (!(await hasClassAccess(req.user, lesson.class_id))) {
+      return res.status(403).json({ error: 'You do not have access to this class' });
+    }
+
+    res.json(lesson);
+  } catch (error) {
+    console.error('Get lesson error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.post('/api/modules/:id/lessons', authenticateToken, requireClassManager(pool, classOfModuleParam, 'Module not found'), lessonUploads, async (req, res) => {
+  const { id } = req.params;
+  const { title, description, video_url, sort_order } = req.body;
+
+  if (!title || !title.trim()) {
+    return res.status(400).json({ error: 'Lesson title is required' });
+  }
+
+  try {
+    const attachments = buildLessonAttachments(req.files?.attachments);
+    // An uploaded video takes precedence over a pasted link
+    const videoFile = req.files?.video?.[0];
+    const lessonVideoUrl = videoFile ? `${MEDIA_PREFIX}${videoFile.filename}` : video_url?.trim() || null;
+
+    const result = await pool.query(
+      `INSERT INTO lessons (module_id, title, description, video_url, attachments, sort_order)
+       VALUES ($1, $2, $3, $4, $5, COALESCE($6, (SELECT COALESCE(MAX(sort_order) + 1, 0) FROM lessons WHERE module_id = $1)))
+       RETURNING *`,
+      [id, title.trim(), description?.trim() || '', lessonVideoUrl, JSON.stringify(attachments), sort_order ?? null]
+    );
+    await audit(pool, req, {
+      action: 'lesson.create', targetType: 'lesson', targetId: result.rows[0].id, targetLabel: result.rows[0].title,
+      after: result.rows[0]
+    });
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error('Create lesson error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.put('/api/lessons/:id', authenticateToken, requireClassManager(pool, classOfLessonParam, 'Lesson not found'), lessonUploads, async (req, res) => {
+  const { id } = req.params;
+  const { title, description, video_url, sort_order, module_id, existing_attachments } = req.body;
+
+  if (title !== undefined && !String(title).trim()) {
+    return res.status(400).json({ error: 'Lesson title cannot be empty' });
+  }
+
+  try {
+    const currentResult = await pool.query('SELECT * FROM lessons WHERE id = $1', [id]);
+    const current = currentResult.rows[0];
+    if (!current) {
+      return res.status(404).json({ error: 'Lesson not found' });
+    }
+
+    let fields = [];
+    let values = [];
+    let paramCount = 1;
+
+    if (title !== undefined) {
+      fields.push(`title = $${paramCount++}`);
+      values.push(String(title).trim());
+    }
+    if (description !== undefined) {
+      fields.push(`description = $${paramCount++}`);
+      values.push(description);
+    }
+    const videoFile = req.files?.video?.[0];
+    if (videoFile) {
+      fields.push(`video_url = $${paramCount++}`);
+      values.push(`${MEDIA_PREFIX}${videoFile.filename}`);
+    } else if (video_url !== undefined) {
+      fields.push(`video_url = $${paramCount++}`);
+      values.push(video_url || null);
+    }
+    if (sort_order !== undefined) {
+      fields.push(`sort_order = $${paramCount++}`);
+      values.push(parseInt(sort_order, 10) || 0);
+    }
+    if (module_id !== undefined) {
+      // Lessons may only move between modules of the same class
+      const moveResult = await pool.query(
+        `SELECT 1 FROM modules target
+         JOIN modules source ON source.class_id = target.class_id
+         WHERE target.id = $1 AND source.id = $2`,
+        [module_id, current.module_id]
+      );
+      if (moveResult.rows.length === 0) {
+        return res.status(400).json({ error: 'Target module must belong to the same class' });
+      }
+      fields.push(`module_id = $${paramCount++}`);
+      values.push(module_id);
+    }
+    const attachmentFiles = req.files?.attachments || [];
+    if (existing_attachments !== undefined || attachmentFiles.length > 0) {
+      const attachments = buildLessonAttachments(
+        attachmentFiles,
+        existing_attachments !== undefined ? existing_attachments : current.attachments,
+        current.attachments
+      );
+      fields.push(`attachments = $${paramCount++}`);
+      values.push(JSON.stringify(attachments));
+    }
+
+    if (fields.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id);
+    const result = await pool.query(
+      `UPDATE lessons SET ${fields.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+      values
+    );
+    await audit(pool, req, {
+      action: 'lesson.update', targetType: 'lesson', targetId: result.rows[0].id, targetLabel: result.rows[0].title,
+      before: current, after: result.rows[0]
+    });
+    // Replaced videos and removed attachments
+    removeUnreferencedMedia(pool, lessonMediaPaths([current]));
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Update lesson error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.delete('/api/lessons/:id', authenticateToken, requireClassManager(pool, classOfLessonParam, 'Lesson not found'), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await pool.query('DELETE FROM lessons WHERE id = $1 RETURNING *', [id]);
+    const lesson = result.rows[0];
+    if (!lesson) {
+      return res.status(404).json({ error: 'Lesson not found' });
+    }
+    await audit(pool, req, {
+      action: 'lesson.delete', targetType: 'lesson', targetId: lesson.id, targetLabel: lesson.title, before: lesson
+    });
+    removeUnreferencedMedia(pool, lessonMediaPaths([lesson]));
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete lesson error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Lesson progress routes
+
+// A lesson counts as completed once the player reports the end or 95% has been watched
+const LESSON_COMPLETION_RATIO = 0.95;
+
+app.put('/api/lessons/:id/progress', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const { position, duration, completed } = req.body;
+
+  const positionSeconds = parseFloat(position);
+  const durationSeconds = duration === undefined || duration === null ? null : parseFloat(duration);
+
+  if (!Number.isFinite(positionSeconds) || positionSeconds < 0) {
+    return res.status(400).json({ error: 'Position must be a non-negative number of seconds' });
+  }
+  if (durationSeconds !== null && (!Number.isFinite(durationSeconds) || durationSeconds < 0)) {
+    return res.status(400).json({ error: 'Duration must be a non-negative number of seconds' });
+  }
+
+  try {
+    const lessonResult = await pool.query(
+      'SELECT l.id, m.class_id FROM lessons l JOIN modules m ON l.module_id = m.id WHERE l.id = $1',
+      [id]
+    );
+    const lesson = lessonResult.rows[0];
+
+    if (!lesson) {
+      return res.status(404).json({ error: 'Lesson not found' });
+    }
+    if (!(await hasClassAccess(req.user, lesson.class_id))) {
+      return res.status(403).json({ error: 'You do not have access to this class' });
+    }
+
+    const isCompleted = completed === true ||
+      (durationSeconds > 0 && positionSeconds / durationSeconds >= LESSON_COMPLETION_RATIO);
+
+    // Completion is sticky: re-watching a finished lesson only moves the resume position
+    const result = await pool.query(
+      `INSERT INTO lesson_progress (user_id, lesson_id, position_seconds, duration_seconds, completed_at)
+       VALUES ($1, $2, $3, $4, CASE WHEN $5::boolean THEN CURRENT_TIMESTAMP END)
+       ON CONFLICT (user_id, lesson_id) DO UPDATE SET
+         position_seconds = EXCLUDED.position_seconds,
+         duration_seconds = COALESCE(EXCLUDED.duration_seconds, lesson_progress.duration_seconds),
+         completed_at = COALESCE(lesson_progress.completed_at, EXCLUDED.completed_at),
+         updated_at = CURRENT_TIMESTAMP
+       RETURNING lesson_id, position_seconds, duration_seconds, completed_at, updated_at`,
+      [req.user.id, id, positionSeconds, durationSeconds, isCompleted]
+    );
+
+    const progress = result.rows[0];
+    res.json({
+      lesson_id: progress.lesson_id,
+      position_seconds: parseFloat(progress.position_seconds),
+      duration_seconds: progress.duration_seconds === null ? null : parseFloat(progress.duration_seconds),
+      completed: !!progress.completed_at,
+      updated_at: progress.updated_at
+    });
+  } catch (error) {
+    console.error('Save lesson progress error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.get('/api/classes/:id/progress', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!(await hasClassAccess(req.user, id))) {
+      return res.status(403).json({ error: 'You do not have access to this class' });
+    }
+
+    const result = await pool.query(
+      `SELECT l.id as lesson_id, lp.position_seconds, lp.duration_seconds, lp.completed_at, lp.updated_at
+       FROM lessons l
+       JOIN modules m ON l.module_id = m.id
+       LEFT JOIN lesson_progress lp ON lp.lesson_id = l.id AND lp.user_id = $2
+       WHERE m.class_id = $1
+       ORDER BY m.sort_order, m.id, l.sort_order, l.id`,
+      [id, req.user.id]
+    );
+
+    const totalLessons = result.rows.length;
+    const completedLessons = result.rows.filter(row => row.completed_at).length;
+
+    res.json({
+      lessons: result.rows.map(row => ({
+        lesson_id: row.lesson_id,
+        position_seconds: row.position_seconds === null ? 0 : parseFloat(row.position_seconds),
+        duration_seconds: row.duration_seconds === null ? null : parseFloat(row.duration_seconds),
+        completed: !!row.completed_at,
+        updated_at: row.updated_at
+      })),
+      totalLessons,
+      completedLessons,
+      percent: totalLessons > 0 ? Math.round((completedLessons / totalLessons) * 100) : 0
+    });
+  } catch (error) {
+    console.error('Get class progress error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Quiz routes
+
+const QUIZ_ATTEMPT_COLUMNS = `a.*,
+  CASE WHEN a.expires_at IS NOT NULL
+    THEN GREATEST(0, EXTRACT(EPOCH FROM (a.expires_at - CURRENT_TIMESTAMP)))::int END as seconds_remaining,
+  (a.expires_at IS NOT NULL AND a.expires_at + make_interval(secs => ${SUBMIT_GRACE_SECONDS}) < CURRENT_TIMESTAMP) as past_deadline`;
+
+const loadQuizQuestions = async (db, quizId) => {
+  const result = await db.query(
+    'SELECT * FROM quiz_questions WHERE quiz_id = $1 ORDER BY sort_order, id',
+    [quizId]
+  );
+  return result.rows;
+};
+
+const insertQuizQuestions = async (db, quizId, questions) => {
+  for (const [index, question] of questions.entries()) {
+    await db.query(
+      `INSERT INTO quiz_questions (quiz_id, type, prompt, options, correct_answer, points, sort_order)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [quizId, question.type, question.prompt, JSON.stringify(question.options),
+        JSON.stringify(question.correct_answer), question.points, index]
+    );
+  }
+};
+
+// Lesson-level quizzes must point at a lesson of the same class
+const lessonBelongsToClass = async (lessonId, classId) => {
+  const result = await pool.query(
+    'SELECT 1 FROM lessons l JOIN modules m ON l.module_id = m.id WHERE l.id = $1 AND m.class_id = $2',
+    [lessonId, classId]
+  );
+  return result.rows.length > 0;
+};
+
+// Grades and closes an attempt; late attempts are closed as expired with the answers saved so far.
+// db may be a checked-out client inside a transaction.
+const finalizeQuizAttempt = async (attempt, answers, status, db = pool) => {
+  const questions = await loadQuizQuestions(db, attempt.quiz_id);
+  const asked = questions.filter(question => attempt.question_order.includes(question.id));
+  const { score, maxScore, results } = gradeAttempt(asked, answers);
+
+  const result = await db.query(
+    `UPDATE quiz_attempts
+     SET answers = $1, results = $2, score = $3, max_score = $4, status = $5, submitted_at = CURRENT_TIMESTAMP
+     WHERE id = $6 AND status = 'in_progress'
+     RETURNING *`,
+    [JSON.stringify(answers), JSON.stringify(results), score, maxScore, status, attempt.id]
+  );
+  return result.rows[0];
+};
+
+const toAttemptSummary = (attempt) => ({
+  id: attempt.id,
+  quiz_id: attempt.quiz_id,
+  status: attempt.status,
+  started_at: attempt.started_at,
+  submitted_at: attempt.submitted_at,
+  score: attempt.score === null ? null : parseFloat(attempt.score),
+  max_score: attempt.max_score === null ? null : parseFloat(attempt.max_score),
+  percent: attempt.score === null ? null : percentScore(attempt.score, attempt.max_score)
+});
+
+const parseQuizSettings = (body) => {
+  const settings = {};
+  const optionalInteger = (value) => (value === null || value === '' ? null : parseInt(value, 10));
+
+  if (body.time_limit_minutes !== undefined) {
+    settings.time_limit_minutes = optionalInteger(body.time_limit_minutes);
+    if (settings.time_limit_minutes !== null && !(settings.time_limit_minutes > 0)) {
+      return { error: 'Time limit must be a positive number of minutes' };
+    }
+  }
+  if (body.max_attempts !== undefined) {
+    settings.max_attempts = optionalInteger(body.max_attempts);
+    if (settings.max_attempts !== null && !(settings.max_attempts > 0)) {
+      return { error: 'Attempt limit must be a positive number' };
+    }
+  }
+  if (body.passing_score !== undefined) {
+    settings.passing_score = body.passing_score === null || body.passing_score === '' ? null : parseFloat(body.passing_score);
+    if (settings.passing_score !== null && !(settings.passing_score >= 0 && settings.passing_score <= 100)) {
+      return { error: 'Passing score must be a percentage between 0 and 100' };
+    }
+  }
+  if (body.shuffle_questions !== undefined) {
+    settings.shuffle_questions = body.shuffle_questions === true || body.shuffle_questions === 'true';
+  }
+  if (body.is_published !== undefined) {
+    settings.is_published = body.is_published === true || body.is_published === 'true';
+  }
+  return { settings };
+};
+
+app.get('/api/classes/:id/quizzes', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  // Quiz authors also see unpublished quizzes
+  const canEditQuizzes = hasPermission(req.user, 'quizzes:write');
+
+  try {
+    if (!(await hasClassAccess(req.user, id))) {
+      return res.status(403).json({ error: 'You do not have access to this class' });
+    }
+
+    const result = await pool.query(
+      `SELECT q.*,
+         (SELECT COUNT(*) FROM quiz_questions qq WHERE qq.quiz_id = q.id)::int as question_count,
+         (SELECT COALESCE(SUM(qq.points), 0) FROM quiz_questions qq WHERE qq.quiz_id = q.id) as total_points,
+         (SELECT COUNT(*) FROM quiz_attempts a WHERE a.quiz_id = q.id AND a.user_id = $2)::int as attempts_used,
+         (SELECT MAX(a.score / NULLIF(a.max_score, 0)) * 100 FROM quiz_attempts a
+          WHERE a.quiz_id = q.id AND a.user_id = $2 AND a.status <> 'in_progress') as best_percent,
+         (SELECT a.id FROM quiz_attempts a
+          WHERE a.quiz_id = q.id AND a.user_id = $2 AND a.status = 'in_progress'
+          ORDER BY a.started_at DESC LIMIT 1) as open_attempt_id
+       FROM quizzes q
+       WHERE q.class_id = $1 AND ($3::boolean OR q.is_published = true)
+       ORDER BY q.created_at, q.id`,
+      [id, req.user.id, canEditQuizzes]
+    );
+
+    res.json(result.rows.map(quiz => ({
+      ...quiz,
+      total_points: parseFloat(quiz.total_points),
+      passing_score: quiz.passing_score === null ? null : parseFloat(quiz.passing_score),
+      best_percent: quiz.best_percent === null ? null : Math.round(parseFloat(quiz.best_percent) * 100) / 100
+    })));
+  } catch (error) {
+    console.error('Get class quizzes error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.post('/api/classes/:id/quizzes', authenticateToken, requirePermission('quizzes:write'), async (req, res) => {
+  const { id } = req.params;
+  const { title, description, lesson_id } = req.body;
+
+  if (!title || !String(title).trim()) {
+    return res.status(400).json({ error: 'Quiz title is required' });
+  }
+
+  const { settings, error: settingsError } = parseQuizSettings(req.body);
+  if (settingsError) {
+    return res.status(400).json({ error: settingsError });
+  }
+  const { questions, error: questionsError } = parseQuizQuestions(req.body.questions);
+  if (questionsError) {
+    return res.status(400).json({ error: questionsError });
+  }
+
+  const client = await pool.connect();
+  try {
+    const classResult = await client.query('SELECT id FROM classes WHERE id = $1 AND deleted_at IS NULL', [id]);
+    if (classResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Class not found' });
+    }
+    if (lesson_id && !(await lessonBelongsToClass(lesson_id, id))) {
+      return res.status(400).json({ error: 'Lesson does not belong to this class' });
+    }
+
+    await client.query('BEGIN');
+    const quizResult = await client.query(
+      `INSERT INTO quizzes (class_id, lesson_id, title, description, time_limit_minutes, max_attempts,
+         shuffle_questions, passing_score, is_published)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [id, lesson_id || null, String(title).trim(), description?.trim() || '',
+        settings.time_limit_minutes ?? null, settings.max_attempts ?? null,
+        settings.shuffle_questions ?? true, settings.passing_score ?? null, settings.is_published ?? true]
+    );
+    const quiz = quizResult.rows[0];
+    await insertQuizQuestions(client, quiz.id, questions);
+    await audit(client, req, {
+      action: 'quiz.create', targetType: 'quiz', targetId: quiz.id, targetLabel: quiz.title,
+      after: { ...quiz, question_count: questions.length }
+    });
+    await client.query('COMMIT');
+
+    res.status(201).json({ ...quiz, questions: await loadQuizQuestions(pool, quiz.id) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Create quiz error:', error);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Admins get the answer key; students only see the quiz settings
+app.get('/api/quizzes/:id', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await pool.query('SELECT * FROM quizzes WHERE id = $1', [id]);
+    const quiz = result.rows[0];
+
+    if (!quiz || (!hasPermission(req.user, 'quizzes:write') && !quiz.is_published)) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+    if (!(await hasClassAccess(req.user, quiz.class_id))) {
+      return res.status(403).json({ error: 'You do not have access to this class' });
+    }
+
+    const questions = await loadQuizQuestions(pool, id);
+    if (hasPermission(req.user, 'quizzes:write')) {
+      return res.json({ ...quiz, questions });
+    }
+    res.json({ ...quiz, question_count: questions.length });
+  } catch (error) {
+    console.error('Get quiz error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.put('/api/quizzes/:id', authenticateToken, requirePermission('quizzes:write'), async (req, res) => {
+  const { id } = req.params;
+  const { title, description, lesson_id } = req.body;
+
+  if (title !== undefined && !String(title).trim()) {
+    return res.status(400).json({ error: 'Quiz title cannot be empty' });
+  }
+
+  const { settings, error: settingsError } = parseQuizSettings(req.body);
+  if (settingsError) {
+    return res.status(400).json({ error: settingsError });
+  }
+
+  let questions;
+  if (req.body.questions !== undefined) {
+    const parsed = parseQuizQuestions(req.body.questions);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    questions = parsed.questions;
+  }
+
+  const client = await pool.connect();
   try {
-    const result = await pool.query('SELECT COUNT(*) as count FROM users WHERE role = $1', ['student']);
+    const existing = await client.query('SELECT * FROM quizzes WHERE id = $1', [id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+    if (lesson_id && !(await lessonBelongsToClass(lesson_id, existing.rows[0].class_id))) {
+      return res.status(400).json({ error: 'Lesson does not belong to this class' });
+    }
+
+    let fields = [];
+    let values = [];
+    let paramCount = 1;
+
+    if (title !== undefined) {
+      fields.push(`title = $${paramCount++}`);
+      values.push(String(title).trim());
+    }
+    if (description !== undefined) {
+      fields.push(`description = $${paramCount++}`);
+      values.push(description);
+    }
+    if (lesson_id !== undefined) {
+      fields.push(`lesson_id = $${paramCount++}`);
+      values.push(lesson_id || null);
+    }
+    for (const [column, value] of Object.entries(settings)) {
+      fields.push(`${column} = $${paramCount++}`);
+      values.push(value);
+    }
+
+    if (fields.length === 0 && !questions) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    await client.query('BEGIN');
+
+    // Attempts in progress are graded against the question ids they were given,
+    // which a replaced question set no longer has. Late ones are closed first.
+    // Attempts start under the same quiz row lock, so none can slip in before the replace.
+    if (questions) {
+      await client.query('SELECT id FROM quizzes WHERE id = $1 FOR UPDATE', [id]);
+      const openResult = await client.query(
+        `SELECT ${QUIZ_ATTEMPT_COLUMNS} FROM quiz_attempts a WHERE a.quiz_id = $1 AND a.status = 'in_progress'`,
+        [id]
+      );
+      let inProgress = 0;
+      for (const attempt of openResult.rows) {
+        if (attempt.past_deadline) {
+          await finalizeQuizAttempt(attempt, attempt.answers, 'expired', client);
+        } else {
+          inProgress++;
+        }
+      }
+      if (inProgress > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: `${inProgress} attempt${inProgress === 1 ? ' is' : 's are'} in progress. The questions can be changed once ${inProgress === 1 ? 'it is' : 'they are'} submitted.`
+        });
+      }
+    }
+
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id);
+    const result = await client.query(
+      `UPDATE quizzes SET ${fields.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+      values
+    );
+
+    // Submitted attempts keep their stored results when the question set is replaced
+    if (questions) {
+      await client.query('DELETE FROM quiz_questions WHERE quiz_id = $1', [id]);
+      await insertQuizQuestions(client, id, questions);
+    }
+    await audit(client, req, {
+      action: 'quiz.update', targetType: 'quiz', targetId: result.rows[0].id, targetLabel: result.rows[0].title,
+      before: existing.rows[0], after: result.rows[0],
+      reason: questions ? `Question set replaced (${questions.length} questions)` : null
+    });
+    await client.query('COMMIT');
+
+    res.json({ ...result.rows[0], questions: await loadQuizQuestions(pool, id) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Update quiz error:', error);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    client.release();
+  }
+});
+
+app.delete('/api/quizzes/:id', authenticateToken, requirePermission('quizzes:write'), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await pool.query('DELETE FROM quizzes WHERE id = $1 RETURNING *', [id]);
+    const quiz = result.rows[0];
+    if (!quiz) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+    await audit(pool, req, {
+      action: 'quiz.delete', targetType: 'quiz', targetId: quiz.id, targetLabel: quiz.title, before: quiz
+    });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete quiz error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Starts an attempt, or resumes the one still running
+app.post('/api/quizzes/:id/attempts', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  const client = await pool.connect();
+  try {
+    // The quiz row lock serializes starts per quiz, so two requests cannot both pass
+    // the attempt count, and a question replace cannot run while an attempt starts
+    await client.query('BEGIN');
+    const quizResult = await client.query('SELECT * FROM quizzes WHERE id = $1 FOR UPDATE', [id]);
+    const quiz = quizResult.rows[0];
+
+    if (!quiz || (!hasPermission(req.user, 'quizzes:write') && !quiz.is_published)) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+    if (!(await hasClassAccess(req.user, quiz.class_id))) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'You do not have access to this class' });
+    }
+
+    const openResult = await client.query(
+      `SELECT ${QUIZ_ATTEMPT_COLUMNS} FROM quiz_attempts a
+       WHERE a.quiz_id = $1 AND a.user_id = $2 AND a.status = 'in_progress'
+       ORDER BY a.started_at DESC`,
+      [id, req.user.id]
+    );
+    for (const attempt of openResult.rows) {
+      if (!attempt.past_deadline) {
+        await client.query('COMMIT');
+        return res.json({ attemptId: attempt.id, resumed: true });
+      }
+      await finalizeQuizAttempt(attempt, attempt.answers, 'expired', client);
+    }
+
+    const countResult = await client.query(
+      'SELECT COUNT(*) FROM quiz_attempts WHERE quiz_id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+    if (quiz.max_attempts && parseInt(countResult.rows[0].count, 10) >= quiz.max_attempts) {
+      await client.query('COMMIT');
+      return res.status(409).json({ error: 'No attempts left for this quiz' });
+    }
+
+    const questions = await loadQuizQuestions(client, id);
+    if (questions.length === 0) {
+      await client.query('COMMIT');
+      return res.status(400).json({ error: 'This quiz has no questions yet' });
+    }
+    const questionIds = questions.map(question => question.id);
+    const questionOrder = quiz.shuffle_questions ? shuffle(questionIds) : questionIds;
+
+    const result = await client.query(
+      `INSERT INTO quiz_attempts (quiz_id, user_id, question_order, expires_at)
+       VALUES ($1, $2, $3, CASE WHEN $4::int IS NULL THEN NULL ELSE CURRENT_TIMESTAMP + make_interval(mins => $4::int) END)
+       RETURNING id`,
+      [id, req.user.id, JSON.stringify(questionOrder), quiz.time_limit_minutes]
+    );
+    await client.query('COMMIT');
+
+    res.status(201).json({ attemptId: result.rows[0].id, resumed: false });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Start quiz attempt error:', error);
+    // idx_quiz_attempts_one_open: another attempt was opened at the same moment
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'An attempt at this quiz is already in progress' });
+    }
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Running attempts return the questions to answer; finished ones return the graded results
+app.get('/api/quiz-attempts/:id', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const canReadResults = hasPermission(req.user, 'quiz_results:read');
+
+  try {
+    const attemptResult = await pool.query(
+      `SELECT ${QUIZ_ATTEMPT_COLUMNS}, q.title as quiz_title, q.passing_score
+       FROM quiz_attempts a JOIN quizzes q ON a.quiz_id = q.id
+       WHERE a.id = $1`,
+      [id]
+    );
+    let attempt = attemptResult.rows[0];
+
+    if (!attempt || (!canReadResults && attempt.user_id !== req.user.id)) {
+      return res.status(404).json({ error: 'Attempt not found' });
+    }
+
+    if (attempt.status === 'in_progress' && attempt.past_deadline) {
+      attempt = { ...attempt, ...(await finalizeQuizAttempt(attempt, attempt.answers, 'expired')) };
+    }
+
+    const questions = await loadQuizQuestions(pool, attempt.quiz_id);
+    const byId = new Map(questions.map(question => [question.id, question]));
+    const ordered = attempt.question_order.map(questionId => byId.get(questionId)).filter(Boolean);
+    const summary = {
+      ...toAttemptSummary(attempt),
+      quiz_title: attempt.quiz_title,
+      passing_score: attempt.passing_score === null ? null : parseFloat(attempt.passing_score)
+    };
+
+    if (attempt.status === 'in_progress') {
+      return res.json({
+        ...summary,
+        expires_at: attempt.expires_at,
+        seconds_remaining: attempt.seconds_remaining,
+        answers: attempt.answers,
+        questions: ordered.map(toStudentQuestion)
+      });
+    }
+
+    // Students see which answers were right; only admins see the answer key
+    const resultsById = new Map((attempt.results || []).map(result => [result.question_id, result]));
+    res.json({
+      ...summary,
+      passed: summary.passing_score === null ? null : summary.percent >= summary.passing_score,
+      questions: ordered.map(question => ({
+        ...toStudentQuestion(question),
+        ...(canReadResults ? { correct_answer: question.correct_answer } : {}),
+        answer: attempt.answers[question.id] ?? null,
+        correct: resultsById.get(question.id)?.correct ?? false,
+        points_awarded: resultsById.get(question.id)?.points_awarded ?? 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get quiz attempt error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Saves answers while the attempt runs so they survive a reload and count if time runs out
+app.put('/api/quiz-attempts/:id/answers', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const { answers } = req.body;
+
+  if (typeof answers !== 'object' || answers === null || Array.isArray(answers)) {
+    return res.status(400).json({ error: 'Answers must be an object keyed by question id' });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE quiz_attempts SET answers = $1
+       WHERE id = $2 AND user_id = $3 AND status = 'in_progress'
+         AND (expires_at IS NULL OR expires_at + make_interval(secs => ${SUBMIT_GRACE_SECONDS}) >= CURRENT_TIMESTAMP)
+       RETURNING id`,
+      [JSON.stringify(answers), id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'This attempt is no longer open' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Save quiz answers error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.post('/api/quiz-attempts/:id/submit', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const { answers } = req.body;
+
+  if (answers !== undefined && (typeof answers !== 'object' || answers === null || Array.isArray(answers))) {
+    return res.status(400).json({ error: 'Answers must be an object keyed by question id' });
+  }
+
+  try {
+    const attemptResult = await pool.query(
+      `SELECT ${QUIZ_ATTEMPT_COLUMNS} FROM quiz_attempts a WHERE a.id = $1 AND a.user_id = $2`,
+      [id, req.user.id]
+    );
+    const attempt = attemptResult.rows[0];
+
+    if (!attempt) {
+      return res.status(404).json({ error: 'Attempt not found' });
+    }
+    if (attempt.status !== 'in_progress') {
+      return res.status(409).json({ error: 'This attempt has already been submitted' });
+    }
+
+    // Answers sent after the time limit are discarded
+    const finalized = attempt.past_deadline
+      ? await finalizeQuizAttempt(attempt, attempt.answers, 'expired')
+      : await finalizeQuizAttempt(attempt, answers || {}, 'submitted');
+
+    if (!finalized) {
+      return res.status(409).json({ error: 'This attempt has already been submitted' });
+    }
+    res.json(toAttemptSummary(finalized));
+  } catch (error) {
+    console.error('Submit quiz attempt error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.get('/api/admin/quiz-results', authenticateToken, requirePermission('quiz_results:read'), async (req, res) => {
+  const { class_id, quiz_id } = req.query;
+
+  try {
+    const conditions = ["a.status <> 'in_progress'"];
+    const values = [];
+    if (class_id) {
+      values.push(class_id);
+      conditions.push(`q.class_id = $${values.length}`);
+    }
+    if (quiz_id) {
+      values.push(quiz_id);
+      conditions.push(`q.id = $${values.length}`);
+    }
+
+    const result = await pool.query(
+      `SELECT a.*, q.title as quiz_title, q.passing_score, c.id as class_id, c.title as class_title,
+         u.name as student_name, u.email as student_email
+       FROM quiz_attempts a
+       JOIN quizzes q ON a.quiz_id = q.id
+       JOIN classes c ON q.class_id = c.id
+       JOIN users u ON a.user_id = u.id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY a.submitted_at DESC
+       LIMIT 500`,
+      values
+    );
+
+    res.json(result.rows.map(row => {
+      const summary = toAttemptSummary(row);
+      const passingScore = row.passing_score === null ? null : parseFloat(row.passing_score);
+      return {
+        ...summary,
+        quiz_title: row.quiz_title,
+        class_id: row.class_id,
+        class_title: row.class_title,
+        student_name: row.student_name,
+        student_email: row.student_email,
+        passing_score: passingScore,
+        passed: passingScore === null ? null : summary.percent >= passingScore
+      };
+    }));
+  } catch (error) {
+    console.error('Get quiz results error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Protected media routes
+
+// Issues a short-lived link for a private file after checking the class it belongs to
+app.get('/api/media/sign', authenticateToken, async (req, res) => {
+  const mediaPath = req.query.path;
+
+  if (!isProtectedMediaPath(mediaPath)) {
+    return res.status(400).json({ error: 'A protected media path is required' });
+  }
+
+  try {
+    const ownerResult = await pool.query(
+      `SELECT m.class_id
+       FROM lessons l
+       JOIN modules m ON l.module_id = m.id
+       WHERE l.video_url = $1 OR l.attachments @> $2::jsonb
+       UNION
+       SELECT id as class_id FROM classes WHERE video_url = $1
+       LIMIT 1`,
+      [mediaPath, JSON.stringify([{ url: mediaPath }])]
+    );
+    const owner = ownerResult.rows[0];
+
+    if (!owner) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+    if (!(await hasClassAccess(req.user, owner.class_id))) {
+      return res.status(403).json({ error: 'You do not have access to this class' });
+    }
+
+    res.json(signMediaUrl(mediaPath, req.user.id, owner.class_id));
+  } catch (error) {
+    console.error('Sign media error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Streams a private file; sendFile answers Range requests so MP4 seeking works
+app.get('/media/:filename', async (req, res) => {
+  const { filename } = req.params;
+  const mediaPath = `${MEDIA_PREFIX}${filename}`;
+
+  if (!isProtectedMediaPath(mediaPath) || !verifyMediaSignature(mediaPath, req.query)) {
+    return res.status(403).json({ error: 'Invalid or expired media link' });
+  }
+
+  try {
+    // Re-check the account and enrollment so a deleted or revoked student loses access before the link expires
+    const userResult = await pool.query(
+      'SELECT id, role FROM users WHERE id = $1 AND deleted_at IS NULL AND anonymized_at IS NULL',
+      [req.query.uid]
+    );
+    const viewer = userResult.rows[0];
+
+    if (!viewer || !(await hasClassAccess(viewer, req.query.cid))) {
+      return res.status(403).json({ error: 'You do not have access to this class' });
+    }
+
+    res.sendFile(filename, {
+      root: MEDIA_DIR,
+      dotfiles: 'deny',
+      cacheControl: false,
+      headers: { 'Cache-Control': 'private, no-store' }
+    }, (error) => {
+      if (error && !res.headersSent) {
+        res.status(error.status || 404).json({ error: 'Media not found' });
+      }
+    });
+  } catch (error) {
+    console.error('Stream media error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Statistics endpoints
+app.get('/api/stats/students', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT COUNT(*) as count FROM users WHERE role = $1 AND deleted_at IS NULL', ['student']);
+    res.json({ count: parseInt(result.rows[0].count) });
+  } catch (error) {
+    console.error('Get students stats error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.get('/api/stats/teachers', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT COUNT(*) as count FROM teachers WHERE deleted_at IS NULL');
+    res.json({ count: parseInt(result.rows[0].count) });
+  } catch (error) {
+    console.error('Get teachers stats error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.get('/api/stats/classes', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT COUNT(*) as count FROM classes c
+       JOIN teachers t ON c.teacher_id = t.id
+       WHERE c.deleted_at IS NULL AND t.deleted_at IS NULL`
+    );
     res.json({ count: parseInt(result.rows[0].count) });
   } catch (error) {
-    console.error('Get students stats error:', error);
+    console.error('Get classes stats error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Admin trash: soft-deleted teachers, classes and students
+app.get('/api/admin/trash', authenticateToken, requirePermission('trash:manage'), async (req, res) => {
+  try {
+    res.json(await listTrash(pool));
+  } catch (error) {
+    console.error('List trash error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Restoring and purging also need the permission that allows deleting that kind of row
+const requireTrashType = (req, res, next) => {
+  const type = TRASH_TYPES[req.params.type];
+  if (!type) {
+    return res.status(404).json({ error: 'Unknown trash type' });
+  }
+  requirePermission(type.permission)(req, res, next);
+};
+
+const trashLabel = (type, row) => (type === 'class' ? row.title : type === 'student' ? `${row.name} <${row.email}>` : row.name);
+
+app.post('/api/admin/trash/:type/:id/restore', authenticateToken, requirePermission('trash:manage'), requireTrashType, async (req, res) => {
+  const { type, id } = req.params;
+
+  try {
+    const restored = await restoreFromTrash(pool, type, id);
+    if (!restored) {
+      return res.status(404).json({ error: 'Not found in the trash' });
+    }
+    if (restored.error) {
+      return res.status(409).json({ error: restored.error });
+    }
+
+    const { row } = restored;
+    const { targetType } = TRASH_TYPES[type];
+    await audit(pool, req, {
+      action: `${targetType}.restore`, targetType, targetId: row.id, targetLabel: trashLabel(type, row),
+      before: { deleted_at: restored.deletedAt }, after: { deleted_at: null }
+    });
+    res.json(row);
+  } catch (error) {
+    console.error('Restore from trash error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Permanent and irreversible, so it has its own permission and a required reason
+app.delete('/api/admin/trash/:type/:id', authenticateToken, requirePermission('trash:purge'), requireTrashType, async (req, res) => {
+  const { type, id } = req.params;
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+  if (!reason) {
+    return res.status(400).json({ error: 'A reason is required' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const purged = await purgeFromTrash(client, type, id);
+    if (!purged) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Not found in the trash' });
+    }
+    if (purged.error) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: purged.error });
+    }
+
+    const { row } = purged;
+    const { targetType } = TRASH_TYPES[type];
+    // Anonymization already scrubbed the student's label from the trail
+    await audit(client, req, {
+      action: `${targetType}.purge`, targetType, targetId: row.id,
+      targetLabel: type === 'student' ? null : trashLabel(type, row),
+      before: type === 'student' ? null : row, reason
+    });
+    await client.query('COMMIT');
+
+    removeUpload(row.photo);
+    removeUpload(row.thumbnail);
+    removeUnreferencedMedia(pool, lessonMediaPaths(purged.lessons || []));
+    console.log(`🗑️ Admin ${req.user.id} purged ${type} ${row.id}`);
+    res.json({ success: true });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Purge from trash error:', error);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Admin student management endpoints
+// One page of students matching the search and filters, with the total for the pager
+app.get('/api/admin/students', authenticateToken, requirePermission('students:read'), async (req, res) => {
+  try {
+    const { filters, sort, error } = parseStudentFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { page, pageSize } = parsePaging(req.query);
+
+    const [students, total] = await Promise.all([
+      findStudents(pool, { filters, sort, page, pageSize }),
+      countStudents(pool, filters)
+    ]);
+
+    res.json({
+      students,
+      total,
+      page,
+      pageSize,
+      totalPages: Math.max(Math.ceil(total / pageSize), 1)
+    });
+  } catch (error) {
+    console.error('❌ Get admin students error:', error);
     res.status(500).json({ error: 'Database error' });
   }
 });
 
-app.get('/api/stats/teachers', async (req, res) => {
+// Every student matching the list filters as a CSV. Contact details need a sensitive
+// data grant to read, so only the columns the import template shares are exported.
+app.get('/api/admin/students/export', authenticateToken, requirePermission('students:read'), async (req, res) => {
   try {
-    const result = await pool.query('SELECT COUNT(*) as count FROM teachers');
-    res.json({ count: parseInt(result.rows[0].count) });
+    const { filters, sort, error } = parseStudentFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const students = await findStudents(pool, { filters, sort });
+    await audit(pool, req, {
+      action: 'user.export',
+      after: { count: students.length, ...Object.fromEntries(Object.entries({ ...filters, sort }).filter(([, value]) => value)) }
+    });
+
+    const csv = toCsv([
+      { header: 'Name', value: row => row.name },
+      { header: 'Email', value: row => row.email },
+      { header: 'Country', value: row => row.country },
+      { header: 'Registered', value: row => row.created_at }
+    ], students);
+
+    sendCsv(res, `students-${new Date().toISOString().slice(0, 10)}.csv`, csv);
   } catch (error) {
-    console.error('Get teachers stats error:', error);
+    console.error('Export students error:', error);
     res.status(500).json({ error: 'Database error' });
   }
 });
 
-app.get('/api/stats/classes', async (req, res) => {
+// Bulk signup from a CSV/XLSX roster (name, email, country, phone, guardian phone,
+// location). Every row is checked first; with dryRun=true, or when any row fails,
+// the per-row report comes back and nothing is created.
+app.post('/api/admin/students/import', authenticateToken, requirePermission('students:write'), receiveRoster, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'Choose a CSV or XLSX file to import' });
+  }
+  const { rows, error } = readRoster(req.file);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  let report;
   try {
-    const result = await pool.query('SELECT COUNT(*) as count FROM classes');
-    res.json({ count: parseInt(result.rows[0].count) });
+    report = await validateRoster(pool, rows);
   } catch (error) {
-    console.error('Get classes stats error:', error);
-    res.status(500).json({ error: 'Database error' });
+    console.error('Validate roster error:', error);
+    return res.status(500).json({ error: 'Database error' });
   }
-});
 
-// Admin student management endpoints
-app.get('/api/admin/students', authenticateToken, async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  const invalid = report.filter(entry => entry.errors.length > 0).length;
+  if (invalid > 0) {
+    return res.status(422).json({ error: `${invalid} of ${report.length} rows have errors`, rows: report });
+  }
+  if (req.body.dryRun === 'true') {
+    return res.json({ valid: true, rows: report });
   }
 
+  const accounts = await assignTemporaryPasswords(report);
+  const client = await pool.connect();
   try {
-    console.log('🔍 Admin requesting students list...');
-    console.log('👤 Admin user:', { id: req.user.id, email: req.user.email, role: req.user.role });
-    
-    // Get all students with all their data directly from users table
-    const result = await pool.query(
-      `SELECT 
-        id, 
-        email, 
-        name, 
-        country, 
-        role, 
-        created_at,
-        "phoneNumber",
-        "guardianPhone",
-        "currentLocation"
-       FROM users
-       WHERE role = $1 
-       ORDER BY created_at DESC`,
-      ['student']
-    );
-    
-    console.log(`✅ Found ${result.rows.length} students`);
-    
-    // Process students data
-    const processedStudents = result.rows.map(student => ({
-      id: student.id,
-      email: student.email,
-      name: student.name,
-      country: student.country,
-      role: student.role,
-      created_at: student.created_at,
-      phoneNumber: student.phoneNumber || 'N/A',
-      guardianPhone: student.guardianPhone || 'N/A',
-      currentLocation: student.currentLocation || 'N/A'
-    }));
-    
-    // Enhanced logging for debugging
-    console.log('📊 Processed students data:');
-    processedStudents.forEach((student, index) => {
-      console.log(`👤 Student ${index + 1}:`, {
-        id: student.id,
-        email: student.email,
-        name: student.name,
-        phoneNumber: student.phoneNumber,
-        guardianPhone: student.guardianPhone,
-        currentLocation: student.currentLocation,
-        country: student.country,
-        role: student.role,
-        created_at: student.created_at
+    await client.query('BEGIN');
+    const created = await createRosterStudents(client, accounts);
+    for (const user of created) {
+      await audit(client, req, {
+        action: 'user.import', targetType: 'user', targetId: user.id, targetLabel: user.name,
+        after: { name: user.name, email: user.email, country: user.country }
       });
+    }
+    await client.query('COMMIT');
+    console.log(`📥 Imported ${created.length} students from ${req.file.originalname}`);
+
+    // Temporary passwords are only ever shown in this response
+    const credentialsCsv = toCsv([
+      { header: 'Name', value: row => row.name },
+      { header: 'Email', value: row => row.email },
+      { header: 'Temporary Password', value: row => row.temporaryPassword }
+    ], created);
+
+    res.status(201).json({
+      created: created.map(({ row, id, name, email, temporaryPassword }) => ({ row, id, name, email, temporaryPassword })),
+      credentialsCsv
     });
-    
-    // Log the exact response being sent
-    console.log('📤 Sending response to frontend:');
-    console.log('Response type:', typeof processedStudents);
-    console.log('Response length:', processedStudents.length);
-    console.log('Response structure:', Object.keys(processedStudents[0] || {}));
-    
-    res.json(processedStudents);
   } catch (error) {
-    console.error('❌ Get admin students error:', error);
+    await client.query('ROLLBACK');
+    // A concurrent signup can take an email between validation and insert
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'One of the emails was registered while importing. Upload the file again.' });
+    }
+    console.error('Import students error:', error);
     res.status(500).json({ error: 'Database error' });
+  } finally {
+    client.release();
   }
 });
 
-app.put('/api/admin/students/:id', authenticateToken, async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
-  }
-
+app.put('/api/admin/students/:id', authenticateToken, requirePermission('students:write'), async (req, res) => {
   const { id } = req.params;
-  const { name, email, phoneNumber, guardianPhone, currentLocation, country, password } = req.body;
+  const { name, email, country, password } = req.body;
+  // Contact details are optional: the list never shows them, so an edit there leaves them alone
+  const contactChanges = Object.fromEntries(
+    Object.keys(SENSITIVE_FIELDS).filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+  );
 
   // Basic validation
   if (!name || !email || !country) {
@@ -1041,28 +3777,53 @@ app.put('/api/admin/students/:id', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Email already exists' });
     }
 
-    // Update the user with all data including sensitive fields
+    const beforeResult = await pool.query(
+      'SELECT name, email, country FROM users WHERE id = $1 AND role = $2',
+      [id, 'student']
+    );
+    const contactBefore = Object.keys(contactChanges).length > 0 ? await loadSensitiveData(pool, id) : null;
+    const before = { ...beforeResult.rows[0], ...contactBefore };
+
     let result;
     if (password) {
       const hashedPassword = bcrypt.hashSync(password, 10);
       result = await pool.query(
-        `UPDATE users SET name = $1, email = $2, country = $3, password = $4, 
-         "phoneNumber" = $5, "guardianPhone" = $6, "currentLocation" = $7
-         WHERE id = $8 AND role = $9`,
-        [name, email, country, hashedPassword, phoneNumber, guardianPhone, currentLocation, id, 'student']
+        `UPDATE users SET name = $1, email = $2, country = $3, password = $4
+         WHERE id = $5 AND role = $6 AND deleted_at IS NULL`,
+        [name, email, country, hashedPassword, id, 'student']
       );
     } else {
       result = await pool.query(
-        `UPDATE users SET name = $1, email = $2, country = $3, 
-         "phoneNumber" = $4, "guardianPhone" = $5, "currentLocation" = $6
-         WHERE id = $7 AND role = $8`,
-        [name, email, country, phoneNumber, guardianPhone, currentLocation, id, 'student']
+        `UPDATE users SET name = $1, email = $2, country = $3
+         WHERE id = $4 AND role = $5 AND deleted_at IS NULL`,
+        [name, email, country, id, 'student']
       );
     }
     
     if (result.rowCount === 0) {
       return res.status(404).json({ error: 'Student not found' });
     }
+
+    // A new password signs the student out everywhere
+    if (password) {
+      await revokeUserSessions(pool, id, 'password_changed');
+    }
+
+    // Contact details are only stored encrypted
+    if (Object.keys(contactChanges).length > 0) {
+      await saveSensitiveData(pool, id, { ...contactBefore, ...contactChanges });
+    }
+
+    const target = { targetType: 'user', targetId: Number(id), targetLabel: `${name} <${email}>` };
+    await audit(pool, req, {
+      ...target,
+      action: 'user.update',
+      before,
+      after: { ...before, name, email, country, ...contactChanges }
+    });
+    if (password) {
+      await audit(pool, req, { ...target, action: 'user.password_reset' });
+    }
     
     res.json({ success: true, message: 'Student updated successfully' });
   } catch (error) {
@@ -1071,44 +3832,240 @@ app.put('/api/admin/students/:id', authenticateToken, async (req, res) => {
   }
 });
 
-app.delete('/api/admin/students/:id', authenticateToken, async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+// Moves the student to the trash and signs them out everywhere; they cannot log in until restored
+app.delete('/api/admin/students/:id', authenticateToken, requirePermission('students:write'), async (req, res) => {
+  const { id } = req.params;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const student = await moveToTrash(client, 'student', id, req.user.id);
+    if (!student) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Student not found' });
+    }
+    await revokeUserSessions(client, student.id, 'deleted_by_admin');
+    await audit(client, req, {
+      action: 'user.delete', targetType: 'user', targetId: student.id, targetLabel: `${student.name} <${student.email}>`,
+      before: { deleted_at: null }, after: { deleted_at: student.deleted_at }
+    });
+    await client.query('COMMIT');
+    
+    res.json({ success: true, message: 'Student moved to the trash' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Delete student error:', error);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    client.release();
+  }
+});
+
+app.get('/api/admin/students/:id/sessions', authenticateToken, requirePermission('students:read'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, ip_address, user_agent, created_at, last_used_at, expires_at, revoked_at, revoked_reason
+       FROM sessions
+       WHERE user_id = $1
+       ORDER BY last_used_at DESC
+       LIMIT 50`,
+      [req.params.id]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get student sessions error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.post('/api/admin/students/:id/revoke-sessions', authenticateToken, requirePermission('students:write'), async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(pool, req.params.id, 'revoked_by_admin');
+    console.log(`🔒 Admin ${req.user.id} revoked ${revoked} session(s) of user ${req.params.id}`);
+    await audit(pool, req, {
+      action: 'user.sessions_revoke', targetType: 'user', targetId: Number(req.params.id), after: { revoked_sessions: revoked }
+    });
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error('Revoke student sessions error:', error);
+    res.status(500).json({ error: 'Database error' });
   }
+});
 
+// Guardian links of a student, including ended ones as consent history.
+// Suggestions are guardian accounts whose phone number is the student's guardianPhone;
+// the number itself is not returned, so this needs no sensitive data grant.
+app.get('/api/admin/students/:id/guardians', authenticateToken, requirePermission('guardians:manage'), async (req, res) => {
   const { id } = req.params;
 
   try {
-    const result = await pool.query(
-      'DELETE FROM users WHERE id = $1 AND role = $2',
+    const links = await listGuardianLinksForStudent(pool, id, { includeEnded: true });
+    const sensitiveData = await loadSensitiveData(pool, id);
+    const openGuardianIds = new Set(
+      links.filter(link => link.status === 'pending' || link.status === 'active').map(link => link.guardian_id)
+    );
+    const suggestions = (await findGuardiansByPhone(pool, sensitiveData?.guardianPhone))
+      .filter(guardian => !openGuardianIds.has(guardian.id));
+
+    res.json({ links, suggestions });
+  } catch (error) {
+    console.error('Get student guardians error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Admin links start pending; the student is mailed and has to approve them
+app.post('/api/admin/students/:id/guardians', authenticateToken, requirePermission('guardians:manage'), async (req, res) => {
+  const { id } = req.params;
+  const { guardianId, email } = req.body;
+
+  if (!guardianId && !email) {
+    return res.status(400).json({ error: 'Guardian id or email is required' });
+  }
+
+  try {
+    const studentResult = await pool.query(
+      'SELECT id, name, email FROM users WHERE id = $1 AND role = $2',
       [id, 'student']
     );
-    
-    if (result.rowCount === 0) {
+    const student = studentResult.rows[0];
+    if (!student) {
       return res.status(404).json({ error: 'Student not found' });
     }
-    
-    res.json({ success: true, message: 'Student deleted successfully' });
+
+    const guardianResult = guardianId
+      ? await pool.query('SELECT id, name FROM users WHERE id = $1 AND role = $2', [guardianId, 'guardian'])
+      : await pool.query('SELECT id, name FROM users WHERE email = $1 AND role = $2', [String(email).trim(), 'guardian']);
+    const guardian = guardianResult.rows[0];
+    if (!guardian) {
+      return res.status(404).json({ error: 'No guardian account found' });
+    }
+
+    const link = await requestGuardianLink(pool, { guardianId: guardian.id, studentId: student.id, adminId: req.user.id });
+    if (!link) {
+      return res.status(409).json({ error: 'This guardian is already linked or waiting for approval' });
+    }
+    console.log(`👪 Admin ${req.user.id} requested guardian link ${link.id} (guardian ${guardian.id}, student ${student.id})`);
+    await audit(pool, req, {
+      action: 'guardian_link.create', targetType: 'guardian_link', targetId: link.id,
+      targetLabel: `${guardian.name} → ${student.name}`, after: link
+    });
+
+    // Not awaited: the request is also listed on the student's guardian settings
+    sendMail({
+      to: student.email,
+      ...guardianLinkRequestEmail({ name: student.name, guardianName: guardian.name, reviewUrl: appLink('/my-classes') })
+    }).catch(error => {
+      console.error('❌ Guardian request mail error:', error);
+    });
+
+    res.status(201).json(link);
   } catch (error) {
-    console.error('Delete student error:', error);
+    console.error('Create guardian link error:', error);
     res.status(500).json({ error: 'Database error' });
   }
 });
 
-// Secure sensitive data access endpoints
-app.post('/api/admin/students/:id/request-access', authenticateToken, async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+app.delete('/api/admin/guardian-links/:id', authenticateToken, requirePermission('guardians:manage'), async (req, res) => {
+  try {
+    const link = await endGuardianLink(pool, { endedBy: req.user.id, linkId: req.params.id });
+    if (!link) {
+      return res.status(404).json({ error: 'Guardian link not found' });
+    }
+    await audit(pool, req, {
+      action: 'guardian_link.end', targetType: 'guardian_link', targetId: link.id,
+      after: { status: link.status, ended_at: link.ended_at }
+    });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('End guardian link error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Account deletion requests
+app.get('/api/admin/deletion-requests', authenticateToken, requirePermission('account_deletion:review'), async (req, res) => {
+  const { status } = req.query;
+  if (status && !['pending', 'approved', 'rejected', 'cancelled'].includes(status)) {
+    return res.status(400).json({ error: 'Invalid status' });
+  }
+
+  try {
+    res.json(await listDeletionRequests(pool, { status }));
+  } catch (error) {
+    console.error('Get deletion requests error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Approving anonymizes the account for good; rejecting keeps it as it is
+app.post('/api/admin/deletion-requests/:id/review', authenticateToken, requirePermission('account_deletion:review'), async (req, res) => {
+  const { decision, comment } = req.body;
+  if (!['approve', 'reject'].includes(decision)) {
+    return res.status(400).json({ error: 'Decision must be approve or reject' });
+  }
+  const approve = decision === 'approve';
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const reviewed = await reviewDeletionRequest(client, {
+      requestId: req.params.id,
+      reviewerId: req.user.id,
+      approve,
+      comment: typeof comment === 'string' ? comment.trim() : null
+    });
+    if (!reviewed) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'No pending deletion request found' });
+    }
+    await audit(client, req, {
+      action: approve ? 'account_deletion.approve' : 'account_deletion.reject',
+      targetType: 'user',
+      targetId: reviewed.user.id,
+      targetLabel: approve ? null : `${reviewed.user.name} <${reviewed.user.email}>`,
+      reason: reviewed.request.review_comment
+    });
+    await client.query('COMMIT');
+
+    console.log(`🗑️ Admin ${req.user.id} ${approve ? 'approved' : 'rejected'} deletion request ${reviewed.request.id} (user ${reviewed.user.id})`);
+
+    // Sent to the address the account had before anonymization
+    sendMail({
+      to: reviewed.user.email,
+      ...deletionRequestReviewedEmail({
+        name: reviewed.user.name,
+        approved: approve,
+        comment: reviewed.request.review_comment,
+        url: appLink(approve ? '/' : '/profile')
+      })
+    }).catch(error => {
+      console.error('❌ Deletion review mail error:', error);
+    });
+
+    res.json(reviewed.request);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Review deletion request error:', error);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    client.release();
   }
+});
+
+// Secure sensitive data access endpoints
 
+// Data types under the approval policy go to the review queue; the others are granted right away
+app.post('/api/admin/students/:id/request-access', authenticateToken, requirePermission('students:sensitive_data'), async (req, res) => {
   const { id } = req.params;
-  const { dataType, reason } = req.body;
+  const { dataType } = req.body;
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
 
   if (!dataType || !reason) {
     return res.status(400).json({ error: 'Data type and reason are required' });
   }
 
-  if (!['phone', 'guardian_phone', 'location', 'all'].includes(dataType)) {
+  if (!SENSITIVE_DATA_TYPES.includes(dataType)) {
     return res.status(400).json({ error: 'Invalid data type' });
   }
 
@@ -1118,49 +4075,72 @@ app.post('/api/admin/students/:id/request-access', authenticateToken, async (req
       'SELECT id, name FROM users WHERE id = $1 AND role = $2',
       [id, 'student']
     );
+    const student = studentResult.rows[0];
 
-    if (studentResult.rows.length === 0) {
+    if (!student) {
       return res.status(404).json({ error: 'Student not found' });
     }
 
     // Check if access already exists and is still valid
-    const existingAccess = await pool.query(
-      `SELECT * FROM sensitive_data_access 
-       WHERE admin_id = $1 AND student_id = $2 AND access_type = $3 AND is_active = true AND expires_at > NOW()`,
-      [req.user.id, id, dataType]
-    );
+    const existingAccess = await findActiveGrant(pool, { adminId: req.user.id, studentId: id, dataType });
 
-    if (existingAccess.rows.length > 0) {
+    if (existingAccess) {
       return res.json({ 
         success: true, 
         message: 'Access already granted',
-        accessId: existingAccess.rows[0].id,
-        expiresAt: existingAccess.rows[0].expires_at
+        accessId: existingAccess.id,
+        expiresAt: existingAccess.expires_at
       });
     }
 
-    // Grant access for 1 hour
-    const expiresAt = new Date(Date.now() + 60 * 60 * 1000); // 1 hour from now
+    const logEntry = { adminId: req.user.id, studentId: student.id, dataType, reason, ...requestContext(req) };
 
-    const accessResult = await pool.query(
-      `INSERT INTO sensitive_data_access (admin_id, student_id, access_type, reason, expires_at)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING id, granted_at, expires_at`,
-      [req.user.id, id, dataType, reason, expiresAt]
-    );
+    if (isApprovalRequiredFor(dataType)) {
+      const request = await createAccessRequest(pool, { requesterId: req.user.id, studentId: student.id, dataType, reason });
+      if (!request) {
+        return res.status(409).json({ error: 'You already have a pending request for this data' });
+      }
+      await logSensitiveDataAccess(pool, { ...logEntry, action: 'request' });
+      console.log(`🔐 Admin ${req.user.id} requested ${dataType} of student ${student.id}, waiting for approval`);
+
+      // Not awaited: the request is also listed in the reviewers' queue
+      const reviewers = await pool.query(
+        `SELECT name, email FROM users
+         WHERE role = ANY($1) AND id <> $2 AND anonymized_at IS NULL`,
+        [getRolesWithPermission('sensitive_data:approve'), req.user.id]
+      );
+      for (const reviewer of reviewers.rows) {
+        sendMail({
+          to: reviewer.email,
+          ...sensitiveAccessRequestedEmail({
+            name: reviewer.name,
+            requesterName: request.requester_name,
+            studentName: student.name,
+            dataType,
+            reason,
+            reviewUrl: appLink('/admin', { tab: 'data-access' })
+          })
+        }).catch(error => {
+          console.error('❌ Sensitive access request mail error:', error);
+        });
+      }
 
-    // Log the access request
-    await pool.query(
-      `INSERT INTO access_audit_log (admin_id, student_id, action, data_type, reason, ip_address, user_agent)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-      [req.user.id, id, 'request', dataType, reason, req.ip, req.get('User-Agent')]
-    );
+      return res.status(202).json({
+        success: true,
+        pending: true,
+        message: 'Access request sent for approval',
+        request
+      });
+    }
+
+    const access = await grantSensitiveAccess(pool, { adminId: req.user.id, studentId: student.id, dataType, reason });
+    await logSensitiveDataAccess(pool, { ...logEntry, action: 'request' });
 
     res.json({
       success: true,
       message: 'Access granted',
-      accessId: accessResult.rows[0].id,
-      expiresAt: accessResult.rows[0].expires_at
+      accessId: access.id,
+      expiresAt: access.expires_at
     });
 
   } catch (error) {
@@ -1169,75 +4149,157 @@ app.post('/api/admin/students/:id/request-access', authenticateToken, async (req
   }
 });
 
-app.get('/api/admin/students/:id/sensitive-data', authenticateToken, async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+// The review queue: pending requests of other admins, or every decision with ?status=all
+app.get('/api/admin/sensitive-access-requests', authenticateToken, requirePermission('sensitive_data:approve'), async (req, res) => {
+  const status = req.query.status || 'pending';
+  if (status !== 'all' && !['pending', 'approved', 'denied', 'cancelled'].includes(status)) {
+    return res.status(400).json({ error: 'Invalid status' });
+  }
+
+  try {
+    res.json(await listAccessRequests(pool, {
+      status: status === 'all' ? undefined : status,
+      excludeRequesterId: status === 'pending' ? req.user.id : undefined
+    }));
+  } catch (error) {
+    console.error('Get sensitive access requests error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.get('/api/admin/sensitive-access-requests/mine', authenticateToken, requirePermission('students:sensitive_data'), async (req, res) => {
+  try {
+    res.json(await listAccessRequests(pool, { requesterId: req.user.id }));
+  } catch (error) {
+    console.error('Get own sensitive access requests error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.post('/api/admin/sensitive-access-requests/:id/review', authenticateToken, requirePermission('sensitive_data:approve'), async (req, res) => {
+  const { decision } = req.body;
+  const comment = typeof req.body.comment === 'string' ? req.body.comment.trim() : '';
+
+  if (!['approve', 'deny'].includes(decision)) {
+    return res.status(400).json({ error: 'Decision must be approve or deny' });
+  }
+  if (!comment) {
+    return res.status(400).json({ error: 'A comment is required' });
+  }
+  const approve = decision === 'approve';
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const reviewed = await reviewAccessRequest(client, { requestId: req.params.id, reviewerId: req.user.id, approve, comment });
+    if (!reviewed) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'No pending access request found' });
+    }
+    if (reviewed.error === 'own_request') {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Another administrator has to review your own request' });
+    }
+
+    const { request } = reviewed;
+    await logSensitiveDataAccess(client, {
+      adminId: req.user.id,
+      studentId: request.student_id,
+      action: approve ? 'grant' : 'deny',
+      dataType: request.data_type,
+      reason: comment,
+      ...requestContext(req)
+    });
+    await client.query('COMMIT');
+
+    console.log(`🔐 Admin ${req.user.id} ${approve ? 'approved' : 'denied'} sensitive access request ${request.id} of admin ${request.requester_id}`);
+
+    sendMail({
+      to: request.requester_email,
+      ...sensitiveAccessReviewedEmail({
+        name: request.requester_name,
+        approved: approve,
+        reviewerName: request.reviewed_by_name,
+        studentName: request.student_name,
+        dataType: request.data_type,
+        comment,
+        expiresInMinutes: ACCESS_WINDOW_MINUTES,
+        url: appLink('/admin', { tab: 'data-access' })
+      })
+    }).catch(error => {
+      console.error('❌ Sensitive access review mail error:', error);
+    });
+
+    res.json(request);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Review sensitive access request error:', error);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    client.release();
+  }
+});
+
+app.delete('/api/admin/sensitive-access-requests/:id', authenticateToken, requirePermission('students:sensitive_data'), async (req, res) => {
+  try {
+    const request = await cancelAccessRequest(pool, { requestId: req.params.id, requesterId: req.user.id });
+    if (!request) {
+      return res.status(404).json({ error: 'No pending access request found' });
+    }
+    res.json(request);
+  } catch (error) {
+    console.error('Cancel sensitive access request error:', error);
+    res.status(500).json({ error: 'Database error' });
   }
+});
 
+app.get('/api/admin/students/:id/sensitive-data', authenticateToken, requirePermission('students:sensitive_data'), async (req, res) => {
   const { id } = req.params;
   const { dataType } = req.query;
 
-  if (!dataType || !['phone', 'guardian_phone', 'location', 'all'].includes(dataType)) {
+  if (!dataType || !SENSITIVE_DATA_TYPES.includes(dataType)) {
     return res.status(400).json({ error: 'Valid data type is required' });
   }
 
   try {
     // Check if admin has valid access
-    const accessResult = await pool.query(
-      `SELECT * FROM sensitive_data_access 
-       WHERE admin_id = $1 AND student_id = $2 AND access_type = $3 AND is_active = true AND expires_at > NOW()`,
-      [req.user.id, id, dataType]
-    );
+    const access = await findActiveGrant(pool, { adminId: req.user.id, studentId: id, dataType });
 
-    if (accessResult.rows.length === 0) {
+    if (!access) {
       return res.status(403).json({ error: 'Access not granted or expired' });
     }
 
-    // Get encrypted sensitive data
-    const sensitiveDataResult = await pool.query(
-      `SELECT * FROM student_sensitive_data WHERE user_id = $1`,
-      [id]
-    );
+    // Get and decrypt sensitive data
+    const sensitiveData = await loadSensitiveData(pool, id);
 
-    if (sensitiveDataResult.rows.length === 0) {
+    if (!sensitiveData) {
       return res.status(404).json({ error: 'Sensitive data not found' });
     }
 
-    const sensitiveData = sensitiveDataResult.rows[0];
     const decryptedData = {};
 
-    // Decrypt requested data
+    // Only return the requested fields
     if (dataType === 'phone' || dataType === 'all') {
-      if (sensitiveData.phone_number_encrypted) {
-        // Note: In a real implementation, you'd need to securely retrieve the encryption key
-        // For now, we'll return a placeholder indicating the data exists
-        decryptedData.phoneNumber = '[ENCRYPTED - Requires secure key retrieval]';
-      }
+      decryptedData.phoneNumber = sensitiveData.phoneNumber;
     }
 
     if (dataType === 'guardian_phone' || dataType === 'all') {
-      if (sensitiveData.guardian_phone_encrypted) {
-        decryptedData.guardianPhone = '[ENCRYPTED - Requires secure key retrieval]';
-      }
+      decryptedData.guardianPhone = sensitiveData.guardianPhone;
     }
 
     if (dataType === 'location' || dataType === 'all') {
-      if (sensitiveData.location_encrypted) {
-        decryptedData.currentLocation = '[ENCRYPTED - Requires secure key retrieval]';
-      }
+      decryptedData.currentLocation = sensitiveData.currentLocation;
     }
 
     // Log the data access
-    await pool.query(
-      `INSERT INTO access_audit_log (admin_id, student_id, action, data_type, reason, ip_address, user_agent)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-      [req.user.id, id, 'view', dataType, 'Data accessed', req.ip, req.get('User-Agent')]
-    );
+    await logSensitiveDataAccess(pool, {
+      adminId: req.user.id, studentId: id, action: 'view', dataType, reason: 'Data accessed', ...requestContext(req)
+    });
 
     res.json({
       success: true,
       data: decryptedData,
-      accessExpiresAt: accessResult.rows[0].expires_at
+      accessExpiresAt: access.expires_at
     });
 
   } catch (error) {
@@ -1246,34 +4308,89 @@ app.get('/api/admin/students/:id/sensitive-data', authenticateToken, async (req,
   }
 });
 
-app.get('/api/admin/access-audit', authenticateToken, async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+// The audit trail of admin actions and sensitive data access, newest first, one page at a time
+app.get('/api/admin/access-audit', authenticateToken, requirePermission('audit:read'), async (req, res) => {
+  const { actorId, action, targetType, targetId, from, to } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 25, 1), MAX_AUDIT_PAGE_SIZE);
+
+  for (const [name, value] of Object.entries({ actorId, targetId })) {
+    if (value && !/^\d+$/.test(value)) {
+      return res.status(400).json({ error: `${name} must be a number` });
+    }
+  }
+  for (const value of [from, to]) {
+    if (value && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(new Date(value).getTime()))) {
+      return res.status(400).json({ error: 'Dates must be in YYYY-MM-DD format' });
+    }
+  }
+
+  try {
+    res.json(await listAuditEntries(pool, { actorId, action, targetType, targetId, from, to, page, pageSize }));
+  } catch (error) {
+    console.error('Get access audit error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.get('/api/admin/auth-lockouts', authenticateToken, requirePermission('security:manage'), async (req, res) => {
+  const { action, active } = req.query;
+
+  try {
+    const conditions = [];
+    const values = [];
+    if (action) {
+      values.push(action);
+      conditions.push(`al.action = $${values.length}`);
+    }
+    if (active === 'true') {
+      conditions.push('al.released_at IS NULL AND al.locked_until > CURRENT_TIMESTAMP');
+    }
+
+    const result = await pool.query(`
+      SELECT al.*, u.name as user_name, u.email as user_email, r.name as released_by_name,
+        (al.released_at IS NULL AND al.locked_until > CURRENT_TIMESTAMP) as is_active
+      FROM auth_lockouts al
+      LEFT JOIN users u ON al.user_id = u.id
+      LEFT JOIN users r ON al.released_by = r.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY al.created_at DESC
+      LIMIT 200
+    `, values);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get auth lockouts error:', error);
+    res.status(500).json({ error: 'Database error' });
   }
+});
+
+// Lets an admin unlock an account or IP before the lockout runs out
+app.post('/api/admin/auth-lockouts/:id/release', authenticateToken, requirePermission('security:manage'), async (req, res) => {
+  const { id } = req.params;
 
   try {
     const result = await pool.query(
-      `SELECT 
-        aal.id,
-        aal.action,
-        aal.data_type,
-        aal.reason,
-        aal.created_at,
-        aal.ip_address,
-        admin.name as admin_name,
-        student.name as student_name,
-        student.email as student_email
-       FROM access_audit_log aal
-       JOIN users admin ON aal.admin_id = admin.id
-       JOIN users student ON aal.student_id = student.id
-       ORDER BY aal.created_at DESC
-       LIMIT 100`,
-      []
+      `UPDATE auth_lockouts SET released_at = CURRENT_TIMESTAMP, released_by = $1
+       WHERE id = $2 AND released_at IS NULL
+       RETURNING *`,
+      [req.user.id, id]
     );
+    const lockout = result.rows[0];
 
-    res.json(result.rows);
+    if (!lockout) {
+      return res.status(404).json({ error: 'Lockout not found or already released' });
+    }
+
+    await bruteForceGuards[lockout.action].release(lockout.scope, lockout.identifier);
+    await audit(pool, req, {
+      action: 'auth_lockout.release', targetType: 'auth_lockout', targetId: lockout.id,
+      targetLabel: `${lockout.action} ${lockout.scope} ${lockout.identifier}`,
+      before: { released_at: null }, after: { released_at: lockout.released_at }
+    });
+    res.json(lockout);
   } catch (error) {
-    console.error('Get access audit error:', error);
+    console.error('Release auth lockout error:', error);
     res.status(500).json({ error: 'Database error' });
   }
 });
@@ -1298,6 +4415,14 @@ app.use('*', (req, res) => {
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+// Only serve traffic against a fully migrated schema
+initializeDatabase()
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+    });
+  })
+  .catch(() => {
+    console.error('❌ Database initialization failed, not starting the server');
+    process.exit(1);
+  });
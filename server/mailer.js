@@ -0,0 +1,109 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+// Outgoing mail. A transport is any object with an async send(message) method,
+// where message is { from, to, subject, text, html }. MAIL_TRANSPORT selects
+// one of the built-in transports:
+//   smtp    - delivers through an SMTP server (nodemailer)
+//   file    - writes every message as JSON into MAIL_FILE_DIR
+//   console - prints messages to the server log (default)
+// The file and console transports need no network, so development and tests
+// can read the mails (and the links inside them) without a mail server.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Read lazily: dotenv runs after ES module imports are evaluated
+const getMailFrom = () => process.env.MAIL_FROM || 'Educational Platform <no-reply@localhost>';
+const getMailFileDir = () => process.env.MAIL_FILE_DIR || path.join(__dirname, 'mail-outbox');
+
+export const createConsoleTransport = () => ({
+  name: 'console',
+  async send(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}`);
+    console.log(message.text);
+    return { delivered: true };
+  }
+});
+
+export const createFileTransport = (dir = getMailFileDir()) => ({
+  name: 'file',
+  async send(message) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    const filePath = path.join(dir, filename);
+    await fs.promises.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    console.log(`📧 Mail to ${message.to} written to ${filePath}`);
+    return { delivered: true, path: filePath };
+  }
+});
+
+export const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  let transporterPromise = null;
+
+  // nodemailer is only loaded once a mail is actually sent over SMTP
+  const getTransporter = () => {
+    if (!transporterPromise) {
+      transporterPromise = import('nodemailer').then(({ default: nodemailer }) =>
+        nodemailer.createTransport({
+          host,
+          port,
+          secure,
+          auth: user ? { user, pass } : undefined
+        })
+      );
+    }
+    return transporterPromise;
+  };
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const transporter = await getTransporter();
+      const info = await transporter.sendMail(message);
+      return { delivered: true, messageId: info.messageId };
+    }
+  };
+};
+
+export const createTransportFromEnv = () => {
+  const kind = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+
+  if (kind === 'smtp') {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('MAIL_TRANSPORT=smtp requires SMTP_HOST');
+    }
+    const port = parseInt(process.env.SMTP_PORT || '587', 10);
+    return createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    });
+  }
+  if (kind === 'file') {
+    return createFileTransport();
+  }
+  if (kind !== 'console') {
+    console.warn(`⚠️ Unknown MAIL_TRANSPORT "${kind}", falling back to console`);
+  }
+  return createConsoleTransport();
+};
+
+let transport = null;
+
+export const getMailTransport = () => {
+  if (!transport) {
+    transport = createTransportFromEnv();
+  }
+  return transport;
+};
+
+// Replaces the transport, e.g. with an in-memory one in tests
+export const setMailTransport = (nextTransport) => {
+  transport = nextTransport;
+};
+
+export const sendMail = (message) => getMailTransport().send({ from: getMailFrom(), ...message });
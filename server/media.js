@@ -0,0 +1,51 @@
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Paid content (lesson videos and attachments) lives outside the public uploads
+// folder and is only streamed through short-lived signed URLs.
+// A signature binds the file, the user and the class it was granted for.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const MEDIA_DIR = path.join(__dirname, 'media');
+export const MEDIA_PREFIX = '/media/';
+
+// Read lazily: dotenv runs after ES module imports are evaluated
+const getSigningSecret = () => process.env.MEDIA_SIGNING_SECRET || process.env.JWT_SECRET || 'fallback-secret';
+const getUrlTtlSeconds = () => parseInt(process.env.MEDIA_URL_TTL_SECONDS || '3600', 10);
+
+export const isProtectedMediaPath = (mediaPath) =>
+  typeof mediaPath === 'string' &&
+  mediaPath.startsWith(MEDIA_PREFIX) &&
+  !mediaPath.slice(MEDIA_PREFIX.length).includes('/');
+
+const computeSignature = (mediaPath, userId, classId, expires) =>
+  crypto
+    .createHmac('sha256', getSigningSecret())
+    .update(`${mediaPath}\n${userId}\n${classId}\n${expires}`)
+    .digest('base64url');
+
+export const signMediaUrl = (mediaPath, userId, classId) => {
+  const expires = Math.floor(Date.now() / 1000) + getUrlTtlSeconds();
+  const params = new URLSearchParams({
+    uid: String(userId),
+    cid: String(classId),
+    expires: String(expires),
+    sig: computeSignature(mediaPath, userId, classId, expires)
+  });
+
+  return {
+    url: `${mediaPath}?${params.toString()}`,
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+export const verifyMediaSignature = (mediaPath, { uid, cid, expires, sig } = {}) => {
+  if (!uid || !cid || !expires || !sig) return false;
+  if (parseInt(expires, 10) < Math.floor(Date.now() / 1000)) return false;
+
+  const expected = Buffer.from(computeSignature(mediaPath, uid, cid, expires));
+  const given = Buffer.from(String(sig));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Schema migration CLI
+ *
+ * Usage:
+ *   npm run migrate:status
+ *   npm run migrate:up [-- <steps>]
+ *   npm run migrate:down [-- <steps>]   (defaults to 1 step)
+ */
+
+import { pool } from './db.js';
+import { migrationStatus, migrateUp, migrateDown } from './migrator.js';
+
+const [command = 'status', stepsArg] = process.argv.slice(2);
+
+const parseSteps = (fallback) => {
+  if (stepsArg === undefined) return fallback;
+  const steps = parseInt(stepsArg, 10);
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error(`Invalid step count: ${stepsArg}`);
+  }
+  return steps;
+};
+
+const printStatus = (status) => {
+  if (status.length === 0) {
+    console.log('No migrations found');
+    return;
+  }
+
+  const icons = { applied: '✅', pending: '⏳', changed: '⚠️ ', missing: '❌' };
+  for (const migration of status) {
+    const version = String(migration.version).padStart(3, '0');
+    const appliedAt = migration.appliedAt ? ` (${new Date(migration.appliedAt).toISOString()})` : '';
+    console.log(`${icons[migration.state]} ${version}_${migration.name} - ${migration.state}${appliedAt}`);
+  }
+};
+
+const run = async () => {
+  switch (command) {
+    case 'status':
+      printStatus(await migrationStatus(pool));
+      break;
+    case 'up': {
+      const applied = await migrateUp(pool, { steps: parseSteps(Infinity) });
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Schema is up to date');
+      break;
+    }
+    case 'down': {
+      const reverted = await migrateDown(pool, { steps: parseSteps(1) });
+      console.log(reverted.length > 0 ? `✅ Reverted ${reverted.length} migration(s)` : 'Nothing to revert');
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}". Use status, up or down.`);
+  }
+};
+
+run()
+  .then(() => pool.end())
+  .catch(async (error) => {
+    console.error('❌ Migration failed:', error.message);
+    await pool.end();
+    process.exit(1);
+  });
@@ -0,0 +1,88 @@
+-- Baseline schema that initializeDatabase used to create on startup.
+-- Written with IF NOT EXISTS so databases created before migrations existed converge to it.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  email TEXT UNIQUE NOT NULL,
+  password TEXT NOT NULL,
+  name TEXT NOT NULL,
+  role TEXT DEFAULT 'student',
+  country TEXT,
+  "phoneNumber" TEXT,
+  "guardianPhone" TEXT,
+  "currentLocation" TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Older databases created users before the contact columns were added
+ALTER TABLE users ADD COLUMN IF NOT EXISTS "phoneNumber" TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS "guardianPhone" TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS "currentLocation" TEXT;
+
+CREATE TABLE IF NOT EXISTS teachers (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  bio TEXT,
+  subject TEXT NOT NULL,
+  photo TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS classes (
+  id SERIAL PRIMARY KEY,
+  title TEXT NOT NULL,
+  description TEXT,
+  teacher_id INTEGER,
+  video_url TEXT,
+  thumbnail TEXT,
+  price DECIMAL(10,2) DEFAULT 0,
+  is_free BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (teacher_id) REFERENCES teachers(id)
+);
+
+CREATE TABLE IF NOT EXISTS access_codes (
+  id SERIAL PRIMARY KEY,
+  code TEXT UNIQUE NOT NULL,
+  class_id INTEGER,
+  price DECIMAL(10,2) NOT NULL,
+  is_used BOOLEAN DEFAULT false,
+  used_by INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  used_at TIMESTAMP,
+  FOREIGN KEY (class_id) REFERENCES classes(id),
+  FOREIGN KEY (used_by) REFERENCES users(id)
+);
+
+CREATE TABLE IF NOT EXISTS user_classes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER,
+  class_id INTEGER,
+  enrolled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id),
+  FOREIGN KEY (class_id) REFERENCES classes(id),
+  UNIQUE(user_id, class_id)
+);
+
+-- Encrypted copies of student phone, guardian phone and location
+CREATE TABLE IF NOT EXISTS student_sensitive_data (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER UNIQUE NOT NULL,
+  phone_number_encrypted TEXT,
+  guardian_phone_encrypted TEXT,
+  location_encrypted TEXT,
+  encrypted_data_key TEXT NOT NULL,
+  key_version INTEGER NOT NULL DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS student_sensitive_data;
+DROP TABLE IF EXISTS user_classes;
+DROP TABLE IF EXISTS access_codes;
+DROP TABLE IF EXISTS classes;
+DROP TABLE IF EXISTS teachers;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,38 @@
+-- Time-limited admin grants on student sensitive data, and the audit log of every request and view.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS sensitive_data_access (
+  id SERIAL PRIMARY KEY,
+  admin_id INTEGER NOT NULL,
+  student_id INTEGER NOT NULL,
+  access_type TEXT NOT NULL CHECK (access_type IN ('phone', 'guardian_phone', 'location', 'all')),
+  reason TEXT NOT NULL,
+  granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  is_active BOOLEAN DEFAULT true,
+  FOREIGN KEY (admin_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_sensitive_data_access_lookup
+  ON sensitive_data_access (admin_id, student_id, access_type);
+
+CREATE TABLE IF NOT EXISTS access_audit_log (
+  id SERIAL PRIMARY KEY,
+  admin_id INTEGER NOT NULL,
+  student_id INTEGER NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('request', 'grant', 'deny', 'view', 'expire')),
+  data_type TEXT NOT NULL CHECK (data_type IN ('phone', 'guardian_phone', 'location', 'all')),
+  reason TEXT,
+  ip_address TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (admin_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_access_audit_log_created_at ON access_audit_log (created_at DESC);
+
+-- migrate:down
+DROP TABLE IF EXISTS access_audit_log;
+DROP TABLE IF EXISTS sensitive_data_access;
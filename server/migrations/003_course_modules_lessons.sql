@@ -0,0 +1,34 @@
+-- Course structure inside a class: ordered modules, each holding ordered lessons.
+-- Access is still granted per class through user_classes.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS modules (
+  id SERIAL PRIMARY KEY,
+  class_id INTEGER NOT NULL,
+  title TEXT NOT NULL,
+  description TEXT,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_modules_class ON modules (class_id, sort_order);
+
+CREATE TABLE IF NOT EXISTS lessons (
+  id SERIAL PRIMARY KEY,
+  module_id INTEGER NOT NULL,
+  title TEXT NOT NULL,
+  description TEXT,
+  video_url TEXT,
+  attachments JSONB NOT NULL DEFAULT '[]',
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (module_id) REFERENCES modules(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_lessons_module ON lessons (module_id, sort_order);
+
+-- migrate:down
+DROP TABLE IF EXISTS lessons;
+DROP TABLE IF EXISTS modules;
@@ -0,0 +1,18 @@
+-- Last playback position and completion per user and lesson.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS lesson_progress (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  lesson_id INTEGER NOT NULL,
+  position_seconds NUMERIC(10,2) NOT NULL DEFAULT 0,
+  duration_seconds NUMERIC(10,2),
+  completed_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (lesson_id) REFERENCES lessons(id) ON DELETE CASCADE,
+  UNIQUE(user_id, lesson_id)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS lesson_progress;
@@ -0,0 +1,61 @@
+-- Quizzes and exams attached to a class or to one of its lessons,
+-- with their questions and graded student attempts.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS quizzes (
+  id SERIAL PRIMARY KEY,
+  class_id INTEGER NOT NULL,
+  lesson_id INTEGER,
+  title TEXT NOT NULL,
+  description TEXT DEFAULT '',
+  time_limit_minutes INTEGER CHECK (time_limit_minutes IS NULL OR time_limit_minutes > 0),
+  max_attempts INTEGER CHECK (max_attempts IS NULL OR max_attempts > 0),
+  shuffle_questions BOOLEAN DEFAULT true,
+  passing_score NUMERIC(5,2) CHECK (passing_score IS NULL OR (passing_score >= 0 AND passing_score <= 100)),
+  is_published BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
+  FOREIGN KEY (lesson_id) REFERENCES lessons(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_quizzes_class ON quizzes(class_id);
+
+CREATE TABLE IF NOT EXISTS quiz_questions (
+  id SERIAL PRIMARY KEY,
+  quiz_id INTEGER NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('multiple_choice', 'true_false', 'short_answer', 'numeric')),
+  prompt TEXT NOT NULL,
+  options JSONB NOT NULL DEFAULT '[]',
+  correct_answer JSONB NOT NULL,
+  points NUMERIC(6,2) NOT NULL DEFAULT 1 CHECK (points > 0),
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  FOREIGN KEY (quiz_id) REFERENCES quizzes(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_quiz_questions_quiz ON quiz_questions(quiz_id);
+
+-- question_order is fixed when the attempt starts so a reload keeps the same order
+CREATE TABLE IF NOT EXISTS quiz_attempts (
+  id SERIAL PRIMARY KEY,
+  quiz_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  question_order JSONB NOT NULL,
+  answers JSONB NOT NULL DEFAULT '{}',
+  results JSONB,
+  score NUMERIC(8,2),
+  max_score NUMERIC(8,2),
+  status TEXT NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'submitted', 'expired')),
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP,
+  submitted_at TIMESTAMP,
+  FOREIGN KEY (quiz_id) REFERENCES quizzes(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_quiz_attempts_quiz_user ON quiz_attempts(quiz_id, user_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS quiz_attempts;
+DROP TABLE IF EXISTS quiz_questions;
+DROP TABLE IF EXISTS quizzes;
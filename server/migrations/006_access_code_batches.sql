@@ -0,0 +1,56 @@
+-- Batches of access codes with expiry, multi-use redemption limits and revocation.
+-- is_used stays in sync and now means "no redemptions left".
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS access_code_batches (
+  id SERIAL PRIMARY KEY,
+  class_id INTEGER NOT NULL,
+  label TEXT DEFAULT '',
+  price DECIMAL(10,2) NOT NULL,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  max_redemptions INTEGER NOT NULL DEFAULT 1 CHECK (max_redemptions > 0),
+  expires_at TIMESTAMP,
+  created_by INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+ALTER TABLE access_codes ADD COLUMN IF NOT EXISTS batch_id INTEGER REFERENCES access_code_batches(id) ON DELETE SET NULL;
+ALTER TABLE access_codes ADD COLUMN IF NOT EXISTS max_redemptions INTEGER NOT NULL DEFAULT 1 CHECK (max_redemptions > 0);
+ALTER TABLE access_codes ADD COLUMN IF NOT EXISTS redemption_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE access_codes ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+ALTER TABLE access_codes ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP;
+ALTER TABLE access_codes ADD COLUMN IF NOT EXISTS revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_access_codes_batch ON access_codes(batch_id);
+
+-- One row per user who redeemed a code; a user can redeem the same code only once
+CREATE TABLE IF NOT EXISTS access_code_redemptions (
+  id SERIAL PRIMARY KEY,
+  access_code_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  redeemed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (access_code_id) REFERENCES access_codes(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE(access_code_id, user_id)
+);
+
+-- Codes redeemed before this migration count as one redemption
+INSERT INTO access_code_redemptions (access_code_id, user_id, redeemed_at)
+SELECT id, used_by, COALESCE(used_at, created_at) FROM access_codes
+WHERE is_used = true AND used_by IS NOT NULL
+ON CONFLICT (access_code_id, user_id) DO NOTHING;
+
+UPDATE access_codes SET redemption_count = 1 WHERE is_used = true;
+
+-- migrate:down
+DROP TABLE IF EXISTS access_code_redemptions;
+DROP INDEX IF EXISTS idx_access_codes_batch;
+ALTER TABLE access_codes DROP COLUMN IF EXISTS revoked_by;
+ALTER TABLE access_codes DROP COLUMN IF EXISTS revoked_at;
+ALTER TABLE access_codes DROP COLUMN IF EXISTS expires_at;
+ALTER TABLE access_codes DROP COLUMN IF EXISTS redemption_count;
+ALTER TABLE access_codes DROP COLUMN IF EXISTS max_redemptions;
+ALTER TABLE access_codes DROP COLUMN IF EXISTS batch_id;
+DROP TABLE IF EXISTS access_code_batches;
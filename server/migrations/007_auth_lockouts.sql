@@ -0,0 +1,25 @@
+-- Audit trail of brute-force lockouts on login and code redemption.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS auth_lockouts (
+  id SERIAL PRIMARY KEY,
+  action TEXT NOT NULL CHECK (action IN ('login', 'redeem_code')),
+  scope TEXT NOT NULL CHECK (scope IN ('ip', 'account')),
+  identifier TEXT NOT NULL,
+  user_id INTEGER,
+  ip_address TEXT,
+  user_agent TEXT,
+  failed_attempts INTEGER NOT NULL,
+  lockout_level INTEGER NOT NULL,
+  locked_until TIMESTAMP NOT NULL,
+  released_at TIMESTAMP,
+  released_by INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (released_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_lockouts_created_at ON auth_lockouts(created_at);
+
+-- migrate:down
+DROP TABLE IF EXISTS auth_lockouts;
@@ -0,0 +1,29 @@
+-- Single-use password reset tokens (hashed) and lockouts for reset requests.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  requested_ip TEXT,
+  requested_user_agent TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  used_ip TEXT,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id);
+
+ALTER TABLE auth_lockouts DROP CONSTRAINT IF EXISTS auth_lockouts_action_check;
+ALTER TABLE auth_lockouts ADD CONSTRAINT auth_lockouts_action_check
+  CHECK (action IN ('login', 'redeem_code', 'password_reset'));
+
+-- migrate:down
+DELETE FROM auth_lockouts WHERE action = 'password_reset';
+ALTER TABLE auth_lockouts DROP CONSTRAINT IF EXISTS auth_lockouts_action_check;
+ALTER TABLE auth_lockouts ADD CONSTRAINT auth_lockouts_action_check
+  CHECK (action IN ('login', 'redeem_code'));
+
+DROP TABLE IF EXISTS password_reset_tokens;
@@ -0,0 +1,7 @@
+-- Teacher logins: a users row with role 'teacher' is linked to at most one teachers row.
+
+-- migrate:up
+ALTER TABLE teachers ADD COLUMN IF NOT EXISTS user_id INTEGER UNIQUE REFERENCES users(id) ON DELETE SET NULL;
+
+-- migrate:down
+ALTER TABLE teachers DROP COLUMN IF EXISTS user_id;
@@ -0,0 +1,48 @@
+-- Guardian accounts linked to students, by a student's invite code or by an admin.
+-- A link only shows the student's data once it is active, i.e. the student consented.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS guardian_invites (
+  id SERIAL PRIMARY KEY,
+  student_id INTEGER NOT NULL,
+  code_hash TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_ip TEXT,
+  created_user_agent TEXT,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  used_by INTEGER,
+  revoked_at TIMESTAMP,
+  FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (used_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS guardian_links (
+  id SERIAL PRIMARY KEY,
+  guardian_id INTEGER NOT NULL,
+  student_id INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'active', 'declined', 'revoked')),
+  linked_via TEXT NOT NULL CHECK (linked_via IN ('invite_code', 'admin')),
+  invite_id INTEGER,
+  created_by INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  consent_given_at TIMESTAMP,
+  consent_ip TEXT,
+  consent_user_agent TEXT,
+  ended_at TIMESTAMP,
+  ended_by INTEGER,
+  FOREIGN KEY (guardian_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (invite_id) REFERENCES guardian_invites(id) ON DELETE SET NULL,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (ended_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Ended links stay as consent history; only one open link per guardian and student
+CREATE UNIQUE INDEX IF NOT EXISTS idx_guardian_links_open
+  ON guardian_links (guardian_id, student_id) WHERE status IN ('pending', 'active');
+CREATE INDEX IF NOT EXISTS idx_guardian_links_student ON guardian_links (student_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS guardian_links;
+DROP TABLE IF EXISTS guardian_invites;
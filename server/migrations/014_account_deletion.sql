@@ -0,0 +1,30 @@
+-- Account deletion requests reviewed by an admin, and the anonymization marker on users.
+-- Anonymized users keep their row (and id) so code redemptions stay countable.
+
+-- migrate:up
+ALTER TABLE users ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS account_deletion_requests (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+  reason TEXT DEFAULT '',
+  requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  requested_ip TEXT,
+  requested_user_agent TEXT,
+  reviewed_by INTEGER,
+  reviewed_at TIMESTAMP,
+  review_comment TEXT,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- One open request per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_account_deletion_requests_pending
+  ON account_deletion_requests (user_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_account_deletion_requests_status
+  ON account_deletion_requests (status, requested_at DESC);
+
+-- migrate:down
+DROP TABLE IF EXISTS account_deletion_requests;
+ALTER TABLE users DROP COLUMN IF EXISTS anonymized_at;
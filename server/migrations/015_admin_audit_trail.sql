@@ -0,0 +1,51 @@
+-- Turns access_audit_log into the audit trail of every admin action, not only
+-- sensitive data requests. Entries name their target by type and id (plus a label,
+-- as the target may be deleted later) and carry a before/after diff. The trail
+-- outlives the admin who wrote it.
+
+-- migrate:up
+ALTER TABLE access_audit_log ADD COLUMN IF NOT EXISTS target_type TEXT;
+ALTER TABLE access_audit_log ADD COLUMN IF NOT EXISTS target_id INTEGER;
+ALTER TABLE access_audit_log ADD COLUMN IF NOT EXISTS target_label TEXT;
+ALTER TABLE access_audit_log ADD COLUMN IF NOT EXISTS changes JSONB;
+
+ALTER TABLE access_audit_log DROP CONSTRAINT IF EXISTS access_audit_log_action_check;
+ALTER TABLE access_audit_log ALTER COLUMN student_id DROP NOT NULL;
+ALTER TABLE access_audit_log ALTER COLUMN data_type DROP NOT NULL;
+
+ALTER TABLE access_audit_log ALTER COLUMN admin_id DROP NOT NULL;
+ALTER TABLE access_audit_log DROP CONSTRAINT IF EXISTS access_audit_log_admin_id_fkey;
+ALTER TABLE access_audit_log ADD CONSTRAINT access_audit_log_admin_id_fkey
+  FOREIGN KEY (admin_id) REFERENCES users(id) ON DELETE SET NULL;
+
+UPDATE access_audit_log
+SET action = 'sensitive_data.' || action, target_type = 'user', target_id = student_id
+WHERE action NOT LIKE '%.%';
+
+CREATE INDEX IF NOT EXISTS idx_access_audit_log_admin ON access_audit_log (admin_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_access_audit_log_target ON access_audit_log (target_type, target_id);
+CREATE INDEX IF NOT EXISTS idx_access_audit_log_action ON access_audit_log (action);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_access_audit_log_action;
+DROP INDEX IF EXISTS idx_access_audit_log_target;
+DROP INDEX IF EXISTS idx_access_audit_log_admin;
+
+-- Only sensitive data entries fit the old shape
+DELETE FROM access_audit_log
+WHERE action NOT LIKE 'sensitive_data.%' OR admin_id IS NULL OR student_id IS NULL;
+UPDATE access_audit_log SET action = substring(action FROM length('sensitive_data.') + 1);
+
+ALTER TABLE access_audit_log DROP CONSTRAINT IF EXISTS access_audit_log_admin_id_fkey;
+ALTER TABLE access_audit_log ADD CONSTRAINT access_audit_log_admin_id_fkey
+  FOREIGN KEY (admin_id) REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE access_audit_log ALTER COLUMN admin_id SET NOT NULL;
+ALTER TABLE access_audit_log ALTER COLUMN data_type SET NOT NULL;
+ALTER TABLE access_audit_log ALTER COLUMN student_id SET NOT NULL;
+ALTER TABLE access_audit_log ADD CONSTRAINT access_audit_log_action_check
+  CHECK (action IN ('request', 'grant', 'deny', 'view', 'expire'));
+
+ALTER TABLE access_audit_log DROP COLUMN IF EXISTS changes;
+ALTER TABLE access_audit_log DROP COLUMN IF EXISTS target_label;
+ALTER TABLE access_audit_log DROP COLUMN IF EXISTS target_id;
+ALTER TABLE access_audit_log DROP COLUMN IF EXISTS target_type;
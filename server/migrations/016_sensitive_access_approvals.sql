@@ -0,0 +1,31 @@
+-- Two-person approval for sensitive data access. A request waits here until a
+-- different admin approves or denies it; approving opens the usual time-limited
+-- grant in sensitive_data_access.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS sensitive_data_access_requests (
+  id SERIAL PRIMARY KEY,
+  requester_id INTEGER NOT NULL,
+  student_id INTEGER NOT NULL,
+  data_type TEXT NOT NULL CHECK (data_type IN ('phone', 'guardian_phone', 'location', 'all')),
+  reason TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'denied', 'cancelled')),
+  requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  reviewed_by INTEGER,
+  reviewed_at TIMESTAMP,
+  review_comment TEXT,
+  access_id INTEGER,
+  FOREIGN KEY (requester_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (access_id) REFERENCES sensitive_data_access(id) ON DELETE SET NULL
+);
+
+-- One open request per admin, student and data type
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sensitive_data_access_requests_pending
+  ON sensitive_data_access_requests (requester_id, student_id, data_type) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_sensitive_data_access_requests_status
+  ON sensitive_data_access_requests (status, requested_at DESC);
+
+-- migrate:down
+DROP TABLE IF EXISTS sensitive_data_access_requests;
@@ -0,0 +1,26 @@
+-- Soft deletion for teachers, classes and students. Deleting sets deleted_at and
+-- hides the row everywhere outside the admin trash; the row, its enrollments and
+-- its access codes stay until an admin restores or purges it.
+
+-- migrate:up
+ALTER TABLE teachers ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE teachers ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE classes ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE classes ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_teachers_deleted_at ON teachers (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_classes_deleted_at ON classes (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_users_deleted_at ON users (deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_users_deleted_at;
+DROP INDEX IF EXISTS idx_classes_deleted_at;
+DROP INDEX IF EXISTS idx_teachers_deleted_at;
+ALTER TABLE users DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE users DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE classes DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE classes DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE teachers DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE teachers DROP COLUMN IF EXISTS deleted_at;
@@ -0,0 +1,14 @@
+-- Full-text search for the public class catalog. The index is on an expression
+-- rather than a stored column so `SELECT c.*` responses stay unchanged; queries
+-- must repeat the expression exactly (CLASS_SEARCH_VECTOR_SQL in server/catalog.js)
+-- to use it. The 'simple' configuration only lowercases and splits words, so
+-- Arabic and English titles match alike; the title ranks above the description.
+
+-- migrate:up
+CREATE INDEX IF NOT EXISTS idx_classes_search ON classes USING GIN ((
+  setweight(to_tsvector('simple', COALESCE(title, '')), 'A') ||
+  setweight(to_tsvector('simple', COALESCE(description, '')), 'B')
+));
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_classes_search;
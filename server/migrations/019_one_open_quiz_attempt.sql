@@ -0,0 +1,19 @@
+-- A student has at most one attempt in progress per quiz. Attempts start under a
+-- lock on the quiz row; this index is the backstop. Extra open attempts left over
+-- from before are closed as expired first, ungraded, keeping the newest one open.
+
+-- migrate:up
+UPDATE quiz_attempts a
+SET status = 'expired', results = '[]', score = 0, max_score = 0, submitted_at = CURRENT_TIMESTAMP
+WHERE a.status = 'in_progress'
+  AND EXISTS (
+    SELECT 1 FROM quiz_attempts newer
+    WHERE newer.quiz_id = a.quiz_id AND newer.user_id = a.user_id AND newer.status = 'in_progress'
+      AND (newer.started_at, newer.id) > (a.started_at, a.id)
+  );
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_quiz_attempts_one_open
+  ON quiz_attempts(quiz_id, user_id) WHERE status = 'in_progress';
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_quiz_attempts_one_open;
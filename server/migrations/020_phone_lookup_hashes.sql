@@ -0,0 +1,17 @@
+-- Keyed hashes (HMAC) of the digits of both phone numbers, so the admin student
+-- search can match an exact phone number without decrypting anything or
+-- returning it. Filled by saveSensitiveData; rows saved before this are
+-- backfilled by the server on startup.
+
+-- migrate:up
+ALTER TABLE student_sensitive_data ADD COLUMN IF NOT EXISTS phone_number_hash TEXT;
+ALTER TABLE student_sensitive_data ADD COLUMN IF NOT EXISTS guardian_phone_hash TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_student_sensitive_data_phone_hash ON student_sensitive_data (phone_number_hash);
+CREATE INDEX IF NOT EXISTS idx_student_sensitive_data_guardian_phone_hash ON student_sensitive_data (guardian_phone_hash);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_student_sensitive_data_guardian_phone_hash;
+DROP INDEX IF EXISTS idx_student_sensitive_data_phone_hash;
+ALTER TABLE student_sensitive_data DROP COLUMN IF EXISTS guardian_phone_hash;
+ALTER TABLE student_sensitive_data DROP COLUMN IF EXISTS phone_number_hash;
@@ -0,0 +1,186 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Versioned schema migrations.
+// Each file in server/migrations is named <version>_<name>.sql and holds a
+// "-- migrate:up" section and an optional "-- migrate:down" section.
+// Applied versions are recorded in schema_migrations together with a checksum
+// of the file, so an edited migration is reported instead of silently skipped.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.sql$/;
+const UP_MARKER = '-- migrate:up';
+const DOWN_MARKER = '-- migrate:down';
+
+// Arbitrary key for pg_advisory_lock so two servers never migrate at once
+const LOCK_KEY = 4827301;
+
+const parseMigration = (file) => {
+  const [, version, name] = file.match(FILE_PATTERN);
+  const source = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+
+  const upIndex = source.indexOf(UP_MARKER);
+  const downIndex = source.indexOf(DOWN_MARKER);
+  if (upIndex === -1) {
+    throw new Error(`Migration ${file} is missing a "${UP_MARKER}" section`);
+  }
+
+  const upEnd = downIndex > upIndex ? downIndex : source.length;
+  return {
+    version: parseInt(version, 10),
+    name,
+    file,
+    up: source.slice(upIndex + UP_MARKER.length, upEnd).trim(),
+    down: downIndex === -1 ? '' : source.slice(downIndex + DOWN_MARKER.length).trim(),
+    checksum: crypto.createHash('sha256').update(source).digest('hex')
+  };
+};
+
+export const loadMigrations = () => {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => FILE_PATTERN.test(file))
+    .map(parseMigration)
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+    }
+  }
+
+  return migrations;
+};
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getAppliedMigrations = async (client) => {
+  const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+};
+
+// Runs fn with a dedicated client holding the migration lock
+const withMigrationLock = async (pool, fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+};
+
+const buildStatus = (migrations, applied) => {
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+  const known = new Set(migrations.map(m => m.version));
+
+  const status = migrations.map(migration => {
+    const row = appliedByVersion.get(migration.version);
+    return {
+      version: migration.version,
+      name: migration.name,
+      state: !row ? 'pending' : row.checksum === migration.checksum ? 'applied' : 'changed',
+      appliedAt: row ? row.applied_at : null
+    };
+  });
+
+  // Applied in the database but the file is gone
+  for (const row of applied) {
+    if (!known.has(row.version)) {
+      status.push({ version: row.version, name: row.name, state: 'missing', appliedAt: row.applied_at });
+    }
+  }
+
+  return status.sort((a, b) => a.version - b.version);
+};
+
+const assertNoDrift = (status) => {
+  const drifted = status.filter(m => m.state === 'changed' || m.state === 'missing');
+  if (drifted.length > 0) {
+    const list = drifted.map(m => `${m.version}_${m.name} (${m.state})`).join(', ');
+    throw new Error(`Applied migrations do not match the files on disk: ${list}`);
+  }
+};
+
+export const migrationStatus = async (pool) => {
+  const migrations = loadMigrations();
+  return withMigrationLock(pool, async (client) => buildStatus(migrations, await getAppliedMigrations(client)));
+};
+
+// Applies pending migrations in version order, each in its own transaction
+export const migrateUp = async (pool, { steps = Infinity } = {}) => {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(pool, async (client) => {
+    const status = buildStatus(migrations, await getAppliedMigrations(client));
+    assertNoDrift(status);
+
+    const pendingVersions = new Set(status.filter(m => m.state === 'pending').map(m => m.version));
+    const pending = migrations.filter(m => pendingVersions.has(m.version)).slice(0, steps);
+
+    for (const migration of pending) {
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.up);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+        await client.query('COMMIT');
+        console.log(`⬆️  Applied migration ${migration.file}`);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+      }
+    }
+
+    return pending.map(m => m.file);
+  });
+};
+
+// Reverts the most recently applied migrations, newest first
+export const migrateDown = async (pool, { steps = 1 } = {}) => {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(pool, async (client) => {
+    const status = buildStatus(migrations, await getAppliedMigrations(client));
+    assertNoDrift(status);
+
+    const appliedVersions = status.filter(m => m.state === 'applied').map(m => m.version);
+    const toRevert = migrations
+      .filter(m => appliedVersions.includes(m.version))
+      .reverse()
+      .slice(0, steps);
+
+    for (const migration of toRevert) {
+      if (!migration.down) {
+        throw new Error(`Migration ${migration.file} has no "${DOWN_MARKER}" section and cannot be reverted`);
+      }
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.down);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        await client.query('COMMIT');
+        console.log(`⬇️  Reverted migration ${migration.file}`);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Reverting ${migration.file} failed: ${error.message}`);
+      }
+    }
+
+    return toRevert.map(m => m.file);
+  });
+};
@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+
+// Password reset tokens. The token only travels in the reset link; the
+// database keeps its SHA-256 hash. A token expires after
+// PASSWORD_RESET_TTL_MINUTES, is consumed by its first use, and requesting a
+// new one invalidates the older links of the same user.
+
+// Read lazily: dotenv runs after ES module imports are evaluated
+export const getPasswordResetTtlMinutes = () => parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export const createPasswordResetToken = async (db, userId, { ip, userAgent } = {}) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await db.query(
+    `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND used_at IS NULL`,
+    [userId]
+  );
+  const result = await db.query(
+    `INSERT INTO password_reset_tokens (user_id, token_hash, requested_ip, requested_user_agent, expires_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(mins => $5))
+     RETURNING expires_at`,
+    [userId, hashToken(token), ip || null, userAgent || null, getPasswordResetTtlMinutes()]
+  );
+
+  return { token, expiresAt: result.rows[0].expires_at };
+};
+
+/**
+ * Marks a valid token as used and returns its user id, or null when the token
+ * is unknown, expired or already used. The single UPDATE makes concurrent
+ * uses of the same token succeed only once.
+ */
+export const consumePasswordResetToken = async (db, token, { ip } = {}) => {
+  if (typeof token !== 'string' || !token) return null;
+
+  const result = await db.query(
+    `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP, used_ip = $2
+     WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING user_id`,
+    [hashToken(token), ip || null]
+  );
+  return result.rows[0]?.user_id ?? null;
+};
@@ -0,0 +1,51 @@
+// Central roles → permissions map. Routes ask for a permission, never for a role,
+// so adding a role or moving a capability between roles only touches this file.
+// Permissions are looked up from the role on every request (the role itself is
+// in the access token), so changes here apply without signing anyone out.
+
+export const ROLE_PERMISSIONS = {
+  admin: [
+    'admin_panel:view',
+    'teachers:write',
+    'classes:write',
+    'classes:manage_all',
+    'classes:delete',
+    'quizzes:write',
+    'quiz_results:read',
+    'access_codes:manage',
+    'students:read',
+    'students:write',
+    'students:sensitive_data',
+    // Reviewing other admins' sensitive data requests; nobody can approve their own
+    'sensitive_data:approve',
+    'guardians:manage',
+    'account_deletion:review',
+    'audit:read',
+    'security:manage',
+    // Restoring also needs the permission for that kind of row; purging is permanent
+    'trash:manage',
+    'trash:purge'
+  ],
+  // classes:write without classes:manage_all is limited to the teacher's own classes
+  teacher: [
+    'classes:write',
+    'teacher_profile:write'
+  ],
+  // Guardians get a read-only view of students who consented to the link
+  guardian: [
+    'guardian_portal:view',
+    'account_deletion:request'
+  ],
+  student: [
+    'guardian_links:manage',
+    'account_deletion:request'
+  ]
+};
+
+export const getPermissionsForRole = (role) => ROLE_PERMISSIONS[role] || [];
+
+export const getRolesWithPermission = (permission) =>
+  Object.keys(ROLE_PERMISSIONS).filter(role => ROLE_PERMISSIONS[role].includes(permission));
+
+export const hasPermission = (user, permission) =>
+  !!user && getPermissionsForRole(user.role).includes(permission);
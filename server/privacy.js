@@ -0,0 +1,239 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { loadSensitiveData } from './secureStorage.js';
+
+// Personal data exports and account deletion. A deletion request is reviewed by
+// an admin; approving it anonymizes the account instead of deleting the row, so
+// code redemptions (what was paid for which class, and when) stay in the books
+// without pointing to a person.
+
+/**
+ * Everything stored about a user, grouped by topic. Sections that do not apply
+ * to the account's role are empty. Secrets (password and 2FA hashes, token
+ * hashes) are left out; audit entries only carry what was done and when.
+ */
+export const collectPersonalData = async (db, userId) => {
+  const query = async (sql) => (await db.query(sql, [userId])).rows;
+
+  const [profile] = await query(
+    `SELECT id, name, email, role, country, created_at, email_verified_at, totp_enabled_at
+     FROM users WHERE id = $1`
+  );
+  if (!profile) return null;
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile,
+    // The encrypted copies of phone numbers and location, decrypted
+    contactDetails: await loadSensitiveData(db, userId),
+    enrollments: await query(
+      `SELECT c.id as class_id, c.title as class_title, t.name as teacher_name, uc.enrolled_at
+       FROM user_classes uc
+       JOIN classes c ON uc.class_id = c.id
+       LEFT JOIN teachers t ON c.teacher_id = t.id
+       WHERE uc.user_id = $1
+       ORDER BY uc.enrolled_at`
+    ),
+    codeRedemptions: await query(
+      `SELECT ac.code, c.title as class_title, ac.price, r.redeemed_at
+       FROM access_code_redemptions r
+       JOIN access_codes ac ON r.access_code_id = ac.id
+       LEFT JOIN classes c ON ac.class_id = c.id
+       WHERE r.user_id = $1
+       ORDER BY r.redeemed_at`
+    ),
+    lessonProgress: await query(
+      `SELECT c.title as class_title, l.title as lesson_title, lp.position_seconds, lp.duration_seconds,
+         lp.completed_at, lp.updated_at
+       FROM lesson_progress lp
+       JOIN lessons l ON lp.lesson_id = l.id
+       JOIN modules m ON l.module_id = m.id
+       JOIN classes c ON m.class_id = c.id
+       WHERE lp.user_id = $1
+       ORDER BY lp.updated_at`
+    ),
+    quizAttempts: await query(
+      `SELECT q.title as quiz_title, a.status, a.answers, a.score, a.max_score, a.started_at, a.submitted_at
+       FROM quiz_attempts a
+       JOIN quizzes q ON a.quiz_id = q.id
+       WHERE a.user_id = $1
+       ORDER BY a.started_at`
+    ),
+    guardianLinks: await query(
+      `SELECT l.status, l.linked_via, l.created_at, l.consent_given_at, l.consent_ip, l.ended_at,
+         CASE WHEN l.student_id = $1 THEN 'student' ELSE 'guardian' END as your_side,
+         CASE WHEN l.student_id = $1 THEN g.name ELSE s.name END as linked_with
+       FROM guardian_links l
+       JOIN users g ON l.guardian_id = g.id
+       JOIN users s ON l.student_id = s.id
+       WHERE l.student_id = $1 OR l.guardian_id = $1
+       ORDER BY l.created_at`
+    ),
+    sessions: await query(
+      `SELECT ip_address, user_agent, created_at, last_used_at, expires_at, revoked_at, revoked_reason
+       FROM sessions WHERE user_id = $1 ORDER BY created_at`
+    ),
+    auditEntries: {
+      sensitiveDataAccess: await query(
+        `SELECT action, data_type, reason, created_at FROM access_audit_log
+         WHERE student_id = $1 ORDER BY created_at`
+      ),
+      adminActions: await query(
+        `SELECT action, changes, reason, created_at FROM access_audit_log
+         WHERE target_type = 'user' AND target_id = $1 AND student_id IS NULL
+         ORDER BY created_at`
+      ),
+      lockouts: await query(
+        `SELECT action, scope, ip_address, failed_attempts, locked_until, released_at, created_at
+         FROM auth_lockouts WHERE user_id = $1 ORDER BY created_at`
+      ),
+      passwordResets: await query(
+        `SELECT created_at, requested_ip, used_at FROM password_reset_tokens
+         WHERE user_id = $1 ORDER BY created_at`
+      )
+    },
+    deletionRequests: await query(
+      `SELECT status, reason, requested_at, reviewed_at, review_comment
+       FROM account_deletion_requests WHERE user_id = $1 ORDER BY requested_at`
+    )
+  };
+};
+
+// The export split into one JSON file per section, for the ZIP download
+export const toExportFiles = (data) => [
+  {
+    name: 'README.txt',
+    content: [
+      `Personal data export created ${data.exportedAt}.`,
+      'Each file holds one part of the data stored about your account.',
+      'Passwords and security codes are never exported.'
+    ].join('\r\n')
+  },
+  ...Object.entries(data)
+    .filter(([section]) => section !== 'exportedAt')
+    .map(([section, value]) => ({ name: `${section}.json`, content: JSON.stringify(value, null, 2) }))
+];
+
+const REQUEST_COLUMNS = 'id, user_id, status, reason, requested_at, reviewed_at, review_comment';
+
+// Returns the new request, or null if one is already pending
+export const requestAccountDeletion = async (db, userId, { reason, ip, userAgent } = {}) => {
+  const result = await db.query(
+    `INSERT INTO account_deletion_requests (user_id, reason, requested_ip, requested_user_agent)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (user_id) WHERE status = 'pending' DO NOTHING
+     RETURNING ${REQUEST_COLUMNS}`,
+    [userId, reason || '', ip || null, userAgent || null]
+  );
+  return result.rows[0] || null;
+};
+
+export const cancelAccountDeletion = async (db, userId) => {
+  const result = await db.query(
+    `UPDATE account_deletion_requests SET status = 'cancelled', reviewed_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND status = 'pending'
+     RETURNING ${REQUEST_COLUMNS}`,
+    [userId]
+  );
+  return result.rows[0] || null;
+};
+
+export const getLatestDeletionRequest = async (db, userId) => {
+  const result = await db.query(
+    `SELECT ${REQUEST_COLUMNS} FROM account_deletion_requests
+     WHERE user_id = $1 ORDER BY requested_at DESC, id DESC LIMIT 1`,
+    [userId]
+  );
+  return result.rows[0] || null;
+};
+
+export const listDeletionRequests = async (db, { status } = {}) => {
+  const result = await db.query(
+    `SELECT r.id, r.user_id, r.status, r.reason, r.requested_at, r.reviewed_at, r.review_comment,
+       u.name as user_name, u.email as user_email, u.role as user_role, u.anonymized_at,
+       rv.name as reviewed_by_name
+     FROM account_deletion_requests r
+     JOIN users u ON r.user_id = u.id
+     LEFT JOIN users rv ON r.reviewed_by = rv.id
+     WHERE ($1::text IS NULL OR r.status = $1)
+     ORDER BY r.requested_at DESC`,
+    [status || null]
+  );
+  return result.rows;
+};
+
+/**
+ * Settles a pending request. Approving anonymizes the account in the same
+ * transaction, so run it inside one. Returns { request, user } with the user as
+ * it was before anonymization (to notify them), or null if nothing is pending.
+ */
+export const reviewDeletionRequest = async (db, { requestId, reviewerId, approve, comment }) => {
+  const pending = await db.query(
+    `SELECT r.id, u.id as user_id, u.name, u.email
+     FROM account_deletion_requests r
+     JOIN users u ON r.user_id = u.id
+     WHERE r.id = $1 AND r.status = 'pending'
+     FOR UPDATE OF r`,
+    [requestId]
+  );
+  const user = pending.rows[0];
+  if (!user) return null;
+
+  if (approve) {
+    await anonymizeUser(db, user.user_id);
+  }
+
+  const result = await db.query(
+    `UPDATE account_deletion_requests
+     SET status = $2, reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP, review_comment = $4
+     WHERE id = $1
+     RETURNING ${REQUEST_COLUMNS}`,
+    [requestId, approve ? 'approved' : 'rejected', reviewerId, comment || null]
+  );
+  return { request: result.rows[0], user: { id: user.user_id, name: user.name, email: user.email } };
+};
+
+/**
+ * Removes personal data while keeping the user row. Redemptions and the codes'
+ * used_by stay pointed at the anonymized id; enrollments, learning history,
+ * sessions, tokens and guardian links go, as do names and diffs in audit entries
+ * about the account. The random password ends all logins.
+ */
+export const anonymizeUser = async (db, userId) => {
+  const unusablePassword = bcrypt.hashSync(crypto.randomBytes(32).toString('hex'), 10);
+
+  await db.query(
+    `UPDATE users SET
+       name = 'Deleted user',
+       email = 'deleted-user-' || id || '@anonymized.invalid',
+       password = $2,
+       "phoneNumber" = NULL, "guardianPhone" = NULL, "currentLocation" = NULL, country = NULL,
+       totp_secret_encrypted = NULL, totp_pending_secret_encrypted = NULL,
+       totp_enabled_at = NULL, totp_last_used_step = NULL,
+       anonymized_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [userId, unusablePassword]
+  );
+
+  for (const sql of [
+    'DELETE FROM student_sensitive_data WHERE user_id = $1',
+    'DELETE FROM sessions WHERE user_id = $1',
+    'DELETE FROM password_reset_tokens WHERE user_id = $1',
+    'DELETE FROM email_verification_tokens WHERE user_id = $1',
+    'DELETE FROM user_recovery_codes WHERE user_id = $1',
+    'DELETE FROM lesson_progress WHERE user_id = $1',
+    'DELETE FROM quiz_attempts WHERE user_id = $1',
+    'DELETE FROM user_classes WHERE user_id = $1',
+    'DELETE FROM guardian_invites WHERE student_id = $1',
+    'DELETE FROM guardian_links WHERE student_id = $1 OR guardian_id = $1',
+    `UPDATE auth_lockouts
+     SET identifier = CASE WHEN scope = 'account' THEN 'anonymized' ELSE identifier END, user_agent = NULL
+     WHERE user_id = $1`,
+    `UPDATE account_deletion_requests SET requested_ip = NULL, requested_user_agent = NULL WHERE user_id = $1`,
+    // The admin audit trail keeps what was done to the account, not who it was
+    `UPDATE access_audit_log SET target_label = NULL, changes = NULL
+     WHERE target_type = 'user' AND target_id = $1`
+  ]) {
+    await db.query(sql, [userId]);
+  }
+};
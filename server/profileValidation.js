@@ -0,0 +1,66 @@
+// Profile field rules, kept in line with the checks RegisterPage.tsx runs on signup
+// (src/utils/profileValidation.ts holds the client copy).
+
+export const PHONE_PATTERN = /^\+?\d{10,15}$/;
+export const MIN_PASSWORD_LENGTH = 6;
+
+export const COUNTRIES = [
+  'Egypt',
+  'Saudi Arabia',
+  'United Arab Emirates',
+  'Jordan',
+  'Lebanon',
+  'Syria',
+  'Iraq',
+  'Kuwait',
+  'Bahrain',
+  'Qatar',
+  'Oman',
+  'Yemen',
+  'Palestine',
+  'Algeria',
+  'Morocco',
+  'Tunisia',
+  'Libya',
+  'Sudan',
+  'Mauritania',
+  'Comoros',
+  'Djibouti',
+  'Somalia'
+];
+
+const FIELD_RULES = {
+  name: (value) => (value.trim() ? null : 'Full name is required'),
+  phoneNumber: (value) => (PHONE_PATTERN.test(value.trim()) ? null : 'Please enter a valid phone number (10-15 digits)'),
+  guardianPhone: (value) =>
+    PHONE_PATTERN.test(value.trim()) ? null : 'Please enter a valid guardian phone number (10-15 digits)',
+  currentLocation: (value) => (value.trim() ? null : 'Current city/location is required'),
+  country: (value) => (COUNTRIES.includes(value.trim()) ? null : 'Please select your country')
+};
+
+// Students keep the full signup profile; other accounts only have a name and a phone number
+const STUDENT_PROFILE_FIELDS = ['name', 'phoneNumber', 'guardianPhone', 'currentLocation', 'country'];
+const BASIC_PROFILE_FIELDS = ['name', 'phoneNumber'];
+
+export const getEditableProfileFields = (role) =>
+  role === 'student' ? STUDENT_PROFILE_FIELDS : BASIC_PROFILE_FIELDS;
+
+/**
+ * Validates the given profile fields; fields that are not present are skipped.
+ * Returns a list of error messages, empty when everything is valid.
+ */
+export const validateProfileFields = (fields) => {
+  const errors = [];
+  for (const [field, value] of Object.entries(fields)) {
+    const rule = FIELD_RULES[field];
+    if (!rule) continue;
+    const error = typeof value === 'string' ? rule(value) : rule('');
+    if (error) errors.push(error);
+  }
+  return errors;
+};
+
+export const validatePassword = (password) =>
+  typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH
+    ? null
+    : `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
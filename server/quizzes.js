@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+
+// Quiz question validation and server-side grading.
+// Answer keys never leave the server: students receive questions through
+// toStudentQuestion and their answers are graded here on submission.
+//
+// Answer key shapes (stored in quiz_questions.correct_answer):
+//   multiple_choice  array of correct option indexes, e.g. [1] or [0, 2]
+//   true_false       boolean
+//   short_answer     array of accepted answers, compared case-insensitively
+//   numeric          { value, tolerance }
+
+export const QUESTION_TYPES = ['multiple_choice', 'true_false', 'short_answer', 'numeric'];
+
+// Submissions arriving this long after the deadline still count (network latency)
+export const SUBMIT_GRACE_SECONDS = 30;
+
+const normalizeText = (value) => String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const parseBoolean = (value) => {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return null;
+};
+
+const parseQuestion = (input, index) => {
+  const label = `Question ${index + 1}`;
+  const type = input?.type;
+  const prompt = String(input?.prompt ?? '').trim();
+  const points = input?.points === undefined || input?.points === '' ? 1 : parseFloat(input.points);
+
+  if (!QUESTION_TYPES.includes(type)) {
+    return { error: `${label}: type must be one of ${QUESTION_TYPES.join(', ')}` };
+  }
+  if (!prompt) {
+    return { error: `${label}: prompt is required` };
+  }
+  if (!Number.isFinite(points) || points <= 0) {
+    return { error: `${label}: points must be a positive number` };
+  }
+
+  const question = { type, prompt, options: [], correct_answer: null, points };
+
+  switch (type) {
+    case 'multiple_choice': {
+      const options = Array.isArray(input.options) ? input.options.map(o => String(o ?? '').trim()) : [];
+      if (options.length < 2 || options.some(o => !o)) {
+        return { error: `${label}: multiple choice needs at least two non-empty options` };
+      }
+      const correct = (Array.isArray(input.correct_answer) ? input.correct_answer : [input.correct_answer])
+        .map(i => parseInt(i, 10));
+      if (correct.length === 0 || correct.some(i => !Number.isInteger(i) || i < 0 || i >= options.length)) {
+        return { error: `${label}: correct answer must reference one of the options` };
+      }
+      question.options = options;
+      question.correct_answer = Array.from(new Set(correct)).sort((a, b) => a - b);
+      break;
+    }
+    case 'true_false': {
+      const correct = parseBoolean(input.correct_answer);
+      if (correct === null) {
+        return { error: `${label}: correct answer must be true or false` };
+      }
+      question.correct_answer = correct;
+      break;
+    }
+    case 'short_answer': {
+      const accepted = (Array.isArray(input.correct_answer) ? input.correct_answer : [input.correct_answer])
+        .map(a => String(a ?? '').trim())
+        .filter(Boolean);
+      if (accepted.length === 0) {
+        return { error: `${label}: at least one accepted answer is required` };
+      }
+      question.correct_answer = accepted;
+      break;
+    }
+    case 'numeric': {
+      const value = parseFloat(input.correct_answer?.value ?? input.correct_answer);
+      const tolerance = parseFloat(input.correct_answer?.tolerance ?? 0) || 0;
+      if (!Number.isFinite(value)) {
+        return { error: `${label}: correct answer must be a number` };
+      }
+      if (tolerance < 0) {
+        return { error: `${label}: tolerance cannot be negative` };
+      }
+      question.correct_answer = { value, tolerance };
+      break;
+    }
+  }
+
+  return { question };
+};
+
+// Validates the question list sent by the admin form
+export const parseQuizQuestions = (input) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'A quiz needs at least one question' };
+  }
+
+  const questions = [];
+  for (let i = 0; i < input.length; i++) {
+    const { question, error } = parseQuestion(input[i], i);
+    if (error) return { error };
+    questions.push(question);
+  }
+  return { questions };
+};
+
+export const isAnswerCorrect = (question, answer) => {
+  if (answer === undefined || answer === null || answer === '') return false;
+
+  switch (question.type) {
+    case 'multiple_choice': {
+      const given = (Array.isArray(answer) ? answer : [answer]).map(i => parseInt(i, 10));
+      const expected = question.correct_answer;
+      const unique = Array.from(new Set(given));
+      return unique.length === expected.length && unique.every(i => expected.includes(i));
+    }
+    case 'true_false':
+      return parseBoolean(answer) === question.correct_answer;
+    case 'short_answer':
+      return question.correct_answer.some(accepted => normalizeText(accepted) === normalizeText(answer));
+    case 'numeric': {
+      const given = parseFloat(answer);
+      const { value, tolerance } = question.correct_answer;
+      return Number.isFinite(given) && Math.abs(given - value) <= tolerance + 1e-9;
+    }
+    default:
+      return false;
+  }
+};
+
+// Grades every question of the attempt; unanswered questions score zero
+export const gradeAttempt = (questions, answers = {}) => {
+  let score = 0;
+  let maxScore = 0;
+
+  const results = questions.map(question => {
+    const points = parseFloat(question.points);
+    const correct = isAnswerCorrect(question, answers[question.id]);
+    maxScore += points;
+    if (correct) score += points;
+    return { question_id: question.id, correct, points_awarded: correct ? points : 0, points };
+  });
+
+  return { score, maxScore, results };
+};
+
+export const percentScore = (score, maxScore) =>
+  maxScore > 0 ? Math.round((parseFloat(score) / parseFloat(maxScore)) * 10000) / 100 : 0;
+
+// Fisher-Yates with a CSPRNG so the order cannot be predicted from earlier attempts
+export const shuffle = (items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+export const toStudentQuestion = ({ correct_answer, quiz_id, sort_order, ...question }) => ({
+  ...question,
+  points: parseFloat(question.points)
+});
@@ -0,0 +1,138 @@
+// Brute-force protection for credential and code endpoints.
+// Failed attempts are counted per key (an IP address or an account) inside a
+// sliding window. Reaching the limit locks the key; every further lockout of
+// the same key doubles the lockout time up to a maximum.
+//
+// Counters live in an attempt store. MemoryAttemptStore keeps them in this
+// process; a shared store (e.g. Redis) only has to implement the same
+// async get/set/delete methods to protect several server instances.
+
+export class MemoryAttemptStore {
+  constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+    this.entries = new Map();
+    // Drop expired entries so the map does not grow with every IP ever seen
+    this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweeper.unref();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+}
+
+const emptyRecord = () => ({ failures: [], lockoutLevel: 0, lockedUntil: 0, lastLockoutAt: 0 });
+
+/**
+ * Creates a guard for one action (e.g. "login").
+ *
+ * limits maps a scope to the failures allowed per window, e.g. { ip: 20, account: 5 }.
+ * onLockout({ action, scope, identifier, failures, lockoutLevel, lockedUntil, context })
+ * is called whenever a key becomes locked.
+ */
+export const createBruteForceGuard = ({
+  action,
+  store = new MemoryAttemptStore(),
+  limits,
+  windowMs,
+  baseLockoutMs,
+  maxLockoutMs,
+  onLockout = () => {}
+}) => {
+  // A key's lockout level is forgotten after a full day without lockouts
+  const levelResetMs = Math.max(24 * 60 * 60 * 1000, maxLockoutMs);
+  const storeKey = (scope, identifier) => `${action}:${scope}:${identifier}`;
+
+  const entriesFor = (identifiers) =>
+    Object.entries(identifiers).filter(([scope, identifier]) => limits[scope] && identifier !== undefined && identifier !== null && identifier !== '');
+
+  const load = async (scope, identifier) => {
+    const record = (await store.get(storeKey(scope, identifier))) || emptyRecord();
+    if (record.lastLockoutAt && Date.now() - record.lastLockoutAt > levelResetMs) {
+      record.lockoutLevel = 0;
+    }
+    return record;
+  };
+
+  // Returns { locked: true, retryAfterSeconds } if any of the keys is locked
+  const check = async (identifiers) => {
+    let retryAfterMs = 0;
+    for (const [scope, identifier] of entriesFor(identifiers)) {
+      const record = await load(scope, identifier);
+      retryAfterMs = Math.max(retryAfterMs, record.lockedUntil - Date.now());
+    }
+    return retryAfterMs > 0
+      ? { locked: true, retryAfterSeconds: Math.ceil(retryAfterMs / 1000) }
+      : { locked: false, retryAfterSeconds: 0 };
+  };
+
+  const fail = async (identifiers, context = {}) => {
+    const now = Date.now();
+    for (const [scope, identifier] of entriesFor(identifiers)) {
+      const record = await load(scope, identifier);
+      record.failures = record.failures.filter(at => now - at < windowMs);
+      record.failures.push(now);
+
+      if (record.failures.length >= limits[scope]) {
+        record.lockoutLevel += 1;
+        const lockoutMs = Math.min(baseLockoutMs * 2 ** (record.lockoutLevel - 1), maxLockoutMs);
+        record.lockedUntil = now + lockoutMs;
+        record.lastLockoutAt = now;
+
+        try {
+          await onLockout({
+            action,
+            scope,
+            identifier,
+            failures: record.failures.length,
+            lockoutLevel: record.lockoutLevel,
+            lockedUntil: new Date(record.lockedUntil),
+            context
+          });
+        } catch (error) {
+          console.error('Lockout handler error:', error);
+        }
+        record.failures = [];
+      }
+
+      await store.set(storeKey(scope, identifier), record, Math.max(windowMs, record.lockedUntil - now) + levelResetMs);
+    }
+  };
+
+  // A success clears the failure count of the given keys but keeps their lockout level
+  const succeed = async (identifiers) => {
+    for (const [scope, identifier] of entriesFor(identifiers)) {
+      const record = await load(scope, identifier);
+      if (record.failures.length === 0) continue;
+      record.failures = [];
+      await store.set(storeKey(scope, identifier), record, levelResetMs);
+    }
+  };
+
+  // Lifts a lockout early (admin action); the failure history is dropped too
+  const release = async (scope, identifier) => {
+    await store.delete(storeKey(scope, identifier));
+  };
+
+  return { action, check, fail, succeed, release };
+};
@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+
+// Envelope encryption for student sensitive data.
+// Each student row gets its own random data key (DEK). Field values are sealed
+// with the DEK, and the DEK itself is sealed with the server-held master key,
+// so only the wrapped DEK is ever stored next to the data.
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const KEY_LENGTH = 32;
+const FORMAT_VERSION = 'v1';
+export const KEY_VERSION = 1;
+
+// Maps API field names to their encrypted columns in student_sensitive_data
+export const SENSITIVE_FIELDS = {
+  phoneNumber: 'phone_number_encrypted',
+  guardianPhone: 'guardian_phone_encrypted',
+  currentLocation: 'location_encrypted'
+};
+
+let masterKey = null;
+
+// Loaded lazily: dotenv runs after ES module imports are evaluated
+const getMasterKey = () => {
+  if (masterKey) return masterKey;
+
+  const raw = process.env.DATA_MASTER_KEY;
+  if (raw) {
+    const key = Buffer.from(raw, /^[0-9a-f]{64}$/i.test(raw) ? 'hex' : 'base64');
+    if (key.length !== KEY_LENGTH) {
+      throw new Error('DATA_MASTER_KEY must be 32 bytes (64 hex characters or base64)');
+    }
+    masterKey = key;
+  } else if (process.env.NODE_ENV === 'production') {
+    throw new Error('DATA_MASTER_KEY is required in production');
+  } else {
+    console.warn('⚠️ DATA_MASTER_KEY is not set, deriving a development key from JWT_SECRET');
+    masterKey = crypto.scryptSync(process.env.JWT_SECRET || 'fallback-secret', 'student-sensitive-data', KEY_LENGTH);
+  }
+
+  return masterKey;
+};
+
+// Output format: v1:<iv>:<auth tag>:<ciphertext>, all base64
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad, 'utf8'));
+  const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [FORMAT_VERSION, iv.toString('base64'), tag.toString('base64'), encrypted.toString('base64')].join(':');
+};
+
+const open = (key, sealed, aad) => {
+  const [version, iv, tag, encrypted] = sealed.split(':');
+  if (version !== FORMAT_VERSION || !iv || !tag || encrypted === undefined) {
+    throw new Error('Unsupported encrypted value format');
+  }
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAAD(Buffer.from(aad, 'utf8'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]);
+};
+
+// Binding the user id and column into the AAD stops ciphertexts being swapped between rows or fields
+const fieldAad = (userId, column) => `student:${userId}:${column}`;
+const dataKeyAad = (userId) => `student:${userId}:data-key`;
+
+export const encryptSensitiveFields = (userId, fields) => {
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+  const row = {
+    encrypted_data_key: seal(getMasterKey(), dataKey, dataKeyAad(userId)),
+    key_version: KEY_VERSION
+  };
+
+  for (const [field, column] of Object.entries(SENSITIVE_FIELDS)) {
+    const value = fields[field];
+    row[column] = value ? seal(dataKey, Buffer.from(String(value), 'utf8'), fieldAad(userId, column)) : null;
+  }
+
+  return row;
+};
+
+export const decryptSensitiveFields = (row) => {
+  const dataKey = open(getMasterKey(), row.encrypted_data_key, dataKeyAad(row.user_id));
+  const fields = {};
+
+  for (const [field, column] of Object.entries(SENSITIVE_FIELDS)) {
+    fields[field] = row[column] ? open(dataKey, row[column], fieldAad(row.user_id, column)).toString('utf8') : null;
+  }
+
+  return fields;
+};
+
+// Phone numbers are also stored as a keyed hash of their digits, so an exact number can be
+// searched for without decrypting. The key is derived from the master key and never stored.
+const MIN_PHONE_LOOKUP_DIGITS = 6;
+
+export const phoneLookupHash = (phone) => {
+  const digits = String(phone ?? '').replace(/\D/g, '');
+  if (digits.length < MIN_PHONE_LOOKUP_DIGITS) return null;
+  const lookupKey = crypto.createHmac('sha256', getMasterKey()).update('phone-lookup').digest();
+  return crypto.createHmac('sha256', lookupKey).update(digits).digest('base64');
+};
+
+// db may be the pool or a checked-out client inside a transaction
+export const saveSensitiveData = async (db, userId, fields) => {
+  const row = encryptSensitiveFields(userId, fields);
+
+  await db.query(`
+    INSERT INTO student_sensitive_data
+    (user_id, phone_number_encrypted, guardian_phone_encrypted, location_encrypted, encrypted_data_key, key_version,
+     phone_number_hash, guardian_phone_hash)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    ON CONFLICT (user_id) DO UPDATE SET
+      phone_number_encrypted = EXCLUDED.phone_number_encrypted,
+      guardian_phone_encrypted = EXCLUDED.guardian_phone_encrypted,
+      location_encrypted = EXCLUDED.location_encrypted,
+      encrypted_data_key = EXCLUDED.encrypted_data_key,
+      key_version = EXCLUDED.key_version,
+      phone_number_hash = EXCLUDED.phone_number_hash,
+      guardian_phone_hash = EXCLUDED.guardian_phone_hash,
+      updated_at = CURRENT_TIMESTAMP
+  `, [userId, row.phone_number_encrypted, row.guardian_phone_encrypted, row.location_encrypted, row.encrypted_data_key, row.key_version,
+    phoneLookupHash(fields.phoneNumber), phoneLookupHash(fields.guardianPhone)]);
+};
+
+export const loadSensitiveData = async (db, userId) => {
+  const result = await db.query('SELECT * FROM student_sensitive_data WHERE user_id = $1', [userId]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+  return decryptSensitiveFields(result.rows[0]);
+};
+
+// Small per-user secrets (e.g. TOTP keys) are sealed directly with the master key.
+// The context string is bound as AAD, like the field AAD above.
+export const sealSecret = (plaintext, context) => seal(getMasterKey(), Buffer.from(plaintext, 'utf8'), context);
+
+export const openSecret = (sealed, context) => open(getMasterKey(), sealed, context).toString('utf8');
@@ -0,0 +1,146 @@
+// Admin access to a student's encrypted contact details. Access is a grant that
+// runs out after ACCESS_WINDOW_MINUTES. For the data types listed in
+// SENSITIVE_DATA_APPROVAL_REQUIRED_FOR (comma separated, "none" turns the policy
+// off) a request first waits for a different admin to approve it; the window
+// opens on approval. Every request, decision and view goes to access_audit_log.
+
+export const SENSITIVE_DATA_TYPES = ['phone', 'guardian_phone', 'location', 'all'];
+export const ACCESS_WINDOW_MINUTES = 60;
+
+// Read lazily: dotenv runs after ES module imports are evaluated
+export const getApprovalRequiredTypes = () => {
+  const configured = process.env.SENSITIVE_DATA_APPROVAL_REQUIRED_FOR;
+  if (configured === undefined) return SENSITIVE_DATA_TYPES;
+  return configured
+    .split(',')
+    .map(type => type.trim())
+    .filter(type => SENSITIVE_DATA_TYPES.includes(type));
+};
+
+export const isApprovalRequiredFor = (dataType) => getApprovalRequiredTypes().includes(dataType);
+
+export const logSensitiveDataAccess = async (db, { adminId, studentId, action, dataType, reason, ip, userAgent }) => {
+  await db.query(
+    `INSERT INTO access_audit_log (admin_id, student_id, action, data_type, reason, ip_address, user_agent, target_type, target_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, 'user', $2)`,
+    [adminId, studentId, `sensitive_data.${action}`, dataType, reason || null, ip || null, userAgent || null]
+  );
+};
+
+export const findActiveGrant = async (db, { adminId, studentId, dataType }) => {
+  const result = await db.query(
+    `SELECT * FROM sensitive_data_access
+     WHERE admin_id = $1 AND student_id = $2 AND access_type = $3 AND is_active = true AND expires_at > NOW()
+     ORDER BY expires_at DESC LIMIT 1`,
+    [adminId, studentId, dataType]
+  );
+  return result.rows[0] || null;
+};
+
+export const grantSensitiveAccess = async (db, { adminId, studentId, dataType, reason }) => {
+  const result = await db.query(
+    `INSERT INTO sensitive_data_access (admin_id, student_id, access_type, reason, expires_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(mins => $5))
+     RETURNING id, granted_at, expires_at`,
+    [adminId, studentId, dataType, reason, ACCESS_WINDOW_MINUTES]
+  );
+  return result.rows[0];
+};
+
+const REQUEST_SELECT = `SELECT r.*, requester.name as requester_name, requester.email as requester_email,
+    student.name as student_name, student.email as student_email, reviewer.name as reviewed_by_name,
+    a.expires_at as access_expires_at
+  FROM sensitive_data_access_requests r
+  JOIN users requester ON r.requester_id = requester.id
+  JOIN users student ON r.student_id = student.id
+  LEFT JOIN users reviewer ON r.reviewed_by = reviewer.id
+  LEFT JOIN sensitive_data_access a ON r.access_id = a.id`;
+
+// Returns the new request, or null if the same one is already pending
+export const createAccessRequest = async (db, { requesterId, studentId, dataType, reason }) => {
+  const result = await db.query(
+    `INSERT INTO sensitive_data_access_requests (requester_id, student_id, data_type, reason)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (requester_id, student_id, data_type) WHERE status = 'pending' DO NOTHING
+     RETURNING id`,
+    [requesterId, studentId, dataType, reason]
+  );
+  return result.rows[0] ? getAccessRequest(db, result.rows[0].id) : null;
+};
+
+export const getAccessRequest = async (db, requestId) => {
+  const result = await db.query(`${REQUEST_SELECT} WHERE r.id = $1`, [requestId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Requests newest first. `requesterId` limits the list to one admin's history;
+ * `excludeRequesterId` hides an admin's own requests from their review queue.
+ */
+export const listAccessRequests = async (db, { status, requesterId, excludeRequesterId } = {}) => {
+  const conditions = [];
+  const values = [];
+  if (status) {
+    values.push(status);
+    conditions.push(`r.status = $${values.length}`);
+  }
+  if (requesterId) {
+    values.push(requesterId);
+    conditions.push(`r.requester_id = $${values.length}`);
+  }
+  if (excludeRequesterId) {
+    values.push(excludeRequesterId);
+    conditions.push(`r.requester_id <> $${values.length}`);
+  }
+
+  const result = await db.query(
+    `${REQUEST_SELECT}
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY r.requested_at DESC, r.id DESC
+     LIMIT 200`,
+    values
+  );
+  return result.rows;
+};
+
+/**
+ * Settles a pending request; approving opens the access window. Run it inside a
+ * transaction. Returns { request }, { error: 'own_request' } when the reviewer
+ * asked for it themselves, or null if nothing is pending.
+ */
+export const reviewAccessRequest = async (db, { requestId, reviewerId, approve, comment }) => {
+  const pending = await db.query(
+    `SELECT * FROM sensitive_data_access_requests WHERE id = $1 AND status = 'pending' FOR UPDATE`,
+    [requestId]
+  );
+  const request = pending.rows[0];
+  if (!request) return null;
+  if (request.requester_id === reviewerId) return { error: 'own_request' };
+
+  const access = approve
+    ? await grantSensitiveAccess(db, {
+      adminId: request.requester_id,
+      studentId: request.student_id,
+      dataType: request.data_type,
+      reason: request.reason
+    })
+    : null;
+
+  await db.query(
+    `UPDATE sensitive_data_access_requests
+     SET status = $2, reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP, review_comment = $4, access_id = $5
+     WHERE id = $1`,
+    [requestId, approve ? 'approved' : 'denied', reviewerId, comment, access?.id ?? null]
+  );
+  return { request: await getAccessRequest(db, requestId) };
+};
+
+export const cancelAccessRequest = async (db, { requestId, requesterId }) => {
+  const result = await db.query(
+    `UPDATE sensitive_data_access_requests SET status = 'cancelled', reviewed_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND requester_id = $2 AND status = 'pending'
+     RETURNING id`,
+    [requestId, requesterId]
+  );
+  return result.rows[0] ? getAccessRequest(db, requestId) : null;
+};
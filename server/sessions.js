@@ -0,0 +1,145 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// Login sessions: short-lived JWT access tokens plus rotating refresh tokens.
+// Each login creates a row in `sessions`; only a SHA-256 hash of the current
+// refresh token is stored. Every refresh replaces the token, and presenting
+// an already rotated token revokes the session, since it means the token was
+// copied. Access tokens carry the session id (sid) so revoking a session
+// locks out its access token on the next request. Sessions opened with a
+// second factor carry mfa: true in their access tokens.
+
+// Read lazily: dotenv runs after ES module imports are evaluated
+const getJwtSecret = () => process.env.JWT_SECRET || 'fallback-secret';
+const getAccessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+const getRefreshTokenTtlDays = () => parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+export const signAccessToken = (user, sessionId, { mfa = false } = {}) =>
+  jwt.sign(
+    { id: user.id, email: user.email, role: user.role, sid: sessionId, mfa },
+    getJwtSecret(),
+    { expiresIn: getAccessTokenTtl() }
+  );
+
+// Resolves to the token payload; rejects with the jsonwebtoken error
+export const verifyAccessToken = (token) =>
+  new Promise((resolve, reject) => {
+    jwt.verify(token, getJwtSecret(), (err, payload) => (err ? reject(err) : resolve(payload)));
+  });
+
+export const createSession = async (db, user, { ip, userAgent, mfa = false } = {}) => {
+  const refreshToken = generateRefreshToken();
+  const result = await db.query(
+    `INSERT INTO sessions (user_id, refresh_token_hash, ip_address, user_agent, expires_at, mfa_verified)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(days => $5), $6)
+     RETURNING id`,
+    [user.id, hashToken(refreshToken), ip || null, userAgent || null, getRefreshTokenTtlDays(), mfa]
+  );
+  const sessionId = result.rows[0].id;
+  return { sessionId, accessToken: signAccessToken(user, sessionId, { mfa }), refreshToken };
+};
+
+// Marks a session as verified with a second factor and returns a matching access token
+export const markSessionMfaVerified = async (db, user, sessionId) => {
+  await db.query('UPDATE sessions SET mfa_verified = true WHERE id = $1', [sessionId]);
+  return signAccessToken(user, sessionId, { mfa: true });
+};
+
+export const isSessionActive = async (db, sessionId) => {
+  const result = await db.query(
+    'SELECT 1 FROM sessions WHERE id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP',
+    [sessionId]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Exchanges a refresh token for a new access/refresh token pair.
+ * Returns { error } when the token is unknown, expired, revoked or reused.
+ */
+export const rotateSession = async (db, refreshToken, { ip, userAgent } = {}) => {
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    return { error: 'Refresh token is required' };
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const result = await db.query(
+    `SELECT s.*, (s.expires_at <= CURRENT_TIMESTAMP) as is_expired,
+       u.email, u.role
+     FROM sessions s JOIN users u ON s.user_id = u.id
+     WHERE s.refresh_token_hash = $1 OR s.previous_token_hash = $1`,
+    [tokenHash]
+  );
+  const session = result.rows[0];
+
+  if (!session) {
+    return { error: 'Invalid refresh token' };
+  }
+  if (session.revoked_at || session.is_expired) {
+    return { error: 'Session has ended' };
+  }
+  if (session.refresh_token_hash !== tokenHash) {
+    await revokeSession(db, session.id, 'refresh_token_reuse');
+    console.warn(`⚠️ Refresh token reuse detected for session ${session.id}; session revoked`);
+    return { error: 'Session has ended' };
+  }
+
+  const nextToken = generateRefreshToken();
+  // The WHERE on the current hash makes two concurrent refreshes with the same token rotate only once
+  const updated = await db.query(
+    `UPDATE sessions
+     SET previous_token_hash = refresh_token_hash, refresh_token_hash = $1,
+         last_used_at = CURRENT_TIMESTAMP, ip_address = COALESCE($2, ip_address), user_agent = COALESCE($3, user_agent)
+     WHERE id = $4 AND refresh_token_hash = $5
+     RETURNING id`,
+    [hashToken(nextToken), ip || null, userAgent || null, session.id, tokenHash]
+  );
+  if (updated.rows.length === 0) {
+    return { error: 'Session has ended' };
+  }
+
+  const user = { id: session.user_id, email: session.email, role: session.role };
+  return {
+    sessionId: session.id,
+    user,
+    accessToken: signAccessToken(user, session.id, { mfa: session.mfa_verified }),
+    refreshToken: nextToken
+  };
+};
+
+export const revokeSession = async (db, sessionId, reason) => {
+  const result = await db.query(
+    `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $1
+     WHERE id = $2 AND revoked_at IS NULL`,
+    [reason, sessionId]
+  );
+  return result.rowCount;
+};
+
+// Ends every session of a user, optionally keeping the one making the request
+export const revokeUserSessions = async (db, userId, reason, { exceptSessionId = null } = {}) => {
+  const result = await db.query(
+    `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $1
+     WHERE user_id = $2 AND revoked_at IS NULL AND ($3::int IS NULL OR id <> $3::int)`,
+    [reason, userId, exceptSessionId]
+  );
+  return result.rowCount;
+};
+
+// Two-step login: after the password step the client gets a short-lived
+// challenge token, which it exchanges together with a TOTP or recovery code
+const TWO_FACTOR_CHALLENGE_PURPOSE = 'two_factor_login';
+
+export const signTwoFactorChallenge = (userId) =>
+  jwt.sign({ id: userId, purpose: TWO_FACTOR_CHALLENGE_PURPOSE }, getJwtSecret(), { expiresIn: '5m' });
+
+// Resolves to the user id, or null when the challenge is invalid or expired
+export const verifyTwoFactorChallenge = (token) =>
+  new Promise((resolve) => {
+    jwt.verify(String(token || ''), getJwtSecret(), (err, payload) =>
+      resolve(!err && payload.purpose === TWO_FACTOR_CHALLENGE_PURPOSE ? payload.id : null)
+    );
+  });
@@ -0,0 +1,173 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { parseCsv } from './csv.js';
+import { readXlsxRows, XlsxLimitError } from './xlsx.js';
+import { validateProfileFields } from './profileValidation.js';
+import { saveSensitiveData } from './secureStorage.js';
+
+// Bulk student onboarding from a CSV or XLSX roster. Every row goes through the
+// signup rules of POST /api/auth/register; nothing is created unless the whole
+// file is valid, so a fixed file can simply be uploaded again.
+
+export const MAX_IMPORT_ROWS = 1000;
+export const MAX_IMPORT_FILE_BYTES = 2 * 1024 * 1024;
+
+// XLSX limits: blank rows may sit between students, but not without end, extra
+// columns are ignored but a roster has only a handful, and a sheet compresses
+// well but not by more than this
+const MAX_ROSTER_SHEET_ROWS = 10 * MAX_IMPORT_ROWS;
+const MAX_ROSTER_SHEET_COLUMNS = 64;
+const MAX_ROSTER_UNPACKED_BYTES = 10 * MAX_IMPORT_FILE_BYTES;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Accepted spellings of each column header, compared lowercased without spaces or punctuation
+const COLUMN_HEADERS = {
+  name: ['name', 'fullname', 'studentname'],
+  email: ['email', 'emailaddress'],
+  country: ['country'],
+  phoneNumber: ['phone', 'phonenumber', 'mobile'],
+  guardianPhone: ['guardianphone', 'guardianphonenumber', 'parentphone'],
+  currentLocation: ['location', 'currentlocation', 'city']
+};
+
+export const IMPORT_COLUMNS = Object.keys(COLUMN_HEADERS);
+
+const COLUMN_LABELS = {
+  name: 'Name',
+  email: 'Email',
+  country: 'Country',
+  phoneNumber: 'Phone',
+  guardianPhone: 'Guardian Phone',
+  currentLocation: 'Location'
+};
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z]/g, '');
+
+// Our own CSV exports quote formula-like cells; undo that so exports import cleanly
+const cleanCell = (value) => String(value ?? '').trim().replace(/^'(?=[=+\-@])/, '');
+
+const isXlsx = (file) =>
+  /\.xlsx$/i.test(file.originalname) || file.buffer.subarray(0, 2).toString('latin1') === 'PK';
+
+/**
+ * Turns an uploaded roster into { rows } with one entry per non-blank line,
+ * numbered as the spreadsheet shows them, or { error } when the file cannot be read.
+ */
+export const readRoster = (file) => {
+  let table;
+  try {
+    table = isXlsx(file)
+      ? readXlsxRows(file.buffer, {
+        maxRows: MAX_ROSTER_SHEET_ROWS,
+        maxColumns: MAX_ROSTER_SHEET_COLUMNS,
+        maxEntryBytes: MAX_ROSTER_UNPACKED_BYTES
+      })
+      : parseCsv(file.buffer.toString('utf8'));
+  } catch (error) {
+    console.error('Read roster error:', error);
+    if (error instanceof XlsxLimitError) {
+      return { error: error.message };
+    }
+    return { error: 'The file could not be read. Upload a CSV or XLSX file.' };
+  }
+
+  const [headers = [], ...lines] = table;
+  const positions = {};
+  headers.forEach((header, index) => {
+    const column = IMPORT_COLUMNS.find(key => COLUMN_HEADERS[key].includes(normalizeHeader(String(header))));
+    if (column && positions[column] === undefined) positions[column] = index;
+  });
+
+  const missing = IMPORT_COLUMNS.filter(column => positions[column] === undefined);
+  if (missing.length > 0) {
+    return { error: `Missing columns: ${missing.map(column => COLUMN_LABELS[column]).join(', ')}` };
+  }
+
+  const rows = lines
+    .map((cells, index) => ({
+      row: index + 2,
+      values: Object.fromEntries(IMPORT_COLUMNS.map(column => [column, cleanCell(cells[positions[column]])]))
+    }))
+    .filter(({ values }) => Object.values(values).some(Boolean));
+
+  if (rows.length === 0) {
+    return { error: 'The file has no students in it' };
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { error: `At most ${MAX_IMPORT_ROWS} students can be imported at once` };
+  }
+  return { rows };
+};
+
+/**
+ * Adds an `errors` list to every row: the signup field rules, email format,
+ * emails repeated in the file, and emails that already have an account.
+ */
+export const validateRoster = async (db, rows) => {
+  const emails = rows.map(({ values }) => values.email.toLowerCase()).filter(Boolean);
+  const existing = await db.query('SELECT LOWER(email) as email FROM users WHERE LOWER(email) = ANY($1)', [emails]);
+  const taken = new Set(existing.rows.map(row => row.email));
+  const firstRowByEmail = new Map();
+
+  return rows.map(({ row, values }) => {
+    const errors = [];
+    const email = values.email.toLowerCase();
+
+    if (!email) {
+      errors.push('Email is required');
+    } else if (!EMAIL_PATTERN.test(email)) {
+      errors.push('Please enter a valid email address');
+    } else if (taken.has(email)) {
+      errors.push('An account with this email already exists');
+    } else if (firstRowByEmail.has(email)) {
+      errors.push(`Same email as row ${firstRowByEmail.get(email)}`);
+    }
+    if (email && !firstRowByEmail.has(email)) firstRowByEmail.set(email, row);
+
+    const { name, country, phoneNumber, guardianPhone, currentLocation } = values;
+    errors.push(...validateProfileFields({ name, country, phoneNumber, guardianPhone, currentLocation }));
+
+    return { row, values, errors };
+  });
+};
+
+// Readable but unguessable, e.g. "k7Qm-2xPa-Rt9w"; no 0/O or 1/l/I to misread
+const PASSWORD_ALPHABET = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export const generateTemporaryPassword = () => {
+  const characters = Array.from(crypto.randomBytes(12), byte => PASSWORD_ALPHABET[byte % PASSWORD_ALPHABET.length]);
+  return [0, 4, 8].map(start => characters.slice(start, start + 4).join('')).join('-');
+};
+
+// Hashing is slow on purpose, so it runs before the caller opens its transaction
+export const assignTemporaryPasswords = (rows) => Promise.all(rows.map(async (entry) => {
+  const temporaryPassword = generateTemporaryPassword();
+  return { ...entry, temporaryPassword, passwordHash: await bcrypt.hash(temporaryPassword, 10) };
+}));
+
+/**
+ * Creates a student account per validated row inside the caller's transaction
+ * and returns the accounts with their temporary passwords, which are not stored
+ * anywhere in plain text. The school handed out the addresses, so they count
+ * as verified.
+ */
+export const createRosterStudents = async (client, rows) => {
+  const created = [];
+  for (const { row, values, temporaryPassword, passwordHash } of rows) {
+    const result = await client.query(
+      `INSERT INTO users (name, email, password, country, role, email_verified_at)
+       VALUES ($1, $2, $3, $4, 'student', CURRENT_TIMESTAMP)
+       RETURNING id, name, email, country, created_at`,
+      [values.name, values.email, passwordHash, values.country]
+    );
+    const user = result.rows[0];
+    await saveSensitiveData(client, user.id, {
+      phoneNumber: values.phoneNumber,
+      guardianPhone: values.guardianPhone,
+      currentLocation: values.currentLocation
+    });
+    created.push({ row, ...user, temporaryPassword });
+  }
+  return created;
+};
@@ -0,0 +1,119 @@
+import { phoneLookupHash } from './secureStorage.js';
+
+// Admin student list: search, filters, sorting and paging, shared by the list
+// and anything else that works on "the students matching these filters".
+// Anonymized (deleted) accounts are never listed. Phone numbers and location are
+// never returned here: reading them takes a sensitive data grant. A search that
+// is a whole phone number matches it through its keyed hash only.
+
+export const DEFAULT_STUDENT_PAGE_SIZE = 25;
+export const MAX_STUDENT_PAGE_SIZE = 100;
+
+// Public sort keys and their columns; a leading "-" sorts descending
+const SORT_COLUMNS = {
+  name: 'name',
+  email: 'email',
+  country: 'country',
+  created_at: 'created_at'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Digits with the usual phone punctuation, e.g. "+20 (100) 123-4567"
+const PHONE_QUERY_PATTERN = /^\+?[\d\s().-]+$/;
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+/**
+ * Reads q, country, createdFrom, createdTo and sort from a request query.
+ * Returns { filters, sort } or { error }.
+ */
+export const parseStudentFilters = (query) => {
+  // Repeated or bracketed parameters (?sort=a&sort=b, ?q[]=x) arrive as arrays or objects
+  for (const name of ['q', 'country', 'createdFrom', 'createdTo', 'sort']) {
+    if (query[name] !== undefined && typeof query[name] !== 'string') {
+      return { error: `${name} must be a single value` };
+    }
+  }
+
+  const q = (query.q || '').trim();
+  const country = (query.country || '').trim();
+  const { createdFrom, createdTo } = query;
+
+  for (const value of [createdFrom, createdTo]) {
+    if (value && (!DATE_PATTERN.test(value) || Number.isNaN(new Date(value).getTime()))) {
+      return { error: 'Dates must be in YYYY-MM-DD format' };
+    }
+  }
+
+  const sort = query.sort || '-created_at';
+  if (!SORT_COLUMNS[sort.replace(/^-/, '')]) {
+    return { error: `Sort must be one of ${Object.keys(SORT_COLUMNS).join(', ')}, optionally prefixed with -` };
+  }
+
+  return { filters: { q, country, createdFrom, createdTo }, sort };
+};
+
+export const parsePaging = (query) => ({
+  page: Math.max(parseInt(query.page, 10) || 1, 1),
+  pageSize: Math.min(Math.max(parseInt(query.pageSize, 10) || DEFAULT_STUDENT_PAGE_SIZE, 1), MAX_STUDENT_PAGE_SIZE)
+});
+
+const buildWhere = ({ q, country, createdFrom, createdTo }) => {
+  const conditions = [`role = 'student'`, 'anonymized_at IS NULL', 'deleted_at IS NULL'];
+  const values = [];
+
+  if (q) {
+    values.push(`%${escapeLike(q)}%`);
+    const param = `$${values.length}`;
+    const phoneHash = PHONE_QUERY_PATTERN.test(q) ? phoneLookupHash(q) : null;
+    if (phoneHash) {
+      values.push(phoneHash);
+      conditions.push(`(name ILIKE ${param} OR email ILIKE ${param} OR id IN (
+        SELECT user_id FROM student_sensitive_data
+        WHERE phone_number_hash = $${values.length} OR guardian_phone_hash = $${values.length}
+      ))`);
+    } else {
+      conditions.push(`(name ILIKE ${param} OR email ILIKE ${param})`);
+    }
+  }
+  if (country) {
+    values.push(country);
+    conditions.push(`country = $${values.length}`);
+  }
+  if (createdFrom) {
+    values.push(createdFrom);
+    conditions.push(`created_at >= $${values.length}::date`);
+  }
+  if (createdTo) {
+    values.push(createdTo);
+    conditions.push(`created_at < $${values.length}::date + INTERVAL '1 day'`);
+  }
+
+  return { where: `WHERE ${conditions.join(' AND ')}`, values };
+};
+
+const orderBy = (sort) => {
+  const descending = sort.startsWith('-');
+  const column = SORT_COLUMNS[sort.replace(/^-/, '')];
+  return `ORDER BY ${column} ${descending ? 'DESC' : 'ASC'} NULLS LAST, id ${descending ? 'DESC' : 'ASC'}`;
+};
+
+const STUDENT_COLUMNS = 'id, email, name, country, role, created_at';
+
+// Every matching student, for exports; pass page and pageSize to get one page
+export const findStudents = async (db, { filters, sort, page, pageSize }) => {
+  const { where, values } = buildWhere(filters);
+  const paging = pageSize ? `LIMIT $${values.length + 1} OFFSET $${values.length + 2}` : '';
+  const result = await db.query(
+    `SELECT ${STUDENT_COLUMNS} FROM users ${where} ${orderBy(sort)} ${paging}`,
+    pageSize ? [...values, pageSize, (page - 1) * pageSize] : values
+  );
+  return result.rows;
+};
+
+export const countStudents = async (db, filters) => {
+  const { where, values } = buildWhere(filters);
+  const result = await db.query(`SELECT COUNT(*)::int as total FROM users ${where}`, values);
+  return result.rows[0].total;
+};
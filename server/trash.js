@@ -0,0 +1,135 @@
+import { anonymizeUser } from './privacy.js';
+
+// Admin trash for soft-deleted teachers, classes and students. Deleting only sets
+// deleted_at, so enrollments, access codes and redemptions survive and the row can
+// be restored. Purging is the permanent step: teachers and classes are removed,
+// students are anonymized like an approved deletion request so their payments stay
+// countable.
+
+export const TRASH_TYPES = {
+  teacher: { table: 'teachers', targetType: 'teacher', permission: 'teachers:write', scope: '' },
+  class: { table: 'classes', targetType: 'class', permission: 'classes:delete', scope: '' },
+  student: {
+    table: 'users',
+    targetType: 'user',
+    permission: 'students:write',
+    scope: `AND role = 'student' AND anonymized_at IS NULL`
+  }
+};
+
+const STUDENT_COLUMNS = 'id, name, email, country, role, created_at, deleted_at, deleted_by';
+
+const returning = (type) => (type === 'student' ? STUDENT_COLUMNS : '*');
+
+export const moveToTrash = async (db, type, id, actorId) => {
+  const { table, scope } = TRASH_TYPES[type];
+  const result = await db.query(
+    `UPDATE ${table} SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+     WHERE id = $1 AND deleted_at IS NULL ${scope}
+     RETURNING ${returning(type)}`,
+    [id, actorId]
+  );
+  return result.rows[0] || null;
+};
+
+export const findInTrash = async (db, type, id, { lock = false } = {}) => {
+  const { table, scope } = TRASH_TYPES[type];
+  const result = await db.query(
+    `SELECT ${returning(type)} FROM ${table} WHERE id = $1 AND deleted_at IS NOT NULL ${scope}${lock ? ' FOR UPDATE' : ''}`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Takes a row out of the trash. Returns { row, deletedAt }, { error } when a class's teacher
+ * is still in the trash, or null when the row is not in the trash.
+ */
+export const restoreFromTrash = async (db, type, id) => {
+  const row = await findInTrash(db, type, id);
+  if (!row) return null;
+
+  if (type === 'class' && row.teacher_id) {
+    const teacher = await db.query('SELECT deleted_at FROM teachers WHERE id = $1', [row.teacher_id]);
+    if (teacher.rows[0]?.deleted_at) {
+      return { error: 'Restore the class\'s teacher first' };
+    }
+  }
+
+  const { table } = TRASH_TYPES[type];
+  const result = await db.query(
+    `UPDATE ${table} SET deleted_at = NULL, deleted_by = NULL WHERE id = $1 RETURNING ${returning(type)}`,
+    [id]
+  );
+  return { row: result.rows[0], deletedAt: row.deleted_at };
+};
+
+/**
+ * Permanently removes a trashed row inside the caller's transaction. Returns
+ * { row } with the row as it was (and for a class, { lessons } with the media
+ * references of its lessons), { error } when a teacher still has classes,
+ * or null when the row is not in the trash.
+ */
+export const purgeFromTrash = async (client, type, id) => {
+  const row = await findInTrash(client, type, id, { lock: true });
+  if (!row) return null;
+
+  if (type === 'teacher') {
+    const classes = await client.query('SELECT COUNT(*)::int as count FROM classes WHERE teacher_id = $1', [id]);
+    if (classes.rows[0].count > 0) {
+      return {
+        error: `This teacher still has ${classes.rows[0].count} class(es). Restore the teacher and move or delete their classes first.`
+      };
+    }
+    await client.query('DELETE FROM teachers WHERE id = $1', [id]);
+  } else if (type === 'class') {
+    const lessons = await client.query(
+      `SELECT l.video_url, l.attachments FROM lessons l JOIN modules m ON l.module_id = m.id
+       WHERE m.class_id = $1`,
+      [id]
+    );
+    // Modules, lessons, quizzes and code batches cascade; enrollments and codes do not
+    await client.query('DELETE FROM user_classes WHERE class_id = $1', [id]);
+    await client.query('DELETE FROM access_codes WHERE class_id = $1', [id]);
+    await client.query('DELETE FROM classes WHERE id = $1', [id]);
+    return { row, lessons: lessons.rows };
+  } else {
+    await anonymizeUser(client, id);
+  }
+
+  return { row };
+};
+
+// Everything in the trash, newest first, with who deleted it and what a purge would take along
+export const listTrash = async (db) => {
+  const [teachers, classes, students] = await Promise.all([
+    db.query(
+      `SELECT t.id, t.name, t.subject, t.photo, t.deleted_at, d.name as deleted_by_name,
+         (SELECT COUNT(*)::int FROM classes c WHERE c.teacher_id = t.id) as class_count
+       FROM teachers t
+       LEFT JOIN users d ON t.deleted_by = d.id
+       WHERE t.deleted_at IS NOT NULL
+       ORDER BY t.deleted_at DESC`
+    ),
+    db.query(
+      `SELECT c.id, c.title, c.price, c.is_free, c.deleted_at, t.name as teacher_name,
+         t.deleted_at IS NOT NULL as teacher_deleted, d.name as deleted_by_name,
+         (SELECT COUNT(*)::int FROM user_classes uc WHERE uc.class_id = c.id) as enrollment_count,
+         (SELECT COUNT(*)::int FROM access_codes ac WHERE ac.class_id = c.id) as access_code_count
+       FROM classes c
+       LEFT JOIN teachers t ON c.teacher_id = t.id
+       LEFT JOIN users d ON c.deleted_by = d.id
+       WHERE c.deleted_at IS NOT NULL
+       ORDER BY c.deleted_at DESC`
+    ),
+    db.query(
+      `SELECT u.id, u.name, u.email, u.country, u.created_at, u.deleted_at, d.name as deleted_by_name
+       FROM users u
+       LEFT JOIN users d ON u.deleted_by = d.id
+       WHERE u.deleted_at IS NOT NULL AND u.role = 'student' AND u.anonymized_at IS NULL
+       ORDER BY u.deleted_at DESC`
+    )
+  ]);
+
+  return { teachers: teachers.rows, classes: classes.rows, students: students.rows };
+};
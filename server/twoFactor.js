@@ -0,0 +1,133 @@
+import { sealSecret, openSecret } from './secureStorage.js';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpAuthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} from './totp.js';
+
+// Two-factor authentication state of user accounts. TOTP secrets are stored
+// sealed with the data master key; recovery codes only as SHA-256 hashes.
+// Enrollment is two-phase: setup stores a pending secret, and the first valid
+// code from the authenticator app turns it into the active one.
+
+// Read lazily: dotenv runs after ES module imports are evaluated
+const getIssuer = () => process.env.TOTP_ISSUER || 'EduPlatform';
+
+// With ADMIN_2FA_REQUIRED=true admins must enroll and sign in with a second factor
+export const isTwoFactorRequiredFor = (user) =>
+  user.role === 'admin' && process.env.ADMIN_2FA_REQUIRED === 'true';
+
+const secretContext = (userId) => `user:${userId}:totp-secret`;
+
+export const getTwoFactorStatus = async (db, userId) => {
+  const result = await db.query(
+    `SELECT u.totp_enabled_at,
+       (SELECT COUNT(*) FROM user_recovery_codes r WHERE r.user_id = u.id AND r.used_at IS NULL) as recovery_codes_remaining
+     FROM users u WHERE u.id = $1`,
+    [userId]
+  );
+  const row = result.rows[0];
+  return {
+    enabled: !!row?.totp_enabled_at,
+    enabledAt: row?.totp_enabled_at || null,
+    recoveryCodesRemaining: parseInt(row?.recovery_codes_remaining || 0, 10)
+  };
+};
+
+// Creates a new pending secret; the active one (if any) keeps working until enableTwoFactor succeeds
+export const startTwoFactorSetup = async (db, user) => {
+  const secret = generateTotpSecret();
+  await db.query(
+    'UPDATE users SET totp_pending_secret_encrypted = $1 WHERE id = $2',
+    [sealSecret(secret, secretContext(user.id)), user.id]
+  );
+  return { secret, otpauthUrl: buildOtpAuthUrl({ secret, accountName: user.email, issuer: getIssuer() }) };
+};
+
+export const replaceRecoveryCodes = async (db, userId) => {
+  const codes = generateRecoveryCodes();
+  await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  for (const code of codes) {
+    await db.query(
+      'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashRecoveryCode(code)]
+    );
+  }
+  return codes;
+};
+
+/**
+ * Confirms the pending secret with a code from the authenticator app.
+ * Returns the new recovery codes, or null when there is no pending secret or
+ * the code is wrong. Run inside a transaction.
+ */
+export const enableTwoFactor = async (db, userId, code) => {
+  const result = await db.query(
+    'SELECT totp_pending_secret_encrypted FROM users WHERE id = $1 FOR UPDATE',
+    [userId]
+  );
+  const sealed = result.rows[0]?.totp_pending_secret_encrypted;
+  if (!sealed) return null;
+
+  const step = verifyTotp(openSecret(sealed, secretContext(userId)), code);
+  if (step === null) return null;
+
+  await db.query(
+    `UPDATE users
+     SET totp_secret_encrypted = totp_pending_secret_encrypted, totp_pending_secret_encrypted = NULL,
+         totp_enabled_at = CURRENT_TIMESTAMP, totp_last_used_step = $1
+     WHERE id = $2`,
+    [step, userId]
+  );
+  return replaceRecoveryCodes(db, userId);
+};
+
+export const disableTwoFactor = async (db, userId) => {
+  await db.query(
+    `UPDATE users
+     SET totp_secret_encrypted = NULL, totp_pending_secret_encrypted = NULL,
+         totp_enabled_at = NULL, totp_last_used_step = NULL
+     WHERE id = $1`,
+    [userId]
+  );
+  await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+};
+
+/**
+ * Checks a TOTP code or, if given instead, a recovery code.
+ * Each TOTP time step and each recovery code is accepted only once.
+ * Returns 'totp', 'recovery_code', or null when verification failed.
+ */
+export const verifySecondFactor = async (db, userId, { code, recoveryCode } = {}) => {
+  if (recoveryCode) {
+    const used = await db.query(
+      `UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [userId, hashRecoveryCode(recoveryCode)]
+    );
+    return used.rows.length > 0 ? 'recovery_code' : null;
+  }
+
+  const result = await db.query(
+    'SELECT totp_secret_encrypted, totp_enabled_at, totp_last_used_step FROM users WHERE id = $1',
+    [userId]
+  );
+  const user = result.rows[0];
+  if (!user?.totp_enabled_at || !user.totp_secret_encrypted) return null;
+
+  const lastStep = user.totp_last_used_step === null ? null : Number(user.totp_last_used_step);
+  const step = verifyTotp(openSecret(user.totp_secret_encrypted, secretContext(userId)), code, { afterStep: lastStep });
+  if (step === null) return null;
+
+  // Guarded on the previous step so two requests with the same code cannot both pass
+  const updated = await db.query(
+    `UPDATE users SET totp_last_used_step = $1
+     WHERE id = $2 AND (totp_last_used_step IS NULL OR totp_last_used_step < $1)
+     RETURNING id`,
+    [step, userId]
+  );
+  return updated.rows.length > 0 ? 'totp' : null;
+};
@@ -0,0 +1,129 @@
+import zlib from 'zlib';
+
+// Minimal XLSX reader for admin imports: returns the cell text of the first
+// worksheet as rows of strings. Formulas come back as their cached value and
+// styling, dates and other sheets are ignored, so text and plain numbers are
+// what it is good for.
+//
+// Uploads are untrusted: decompressed entries and row and column numbers are
+// capped, and going past a cap throws an XlsxLimitError whose message can be shown.
+
+export class XlsxLimitError extends Error {}
+
+const readZipEntries = (buffer, maxEntryBytes) => {
+  // End of central directory record, searched from the back past any comment
+  let end = buffer.length - 22;
+  while (end >= 0 && buffer.readUInt32LE(end) !== 0x06054B50) end--;
+  if (end < 0) throw new Error('Not a ZIP archive');
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014B50) throw new Error('Corrupt ZIP central directory');
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    entries.set(name, { method, compressedSize, localOffset });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return (name) => {
+    const entry = entries.get(name);
+    if (!entry) return null;
+    const start = entry.localOffset + 30 + buffer.readUInt16LE(entry.localOffset + 26) + buffer.readUInt16LE(entry.localOffset + 28);
+    const data = buffer.subarray(start, start + entry.compressedSize);
+    if (entry.method !== 8) return data.toString('utf8');
+    try {
+      return zlib.inflateRawSync(data, { maxOutputLength: maxEntryBytes }).toString('utf8');
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw new XlsxLimitError('The workbook is too large once unpacked');
+      }
+      throw error;
+    }
+  };
+};
+
+const decodeXml = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&amp;/g, '&');
+
+// Rich text splits a string into several <t> runs
+const textOf = (xml) => [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(match => decodeXml(match[1])).join('');
+
+const attribute = (tag, name) => tag.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1];
+
+// "C12" -> 2
+const columnIndex = (reference) => {
+  let index = 0;
+  for (const letter of reference.replace(/\d+$/, '')) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+};
+
+// The first sheet in workbook order, which is not always sheet1.xml
+const firstSheetPath = (read) => {
+  const workbook = read('xl/workbook.xml');
+  const relations = read('xl/_rels/workbook.xml.rels');
+  const sheetTag = workbook?.match(/<sheet\s[^>]*>/)?.[0];
+  const relationId = sheetTag && attribute(sheetTag, 'r:id');
+  const relationTag = relationId && relations?.match(new RegExp(`<Relationship\\s[^>]*Id="${relationId}"[^>]*>`))?.[0];
+  const target = relationTag && attribute(relationTag, 'Target');
+  if (!target) return 'xl/worksheets/sheet1.xml';
+  return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+};
+
+/**
+ * Rows of the first worksheet. maxRows and maxColumns are the highest row number
+ * and column count accepted (rows come back dense, so together they bound memory),
+ * and maxEntryBytes the most any part of the workbook may unpack to.
+ */
+export const readXlsxRows = (buffer, { maxRows, maxColumns, maxEntryBytes }) => {
+  const read = readZipEntries(buffer, maxEntryBytes);
+  const sheet = read(firstSheetPath(read));
+  if (!sheet) throw new Error('The workbook has no worksheet');
+
+  const sharedStrings = [...(read('xl/sharedStrings.xml') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => textOf(match[1]));
+  const rows = [];
+
+  for (const [, rowTag, rowXml = ''] of sheet.matchAll(/(<row\b[^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    // Keep blank rows in place so row numbers match what the spreadsheet shows
+    const rowNumber = Number(attribute(rowTag, 'r')) || rows.length + 1;
+    if (rowNumber > maxRows) {
+      throw new XlsxLimitError(`The sheet goes past row ${maxRows}`);
+    }
+    while (rows.length < rowNumber - 1) rows.push([]);
+    const row = [];
+    for (const [, cellTag, body = ''] of rowXml.matchAll(/(<c\s[^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const reference = attribute(cellTag, 'r');
+      const index = reference ? columnIndex(reference) : row.length;
+      if (index >= maxColumns) {
+        throw new XlsxLimitError(`The sheet goes past column ${maxColumns}`);
+      }
+      const type = attribute(cellTag, 't');
+      const value = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+      if (type === 's') {
+        row[index] = sharedStrings[Number(value)] ?? '';
+      } else if (type === 'inlineStr') {
+        row[index] = textOf(body);
+      } else {
+        row[index] = value === undefined ? '' : decodeXml(value);
+      }
+    }
+    rows.push(Array.from(row, cell => cell ?? ''));
+  }
+
+  return rows;
+};
@@ -5,19 +5,27 @@ import Navbar from './components/Navbar';
 import HomePage from './pages/HomePage';
 import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
+import ForgotPasswordPage from './pages/ForgotPasswordPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
 import AdminDashboard from './pages/AdminDashboard';
 import AdminStudents from './pages/AdminStudents';
 import TeacherProfile from './pages/TeacherProfile';
 import MyClasses from './pages/MyClasses';
 import ClassView from './pages/ClassView';
+import ClassCatalog from './pages/ClassCatalog';
+import TeacherDashboard from './pages/TeacherDashboard';
+import GuardianPortal from './pages/GuardianPortal';
+import ProfilePage from './pages/ProfilePage';
 import { useAuth } from './contexts/AuthContext'; // ✅ يفضل يكون هنا فقط للـ ProtectedRoute
 import { ThemeProvider } from './contexts/ThemeContext';
+import AdminTwoFactorGate from './components/AdminTwoFactorGate';
 
-const ProtectedRoute: React.FC<{ children: React.ReactNode; adminOnly?: boolean }> = ({
+const ProtectedRoute: React.FC<{ children: React.ReactNode; permission?: string }> = ({
   children,
-  adminOnly = false
+  permission
 }) => {
-  const { user, loading } = useAuth();
+  const { user, can, loading } = useAuth();
 
   if (loading) {
     return (
@@ -31,10 +39,14 @@ const ProtectedRoute: React.FC<{ children: React.ReactNode; adminOnly?: boolean
     return <Navigate to="/login" replace />;
   }
 
-  if (adminOnly && user.role !== 'admin') {
+  if (permission && !can(permission)) {
     return <Navigate to="/" replace />;
   }
 
+  if (permission && user.twoFactor?.required && !user.twoFactor.verified) {
+    return <AdminTwoFactorGate />;
+  }
+
   return <>{children}</>;
 };
 
@@ -48,11 +60,15 @@ function App() {
             <Route path="/" element={<HomePage />} />
             <Route path="/login" element={<LoginPage />} />
             <Route path="/register" element={<RegisterPage />} />
+            <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+            <Route path="/reset-password" element={<ResetPasswordPage />} />
+            <Route path="/verify-email" element={<VerifyEmailPage />} />
             <Route path="/teacher/:id" element={<TeacherProfile />} />
+            <Route path="/classes" element={<ClassCatalog />} />
             <Route 
               path="/admin" 
               element={
-                <ProtectedRoute adminOnly>
+                <ProtectedRoute permission="admin_panel:view">
                   <AdminDashboard />
                 </ProtectedRoute>
               } 
@@ -60,11 +76,35 @@ function App() {
             <Route 
               path="/admin/students" 
               element={
-                <ProtectedRoute adminOnly>
+                <ProtectedRoute permission="students:read">
                   <AdminStudents />
                 </ProtectedRoute>
               } 
             />
+            <Route
+              path="/teacher-dashboard"
+              element={
+                <ProtectedRoute permission="teacher_profile:write">
+                  <TeacherDashboard />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/guardian"
+              element={
+                <ProtectedRoute permission="guardian_portal:view">
+                  <GuardianPortal />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/profile"
+              element={
+                <ProtectedRoute>
+                  <ProfilePage />
+                </ProtectedRoute>
+              }
+            />
             <Route 
               path="/my-classes" 
               element={
@@ -0,0 +1,287 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { ScrollText, X, ChevronLeft, ChevronRight } from 'lucide-react';
+import { getApiErrorMessage } from '../utils/apiUtils';
+
+interface AuditEntry {
+  id: number;
+  action: string;
+  data_type: string | null;
+  reason: string | null;
+  created_at: string;
+  ip_address: string | null;
+  user_agent: string | null;
+  admin_id: number | null;
+  admin_name: string | null;
+  admin_email: string | null;
+  admin_role: string | null;
+  target_type: string | null;
+  target_id: number | null;
+  target_label: string | null;
+  changes: Record<string, { from: unknown; to: unknown }> | null;
+  student_name: string | null;
+  student_email: string | null;
+}
+
+interface AuditPage {
+  entries: AuditEntry[];
+  total: number;
+  page: number;
+  pageSize: number;
+}
+
+interface Filters {
+  action: string;
+  targetType: string;
+  from: string;
+  to: string;
+  actor: { id: number; name: string } | null;
+  target: { type: string; id: number; label: string } | null;
+}
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL;
+const PAGE_SIZE = 25;
+
+const ACTIONS = [
+  'teacher.create', 'teacher.update', 'teacher.delete', 'teacher.restore', 'teacher.purge', 'teacher.account_create',
+  'class.create', 'class.update', 'class.delete', 'class.restore', 'class.purge',
+  'module.create', 'module.update', 'module.delete',
+  'lesson.create', 'lesson.update', 'lesson.delete',
+  'quiz.create', 'quiz.update', 'quiz.delete',
+  'access_code.create', 'access_code.revoke', 'access_code_batch.create', 'access_code_batch.revoke',
+  'user.update', 'user.password_reset', 'user.delete', 'user.restore', 'user.purge', 'user.sessions_revoke', 'user.import', 'user.export',
+  'guardian_link.create', 'guardian_link.end',
+  'account_deletion.approve', 'account_deletion.reject',
+  'auth_lockout.release',
+  'sensitive_data.request', 'sensitive_data.grant', 'sensitive_data.deny', 'sensitive_data.view'
+];
+
+const TARGET_TYPES = [
+  'teacher', 'class', 'module', 'lesson', 'quiz', 'access_code', 'access_code_batch',
+  'user', 'guardian_link', 'auth_lockout'
+];
+
+const inputClass =
+  'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+const chipClass =
+  'inline-flex items-center gap-1 px-2 py-1 rounded-full bg-blue-100 dark:bg-blue-900/40 text-blue-800 dark:text-blue-300 text-sm';
+
+const emptyFilters: Filters = { action: '', targetType: '', from: '', to: '', actor: null, target: null };
+
+const formatValue = (value: unknown) => {
+  if (value === null || value === undefined || value === '') return '—';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+};
+
+// Every admin action and sensitive data access, filterable by actor, action, target and date
+const AdminAuditLog: React.FC = () => {
+  const [filters, setFilters] = useState<Filters>(emptyFilters);
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState<AuditPage | null>(null);
+  const [error, setError] = useState('');
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      const response = await axios.get<AuditPage>(`${API_BASE}/admin/access-audit`, {
+        params: {
+          page,
+          pageSize: PAGE_SIZE,
+          action: filters.action || undefined,
+          targetType: filters.target?.type || filters.targetType || undefined,
+          targetId: filters.target?.id,
+          actorId: filters.actor?.id,
+          from: filters.from || undefined,
+          to: filters.to || undefined
+        }
+      });
+      setResult(response.data);
+      setError('');
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to fetch the audit log'));
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const updateFilters = (changes: Partial<Filters>) => {
+    setFilters((current) => ({ ...current, ...changes }));
+    setPage(1);
+  };
+
+  const pageCount = result ? Math.max(Math.ceil(result.total / result.pageSize), 1) : 1;
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center gap-2">
+        <ScrollText className="h-6 w-6 text-blue-500 dark:text-blue-400" /> Audit log
+      </h2>
+
+      <div className="flex flex-wrap items-end gap-3">
+        <select value={filters.action} onChange={(e) => updateFilters({ action: e.target.value })} className={inputClass}>
+          <option value="">All actions</option>
+          {ACTIONS.map((action) => (
+            <option key={action} value={action}>{action}</option>
+          ))}
+        </select>
+        <select
+          value={filters.targetType}
+          onChange={(e) => updateFilters({ targetType: e.target.value, target: null })}
+          className={inputClass}
+        >
+          <option value="">All targets</option>
+          {TARGET_TYPES.map((type) => (
+            <option key={type} value={type}>{type}</option>
+          ))}
+        </select>
+        <label className="text-sm text-gray-600 dark:text-gray-300">
+          From
+          <input type="date" value={filters.from} onChange={(e) => updateFilters({ from: e.target.value })} className={`${inputClass} block`} />
+        </label>
+        <label className="text-sm text-gray-600 dark:text-gray-300">
+          To
+          <input type="date" value={filters.to} onChange={(e) => updateFilters({ to: e.target.value })} className={`${inputClass} block`} />
+        </label>
+        {filters.actor && (
+          <span className={chipClass}>
+            By {filters.actor.name}
+            <button onClick={() => updateFilters({ actor: null })} aria-label="Clear actor filter">
+              <X className="h-3 w-3" />
+            </button>
+          </span>
+        )}
+        {filters.target && (
+          <span className={chipClass}>
+            {filters.target.label}
+            <button onClick={() => updateFilters({ target: null })} aria-label="Clear target filter">
+              <X className="h-3 w-3" />
+            </button>
+          </span>
+        )}
+        {JSON.stringify(filters) !== JSON.stringify(emptyFilters) && (
+          <button onClick={() => updateFilters(emptyFilters)} className="text-blue-600 dark:text-blue-400 hover:underline text-sm">
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {error && <div className="p-3 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded-lg">{error}</div>}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+          <thead className="bg-gray-50 dark:bg-gray-700">
+            <tr>
+              {['When', 'Actor', 'Action', 'Target', 'Changes', 'From'].map((heading) => (
+                <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+            {result && result.entries.length > 0 ? (
+              result.entries.map((entry) => {
+                const targetLabel =
+                  entry.target_label || entry.student_name || (entry.target_type ? `${entry.target_type} #${entry.target_id}` : '—');
+                return (
+                  <tr key={entry.id} className="hover:bg-gray-50 dark:hover:bg-gray-700 align-top">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                      {new Date(entry.created_at).toLocaleString()}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
+                      {entry.admin_id ? (
+                        <button
+                          onClick={() => updateFilters({ actor: { id: entry.admin_id!, name: entry.admin_name || `#${entry.admin_id}` } })}
+                          className="hover:underline text-left"
+                          title="Show this actor's actions"
+                        >
+                          <div>{entry.admin_name}</div>
+                          <div className="text-xs text-gray-500 dark:text-gray-400">{entry.admin_role}</div>
+                        </button>
+                      ) : (
+                        <span className="text-gray-500 dark:text-gray-400">Deleted account</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
+                      <code>{entry.action}</code>
+                      {entry.data_type && <div className="text-xs text-gray-500 dark:text-gray-400">{entry.data_type}</div>}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900 dark:text-white">
+                      {entry.target_type && entry.target_id ? (
+                        <button
+                          onClick={() =>
+                            updateFilters({ target: { type: entry.target_type!, id: entry.target_id!, label: targetLabel }, targetType: '' })
+                          }
+                          className="hover:underline text-left"
+                          title="Show everything done to this target"
+                        >
+                          <div>{targetLabel}</div>
+                          <div className="text-xs text-gray-500 dark:text-gray-400">
+                            {entry.target_type} #{entry.target_id}
+                          </div>
+                        </button>
+                      ) : (
+                        targetLabel
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700 dark:text-gray-300">
+                      {entry.changes &&
+                        Object.entries(entry.changes).map(([field, change]) => (
+                          <div key={field} className="text-xs">
+                            <span className="font-semibold">{field}</span>: {formatValue(change.from)} → {formatValue(change.to)}
+                          </div>
+                        ))}
+                      {entry.reason && <div className="text-xs italic">{entry.reason}</div>}
+                    </td>
+                    <td className="px-6 py-4 text-xs text-gray-500 dark:text-gray-400">
+                      <div>{entry.ip_address || '—'}</div>
+                      {entry.user_agent && (
+                        <div className="max-w-[12rem] truncate" title={entry.user_agent}>
+                          {entry.user_agent}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })
+            ) : (
+              <tr>
+                <td colSpan={6} className="px-6 py-8 text-center text-gray-500 dark:text-gray-400">
+                  No audit entries
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {result && result.total > 0 && (
+        <div className="flex items-center justify-between text-sm text-gray-600 dark:text-gray-300">
+          <span>
+            {result.total} entr{result.total === 1 ? 'y' : 'ies'} · page {result.page} of {pageCount}
+          </span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1}
+              className="inline-flex items-center gap-1 px-3 py-1 rounded-lg border border-gray-300 dark:border-gray-600 disabled:opacity-50"
+            >
+              <ChevronLeft className="h-4 w-4" /> Previous
+            </button>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page >= pageCount}
+              className="inline-flex items-center gap-1 px-3 py-1 rounded-lg border border-gray-300 dark:border-gray-600 disabled:opacity-50"
+            >
+              Next <ChevronRight className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminAuditLog;
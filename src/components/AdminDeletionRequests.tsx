@@ -0,0 +1,156 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { UserX, Check, X } from 'lucide-react';
+import { getApiErrorMessage } from '../utils/apiUtils';
+
+interface DeletionRequest {
+  id: number;
+  user_id: number;
+  status: 'pending' | 'approved' | 'rejected' | 'cancelled';
+  reason: string;
+  requested_at: string;
+  reviewed_at: string | null;
+  review_comment: string | null;
+  user_name: string;
+  user_email: string;
+  user_role: string;
+  anonymized_at: string | null;
+  reviewed_by_name: string | null;
+}
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL;
+
+const STATUS_STYLES: Record<DeletionRequest['status'], string> = {
+  pending: 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-800 dark:text-yellow-300',
+  approved: 'bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-300',
+  rejected: 'bg-gray-200 dark:bg-gray-600 text-gray-700 dark:text-gray-200',
+  cancelled: 'bg-gray-200 dark:bg-gray-600 text-gray-700 dark:text-gray-200'
+};
+
+const AdminDeletionRequests: React.FC = () => {
+  const [requests, setRequests] = useState<DeletionRequest[]>([]);
+  const [pendingOnly, setPendingOnly] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchRequests = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/admin/deletion-requests`, {
+        params: pendingOnly ? { status: 'pending' } : {}
+      });
+      setRequests(Array.isArray(response.data) ? response.data : []);
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to fetch deletion requests'));
+    }
+  }, [pendingOnly]);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  const handleReview = async (request: DeletionRequest, decision: 'approve' | 'reject') => {
+    const question =
+      decision === 'approve'
+        ? `Anonymize ${request.user_name}'s account? Their personal data is removed for good. Add a comment for them (optional):`
+        : `Decline ${request.user_name}'s request? Add a comment for them (optional):`;
+    const comment = window.prompt(question);
+    if (comment === null) return;
+
+    setError('');
+    try {
+      await axios.post(`${API_BASE}/admin/deletion-requests/${request.id}/review`, { decision, comment });
+      fetchRequests();
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to review the request'));
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center gap-2">
+          <UserX className="h-6 w-6 text-blue-500 dark:text-blue-400" /> Account deletion requests
+        </h2>
+        <label className="flex items-center gap-2 text-gray-700 dark:text-gray-300">
+          <input type="checkbox" checked={pendingOnly} onChange={(e) => setPendingOnly(e.target.checked)} />
+          <span>Pending only</span>
+        </label>
+      </div>
+
+      {error && <div className="p-3 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded-lg">{error}</div>}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+          <thead className="bg-gray-50 dark:bg-gray-700">
+            <tr>
+              {['Requested', 'Account', 'Reason', 'Status', 'Review', ''].map((heading) => (
+                <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+            {requests.length > 0 ? (
+              requests.map((request) => (
+                <tr key={request.id} className="hover:bg-gray-50 dark:hover:bg-gray-700">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                    {new Date(request.requested_at).toLocaleString()}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
+                    <div>{request.user_name}</div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">
+                      {request.user_email} · {request.user_role}
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-700 dark:text-gray-300 max-w-xs">{request.reason || '—'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <span className={`px-2 py-1 text-xs font-semibold rounded-full ${STATUS_STYLES[request.status]}`}>
+                      {request.status}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-500 dark:text-gray-400">
+                    {request.reviewed_at && (
+                      <>
+                        <div>
+                          {request.reviewed_by_name ? `${request.reviewed_by_name}, ` : ''}
+                          {new Date(request.reviewed_at).toLocaleDateString()}
+                        </div>
+                        {request.review_comment && <div className="text-xs">{request.review_comment}</div>}
+                      </>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right">
+                    {request.status === 'pending' && (
+                      <span className="inline-flex gap-3">
+                        <button
+                          onClick={() => handleReview(request, 'approve')}
+                          className="inline-flex items-center gap-1 text-red-600 dark:text-red-400 hover:underline font-semibold"
+                        >
+                          <Check className="h-4 w-4" /> Approve
+                        </button>
+                        <button
+                          onClick={() => handleReview(request, 'reject')}
+                          className="inline-flex items-center gap-1 text-gray-600 dark:text-gray-300 hover:underline font-semibold"
+                        >
+                          <X className="h-4 w-4" /> Decline
+                        </button>
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan={6} className="px-6 py-8 text-center text-gray-500 dark:text-gray-400">
+                  No deletion requests
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default AdminDeletionRequests;
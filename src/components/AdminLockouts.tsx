@@ -0,0 +1,140 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { getApiErrorMessage } from '../utils/apiUtils';
+import { ShieldAlert, Unlock } from 'lucide-react';
+
+interface AuthLockout {
+  id: number;
+  action: 'login' | 'redeem_code' | 'password_reset';
+  scope: 'ip' | 'account';
+  identifier: string;
+  user_name: string | null;
+  user_email: string | null;
+  ip_address: string | null;
+  failed_attempts: number;
+  lockout_level: number;
+  locked_until: string;
+  released_at: string | null;
+  released_by_name: string | null;
+  created_at: string;
+  is_active: boolean;
+}
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL;
+
+const ACTION_LABELS: Record<AuthLockout['action'], string> = {
+  login: 'Login',
+  redeem_code: 'Code redemption',
+  password_reset: 'Password reset'
+};
+
+const AdminLockouts: React.FC = () => {
+  const [lockouts, setLockouts] = useState<AuthLockout[]>([]);
+  const [activeOnly, setActiveOnly] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchLockouts = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/admin/auth-lockouts`, { params: activeOnly ? { active: 'true' } : {} });
+      setLockouts(Array.isArray(response.data) ? response.data : []);
+    } catch (err) {
+      console.error('Failed to fetch lockouts:', err);
+      setError('Failed to fetch lockouts');
+    }
+  }, [activeOnly]);
+
+  useEffect(() => {
+    fetchLockouts();
+  }, [fetchLockouts]);
+
+  const handleRelease = async (lockoutId: number) => {
+    setError('');
+    try {
+      await axios.post(`${API_BASE}/admin/auth-lockouts/${lockoutId}/release`);
+      fetchLockouts();
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to release lockout'));
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center gap-2">
+          <ShieldAlert className="h-6 w-6 text-blue-500 dark:text-blue-400" /> Lockouts
+        </h2>
+        <label className="flex items-center gap-2 text-gray-700 dark:text-gray-300">
+          <input type="checkbox" checked={activeOnly} onChange={(e) => setActiveOnly(e.target.checked)} />
+          <span>Active only</span>
+        </label>
+      </div>
+
+      {error && <div className="p-3 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded-lg">{error}</div>}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+          <thead className="bg-gray-50 dark:bg-gray-700">
+            <tr>
+              {['When', 'Action', 'Locked', 'Failures', 'Level', 'Until', 'Status', ''].map((heading) => (
+                <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+            {lockouts.length > 0 ? (
+              lockouts.map((lockout) => (
+                <tr key={lockout.id} className="hover:bg-gray-50 dark:hover:bg-gray-700">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                    {new Date(lockout.created_at).toLocaleString()}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">{ACTION_LABELS[lockout.action]}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
+                    <div>{lockout.scope === 'ip' ? `IP ${lockout.identifier}` : lockout.user_email || lockout.identifier}</div>
+                    {lockout.scope === 'account' && lockout.ip_address && (
+                      <div className="text-xs text-gray-500 dark:text-gray-400">from {lockout.ip_address}</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">{lockout.failed_attempts}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">{lockout.lockout_level}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
+                    {new Date(lockout.locked_until).toLocaleString()}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    {lockout.released_at ? (
+                      <span className="text-gray-500 dark:text-gray-400">Released by {lockout.released_by_name || 'admin'}</span>
+                    ) : lockout.is_active ? (
+                      <span className="px-2 py-1 text-xs font-semibold rounded-full bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-300">Active</span>
+                    ) : (
+                      <span className="px-2 py-1 text-xs font-semibold rounded-full bg-gray-200 dark:bg-gray-600 text-gray-700 dark:text-gray-200">Expired</span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right">
+                    {lockout.is_active && (
+                      <button
+                        onClick={() => handleRelease(lockout.id)}
+                        className="inline-flex items-center gap-1 text-blue-600 dark:text-blue-400 hover:underline font-semibold"
+                      >
+                        <Unlock className="h-4 w-4" />
+                        Release
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan={8} className="px-6 py-8 text-center text-gray-500 dark:text-gray-400">
+                  No lockouts recorded
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default AdminLockouts;
@@ -0,0 +1,474 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { getApiErrorMessage } from '../utils/apiUtils';
+import { Plus, Trash2, ClipboardCheck, CheckCircle, XCircle } from 'lucide-react';
+import type { QuestionType, QuizSummary } from './QuizPanel';
+
+interface ClassOption {
+  id: number;
+  title: string;
+}
+
+interface LessonOption {
+  id: number;
+  title: string;
+}
+
+interface QuizResult {
+  id: number;
+  quiz_title: string;
+  class_title: string;
+  student_name: string;
+  student_email: string;
+  status: 'submitted' | 'expired';
+  score: number;
+  max_score: number;
+  percent: number;
+  passed: boolean | null;
+  submitted_at: string;
+}
+
+interface QuestionDraft {
+  type: QuestionType;
+  prompt: string;
+  options: string[];
+  correct: number[];
+  trueFalse: boolean;
+  accepted: string;
+  value: string;
+  tolerance: string;
+  points: string;
+}
+
+interface AdminQuizzesProps {
+  classes: ClassOption[];
+}
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL;
+
+const QUESTION_TYPE_LABELS: Record<QuestionType, string> = {
+  multiple_choice: 'Multiple choice',
+  true_false: 'True / False',
+  short_answer: 'Short answer',
+  numeric: 'Numeric'
+};
+
+const emptyQuestion = (): QuestionDraft => ({
+  type: 'multiple_choice',
+  prompt: '',
+  options: ['', ''],
+  correct: [],
+  trueFalse: true,
+  accepted: '',
+  value: '',
+  tolerance: '0',
+  points: '1'
+});
+
+const emptyQuizForm = {
+  title: '',
+  description: '',
+  lesson_id: '',
+  time_limit_minutes: '',
+  max_attempts: '',
+  passing_score: '',
+  shuffle_questions: true
+};
+
+// Converts the form drafts into the answer-key format the API expects
+const toQuestionPayload = (draft: QuestionDraft) => {
+  const base = { type: draft.type, prompt: draft.prompt, points: draft.points };
+  switch (draft.type) {
+    case 'multiple_choice':
+      return { ...base, options: draft.options, correct_answer: draft.correct };
+    case 'true_false':
+      return { ...base, correct_answer: draft.trueFalse };
+    case 'short_answer':
+      return { ...base, correct_answer: draft.accepted.split('\n').map((a) => a.trim()).filter(Boolean) };
+    case 'numeric':
+      return { ...base, correct_answer: { value: draft.value, tolerance: draft.tolerance || 0 } };
+  }
+};
+
+const inputClass = 'px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+const AdminQuizzes: React.FC<AdminQuizzesProps> = ({ classes }) => {
+  const [classId, setClassId] = useState('');
+  const [lessons, setLessons] = useState<LessonOption[]>([]);
+  const [quizzes, setQuizzes] = useState<QuizSummary[]>([]);
+  const [results, setResults] = useState<QuizResult[]>([]);
+  const [quizForm, setQuizForm] = useState(emptyQuizForm);
+  const [questions, setQuestions] = useState<QuestionDraft[]>([emptyQuestion()]);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const fetchClassData = useCallback(async () => {
+    try {
+      const resultsRes = await axios.get(`${API_BASE}/admin/quiz-results`, { params: classId ? { class_id: classId } : {} });
+      setResults(Array.isArray(resultsRes.data) ? resultsRes.data : []);
+
+      if (!classId) {
+        setQuizzes([]);
+        setLessons([]);
+        return;
+      }
+      const [quizzesRes, modulesRes] = await Promise.all([
+        axios.get(`${API_BASE}/classes/${classId}/quizzes`),
+        axios.get(`${API_BASE}/classes/${classId}/modules`)
+      ]);
+      setQuizzes(Array.isArray(quizzesRes.data) ? quizzesRes.data : []);
+      const modules: { lessons: LessonOption[] }[] = modulesRes.data.modules || [];
+      setLessons(modules.flatMap((module) => module.lessons));
+    } catch (err) {
+      console.error('Failed to fetch quizzes:', err);
+      setError('Failed to fetch quizzes');
+    }
+  }, [classId]);
+
+  useEffect(() => {
+    fetchClassData();
+  }, [fetchClassData]);
+
+  const updateQuestion = (index: number, changes: Partial<QuestionDraft>) => {
+    setQuestions((prev) => prev.map((question, i) => (i === index ? { ...question, ...changes } : question)));
+  };
+
+  const handleCreateQuiz = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    if (!classId) {
+      setError('Select a class first');
+      return;
+    }
+
+    try {
+      await axios.post(`${API_BASE}/classes/${classId}/quizzes`, {
+        ...quizForm,
+        lesson_id: quizForm.lesson_id || null,
+        questions: questions.map(toQuestionPayload)
+      });
+      setSuccess('Quiz created successfully');
+      setQuizForm(emptyQuizForm);
+      setQuestions([emptyQuestion()]);
+      fetchClassData();
+    } catch (err) {
+      console.error('Create quiz error:', err);
+      setError(getApiErrorMessage(err, 'Failed to create quiz'));
+    }
+  };
+
+  const handleDeleteQuiz = async (quizId: number) => {
+    if (!window.confirm('Delete this quiz and all of its attempts?')) return;
+    try {
+      await axios.delete(`${API_BASE}/quizzes/${quizId}`);
+      fetchClassData();
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to delete quiz'));
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-900 dark:text-white mb-4 flex items-center gap-2">
+          <ClipboardCheck className="h-6 w-6 text-blue-500 dark:text-blue-400" /> Quizzes & Exams
+        </h2>
+        <select value={classId} onChange={(e) => setClassId(e.target.value)} className={`${inputClass} w-full md:w-1/2`}>
+          <option value="">All classes</option>
+          {classes.map((classItem) => (
+            <option key={classItem.id} value={classItem.id}>{classItem.title}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <div className="p-3 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded-lg">{error}</div>}
+      {success && <div className="p-3 bg-green-50 dark:bg-green-900/30 text-green-700 dark:text-green-300 rounded-lg">{success}</div>}
+
+      {classId && (
+        <>
+          <div>
+            <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">Class Quizzes</h3>
+            {quizzes.length > 0 ? (
+              <ul className="space-y-2">
+                {quizzes.map((quiz) => (
+                  <li key={quiz.id} className="flex items-center justify-between border border-gray-200 dark:border-gray-700 rounded-lg p-4">
+                    <div>
+                      <p className="font-semibold text-gray-900 dark:text-white">{quiz.title}</p>
+                      <p className="text-sm text-gray-500 dark:text-gray-400">
+                        {quiz.question_count} questions · {quiz.total_points} pts
+                        {quiz.time_limit_minutes ? ` · ${quiz.time_limit_minutes} min` : ''}
+                        {quiz.max_attempts ? ` · ${quiz.max_attempts} attempts` : ''}
+                        {quiz.lesson_id ? ` · ${lessons.find((l) => l.id === quiz.lesson_id)?.title || 'Lesson'}` : ''}
+                      </p>
+                    </div>
+                    <button onClick={() => handleDeleteQuiz(quiz.id)} className="text-red-600 dark:text-red-400 hover:text-red-800" title="Delete quiz">
+                      <Trash2 className="h-5 w-5" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-gray-500 dark:text-gray-400">No quizzes for this class yet</p>
+            )}
+          </div>
+
+          <form onSubmit={handleCreateQuiz} className="space-y-4">
+            <h3 className="text-xl font-semibold text-gray-900 dark:text-white">New Quiz</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <input
+                type="text"
+                placeholder="Quiz Title"
+                value={quizForm.title}
+                onChange={(e) => setQuizForm({ ...quizForm, title: e.target.value })}
+                className={inputClass}
+                required
+              />
+              <select value={quizForm.lesson_id} onChange={(e) => setQuizForm({ ...quizForm, lesson_id: e.target.value })} className={inputClass}>
+                <option value="">Whole class</option>
+                {lessons.map((lesson) => (
+                  <option key={lesson.id} value={lesson.id}>{lesson.title}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min="1"
+                placeholder="Time limit (minutes, optional)"
+                value={quizForm.time_limit_minutes}
+                onChange={(e) => setQuizForm({ ...quizForm, time_limit_minutes: e.target.value })}
+                className={inputClass}
+              />
+              <input
+                type="number"
+                min="1"
+                placeholder="Attempt limit (optional)"
+                value={quizForm.max_attempts}
+                onChange={(e) => setQuizForm({ ...quizForm, max_attempts: e.target.value })}
+                className={inputClass}
+              />
+              <input
+                type="number"
+                min="0"
+                max="100"
+                placeholder="Passing score % (optional)"
+                value={quizForm.passing_score}
+                onChange={(e) => setQuizForm({ ...quizForm, passing_score: e.target.value })}
+                className={inputClass}
+              />
+              <label className="flex items-center gap-2 text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={quizForm.shuffle_questions}
+                  onChange={(e) => setQuizForm({ ...quizForm, shuffle_questions: e.target.checked })}
+                />
+                <span>Randomize question order</span>
+              </label>
+            </div>
+            <textarea
+              placeholder="Description"
+              rows={2}
+              value={quizForm.description}
+              onChange={(e) => setQuizForm({ ...quizForm, description: e.target.value })}
+              className={`${inputClass} w-full`}
+            />
+
+            {questions.map((question, index) => (
+              <div key={index} className="border border-gray-200 dark:border-gray-700 rounded-lg p-4 space-y-3">
+                <div className="flex flex-wrap items-center gap-3">
+                  <span className="font-semibold text-gray-900 dark:text-white">Question {index + 1}</span>
+                  <select
+                    value={question.type}
+                    onChange={(e) => updateQuestion(index, { type: e.target.value as QuestionType })}
+                    className={inputClass}
+                  >
+                    {Object.entries(QUESTION_TYPE_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    min="0.5"
+                    step="0.5"
+                    value={question.points}
+                    onChange={(e) => updateQuestion(index, { points: e.target.value })}
+                    className={`${inputClass} w-24`}
+                    title="Points"
+                  />
+                  {questions.length > 1 && (
+                    <button
+                      type="button"
+                      onClick={() => setQuestions((prev) => prev.filter((_, i) => i !== index))}
+                      className="text-red-600 dark:text-red-400 hover:text-red-800"
+                      title="Remove question"
+                    >
+                      <Trash2 className="h-5 w-5" />
+                    </button>
+                  )}
+                </div>
+                <input
+                  type="text"
+                  placeholder="Question"
+                  value={question.prompt}
+                  onChange={(e) => updateQuestion(index, { prompt: e.target.value })}
+                  className={`${inputClass} w-full`}
+                  required
+                />
+
+                {question.type === 'multiple_choice' && (
+                  <div className="space-y-2">
+                    {question.options.map((option, optionIndex) => (
+                      <div key={optionIndex} className="flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          title="Correct answer"
+                          checked={question.correct.includes(optionIndex)}
+                          onChange={() => updateQuestion(index, {
+                            correct: question.correct.includes(optionIndex)
+                              ? question.correct.filter((i) => i !== optionIndex)
+                              : [...question.correct, optionIndex]
+                          })}
+                        />
+                        <input
+                          type="text"
+                          placeholder={`Option ${optionIndex + 1}`}
+                          value={option}
+                          onChange={(e) => updateQuestion(index, {
+                            options: question.options.map((o, i) => (i === optionIndex ? e.target.value : o))
+                          })}
+                          className={`${inputClass} flex-1`}
+                        />
+                      </div>
+                    ))}
+                    <button
+                      type="button"
+                      onClick={() => updateQuestion(index, { options: [...question.options, ''] })}
+                      className="text-sm text-blue-600 dark:text-blue-400 hover:underline"
+                    >
+                      + Add option
+                    </button>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">Tick every correct option.</p>
+                  </div>
+                )}
+
+                {question.type === 'true_false' && (
+                  <select
+                    value={String(question.trueFalse)}
+                    onChange={(e) => updateQuestion(index, { trueFalse: e.target.value === 'true' })}
+                    className={inputClass}
+                  >
+                    <option value="true">True</option>
+                    <option value="false">False</option>
+                  </select>
+                )}
+
+                {question.type === 'short_answer' && (
+                  <textarea
+                    placeholder="Accepted answers, one per line (not case sensitive)"
+                    rows={2}
+                    value={question.accepted}
+                    onChange={(e) => updateQuestion(index, { accepted: e.target.value })}
+                    className={`${inputClass} w-full`}
+                  />
+                )}
+
+                {question.type === 'numeric' && (
+                  <div className="grid grid-cols-2 gap-4">
+                    <input
+                      type="number"
+                      step="any"
+                      placeholder="Correct value"
+                      value={question.value}
+                      onChange={(e) => updateQuestion(index, { value: e.target.value })}
+                      className={inputClass}
+                    />
+                    <input
+                      type="number"
+                      step="any"
+                      min="0"
+                      placeholder="Tolerance (±)"
+                      value={question.tolerance}
+                      onChange={(e) => updateQuestion(index, { tolerance: e.target.value })}
+                      className={inputClass}
+                    />
+                  </div>
+                )}
+              </div>
+            ))}
+
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={() => setQuestions((prev) => [...prev, emptyQuestion()])}
+                className="px-6 py-3 rounded-lg bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-100 hover:bg-gray-300 dark:hover:bg-gray-600 font-semibold"
+              >
+                <Plus className="h-4 w-4 inline mr-2" />
+                Add Question
+              </button>
+              <button
+                type="submit"
+                className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-3 rounded-lg font-semibold transition-colors"
+              >
+                <ClipboardCheck className="h-4 w-4 inline mr-2" />
+                Create Quiz
+              </button>
+            </div>
+          </form>
+        </>
+      )}
+
+      <div>
+        <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">Results</h3>
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+            <thead className="bg-gray-50 dark:bg-gray-700">
+              <tr>
+                {['Student', 'Quiz', 'Class', 'Score', 'Result', 'Submitted'].map((heading) => (
+                  <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {results.length > 0 ? (
+                results.map((result) => (
+                  <tr key={result.id} className="hover:bg-gray-50 dark:hover:bg-gray-700">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
+                      <div>{result.student_name}</div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">{result.student_email}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">{result.quiz_title}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">{result.class_title}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
+                      {result.score}/{result.max_score} ({result.percent}%)
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      {result.status === 'expired' && <span className="text-yellow-600 dark:text-yellow-400 mr-2">Timed out</span>}
+                      {result.passed === null ? '-' : result.passed ? (
+                        <CheckCircle className="h-5 w-5 inline text-green-500 dark:text-green-400" />
+                      ) : (
+                        <XCircle className="h-5 w-5 inline text-red-500 dark:text-red-400" />
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                      {new Date(result.submitted_at).toLocaleString()}
+                    </td>
+                  </tr>
+                ))
+              ) : (
+                <tr>
+                  <td colSpan={6} className="px-6 py-8 text-center text-gray-500 dark:text-gray-400">
+                    No quiz results yet
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminQuizzes;
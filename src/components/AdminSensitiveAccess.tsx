@@ -0,0 +1,244 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { Lock, Check, X, Eye } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { getApiErrorMessage } from '../utils/apiUtils';
+import { SensitiveData, SensitiveDataType, SENSITIVE_DATA_LABELS, SENSITIVE_FIELD_LABELS } from '../utils/sensitiveData';
+
+interface AccessRequest {
+  id: number;
+  requester_id: number;
+  requester_name: string;
+  student_id: number;
+  student_name: string;
+  student_email: string;
+  data_type: SensitiveDataType;
+  reason: string;
+  status: 'pending' | 'approved' | 'denied' | 'cancelled';
+  requested_at: string;
+  reviewed_at: string | null;
+  reviewed_by_name: string | null;
+  review_comment: string | null;
+  access_expires_at: string | null;
+}
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL;
+
+const STATUS_STYLES: Record<AccessRequest['status'], string> = {
+  pending: 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-800 dark:text-yellow-300',
+  approved: 'bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300',
+  denied: 'bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-300',
+  cancelled: 'bg-gray-200 dark:bg-gray-600 text-gray-700 dark:text-gray-200'
+};
+
+const headerCellClass = 'px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider';
+const cellClass = 'px-4 py-3 text-sm text-gray-700 dark:text-gray-300';
+
+const isWindowOpen = (request: AccessRequest) =>
+  request.status === 'approved' && !!request.access_expires_at && new Date(request.access_expires_at) > new Date();
+
+// Review queue for other admins' sensitive data requests, and the signed-in admin's own request history
+const AdminSensitiveAccess: React.FC = () => {
+  const { can } = useAuth();
+  const canApprove = can('sensitive_data:approve');
+  const [queue, setQueue] = useState<AccessRequest[]>([]);
+  const [mine, setMine] = useState<AccessRequest[]>([]);
+  const [revealed, setRevealed] = useState<Record<number, SensitiveData>>({});
+  const [error, setError] = useState('');
+
+  const fetchRequests = useCallback(async () => {
+    try {
+      const [queueResponse, mineResponse] = await Promise.all([
+        canApprove ? axios.get(`${API_BASE}/admin/sensitive-access-requests`) : Promise.resolve({ data: [] }),
+        axios.get(`${API_BASE}/admin/sensitive-access-requests/mine`)
+      ]);
+      setQueue(Array.isArray(queueResponse.data) ? queueResponse.data : []);
+      setMine(Array.isArray(mineResponse.data) ? mineResponse.data : []);
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to fetch access requests'));
+    }
+  }, [canApprove]);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  const handleReview = async (request: AccessRequest, decision: 'approve' | 'deny') => {
+    const comment = window.prompt(
+      `${decision === 'approve' ? 'Approve' : 'Deny'} ${request.requester_name}'s request for ${request.student_name}'s ${SENSITIVE_DATA_LABELS[
+        request.data_type
+      ].toLowerCase()}? A comment is required:`
+    );
+    if (comment === null) return;
+    if (!comment.trim()) {
+      setError('A comment is required');
+      return;
+    }
+
+    setError('');
+    try {
+      await axios.post(`${API_BASE}/admin/sensitive-access-requests/${request.id}/review`, { decision, comment });
+      fetchRequests();
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to review the request'));
+    }
+  };
+
+  const handleCancel = async (request: AccessRequest) => {
+    setError('');
+    try {
+      await axios.delete(`${API_BASE}/admin/sensitive-access-requests/${request.id}`);
+      fetchRequests();
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to cancel the request'));
+    }
+  };
+
+  const handleView = async (request: AccessRequest) => {
+    setError('');
+    try {
+      const response = await axios.get(`${API_BASE}/admin/students/${request.student_id}/sensitive-data`, {
+        params: { dataType: request.data_type }
+      });
+      setRevealed((current) => ({ ...current, [request.id]: response.data.data }));
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to load the data'));
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      <h2 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center gap-2">
+        <Lock className="h-6 w-6 text-blue-500 dark:text-blue-400" /> Sensitive data access
+      </h2>
+
+      {error && <div className="p-3 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded-lg">{error}</div>}
+
+      {canApprove && (
+        <div className="space-y-3">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Waiting for your approval</h3>
+          {queue.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No requests from other administrators.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+                <thead className="bg-gray-50 dark:bg-gray-700">
+                  <tr>
+                    {['Requested', 'By', 'Student', 'Data', 'Reason', ''].map((heading) => (
+                      <th key={heading} className={headerCellClass}>{heading}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                  {queue.map((request) => (
+                    <tr key={request.id}>
+                      <td className={`${cellClass} whitespace-nowrap`}>{new Date(request.requested_at).toLocaleString()}</td>
+                      <td className={cellClass}>{request.requester_name}</td>
+                      <td className={cellClass}>
+                        {request.student_name}
+                        <div className="text-xs text-gray-500 dark:text-gray-400">{request.student_email}</div>
+                      </td>
+                      <td className={cellClass}>{SENSITIVE_DATA_LABELS[request.data_type]}</td>
+                      <td className={`${cellClass} max-w-xs`}>{request.reason}</td>
+                      <td className={`${cellClass} whitespace-nowrap text-right`}>
+                        <span className="inline-flex gap-3">
+                          <button
+                            onClick={() => handleReview(request, 'approve')}
+                            className="inline-flex items-center gap-1 text-green-600 dark:text-green-400 hover:underline font-semibold"
+                          >
+                            <Check className="h-4 w-4" /> Approve
+                          </button>
+                          <button
+                            onClick={() => handleReview(request, 'deny')}
+                            className="inline-flex items-center gap-1 text-red-600 dark:text-red-400 hover:underline font-semibold"
+                          >
+                            <X className="h-4 w-4" /> Deny
+                          </button>
+                        </span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="space-y-3">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">My requests</h3>
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Request access from the lock icon on the student list. Approved access lasts one hour.
+        </p>
+        {mine.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">You have not requested any data yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+              <thead className="bg-gray-50 dark:bg-gray-700">
+                <tr>
+                  {['Requested', 'Student', 'Data', 'Status', 'Review', ''].map((heading) => (
+                    <th key={heading} className={headerCellClass}>{heading}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {mine.map((request) => (
+                  <tr key={request.id}>
+                    <td className={`${cellClass} whitespace-nowrap`}>{new Date(request.requested_at).toLocaleString()}</td>
+                    <td className={cellClass}>{request.student_name}</td>
+                    <td className={cellClass}>{SENSITIVE_DATA_LABELS[request.data_type]}</td>
+                    <td className={cellClass}>
+                      <span className={`px-2 py-1 text-xs font-semibold rounded-full ${STATUS_STYLES[request.status]}`}>
+                        {request.status}
+                      </span>
+                    </td>
+                    <td className={cellClass}>
+                      {request.reviewed_by_name && (
+                        <div>
+                          {request.reviewed_by_name}
+                          {request.review_comment && <div className="text-xs">{request.review_comment}</div>}
+                        </div>
+                      )}
+                      {isWindowOpen(request) && (
+                        <div className="text-xs text-green-700 dark:text-green-400">
+                          Open until {new Date(request.access_expires_at!).toLocaleTimeString()}
+                        </div>
+                      )}
+                      {revealed[request.id] && (
+                        <div className="mt-1 text-xs">
+                          {(Object.keys(revealed[request.id]) as (keyof SensitiveData)[]).map((field) => (
+                            <div key={field}>
+                              <span className="font-semibold">{SENSITIVE_FIELD_LABELS[field]}:</span> {revealed[request.id][field] || '—'}
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </td>
+                    <td className={`${cellClass} whitespace-nowrap text-right`}>
+                      {request.status === 'pending' && (
+                        <button onClick={() => handleCancel(request)} className="text-blue-600 dark:text-blue-400 hover:underline font-semibold">
+                          Cancel
+                        </button>
+                      )}
+                      {isWindowOpen(request) && !revealed[request.id] && (
+                        <button
+                          onClick={() => handleView(request)}
+                          className="inline-flex items-center gap-1 text-blue-600 dark:text-blue-400 hover:underline font-semibold"
+                        >
+                          <Eye className="h-4 w-4" /> View
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminSensitiveAccess;
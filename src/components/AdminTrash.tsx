@@ -0,0 +1,218 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { ArchiveRestore, RotateCcw, Trash2 } from 'lucide-react';
+import { getApiErrorMessage } from '../utils/apiUtils';
+import { useAuth } from '../contexts/AuthContext';
+
+type TrashType = 'teacher' | 'class' | 'student';
+
+interface TrashedItem {
+  id: number;
+  deleted_at: string;
+  deleted_by_name: string | null;
+}
+
+interface TrashedTeacher extends TrashedItem {
+  name: string;
+  subject: string;
+  class_count: number;
+}
+
+interface TrashedClass extends TrashedItem {
+  title: string;
+  teacher_name: string | null;
+  teacher_deleted: boolean;
+  enrollment_count: number;
+  access_code_count: number;
+}
+
+interface TrashedStudent extends TrashedItem {
+  name: string;
+  email: string;
+  country: string;
+}
+
+interface TrashContents {
+  teachers: TrashedTeacher[];
+  classes: TrashedClass[];
+  students: TrashedStudent[];
+}
+
+interface TrashRow {
+  item: TrashedItem;
+  label: string;
+  details: string;
+}
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL;
+
+const PURGE_WARNINGS: Record<TrashType, string> = {
+  teacher: 'The teacher profile is removed for good.',
+  class: 'The class, its lessons, enrollments and access codes are removed for good.',
+  student: 'The student\'s personal data is anonymized for good; payments stay on record.'
+};
+
+// Soft-deleted teachers, classes and students: restore puts them back everywhere,
+// purge is the permanent, audited step and needs a reason.
+const AdminTrash: React.FC<{ onRestored?: () => void }> = ({ onRestored }) => {
+  const { can } = useAuth();
+  const [trash, setTrash] = useState<TrashContents>({ teachers: [], classes: [], students: [] });
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const fetchTrash = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/admin/trash`);
+      setTrash(response.data);
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to fetch the trash'));
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const handleRestore = async (type: TrashType, row: TrashRow) => {
+    setError('');
+    setNotice('');
+    try {
+      await axios.post(`${API_BASE}/admin/trash/${type}/${row.item.id}/restore`);
+      setNotice(`${row.label} was restored`);
+      fetchTrash();
+      onRestored?.();
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to restore'));
+    }
+  };
+
+  const handlePurge = async (type: TrashType, row: TrashRow) => {
+    const reason = window.prompt(`Permanently delete ${row.label}? ${PURGE_WARNINGS[type]} This cannot be undone. Reason:`);
+    if (reason === null) return;
+    if (!reason.trim()) {
+      setError('A reason is required to delete permanently');
+      return;
+    }
+
+    setError('');
+    setNotice('');
+    try {
+      await axios.delete(`${API_BASE}/admin/trash/${type}/${row.item.id}`, { data: { reason } });
+      setNotice(`${row.label} was deleted permanently`);
+      fetchTrash();
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to delete permanently'));
+    }
+  };
+
+  const sections: { type: TrashType; title: string; permission: string; rows: TrashRow[] }[] = [
+    {
+      type: 'teacher',
+      title: 'Teachers',
+      permission: 'teachers:write',
+      rows: trash.teachers.map((teacher) => ({
+        item: teacher,
+        label: teacher.name,
+        details: `${teacher.subject} · ${teacher.class_count} class${teacher.class_count === 1 ? '' : 'es'}`
+      }))
+    },
+    {
+      type: 'class',
+      title: 'Classes',
+      permission: 'classes:delete',
+      rows: trash.classes.map((classItem) => ({
+        item: classItem,
+        label: classItem.title,
+        details: [
+          classItem.teacher_name ? `${classItem.teacher_name}${classItem.teacher_deleted ? ' (in the trash)' : ''}` : 'No teacher',
+          `${classItem.enrollment_count} enrolled`,
+          `${classItem.access_code_count} access codes`
+        ].join(' · ')
+      }))
+    },
+    {
+      type: 'student',
+      title: 'Students',
+      permission: 'students:write',
+      rows: trash.students.map((student) => ({
+        item: student,
+        label: student.name,
+        details: `${student.email} · ${student.country}`
+      }))
+    }
+  ];
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center gap-2">
+        <ArchiveRestore className="h-6 w-6 text-blue-500 dark:text-blue-400" /> Trash
+      </h2>
+
+      {error && <div className="p-3 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded-lg">{error}</div>}
+      {notice && <div className="p-3 bg-green-50 dark:bg-green-900/30 text-green-700 dark:text-green-300 rounded-lg">{notice}</div>}
+
+      {sections.map((section) => (
+        <div key={section.type} className="space-y-3">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+            {section.title} ({section.rows.length})
+          </h3>
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+              <thead className="bg-gray-50 dark:bg-gray-700">
+                <tr>
+                  {['Name', 'Details', 'Deleted', ''].map((heading) => (
+                    <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {section.rows.length > 0 ? (
+                  section.rows.map((row) => (
+                    <tr key={row.item.id} className="hover:bg-gray-50 dark:hover:bg-gray-700">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">{row.label}</td>
+                      <td className="px-6 py-4 text-sm text-gray-700 dark:text-gray-300">{row.details}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                        {row.item.deleted_by_name ? `${row.item.deleted_by_name}, ` : ''}
+                        {new Date(row.item.deleted_at).toLocaleString()}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-right">
+                        {can(section.permission) && (
+                          <span className="inline-flex gap-3">
+                            <button
+                              onClick={() => handleRestore(section.type, row)}
+                              className="inline-flex items-center gap-1 text-blue-600 dark:text-blue-400 hover:underline font-semibold"
+                            >
+                              <RotateCcw className="h-4 w-4" /> Restore
+                            </button>
+                            {can('trash:purge') && (
+                              <button
+                                onClick={() => handlePurge(section.type, row)}
+                                className="inline-flex items-center gap-1 text-red-600 dark:text-red-400 hover:underline font-semibold"
+                              >
+                                <Trash2 className="h-4 w-4" /> Delete permanently
+                              </button>
+                            )}
+                          </span>
+                        )}
+                      </td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan={4} className="px-6 py-8 text-center text-gray-500 dark:text-gray-400">
+                      Nothing in the trash
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default AdminTrash;
@@ -0,0 +1,50 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ShieldAlert } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import TwoFactorSettings from './TwoFactorSettings';
+
+// Shown instead of admin pages while ADMIN_2FA_REQUIRED is on and the
+// current session has not been verified with a second factor
+const AdminTwoFactorGate: React.FC = () => {
+  const { user, logout } = useAuth();
+  const navigate = useNavigate();
+
+  const handleSignInAgain = () => {
+    logout();
+    navigate('/login', { replace: true });
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 py-12 px-4">
+      <div className="max-w-2xl mx-auto space-y-6">
+        <div className="flex items-start gap-3 p-4 bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg">
+          <ShieldAlert className="h-6 w-6 text-yellow-600 dark:text-yellow-400 flex-shrink-0" />
+          <div className="text-sm text-yellow-800 dark:text-yellow-200">
+            <p className="font-semibold">Two-factor authentication is required for admin accounts.</p>
+            {user?.twoFactor?.enabled ? (
+              <p className="mt-1">
+                This session was opened without your authenticator code. Sign in again to continue.
+              </p>
+            ) : (
+              <p className="mt-1">Set up an authenticator app below to open the admin pages.</p>
+            )}
+          </div>
+        </div>
+
+        {user?.twoFactor?.enabled ? (
+          <button
+            onClick={handleSignInAgain}
+            className="bg-blue-600 dark:bg-blue-700 hover:bg-blue-700 dark:hover:bg-blue-800 text-white font-semibold py-2 px-4 rounded-lg transition-colors"
+          >
+            Sign in again
+          </button>
+        ) : (
+          <TwoFactorSettings />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminTwoFactorGate;
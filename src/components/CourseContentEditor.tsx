@@ -0,0 +1,323 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { Plus, Edit, Trash2, PlayCircle, Paperclip } from 'lucide-react';
+import { getApiErrorMessage } from '../utils/apiUtils';
+
+interface Lesson {
+  id: number;
+  module_id: number;
+  title: string;
+  description: string;
+  video_url?: string | null;
+  attachments?: { name: string; url: string }[];
+  sort_order: number;
+}
+
+interface Module {
+  id: number;
+  title: string;
+  description: string;
+  sort_order: number;
+  lessons: Lesson[];
+}
+
+interface LessonForm {
+  title: string;
+  description: string;
+  video_url: string;
+  video: File | null;
+  attachments: File[];
+}
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL;
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+const primaryButtonClass =
+  'bg-blue-600 dark:bg-blue-700 hover:bg-blue-700 dark:hover:bg-blue-800 text-white font-semibold py-2 px-4 rounded-lg transition-colors disabled:opacity-50';
+
+const emptyLessonForm: LessonForm = { title: '', description: '', video_url: '', video: null, attachments: [] };
+
+// Module and lesson management for one class; the server only allows it to admins and the class's teacher
+const CourseContentEditor: React.FC<{ classId: number }> = ({ classId }) => {
+  const [modules, setModules] = useState<Module[]>([]);
+  const [moduleForm, setModuleForm] = useState({ title: '', description: '' });
+  const [editingModuleId, setEditingModuleId] = useState<number | null>(null);
+  // Target of the open lesson form: a module for a new lesson, or an existing lesson
+  const [lessonTarget, setLessonTarget] = useState<{ moduleId: number; lessonId?: number; videoUrl?: string } | null>(null);
+  const [lessonForm, setLessonForm] = useState<LessonForm>(emptyLessonForm);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchModules = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/classes/${classId}/modules`);
+      setModules(response.data.modules);
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to load course content'));
+    }
+  }, [classId]);
+
+  useEffect(() => {
+    fetchModules();
+  }, [fetchModules]);
+
+  const run = async (action: () => Promise<void>, fallback: string) => {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+      await fetchModules();
+    } catch (err) {
+      setError(getApiErrorMessage(err, fallback));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSaveModule = (e: React.FormEvent) => {
+    e.preventDefault();
+    run(async () => {
+      if (editingModuleId) {
+        await axios.put(`${API_BASE}/modules/${editingModuleId}`, moduleForm);
+      } else {
+        await axios.post(`${API_BASE}/classes/${classId}/modules`, moduleForm);
+      }
+      setModuleForm({ title: '', description: '' });
+      setEditingModuleId(null);
+    }, 'Failed to save module');
+  };
+
+  const handleDeleteModule = (moduleId: number) => {
+    if (!window.confirm('Delete this module and all of its lessons?')) return;
+    run(async () => {
+      await axios.delete(`${API_BASE}/modules/${moduleId}`);
+    }, 'Failed to delete module');
+  };
+
+  // Uploaded videos live under the protected media path and are not shown as a link
+  const openLessonForm = (moduleId: number, lesson?: Lesson) => {
+    const videoUrl = lesson?.video_url && /^https?:\/\//.test(lesson.video_url) ? lesson.video_url : '';
+    setLessonTarget({ moduleId, lessonId: lesson?.id, videoUrl });
+    setLessonForm(
+      lesson
+        ? { ...emptyLessonForm, title: lesson.title, description: lesson.description || '', video_url: videoUrl }
+        : emptyLessonForm
+    );
+  };
+
+  const handleSaveLesson = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!lessonTarget) return;
+
+    const formData = new FormData();
+    formData.append('title', lessonForm.title);
+    formData.append('description', lessonForm.description);
+    // Left untouched, the link field keeps the current video (which may be an uploaded file)
+    if (!lessonTarget.lessonId || lessonForm.video_url !== lessonTarget.videoUrl) {
+      formData.append('video_url', lessonForm.video_url);
+    }
+    if (lessonForm.video) {
+      formData.append('video', lessonForm.video);
+    }
+    lessonForm.attachments.forEach((file) => formData.append('attachments', file));
+
+    run(async () => {
+      const config = { headers: { 'Content-Type': 'multipart/form-data' } };
+      if (lessonTarget.lessonId) {
+        await axios.put(`${API_BASE}/lessons/${lessonTarget.lessonId}`, formData, config);
+      } else {
+        await axios.post(`${API_BASE}/modules/${lessonTarget.moduleId}/lessons`, formData, config);
+      }
+      setLessonTarget(null);
+      setLessonForm(emptyLessonForm);
+    }, 'Failed to save lesson');
+  };
+
+  const handleDeleteLesson = (lessonId: number) => {
+    if (!window.confirm('Delete this lesson?')) return;
+    run(async () => {
+      await axios.delete(`${API_BASE}/lessons/${lessonId}`);
+    }, 'Failed to delete lesson');
+  };
+
+  const lessonFormView = (
+    <form onSubmit={handleSaveLesson} className="space-y-2 p-3 bg-gray-50 dark:bg-gray-700/50 rounded-lg">
+      <input
+        type="text"
+        placeholder="Lesson title"
+        value={lessonForm.title}
+        onChange={(e) => setLessonForm({ ...lessonForm, title: e.target.value })}
+        className={inputClass}
+        required
+      />
+      <textarea
+        placeholder="Description"
+        value={lessonForm.description}
+        onChange={(e) => setLessonForm({ ...lessonForm, description: e.target.value })}
+        className={inputClass}
+        rows={2}
+      />
+      <input
+        type="url"
+        placeholder="Video URL (or upload a file below)"
+        value={lessonForm.video_url}
+        onChange={(e) => setLessonForm({ ...lessonForm, video_url: e.target.value })}
+        className={inputClass}
+      />
+      <label className="block text-sm text-gray-600 dark:text-gray-300">
+        Video file
+        <input
+          type="file"
+          accept="video/*"
+          onChange={(e) => setLessonForm({ ...lessonForm, video: e.target.files?.[0] || null })}
+          className={`${inputClass} mt-1`}
+        />
+      </label>
+      <label className="block text-sm text-gray-600 dark:text-gray-300">
+        Attachments
+        <input
+          type="file"
+          multiple
+          onChange={(e) => setLessonForm({ ...lessonForm, attachments: Array.from(e.target.files || []) })}
+          className={`${inputClass} mt-1`}
+        />
+      </label>
+      <div className="flex gap-2">
+        <button type="submit" disabled={busy} className={primaryButtonClass}>
+          {lessonTarget?.lessonId ? 'Save Lesson' : 'Add Lesson'}
+        </button>
+        <button type="button" onClick={() => setLessonTarget(null)} className="py-2 px-4 text-gray-600 dark:text-gray-300">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+
+  return (
+    <div className="space-y-4">
+      {error && <div className="p-3 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded-lg">{error}</div>}
+
+      {modules.length === 0 && (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No modules yet. Add the first one below.</p>
+      )}
+
+      {modules.map((module) => (
+        <div key={module.id} className="border border-gray-200 dark:border-gray-700 rounded-lg p-4 space-y-3">
+          <div className="flex items-start justify-between gap-2">
+            <div>
+              <h4 className="font-semibold text-gray-900 dark:text-white">{module.title}</h4>
+              {module.description && <p className="text-sm text-gray-600 dark:text-gray-300">{module.description}</p>}
+            </div>
+            <div className="flex gap-2 shrink-0">
+              <button
+                onClick={() => {
+                  setEditingModuleId(module.id);
+                  setModuleForm({ title: module.title, description: module.description || '' });
+                }}
+                className="text-gray-500 dark:text-gray-400 hover:text-blue-600 dark:hover:text-blue-400"
+                title="Edit module"
+              >
+                <Edit className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => handleDeleteModule(module.id)}
+                className="text-gray-500 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                title="Delete module"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+
+          <ul className="space-y-2">
+            {module.lessons.map((lesson) => (
+              <li key={lesson.id}>
+                {lessonTarget?.lessonId === lesson.id ? (
+                  lessonFormView
+                ) : (
+                  <div className="flex items-center justify-between gap-2 text-sm text-gray-700 dark:text-gray-200">
+                    <span className="flex items-center gap-2">
+                      <PlayCircle className="h-4 w-4 text-blue-500 dark:text-blue-400" />
+                      {lesson.title}
+                      {(lesson.attachments?.length || 0) > 0 && (
+                        <span className="flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400">
+                          <Paperclip className="h-3 w-3" /> {lesson.attachments?.length}
+                        </span>
+                      )}
+                    </span>
+                    <span className="flex gap-2">
+                      <button
+                        onClick={() => openLessonForm(module.id, lesson)}
+                        className="text-gray-500 dark:text-gray-400 hover:text-blue-600 dark:hover:text-blue-400"
+                        title="Edit lesson"
+                      >
+                        <Edit className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDeleteLesson(lesson.id)}
+                        className="text-gray-500 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                        title="Delete lesson"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </span>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          {lessonTarget?.moduleId === module.id && !lessonTarget.lessonId ? (
+            lessonFormView
+          ) : (
+            <button
+              onClick={() => openLessonForm(module.id)}
+              className="inline-flex items-center gap-1 text-sm text-blue-600 dark:text-blue-400 hover:underline font-semibold"
+            >
+              <Plus className="h-4 w-4" /> Add lesson
+            </button>
+          )}
+        </div>
+      ))}
+
+      <form onSubmit={handleSaveModule} className="space-y-2">
+        <h4 className="font-semibold text-gray-900 dark:text-white">{editingModuleId ? 'Edit module' : 'New module'}</h4>
+        <input
+          type="text"
+          placeholder="Module title"
+          value={moduleForm.title}
+          onChange={(e) => setModuleForm({ ...moduleForm, title: e.target.value })}
+          className={inputClass}
+          required
+        />
+        <textarea
+          placeholder="Description"
+          value={moduleForm.description}
+          onChange={(e) => setModuleForm({ ...moduleForm, description: e.target.value })}
+          className={inputClass}
+          rows={2}
+        />
+        <div className="flex gap-2">
+          <button type="submit" disabled={busy} className={primaryButtonClass}>
+            {editingModuleId ? 'Save Module' : 'Add Module'}
+          </button>
+          {editingModuleId && (
+            <button
+              type="button"
+              onClick={() => {
+                setEditingModuleId(null);
+                setModuleForm({ title: '', description: '' });
+              }}
+              className="py-2 px-4 text-gray-600 dark:text-gray-300"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CourseContentEditor;
@@ -0,0 +1,191 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { ShieldCheck, KeyRound, Check, X, Trash2 } from 'lucide-react';
+import { getApiErrorMessage } from '../utils/apiUtils';
+
+interface GuardianLink {
+  id: number;
+  guardian_name: string;
+  guardian_email: string;
+  status: 'pending' | 'active';
+  linked_via: 'invite_code' | 'admin';
+  created_at: string;
+  consent_given_at: string | null;
+}
+
+interface OpenInvite {
+  created_at: string;
+  expires_at: string;
+}
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL;
+
+const primaryButtonClass =
+  'bg-blue-600 dark:bg-blue-700 hover:bg-blue-700 dark:hover:bg-blue-800 text-white font-semibold py-2 px-4 rounded-lg transition-colors disabled:opacity-50';
+
+const formatDate = (value: string) =>
+  new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+
+// Lets a student decide which guardians may follow their progress
+const GuardianAccessSettings: React.FC = () => {
+  const [links, setLinks] = useState<GuardianLink[]>([]);
+  const [invite, setInvite] = useState<OpenInvite | null>(null);
+  // The plain code is only returned once, right after it is generated
+  const [newCode, setNewCode] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchGuardians = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/student/guardians`);
+      setLinks(response.data.links);
+      setInvite(response.data.invite);
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to load guardian access'));
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchGuardians();
+  }, [fetchGuardians]);
+
+  const run = async (action: () => Promise<void>, fallback: string) => {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+      await fetchGuardians();
+    } catch (err) {
+      setError(getApiErrorMessage(err, fallback));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleGenerate = () =>
+    run(async () => {
+      const response = await axios.post(`${API_BASE}/student/guardians/invite`);
+      setNewCode(response.data.code);
+    }, 'Failed to create an invite code');
+
+  const handleRevokeInvite = () =>
+    run(async () => {
+      await axios.delete(`${API_BASE}/student/guardians/invite`);
+      setNewCode('');
+    }, 'Failed to revoke the invite code');
+
+  const handleRespond = (link: GuardianLink, approve: boolean) =>
+    run(async () => {
+      await axios.post(`${API_BASE}/student/guardians/${link.id}/consent`, { approve });
+    }, 'Failed to answer the request');
+
+  const handleRemove = (link: GuardianLink) => {
+    if (!window.confirm(`Stop sharing your progress with ${link.guardian_name}?`)) return;
+    run(async () => {
+      await axios.delete(`${API_BASE}/student/guardians/${link.id}`);
+    }, 'Failed to remove guardian');
+  };
+
+  const pending = links.filter((link) => link.status === 'pending');
+  const active = links.filter((link) => link.status === 'active');
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow p-6 mb-8 space-y-4">
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+          <ShieldCheck className="h-5 w-5" /> Guardian access
+        </h2>
+        <p className="text-sm text-gray-600 dark:text-gray-300">
+          Guardians you allow can see your enrolled classes, lesson progress and quiz results. They cannot change anything.
+        </p>
+      </div>
+
+      {error && <div className="p-3 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded-lg">{error}</div>}
+
+      <div className="flex flex-wrap items-center gap-3">
+        <button onClick={handleGenerate} disabled={busy} className={`${primaryButtonClass} inline-flex items-center gap-2`}>
+          <KeyRound className="h-4 w-4" /> {invite ? 'New invite code' : 'Create invite code'}
+        </button>
+        {newCode && (
+          <span className="font-mono text-lg font-bold tracking-wider text-gray-900 dark:text-white">{newCode}</span>
+        )}
+        {invite && (
+          <>
+            <span className="text-sm text-gray-600 dark:text-gray-300">Valid until {formatDate(invite.expires_at)}</span>
+            <button
+              onClick={handleRevokeInvite}
+              disabled={busy}
+              className="text-sm text-red-600 dark:text-red-400 hover:underline"
+            >
+              Revoke code
+            </button>
+          </>
+        )}
+      </div>
+      {newCode && (
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Give this code to your parent or guardian. Sharing it is your consent to link their account; it works once.
+        </p>
+      )}
+
+      {pending.length > 0 && (
+        <div>
+          <h3 className="font-semibold text-gray-900 dark:text-white mb-2">Waiting for your approval</h3>
+          <ul className="space-y-2">
+            {pending.map((link) => (
+              <li key={link.id} className="flex items-center justify-between gap-2 text-sm text-gray-700 dark:text-gray-200">
+                <span>
+                  {link.guardian_name} <span className="text-gray-500 dark:text-gray-400">({link.guardian_email})</span>
+                </span>
+                <span className="flex gap-2">
+                  <button
+                    onClick={() => handleRespond(link, true)}
+                    disabled={busy}
+                    className="inline-flex items-center gap-1 text-green-600 dark:text-green-400 hover:underline font-semibold"
+                  >
+                    <Check className="h-4 w-4" /> Approve
+                  </button>
+                  <button
+                    onClick={() => handleRespond(link, false)}
+                    disabled={busy}
+                    className="inline-flex items-center gap-1 text-red-600 dark:text-red-400 hover:underline font-semibold"
+                  >
+                    <X className="h-4 w-4" /> Decline
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {active.length > 0 && (
+        <div>
+          <h3 className="font-semibold text-gray-900 dark:text-white mb-2">Guardians following your progress</h3>
+          <ul className="space-y-2">
+            {active.map((link) => (
+              <li key={link.id} className="flex items-center justify-between gap-2 text-sm text-gray-700 dark:text-gray-200">
+                <span>
+                  {link.guardian_name} <span className="text-gray-500 dark:text-gray-400">({link.guardian_email})</span>
+                  {link.consent_given_at && (
+                    <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">since {formatDate(link.consent_given_at)}</span>
+                  )}
+                </span>
+                <button
+                  onClick={() => handleRemove(link)}
+                  disabled={busy}
+                  className="text-gray-500 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                  title="Remove guardian"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GuardianAccessSettings;
@@ -13,17 +13,24 @@ import {
   Globe,
   Menu,
   X,
-  ChevronDown
+  ChevronDown,
+  MailWarning,
+  LayoutDashboard,
+  Users,
+  UserCog
 } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
+import { getApiErrorMessage } from '../utils/apiUtils';
 
 const Navbar: React.FC = () => {
-  const { user, logout } = useAuth();
+  const { user, can, logout, logoutEverywhere, resendVerificationEmail } = useAuth();
   const { theme, toggleTheme } = useTheme();
   const navigate = useNavigate();
   const { i18n } = useTranslation();
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const [isProfileDropdownOpen, setIsProfileDropdownOpen] = useState(false);
+  const [verificationNotice, setVerificationNotice] = useState('');
+  const [isResendingVerification, setIsResendingVerification] = useState(false);
 
   // Close mobile menu when screen size changes
   useEffect(() => {
@@ -58,6 +65,29 @@ const Navbar: React.FC = () => {
     setIsMobileMenuOpen(false);
   };
 
+  const handleLogoutEverywhere = async () => {
+    if (!window.confirm('Sign out of all devices, including this one?')) return;
+    try {
+      await logoutEverywhere();
+    } catch (error) {
+      console.error('Logout everywhere failed:', error);
+    }
+    navigate('/');
+    setIsProfileDropdownOpen(false);
+    setIsMobileMenuOpen(false);
+  };
+
+  const handleResendVerification = async () => {
+    setIsResendingVerification(true);
+    try {
+      setVerificationNotice(await resendVerificationEmail());
+    } catch (error) {
+      setVerificationNotice(getApiErrorMessage(error, 'Failed to send the confirmation email'));
+    } finally {
+      setIsResendingVerification(false);
+    }
+  };
+
   const toggleLanguage = () => {
     i18n.changeLanguage(i18n.language === 'ar' ? 'en' : 'ar');
   };
@@ -111,7 +141,16 @@ const Navbar: React.FC = () => {
             <p className="text-xs text-gray-500 dark:text-gray-400">{user?.email}</p>
           </div>
           
-          {user?.role === 'admin' ? (
+          <Link
+            to="/profile"
+            className="flex items-center space-x-2 px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+            onClick={() => setIsProfileDropdownOpen(false)}
+          >
+            <UserCog className="h-4 w-4" />
+            <span>My Profile</span>
+          </Link>
+
+          {can('admin_panel:view') ? (
             <Link
               to="/admin"
               className="flex items-center space-x-2 px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
@@ -120,6 +159,15 @@ const Navbar: React.FC = () => {
               <Settings className="h-4 w-4" />
               <span>Admin Panel</span>
             </Link>
+          ) : can('guardian_portal:view') ? (
+            <Link
+              to="/guardian"
+              className="flex items-center space-x-2 px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+              onClick={() => setIsProfileDropdownOpen(false)}
+            >
+              <Users className="h-4 w-4" />
+              <span>Guardian Portal</span>
+            </Link>
           ) : (
             <Link
               to="/my-classes"
@@ -130,6 +178,17 @@ const Navbar: React.FC = () => {
               <span>My Classes</span>
             </Link>
           )}
+
+          {can('teacher_profile:write') && (
+            <Link
+              to="/teacher-dashboard"
+              className="flex items-center space-x-2 px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+              onClick={() => setIsProfileDropdownOpen(false)}
+            >
+              <LayoutDashboard className="h-4 w-4" />
+              <span>Teacher Dashboard</span>
+            </Link>
+          )}
           
           <button
             onClick={handleLogout}
@@ -138,6 +197,13 @@ const Navbar: React.FC = () => {
             <LogOut className="h-4 w-4" />
             <span>Logout</span>
           </button>
+          <button
+            onClick={handleLogoutEverywhere}
+            className="flex items-center space-x-2 px-4 py-2 text-sm text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors w-full text-left"
+          >
+            <LogOut className="h-4 w-4" />
+            <span>Logout all devices</span>
+          </button>
         </div>
       )}
     </div>
@@ -157,6 +223,14 @@ const Navbar: React.FC = () => {
 
           {/* Desktop Navigation */}
           <div className="hidden md:flex items-center space-x-4">
+            <Link
+              to="/classes"
+              className="flex items-center space-x-2 px-3 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:text-blue-600 dark:hover:text-blue-400 transition-colors"
+            >
+              <BookOpen className="h-4 w-4" />
+              <span>Classes</span>
+            </Link>
+
             {/* Language Toggle */}
             <button
               onClick={toggleLanguage}
@@ -211,6 +285,15 @@ const Navbar: React.FC = () => {
         {/* Mobile Menu */}
         {isMobileMenuOpen && (
           <div className="md:hidden border-t border-gray-200 dark:border-gray-700 py-4 space-y-4">
+            <Link
+              to="/classes"
+              className="flex items-center space-x-2 px-3 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors rounded-lg"
+              onClick={() => setIsMobileMenuOpen(false)}
+            >
+              <BookOpen className="h-4 w-4" />
+              <span>Classes</span>
+            </Link>
+
             {/* Auth Buttons or User Profile for Mobile */}
             {user ? (
               <div className="space-y-3">
@@ -224,7 +307,16 @@ const Navbar: React.FC = () => {
                   </div>
                 </div>
                 
-                {user.role === 'admin' ? (
+                <Link
+                  to="/profile"
+                  className="flex items-center space-x-2 px-3 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors rounded-lg"
+                  onClick={() => setIsMobileMenuOpen(false)}
+                >
+                  <UserCog className="h-4 w-4" />
+                  <span>My Profile</span>
+                </Link>
+
+                {can('admin_panel:view') ? (
                   <Link
                     to="/admin"
                     className="flex items-center space-x-2 px-3 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors rounded-lg"
@@ -233,6 +325,15 @@ const Navbar: React.FC = () => {
                     <Settings className="h-4 w-4" />
                     <span>Admin Panel</span>
                   </Link>
+                ) : can('guardian_portal:view') ? (
+                  <Link
+                    to="/guardian"
+                    className="flex items-center space-x-2 px-3 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors rounded-lg"
+                    onClick={() => setIsMobileMenuOpen(false)}
+                  >
+                    <Users className="h-4 w-4" />
+                    <span>Guardian Portal</span>
+                  </Link>
                 ) : (
                   <Link
                     to="/my-classes"
@@ -243,6 +344,17 @@ const Navbar: React.FC = () => {
                     <span>My Classes</span>
                   </Link>
                 )}
+
+                {can('teacher_profile:write') && (
+                  <Link
+                    to="/teacher-dashboard"
+                    className="flex items-center space-x-2 px-3 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors rounded-lg"
+                    onClick={() => setIsMobileMenuOpen(false)}
+                  >
+                    <LayoutDashboard className="h-4 w-4" />
+                    <span>Teacher Dashboard</span>
+                  </Link>
+                )}
                 
                 <button
                   onClick={handleLogout}
@@ -251,6 +363,13 @@ const Navbar: React.FC = () => {
                   <LogOut className="h-4 w-4" />
                   <span>Logout</span>
                 </button>
+                <button
+                  onClick={handleLogoutEverywhere}
+                  className="flex items-center space-x-2 px-3 py-2 text-sm font-medium text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors rounded-lg w-full text-left"
+                >
+                  <LogOut className="h-4 w-4" />
+                  <span>Logout all devices</span>
+                </button>
               </div>
             ) : (
               <AuthButtons />
@@ -258,6 +377,25 @@ const Navbar: React.FC = () => {
           </div>
         )}
       </div>
+
+      {/* Unverified email banner */}
+      {user && user.emailVerified === false && (
+        <div className="bg-yellow-50 dark:bg-yellow-900/20 border-t border-yellow-200 dark:border-yellow-800">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex flex-wrap items-center gap-x-4 gap-y-1 text-sm text-yellow-800 dark:text-yellow-200">
+            <MailWarning className="h-4 w-4 flex-shrink-0" />
+            <span>
+              {verificationNotice || `Please confirm your email address (${user.email}) to enroll in classes and redeem access codes.`}
+            </span>
+            <button
+              onClick={handleResendVerification}
+              disabled={isResendingVerification}
+              className="font-semibold underline hover:text-yellow-900 dark:hover:text-yellow-100 disabled:opacity-50"
+            >
+              {isResendingVerification ? 'Sending...' : 'Resend email'}
+            </button>
+          </div>
+        </div>
+      )}
     </nav>
   );
 };
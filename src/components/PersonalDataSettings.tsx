@@ -0,0 +1,155 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { Download, Trash2 } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { getApiErrorMessage } from '../utils/apiUtils';
+
+interface DeletionRequest {
+  id: number;
+  status: 'pending' | 'approved' | 'rejected' | 'cancelled';
+  reason: string;
+  requested_at: string;
+  reviewed_at: string | null;
+  review_comment: string | null;
+}
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL;
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+const secondaryButtonClass =
+  'inline-flex items-center gap-2 py-2 px-4 rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700 font-semibold transition-colors disabled:opacity-50';
+
+// Data export for every account, and the deletion request for accounts allowed to make one
+const PersonalDataSettings: React.FC = () => {
+  const { can } = useAuth();
+  const canRequestDeletion = can('account_deletion:request');
+  const [request, setRequest] = useState<DeletionRequest | null>(null);
+  const [reason, setReason] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchRequest = useCallback(async () => {
+    try {
+      const response = await axios.get<DeletionRequest | null>(`${API_BASE}/me/deletion-request`);
+      setRequest(response.data);
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to load your deletion request'));
+    }
+  }, []);
+
+  useEffect(() => {
+    if (canRequestDeletion) fetchRequest();
+  }, [canRequestDeletion, fetchRequest]);
+
+  const run = async (action: () => Promise<void>, fallback: string) => {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(getApiErrorMessage(err, fallback));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // The export needs the auth header, so it is fetched as a blob instead of a plain link
+  const handleExport = (format: 'json' | 'zip') =>
+    run(async () => {
+      const response = await axios.get(`${API_BASE}/me/export`, { params: { format }, responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `my-data.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    }, 'Failed to export your data');
+
+  const handleRequestDeletion = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!window.confirm('Request the deletion of your account? Once an administrator approves it, this cannot be undone.')) return;
+    run(async () => {
+      const response = await axios.post<DeletionRequest>(`${API_BASE}/me/deletion-request`, { reason });
+      setRequest(response.data);
+      setReason('');
+    }, 'Failed to request deletion');
+  };
+
+  const handleCancel = () =>
+    run(async () => {
+      const response = await axios.delete<DeletionRequest>(`${API_BASE}/me/deletion-request`);
+      setRequest(response.data);
+    }, 'Failed to cancel the request');
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow p-6 space-y-6">
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+          <Download className="h-5 w-5" /> Your data
+        </h2>
+        <p className="text-sm text-gray-600 dark:text-gray-300 mb-3">
+          Download everything we store about you: profile, enrollments, redeemed codes, progress, quiz attempts and
+          the log entries about your account.
+        </p>
+        {error && <div className="mb-3 p-3 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded-lg">{error}</div>}
+        <div className="flex flex-wrap gap-2">
+          <button onClick={() => handleExport('json')} disabled={busy} className={secondaryButtonClass}>
+            <Download className="h-4 w-4" /> Download JSON
+          </button>
+          <button onClick={() => handleExport('zip')} disabled={busy} className={secondaryButtonClass}>
+            <Download className="h-4 w-4" /> Download ZIP
+          </button>
+        </div>
+      </div>
+
+      {canRequestDeletion && (
+        <div className="border-t border-gray-200 dark:border-gray-700 pt-6">
+          <h3 className="font-semibold text-gray-900 dark:text-white flex items-center gap-2 mb-1">
+            <Trash2 className="h-4 w-4" /> Delete account
+          </h3>
+          {request?.status === 'pending' ? (
+            <div className="space-y-2 text-sm text-gray-700 dark:text-gray-200">
+              <p>
+                You requested the deletion of your account on {new Date(request.requested_at).toLocaleDateString()}. An
+                administrator will review it.
+              </p>
+              <button onClick={handleCancel} disabled={busy} className="text-blue-600 dark:text-blue-400 hover:underline font-semibold">
+                Cancel request
+              </button>
+            </div>
+          ) : (
+            <form onSubmit={handleRequestDeletion} className="space-y-3">
+              {request?.status === 'rejected' && (
+                <p className="text-sm text-yellow-700 dark:text-yellow-400">
+                  Your last request was declined{request.review_comment ? `: ${request.review_comment}` : '.'}
+                </p>
+              )}
+              <p className="text-sm text-gray-600 dark:text-gray-300">
+                After approval your personal details, enrollments and learning history are removed and you can no longer
+                sign in. Records of redeemed access codes are kept without your name.
+              </p>
+              <textarea
+                placeholder="Reason (optional)"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                className={inputClass}
+                rows={2}
+                maxLength={1000}
+              />
+              <button
+                type="submit"
+                disabled={busy}
+                className="bg-red-600 hover:bg-red-700 text-white font-semibold py-2 px-4 rounded-lg transition-colors disabled:opacity-50"
+              >
+                Request deletion
+              </button>
+            </form>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PersonalDataSettings;
@@ -0,0 +1,358 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import axios from 'axios';
+import { getApiErrorMessage } from '../utils/apiUtils';
+import { ClipboardCheck, Clock, CheckCircle, XCircle, RotateCcw } from 'lucide-react';
+
+export type QuestionType = 'multiple_choice' | 'true_false' | 'short_answer' | 'numeric';
+
+export interface QuizSummary {
+  id: number;
+  lesson_id: number | null;
+  title: string;
+  description: string;
+  time_limit_minutes: number | null;
+  max_attempts: number | null;
+  passing_score: number | null;
+  question_count: number;
+  total_points: number;
+  attempts_used: number;
+  best_percent: number | null;
+  open_attempt_id: number | null;
+}
+
+interface AttemptQuestion {
+  id: number;
+  type: QuestionType;
+  prompt: string;
+  options: string[];
+  points: number;
+  answer?: unknown;
+  correct?: boolean;
+  points_awarded?: number;
+}
+
+interface Attempt {
+  id: number;
+  quiz_id: number;
+  quiz_title: string;
+  status: 'in_progress' | 'submitted' | 'expired';
+  score: number | null;
+  max_score: number | null;
+  percent: number | null;
+  passing_score: number | null;
+  passed?: boolean | null;
+  seconds_remaining?: number | null;
+  answers?: Answers;
+  questions: AttemptQuestion[];
+}
+
+type Answers = Record<number, string | number | boolean | number[]>;
+
+interface QuizPanelProps {
+  classId: string;
+  lessonId?: number;
+}
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL;
+
+const formatTime = (seconds: number) =>
+  `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+const formatAnswer = (question: AttemptQuestion) => {
+  const { answer } = question;
+  if (answer === null || answer === undefined || answer === '') return 'No answer';
+  if (question.type === 'multiple_choice') {
+    const indexes = Array.isArray(answer) ? answer : [answer];
+    return indexes.map((index) => question.options[Number(index)]).filter(Boolean).join(', ');
+  }
+  return String(answer);
+};
+
+const QuizPanel: React.FC<QuizPanelProps> = ({ classId, lessonId }) => {
+  const [quizzes, setQuizzes] = useState<QuizSummary[]>([]);
+  const [attempt, setAttempt] = useState<Attempt | null>(null);
+  const [answers, setAnswers] = useState<Answers>({});
+  const [secondsLeft, setSecondsLeft] = useState<number | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const submittedRef = useRef(false);
+  const answersRef = useRef<Answers>({});
+
+  useEffect(() => {
+    answersRef.current = answers;
+  }, [answers]);
+
+  const fetchQuizzes = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/classes/${classId}/quizzes`);
+      setQuizzes(Array.isArray(response.data) ? response.data : []);
+    } catch (err) {
+      console.error('Failed to fetch quizzes:', err);
+      setQuizzes([]);
+    }
+  }, [classId]);
+
+  useEffect(() => {
+    fetchQuizzes();
+  }, [fetchQuizzes]);
+
+  const loadAttempt = async (attemptId: number) => {
+    const response = await axios.get(`${API_BASE}/quiz-attempts/${attemptId}`);
+    const data: Attempt = response.data;
+    setAttempt(data);
+    setAnswers(data.answers || {});
+    submittedRef.current = data.status !== 'in_progress';
+    setSecondsLeft(data.status === 'in_progress' ? data.seconds_remaining ?? null : null);
+  };
+
+  const startQuiz = async (quizId: number) => {
+    setError('');
+    try {
+      const response = await axios.post(`${API_BASE}/quizzes/${quizId}/attempts`);
+      await loadAttempt(response.data.attemptId);
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to start quiz'));
+    }
+  };
+
+  const submitQuiz = useCallback(async () => {
+    if (!attempt || submittedRef.current) return;
+    submittedRef.current = true;
+    setSubmitting(true);
+    setError('');
+    try {
+      await axios.post(`${API_BASE}/quiz-attempts/${attempt.id}/submit`, { answers: answersRef.current });
+      await loadAttempt(attempt.id);
+      fetchQuizzes();
+    } catch (err) {
+      submittedRef.current = false;
+      setError(getApiErrorMessage(err, 'Failed to submit quiz'));
+    } finally {
+      setSubmitting(false);
+    }
+  }, [attempt, fetchQuizzes]);
+
+  // Answers are saved shortly after each change so a reload or timeout keeps them
+  const attemptId = attempt?.status === 'in_progress' ? attempt.id : null;
+  useEffect(() => {
+    if (!attemptId || Object.keys(answers).length === 0) return;
+    const timer = setTimeout(() => {
+      if (submittedRef.current) return;
+      axios.put(`${API_BASE}/quiz-attempts/${attemptId}/answers`, { answers }).catch((err) => {
+        console.error('Failed to save quiz answers:', err);
+      });
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [attemptId, answers]);
+
+  // Countdown for timed quizzes; the attempt is submitted automatically when time runs out
+  useEffect(() => {
+    if (secondsLeft === null) return;
+    if (secondsLeft <= 0) {
+      submitQuiz();
+      return;
+    }
+    const timer = setTimeout(() => setSecondsLeft((prev) => (prev === null ? null : prev - 1)), 1000);
+    return () => clearTimeout(timer);
+  }, [secondsLeft, submitQuiz]);
+
+  const closeAttempt = () => {
+    setAttempt(null);
+    setSecondsLeft(null);
+    setAnswers({});
+  };
+
+  const setAnswer = (questionId: number, value: Answers[number]) => {
+    setAnswers((prev) => ({ ...prev, [questionId]: value }));
+  };
+
+  const toggleOption = (questionId: number, index: number) => {
+    const current = Array.isArray(answers[questionId]) ? (answers[questionId] as number[]) : [];
+    setAnswer(questionId, current.includes(index) ? current.filter((i) => i !== index) : [...current, index]);
+  };
+
+  const visibleQuizzes = quizzes.filter((quiz) => !quiz.lesson_id || quiz.lesson_id === lessonId);
+
+  if (!attempt && visibleQuizzes.length === 0) {
+    return null;
+  }
+
+  const inputClass = 'w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 mt-6">
+      <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-4 flex items-center gap-2">
+        <ClipboardCheck className="h-5 w-5 text-blue-500 dark:text-blue-400" />
+        {attempt ? attempt.quiz_title : 'Quizzes'}
+      </h2>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded-lg text-sm">{error}</div>
+      )}
+
+      {/* Quiz list */}
+      {!attempt && (
+        <ul className="space-y-3">
+          {visibleQuizzes.map((quiz) => {
+            const attemptsLeft = quiz.max_attempts === null ? null : Math.max(0, quiz.max_attempts - quiz.attempts_used);
+            return (
+              <li key={quiz.id} className="border border-gray-200 dark:border-gray-700 rounded-lg p-4 flex flex-wrap items-center justify-between gap-3">
+                <div>
+                  <p className="font-semibold text-gray-900 dark:text-white">{quiz.title}</p>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    {quiz.question_count} questions
+                    {quiz.time_limit_minutes ? ` · ${quiz.time_limit_minutes} min` : ''}
+                    {attemptsLeft !== null ? ` · ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left` : ''}
+                    {quiz.best_percent !== null ? ` · Best: ${quiz.best_percent}%` : ''}
+                  </p>
+                </div>
+                {quiz.open_attempt_id ? (
+                  <button
+                    onClick={() => loadAttempt(quiz.open_attempt_id as number)}
+                    className="bg-yellow-500 hover:bg-yellow-600 text-white px-4 py-2 rounded-lg text-sm font-semibold transition-colors"
+                  >
+                    Resume
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => startQuiz(quiz.id)}
+                    disabled={attemptsLeft === 0}
+                    className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white px-4 py-2 rounded-lg text-sm font-semibold transition-colors"
+                  >
+                    {quiz.attempts_used > 0 ? 'Retake' : 'Start'}
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {/* Taking a quiz */}
+      {attempt && attempt.status === 'in_progress' && (
+        <div className="space-y-6">
+          {secondsLeft !== null && (
+            <div className={`flex items-center gap-2 font-semibold ${secondsLeft < 60 ? 'text-red-600 dark:text-red-400' : 'text-gray-700 dark:text-gray-300'}`}>
+              <Clock className="h-4 w-4" />
+              <span>Time left: {formatTime(Math.max(0, secondsLeft))}</span>
+            </div>
+          )}
+          {attempt.questions.map((question, index) => (
+            <div key={question.id}>
+              <p className="font-medium text-gray-900 dark:text-white mb-2">
+                {index + 1}. {question.prompt}
+                <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">({question.points} pt{question.points === 1 ? '' : 's'})</span>
+              </p>
+              {question.type === 'multiple_choice' && (
+                <div className="space-y-1">
+                  {question.options.map((option, optionIndex) => (
+                    <label key={optionIndex} className="flex items-center gap-2 text-gray-700 dark:text-gray-300">
+                      <input
+                        type="checkbox"
+                        checked={Array.isArray(answers[question.id]) && (answers[question.id] as number[]).includes(optionIndex)}
+                        onChange={() => toggleOption(question.id, optionIndex)}
+                      />
+                      <span>{option}</span>
+                    </label>
+                  ))}
+                </div>
+              )}
+              {question.type === 'true_false' && (
+                <div className="flex gap-6">
+                  {[true, false].map((value) => (
+                    <label key={String(value)} className="flex items-center gap-2 text-gray-700 dark:text-gray-300">
+                      <input
+                        type="radio"
+                        name={`question-${question.id}`}
+                        checked={answers[question.id] === value}
+                        onChange={() => setAnswer(question.id, value)}
+                      />
+                      <span>{value ? 'True' : 'False'}</span>
+                    </label>
+                  ))}
+                </div>
+              )}
+              {question.type === 'short_answer' && (
+                <input
+                  type="text"
+                  value={(answers[question.id] as string) ?? ''}
+                  onChange={(e) => setAnswer(question.id, e.target.value)}
+                  className={inputClass}
+                />
+              )}
+              {question.type === 'numeric' && (
+                <input
+                  type="number"
+                  step="any"
+                  value={(answers[question.id] as string) ?? ''}
+                  onChange={(e) => setAnswer(question.id, e.target.value)}
+                  className={inputClass}
+                />
+              )}
+            </div>
+          ))}
+          <div className="flex gap-3">
+            <button
+              onClick={submitQuiz}
+              disabled={submitting}
+              className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white px-6 py-2 rounded-lg font-semibold transition-colors"
+            >
+              {submitting ? 'Submitting...' : 'Submit'}
+            </button>
+            <button
+              onClick={() => { closeAttempt(); fetchQuizzes(); }}
+              className="px-6 py-2 rounded-lg bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-100 hover:bg-gray-300 dark:hover:bg-gray-600 font-semibold"
+            >
+              Continue later
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Results */}
+      {attempt && attempt.status !== 'in_progress' && (
+        <div className="space-y-4">
+          <div className="p-4 rounded-lg bg-gray-50 dark:bg-gray-700">
+            <p className="text-2xl font-bold text-gray-900 dark:text-white">
+              {attempt.score} / {attempt.max_score} ({attempt.percent}%)
+            </p>
+            {attempt.status === 'expired' && (
+              <p className="text-sm text-red-600 dark:text-red-400">Time ran out before the quiz was submitted.</p>
+            )}
+            {attempt.passed !== null && attempt.passed !== undefined && (
+              <p className={`font-semibold ${attempt.passed ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                {attempt.passed ? 'Passed' : `Not passed (needs ${attempt.passing_score}%)`}
+              </p>
+            )}
+          </div>
+          <ul className="space-y-2">
+            {attempt.questions.map((question, index) => (
+              <li key={question.id} className="flex items-start gap-2">
+                {question.correct ? (
+                  <CheckCircle className="h-5 w-5 flex-shrink-0 text-green-500 dark:text-green-400" />
+                ) : (
+                  <XCircle className="h-5 w-5 flex-shrink-0 text-red-500 dark:text-red-400" />
+                )}
+                <div>
+                  <p className="text-gray-900 dark:text-white">{index + 1}. {question.prompt}</p>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    Your answer: {formatAnswer(question)} · {question.points_awarded}/{question.points}
+                  </p>
+                </div>
+              </li>
+            ))}
+          </ul>
+          <button
+            onClick={closeAttempt}
+            className="inline-flex items-center gap-2 px-4 py-2 rounded-lg bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-100 hover:bg-gray-300 dark:hover:bg-gray-600 font-semibold"
+          >
+            <RotateCcw className="h-4 w-4" />
+            Back to quizzes
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuizPanel;
@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { X } from 'lucide-react';
+import { getApiErrorMessage } from '../utils/apiUtils';
+import { SensitiveData, SensitiveDataType, SENSITIVE_DATA_LABELS, SENSITIVE_FIELD_LABELS } from '../utils/sensitiveData';
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL;
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+const primaryButtonClass =
+  'bg-blue-600 dark:bg-blue-700 hover:bg-blue-700 dark:hover:bg-blue-800 text-white font-semibold py-2 px-4 rounded-lg transition-colors disabled:opacity-50';
+
+// Asks for a time-limited look at a student's encrypted contact details. Under the
+// approval policy the request waits for a second admin; otherwise the data shows right away.
+const SensitiveDataRequestModal: React.FC<{ student: { id: number; name: string }; onClose: () => void }> = ({
+  student,
+  onClose
+}) => {
+  const [dataType, setDataType] = useState<SensitiveDataType>('all');
+  const [reason, setReason] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [data, setData] = useState<{ values: SensitiveData; expiresAt: string } | null>(null);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    setNotice('');
+    try {
+      const response = await axios.post(`${API_BASE}/admin/students/${student.id}/request-access`, { dataType, reason });
+      if (response.data.pending) {
+        setNotice('Your request waits for another administrator. You will get an email once it is reviewed.');
+        return;
+      }
+      const dataResponse = await axios.get(`${API_BASE}/admin/students/${student.id}/sensitive-data`, { params: { dataType } });
+      setData({ values: dataResponse.data.data, expiresAt: dataResponse.data.accessExpiresAt });
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to request access'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40 p-4">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-xl max-w-md w-full p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-bold text-gray-900 dark:text-white">Contact details of {student.name}</h3>
+          <button onClick={onClose} className="text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {error && <div className="p-3 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded-lg">{error}</div>}
+        {notice && <div className="p-3 bg-green-50 dark:bg-green-900/30 text-green-700 dark:text-green-300 rounded-lg">{notice}</div>}
+
+        {data ? (
+          <div className="space-y-2 text-sm text-gray-700 dark:text-gray-200">
+            {(Object.keys(data.values) as (keyof SensitiveData)[]).map((field) => (
+              <div key={field}>
+                <span className="font-semibold">{SENSITIVE_FIELD_LABELS[field]}:</span> {data.values[field] || '—'}
+              </div>
+            ))}
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Your access ends at {new Date(data.expiresAt).toLocaleTimeString()}. Every view is logged.
+            </p>
+          </div>
+        ) : (
+          !notice && (
+            <form onSubmit={handleSubmit} className="space-y-3">
+              <select value={dataType} onChange={(e) => setDataType(e.target.value as SensitiveDataType)} className={inputClass}>
+                {(Object.keys(SENSITIVE_DATA_LABELS) as SensitiveDataType[]).map((type) => (
+                  <option key={type} value={type}>{SENSITIVE_DATA_LABELS[type]}</option>
+                ))}
+              </select>
+              <textarea
+                placeholder="Why do you need this data?"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                className={inputClass}
+                rows={3}
+                required
+              />
+              <button type="submit" disabled={busy || !reason.trim()} className={primaryButtonClass}>
+                Request access
+              </button>
+            </form>
+          )
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SensitiveDataRequestModal;
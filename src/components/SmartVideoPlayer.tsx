@@ -1,11 +1,22 @@
-import React from 'react';
+import React, { useCallback, useEffect, useRef } from 'react';
+
+export interface PlaybackProgress {
+  position: number;
+  duration: number | null;
+  completed: boolean;
+}
 
 interface SmartVideoPlayerProps {
   url: string;
   title?: string;
   className?: string;
+  startAt?: number;
+  onProgress?: (progress: PlaybackProgress) => void;
 }
 
+// Position updates are reported at most this often while playing; pause and end are reported immediately
+const REPORT_INTERVAL_SECONDS = 10;
+
 const getEmbedInfo = (url: string) => {
   // YouTube
   const ytMatch = url.match(
@@ -47,8 +58,118 @@ const getEmbedInfo = (url: string) => {
   return { type: 'unknown', embedUrl: url };
 };
 
-const SmartVideoPlayer: React.FC<SmartVideoPlayerProps> = ({ url, title, className }) => {
+// YouTube and Vimeo report playback through postMessage once asked to
+const buildIframeSrc = (type: string, embedUrl: string, startAt: number) => {
+  const start = Math.floor(startAt);
+  if (type === 'youtube') {
+    const params = new URLSearchParams({ enablejsapi: '1', origin: window.location.origin });
+    if (start > 0) params.set('start', String(start));
+    return `${embedUrl}?${params.toString()}`;
+  }
+  if (type === 'vimeo') {
+    return start > 0 ? `${embedUrl}#t=${start}s` : embedUrl;
+  }
+  return embedUrl;
+};
+
+const parseMessage = (data: unknown) => {
+  if (typeof data === 'string') {
+    try {
+      return JSON.parse(data);
+    } catch {
+      return null;
+    }
+  }
+  return data && typeof data === 'object' ? data : null;
+};
+
+const SmartVideoPlayer: React.FC<SmartVideoPlayerProps> = ({ url, title, className, startAt = 0, onProgress }) => {
   const { type, embedUrl } = getEmbedInfo(url);
+  const iframeRef = useRef<HTMLIFrameElement>(null);
+  const onProgressRef = useRef(onProgress);
+  const lastReportedRef = useRef(startAt);
+  const latestRef = useRef<{ position: number; duration: number | null }>({ position: startAt, duration: null });
+
+  useEffect(() => {
+    onProgressRef.current = onProgress;
+  }, [onProgress]);
+
+  const report = useCallback((position: number, duration: number | null, force = false, completed = false) => {
+    latestRef.current = { position, duration };
+    if (!force && Math.abs(position - lastReportedRef.current) < REPORT_INTERVAL_SECONDS) return;
+    lastReportedRef.current = position;
+    onProgressRef.current?.({ position, duration, completed });
+  }, []);
+
+  // Flush the last known position when switching lessons or leaving the page
+  useEffect(() => {
+    const flush = () => {
+      const { position, duration } = latestRef.current;
+      if (position !== lastReportedRef.current) {
+        lastReportedRef.current = position;
+        onProgressRef.current?.({ position, duration, completed: false });
+      }
+    };
+    window.addEventListener('pagehide', flush);
+    return () => {
+      window.removeEventListener('pagehide', flush);
+      flush();
+    };
+  }, [url]);
+
+  // YouTube and Vimeo iframe events
+  useEffect(() => {
+    if (type !== 'youtube' && type !== 'vimeo') return;
+
+    const handleMessage = (event: MessageEvent) => {
+      if (event.source !== iframeRef.current?.contentWindow) return;
+      const message = parseMessage(event.data);
+      if (!message) return;
+
+      if (type === 'youtube' && message.event === 'infoDelivery' && message.info) {
+        const info = message.info;
+        const position = typeof info.currentTime === 'number' ? info.currentTime : latestRef.current.position;
+        const duration = typeof info.duration === 'number' && info.duration > 0 ? info.duration : latestRef.current.duration;
+        // playerState: 0 = ended, 2 = paused
+        if (info.playerState === 0) {
+          report(duration ?? position, duration, true, true);
+        } else if (info.playerState === 2) {
+          report(position, duration, true);
+        } else if (typeof info.currentTime === 'number') {
+          report(position, duration);
+        }
+      }
+
+      if (type === 'vimeo') {
+        if (message.event === 'ready') {
+          const target = iframeRef.current?.contentWindow;
+          ['timeupdate', 'pause', 'ended'].forEach((value) => {
+            target?.postMessage(JSON.stringify({ method: 'addEventListener', value }), 'https://player.vimeo.com');
+          });
+        } else if (message.data && typeof message.data.seconds === 'number') {
+          const { seconds, duration } = message.data;
+          if (message.event === 'ended') {
+            report(duration ?? seconds, duration ?? null, true, true);
+          } else {
+            report(seconds, duration ?? null, message.event === 'pause');
+          }
+        }
+      }
+    };
+
+    window.addEventListener('message', handleMessage);
+    return () => window.removeEventListener('message', handleMessage);
+  }, [type, report]);
+
+  const handleIframeLoad = () => {
+    if (type === 'youtube') {
+      // Ask the embed to start sending infoDelivery messages
+      iframeRef.current?.contentWindow?.postMessage(
+        JSON.stringify({ event: 'listening', id: 1, channel: 'widget' }),
+        'https://www.youtube.com'
+      );
+    }
+  };
 
   if (!url) {
     return (
@@ -65,18 +186,34 @@ const SmartVideoPlayer: React.FC<SmartVideoPlayerProps> = ({ url, title, classNa
       return (
         <div className={`aspect-video w-full ${className || ''}`}>
           <iframe
-            src={embedUrl}
+            ref={iframeRef}
+            src={buildIframeSrc(type, embedUrl, startAt)}
             title={title || 'Video Player'}
             className="w-full h-full border-0"
             allowFullScreen
             allow="autoplay; encrypted-media"
+            onLoad={handleIframeLoad}
           />
         </div>
       );
     case 'mp4':
       return (
         <div className={`aspect-video w-full ${className || ''}`}>
-          <video controls className="w-full h-full bg-black" title={title || 'Video Player'}>
+          <video
+            controls
+            className="w-full h-full bg-black"
+            title={title || 'Video Player'}
+            onLoadedMetadata={(e) => {
+              if (startAt > 0 && startAt < e.currentTarget.duration) {
+                e.currentTarget.currentTime = startAt;
+              }
+            }}
+            onTimeUpdate={(e) => report(e.currentTarget.currentTime, e.currentTarget.duration || null)}
+            onPause={(e) => {
+              if (!e.currentTarget.ended) report(e.currentTarget.currentTime, e.currentTarget.duration || null, true);
+            }}
+            onEnded={(e) => report(e.currentTarget.duration, e.currentTarget.duration || null, true, true)}
+          >
             <source src={embedUrl} type="video/mp4" />
             Your browser does not support the video tag.
           </video>
@@ -91,4 +228,4 @@ const SmartVideoPlayer: React.FC<SmartVideoPlayerProps> = ({ url, title, classNa
   }
 };
 
-export default SmartVideoPlayer; 
\ No newline at end of file
+export default SmartVideoPlayer;
@@ -0,0 +1,210 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { X, UserPlus, Trash2 } from 'lucide-react';
+import { getApiErrorMessage } from '../utils/apiUtils';
+
+interface GuardianLink {
+  id: number;
+  guardian_id: number;
+  guardian_name: string;
+  guardian_email: string;
+  status: 'pending' | 'active' | 'declined' | 'revoked';
+  linked_via: 'invite_code' | 'admin';
+  created_at: string;
+  consent_given_at: string | null;
+  ended_at: string | null;
+}
+
+interface GuardianSuggestion {
+  id: number;
+  name: string;
+  email: string;
+}
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL;
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+const primaryButtonClass =
+  'bg-blue-600 dark:bg-blue-700 hover:bg-blue-700 dark:hover:bg-blue-800 text-white font-semibold py-2 px-4 rounded-lg transition-colors disabled:opacity-50';
+
+const STATUS_STYLES: Record<GuardianLink['status'], string> = {
+  active: 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300',
+  pending: 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-700 dark:text-yellow-300',
+  declined: 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300',
+  revoked: 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300'
+};
+
+const formatDate = (value: string | null) => (value ? new Date(value).toLocaleDateString() : '—');
+
+// Admin view of a student's guardian links, including ended ones as consent history
+const StudentGuardiansModal: React.FC<{ student: { id: number; name: string }; onClose: () => void }> = ({
+  student,
+  onClose
+}) => {
+  const [links, setLinks] = useState<GuardianLink[]>([]);
+  const [suggestions, setSuggestions] = useState<GuardianSuggestion[]>([]);
+  const [email, setEmail] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const fetchGuardians = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/admin/students/${student.id}/guardians`);
+      setLinks(response.data.links);
+      setSuggestions(response.data.suggestions);
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to load guardians'));
+    }
+  }, [student.id]);
+
+  useEffect(() => {
+    fetchGuardians();
+  }, [fetchGuardians]);
+
+  const run = async (action: () => Promise<void>, fallback: string) => {
+    setBusy(true);
+    setError('');
+    setNotice('');
+    try {
+      await action();
+      await fetchGuardians();
+    } catch (err) {
+      setError(getApiErrorMessage(err, fallback));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const requestLink = (body: { guardianId: number } | { email: string }) =>
+    run(async () => {
+      await axios.post(`${API_BASE}/admin/students/${student.id}/guardians`, body);
+      setEmail('');
+      setNotice(`The link waits for ${student.name}'s approval; they have been notified by email.`);
+    }, 'Failed to link guardian');
+
+  const handleEnd = (link: GuardianLink) => {
+    if (!window.confirm(`Remove ${link.guardian_name}'s access to ${student.name}?`)) return;
+    run(async () => {
+      await axios.delete(`${API_BASE}/admin/guardian-links/${link.id}`);
+    }, 'Failed to remove guardian link');
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40 p-4">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto p-6 space-y-5">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-bold text-gray-900 dark:text-white">Guardians of {student.name}</h3>
+          <button onClick={onClose} className="text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {error && <div className="p-3 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded-lg">{error}</div>}
+        {notice && <div className="p-3 bg-green-50 dark:bg-green-900/30 text-green-700 dark:text-green-300 rounded-lg">{notice}</div>}
+
+        <div>
+          <h4 className="font-semibold text-gray-900 dark:text-white mb-2">Links</h4>
+          {links.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No guardians linked.</p>
+          ) : (
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 dark:text-gray-400">
+                  <th className="py-2 pr-3">Guardian</th>
+                  <th className="py-2 pr-3">Status</th>
+                  <th className="py-2 pr-3">Via</th>
+                  <th className="py-2 pr-3">Consent</th>
+                  <th className="py-2 pr-3">Ended</th>
+                  <th className="py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700 text-gray-700 dark:text-gray-200">
+                {links.map((link) => (
+                  <tr key={link.id}>
+                    <td className="py-2 pr-3">
+                      {link.guardian_name}
+                      <div className="text-xs text-gray-500 dark:text-gray-400">{link.guardian_email}</div>
+                    </td>
+                    <td className="py-2 pr-3">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_STYLES[link.status]}`}>
+                        {link.status}
+                      </span>
+                    </td>
+                    <td className="py-2 pr-3">{link.linked_via === 'admin' ? 'Admin' : 'Invite code'}</td>
+                    <td className="py-2 pr-3">{formatDate(link.consent_given_at)}</td>
+                    <td className="py-2 pr-3">{formatDate(link.ended_at)}</td>
+                    <td className="py-2 text-right">
+                      {(link.status === 'pending' || link.status === 'active') && (
+                        <button
+                          onClick={() => handleEnd(link)}
+                          disabled={busy}
+                          className="text-red-600 hover:text-red-900"
+                          title="Remove link"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {suggestions.length > 0 && (
+          <div>
+            <h4 className="font-semibold text-gray-900 dark:text-white mb-1">Suggested guardians</h4>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+              Guardian accounts registered with the guardian phone number this student gave.
+            </p>
+            <ul className="space-y-2">
+              {suggestions.map((guardian) => (
+                <li key={guardian.id} className="flex items-center justify-between gap-2 text-sm text-gray-700 dark:text-gray-200">
+                  <span>
+                    {guardian.name} <span className="text-gray-500 dark:text-gray-400">({guardian.email})</span>
+                  </span>
+                  <button
+                    onClick={() => requestLink({ guardianId: guardian.id })}
+                    disabled={busy}
+                    className="inline-flex items-center gap-1 text-blue-600 dark:text-blue-400 hover:underline font-semibold"
+                  >
+                    <UserPlus className="h-4 w-4" /> Link
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            requestLink({ email });
+          }}
+          className="space-y-2"
+        >
+          <h4 className="font-semibold text-gray-900 dark:text-white">Link by guardian email</h4>
+          <div className="flex gap-2">
+            <input
+              type="email"
+              placeholder="guardian@example.com"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className={inputClass}
+              required
+            />
+            <button type="submit" disabled={busy} className={primaryButtonClass}>
+              Link
+            </button>
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400">The student has to approve admin-created links.</p>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default StudentGuardiansModal;
@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { X, Download } from 'lucide-react';
+import { getApiErrorMessage } from '../utils/apiUtils';
+
+interface RosterRow {
+  row: number;
+  values: Record<string, string>;
+  errors: string[];
+}
+
+interface ImportedStudent {
+  row: number;
+  id: number;
+  name: string;
+  email: string;
+  temporaryPassword: string;
+}
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL;
+
+const primaryButtonClass =
+  'bg-blue-600 dark:bg-blue-700 hover:bg-blue-700 dark:hover:bg-blue-800 text-white font-semibold py-2 px-4 rounded-lg transition-colors disabled:opacity-50';
+const secondaryButtonClass =
+  'border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 font-semibold py-2 px-4 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50';
+const cellClass = 'px-3 py-2 text-sm text-gray-700 dark:text-gray-300 align-top';
+
+// Uploads a CSV/XLSX roster: "Check file" only validates, "Import" creates the accounts
+// when every row is valid and hands back the temporary passwords once.
+const StudentImportModal: React.FC<{ onClose: () => void; onImported: () => void }> = ({ onClose, onImported }) => {
+  const [file, setFile] = useState<File | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [invalidRows, setInvalidRows] = useState<RosterRow[]>([]);
+  const [imported, setImported] = useState<{ students: ImportedStudent[]; credentialsCsv: string } | null>(null);
+
+  const submit = async (dryRun: boolean) => {
+    if (!file) return;
+    setBusy(true);
+    setError('');
+    setNotice('');
+    setInvalidRows([]);
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('dryRun', String(dryRun));
+      const response = await axios.post(`${API_BASE}/admin/students/import`, formData);
+      if (dryRun) {
+        setNotice(`All ${response.data.rows.length} rows are valid and ready to import.`);
+      } else {
+        setImported({ students: response.data.created, credentialsCsv: response.data.credentialsCsv });
+        onImported();
+      }
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to import students'));
+      if (axios.isAxiosError(err) && Array.isArray(err.response?.data?.rows)) {
+        setInvalidRows(err.response.data.rows.filter((row: RosterRow) => row.errors.length > 0));
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const downloadCredentials = () => {
+    if (!imported) return;
+    // BOM so Excel opens UTF-8 (Arabic names) correctly
+    const url = URL.createObjectURL(new Blob([`\uFEFF${imported.credentialsCsv}`], { type: 'text/csv;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `student-credentials-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40 p-4">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-bold text-gray-900 dark:text-white">Import students</h3>
+          <button onClick={onClose} className="text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {error && <div className="p-3 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded-lg">{error}</div>}
+        {notice && <div className="p-3 bg-green-50 dark:bg-green-900/30 text-green-700 dark:text-green-300 rounded-lg">{notice}</div>}
+
+        {imported ? (
+          <div className="space-y-3 text-sm text-gray-700 dark:text-gray-200">
+            <p>
+              Created {imported.students.length} student account{imported.students.length === 1 ? '' : 's'}. Download the
+              temporary passwords now: they are not stored and cannot be shown again.
+            </p>
+            <button onClick={downloadCredentials} className={`${primaryButtonClass} inline-flex items-center gap-2`}>
+              <Download className="h-4 w-4" /> Download credentials
+            </button>
+          </div>
+        ) : (
+          <>
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              Upload a CSV or XLSX file with the columns <strong>Name</strong>, <strong>Email</strong>, <strong>Country</strong>,{' '}
+              <strong>Phone</strong>, <strong>Guardian Phone</strong> and <strong>Location</strong>. Rows follow the signup rules;
+              nothing is created until every row is valid.
+            </p>
+            <input
+              type="file"
+              accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+              onChange={(e) => {
+                setFile(e.target.files?.[0] || null);
+                setNotice('');
+                setInvalidRows([]);
+              }}
+              className="block w-full text-sm text-gray-700 dark:text-gray-300"
+            />
+            <div className="flex gap-3">
+              <button onClick={() => submit(true)} disabled={busy || !file} className={secondaryButtonClass}>
+                Check file
+              </button>
+              <button onClick={() => submit(false)} disabled={busy || !file} className={primaryButtonClass}>
+                {busy ? 'Working...' : 'Import'}
+              </button>
+            </div>
+          </>
+        )}
+
+        {invalidRows.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="min-w-full border border-gray-200 dark:border-gray-700 rounded-lg">
+              <thead className="bg-gray-50 dark:bg-gray-700">
+                <tr>
+                  {['Row', 'Name', 'Email', 'Problems'].map((heading) => (
+                    <th key={heading} className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {invalidRows.map((row) => (
+                  <tr key={row.row}>
+                    <td className={cellClass}>{row.row}</td>
+                    <td className={cellClass}>{row.values.name || '—'}</td>
+                    <td className={cellClass}>{row.values.email || '—'}</td>
+                    <td className={`${cellClass} text-red-700 dark:text-red-300`}>
+                      {row.errors.map((message) => (
+                        <div key={message}>{message}</div>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StudentImportModal;
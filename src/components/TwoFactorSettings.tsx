@@ -0,0 +1,285 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { ShieldCheck, KeyRound } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { getApiErrorMessage } from '../utils/apiUtils';
+
+interface TwoFactorStatus {
+  enabled: boolean;
+  enabledAt: string | null;
+  recoveryCodesRemaining: number;
+  verified: boolean;
+  required: boolean;
+}
+
+interface SetupData {
+  secret: string;
+  otpauthUrl: string;
+  qrCodeDataUrl: string;
+}
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL;
+
+const inputClass =
+  'w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+const primaryButtonClass =
+  'bg-blue-600 dark:bg-blue-700 hover:bg-blue-700 dark:hover:bg-blue-800 text-white font-semibold py-2 px-4 rounded-lg transition-colors disabled:opacity-50';
+
+const TwoFactorSettings: React.FC = () => {
+  const { enableTwoFactor, disableTwoFactor } = useAuth();
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [setup, setSetup] = useState<SetupData | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[]>([]);
+  const [mode, setMode] = useState<'idle' | 'password' | 'confirm' | 'regenerate' | 'disable'>('idle');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/auth/2fa`);
+      setStatus(response.data);
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to load two-factor status'));
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const resetForm = (nextMode: typeof mode = 'idle') => {
+    setMode(nextMode);
+    setPassword('');
+    setCode('');
+    setError('');
+  };
+
+  const run = async (action: () => Promise<void>, fallback: string) => {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(getApiErrorMessage(err, fallback));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStartSetup = (e: React.FormEvent) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await axios.post(`${API_BASE}/auth/2fa/setup`, { password });
+      setSetup(response.data);
+      resetForm('confirm');
+    }, 'Failed to start two-factor setup');
+  };
+
+  const handleConfirmSetup = (e: React.FormEvent) => {
+    e.preventDefault();
+    run(async () => {
+      setRecoveryCodes(await enableTwoFactor(code.trim()));
+      setSetup(null);
+      resetForm();
+      fetchStatus();
+    }, 'Failed to enable two-factor authentication');
+  };
+
+  const handleRegenerate = (e: React.FormEvent) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await axios.post(`${API_BASE}/auth/2fa/recovery-codes`, { code: code.trim() });
+      setRecoveryCodes(response.data.recoveryCodes);
+      resetForm();
+      fetchStatus();
+    }, 'Failed to regenerate recovery codes');
+  };
+
+  const handleDisable = (e: React.FormEvent) => {
+    e.preventDefault();
+    run(async () => {
+      await disableTwoFactor(password, code.trim());
+      setRecoveryCodes([]);
+      resetForm();
+      fetchStatus();
+    }, 'Failed to disable two-factor authentication');
+  };
+
+  const codeInput = (
+    <input
+      type="text"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      placeholder="6-digit code"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      className={inputClass}
+      required
+    />
+  );
+
+  const passwordInput = (
+    <input
+      type="password"
+      autoComplete="current-password"
+      placeholder="Current password"
+      value={password}
+      onChange={(e) => setPassword(e.target.value)}
+      className={inputClass}
+      required
+    />
+  );
+
+  if (!status) {
+    return error ? <div className="p-3 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded-lg">{error}</div> : null;
+  }
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-6 rounded-lg border border-gray-200 dark:border-gray-700 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="text-xl font-bold text-gray-900 dark:text-white flex items-center gap-2">
+          <ShieldCheck className="h-5 w-5 text-blue-500 dark:text-blue-400" /> Two-factor authentication
+        </h3>
+        {status.enabled ? (
+          <span className="px-2 py-1 text-xs font-semibold rounded-full bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300">
+            Enabled
+          </span>
+        ) : (
+          <span className="px-2 py-1 text-xs font-semibold rounded-full bg-gray-200 dark:bg-gray-600 text-gray-700 dark:text-gray-200">
+            Off
+          </span>
+        )}
+      </div>
+
+      {error && <div className="p-3 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded-lg">{error}</div>}
+
+      {recoveryCodes.length > 0 && (
+        <div className="p-4 bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg space-y-3">
+          <p className="text-sm text-yellow-800 dark:text-yellow-200">
+            Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator.
+            They will not be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900 dark:text-white">
+            {recoveryCodes.map((recoveryCode) => (
+              <span key={recoveryCode}>{recoveryCode}</span>
+            ))}
+          </div>
+          <button
+            onClick={() => navigator.clipboard.writeText(recoveryCodes.join('\n'))}
+            className="text-sm text-blue-600 dark:text-blue-400 hover:underline font-semibold"
+          >
+            Copy codes
+          </button>
+        </div>
+      )}
+
+      {!status.enabled && mode === 'idle' && (
+        <div className="space-y-3">
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            {status.required
+              ? 'Admin accounts must use an authenticator app. Set it up to continue to the dashboard.'
+              : 'Protect your account with a code from an authenticator app in addition to your password.'}
+          </p>
+          <button onClick={() => resetForm('password')} className={primaryButtonClass}>
+            Set up authenticator app
+          </button>
+        </div>
+      )}
+
+      {mode === 'password' && (
+        <form onSubmit={handleStartSetup} className="space-y-3 max-w-sm">
+          <p className="text-sm text-gray-600 dark:text-gray-300">Confirm your password to continue.</p>
+          {passwordInput}
+          <div className="flex gap-2">
+            <button type="submit" disabled={busy} className={primaryButtonClass}>Continue</button>
+            <button type="button" onClick={() => resetForm()} className="py-2 px-4 text-gray-600 dark:text-gray-300">Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {mode === 'confirm' && setup && (
+        <form onSubmit={handleConfirmSetup} className="space-y-3">
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            Scan this QR code with your authenticator app, then enter the code it shows.
+          </p>
+          <img src={setup.qrCodeDataUrl} alt="Authenticator QR code" className="w-44 h-44 bg-white p-2 rounded" />
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Can't scan? Enter this key manually: <span className="font-mono break-all">{setup.secret}</span>
+          </p>
+          <div className="max-w-sm">{codeInput}</div>
+          <div className="flex gap-2">
+            <button type="submit" disabled={busy} className={primaryButtonClass}>Enable</button>
+            <button
+              type="button"
+              onClick={() => {
+                setSetup(null);
+                resetForm();
+              }}
+              className="py-2 px-4 text-gray-600 dark:text-gray-300"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {status.enabled && mode === 'idle' && (
+        <div className="space-y-3">
+          <p className="text-sm text-gray-600 dark:text-gray-300 flex items-center gap-2">
+            <KeyRound className="h-4 w-4" /> {status.recoveryCodesRemaining} unused recovery code(s) left
+          </p>
+          <div className="flex flex-wrap gap-2">
+            <button onClick={() => resetForm('regenerate')} className={primaryButtonClass}>
+              New recovery codes
+            </button>
+            {!status.required && (
+              <button
+                onClick={() => resetForm('disable')}
+                className="bg-red-600 hover:bg-red-700 text-white font-semibold py-2 px-4 rounded-lg transition-colors"
+              >
+                Turn off
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {mode === 'regenerate' && (
+        <form onSubmit={handleRegenerate} className="space-y-3 max-w-sm">
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            Enter a code from your authenticator app. Your old recovery codes stop working.
+          </p>
+          {codeInput}
+          <div className="flex gap-2">
+            <button type="submit" disabled={busy} className={primaryButtonClass}>Generate</button>
+            <button type="button" onClick={() => resetForm()} className="py-2 px-4 text-gray-600 dark:text-gray-300">Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {mode === 'disable' && (
+        <form onSubmit={handleDisable} className="space-y-3 max-w-sm">
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            Enter your password and a code from your authenticator app to turn off two-factor authentication.
+          </p>
+          {passwordInput}
+          {codeInput}
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={busy}
+              className="bg-red-600 hover:bg-red-700 text-white font-semibold py-2 px-4 rounded-lg transition-colors disabled:opacity-50"
+            >
+              Turn off
+            </button>
+            <button type="button" onClick={() => resetForm()} className="py-2 px-4 text-gray-600 dark:text-gray-300">Cancel</button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
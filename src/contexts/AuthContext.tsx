@@ -1,18 +1,54 @@
-import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
-import axios from 'axios';
+import React, { createContext, useContext, useState, useEffect, useCallback, ReactNode } from 'react';
+import axios, { InternalAxiosRequestConfig } from 'axios';
+import { ProfileFields } from '../utils/profileValidation';
 
 interface User {
   id: number;
   email: string;
   name: string;
   role: string;
+  // Granted by the server from the role; see server/permissions.js
+  permissions?: string[];
+  emailVerified?: boolean;
+  twoFactor?: {
+    enabled: boolean;
+    verified: boolean;
+    required: boolean;
+  };
+}
+
+// The account as returned by /api/me; editableFields depends on the role
+export interface UserProfile {
+  id: number;
+  name: string;
+  email: string;
+  role: string;
+  phoneNumber: string | null;
+  guardianPhone: string | null;
+  currentLocation: string | null;
+  country: string | null;
+  created_at: string;
+  emailVerified: boolean;
+  editableFields: string[];
 }
 
+export type LoginResult = { twoFactorRequired: false } | { twoFactorRequired: true; challengeToken: string };
+
 interface AuthContextType {
   user: User | null;
-  login: (email: string, password: string) => Promise<void>;
+  can: (permission: string) => boolean;
+  login: (email: string, password: string) => Promise<LoginResult>;
+  completeTwoFactorLogin: (challengeToken: string, credentials: { code?: string; recoveryCode?: string }) => Promise<void>;
+  enableTwoFactor: (code: string) => Promise<string[]>;
+  disableTwoFactor: (password: string, code: string) => Promise<void>;
   register: (email: string, password: string, name: string, phoneNumber: string, guardianPhone: string, currentLocation: string, country: string) => Promise<void>;
+  registerGuardian: (email: string, password: string, name: string, phoneNumber: string) => Promise<void>;
   logout: () => void;
+  logoutEverywhere: () => Promise<void>;
+  verifyEmail: (token: string) => Promise<void>;
+  resendVerificationEmail: () => Promise<string>;
+  updateProfile: (changes: Partial<ProfileFields>) => Promise<UserProfile>;
+  changePassword: (currentPassword: string, newPassword: string) => Promise<void>;
   loading: boolean;
   validateToken: () => Promise<boolean>;
 }
@@ -63,6 +99,31 @@ const getApiBaseUrl = (): string => {
   return normalizedApiBase;
 };
 
+// Auth endpoints answer 401 for bad credentials; those must not trigger a token refresh
+const isAuthRequest = (url?: string) =>
+  !!url && ['/auth/login', '/auth/register', '/auth/refresh'].some((path) => url.includes(path));
+
+// Only one refresh runs at a time; requests that fail meanwhile wait for it
+let refreshPromise: Promise<string> | null = null;
+
+const refreshAccessToken = (apiBase: string): Promise<string> => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) {
+        throw new Error('No refresh token');
+      }
+      const response = await axios.post(`${apiBase}/auth/refresh`, { refreshToken });
+      localStorage.setItem('token', response.data.token);
+      localStorage.setItem('refreshToken', response.data.refreshToken);
+      return response.data.token as string;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
 // Enhanced error handling utility
 const handleAuthError = (error: any, operation: string): string => {
   console.error(`❌ AuthContext - Error ${operation}:`, error);
@@ -140,13 +201,28 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
       }
     );
 
+    // An expired access token is refreshed silently and the request retried once;
+    // the user is only logged out when the session itself has ended
     const responseInterceptor = axios.interceptors.response.use(
       (response) => response,
-      (error) => {
-        if (error.response?.status === 401 || error.response?.status === 403) {
-          // Token is invalid or expired, logout user
-          logout();
+      async (error) => {
+        const originalRequest = error.config as (InternalAxiosRequestConfig & { _retry?: boolean }) | undefined;
+        if (error.response?.status !== 401 || !originalRequest || isAuthRequest(originalRequest.url)) {
+          return Promise.reject(error);
         }
+
+        if (!originalRequest._retry && localStorage.getItem('refreshToken')) {
+          originalRequest._retry = true;
+          try {
+            const token = await refreshAccessToken(API_BASE);
+            originalRequest.headers.Authorization = `Bearer ${token}`;
+            return axios(originalRequest);
+          } catch (refreshError) {
+            console.error('❌ AuthContext - Session refresh failed:', refreshError);
+          }
+        }
+
+        clearSession();
         return Promise.reject(error);
       }
     );
@@ -155,7 +231,7 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
       axios.interceptors.request.eject(requestInterceptor);
       axios.interceptors.response.eject(responseInterceptor);
     };
-  }, []);
+  }, [API_BASE]);
 
   const validateToken = async (): Promise<boolean> => {
     const token = localStorage.getItem('token');
@@ -170,12 +246,22 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
 
     try {
       console.log('📡 AuthContext - Validating token at:', `${API_BASE}/validate-token`);
-      await axios.get(`${API_BASE}/validate-token`);
+      const response = await axios.get(`${API_BASE}/validate-token`);
+      // Keep the stored user in step with the server, e.g. after the email was verified elsewhere
+      const userData = localStorage.getItem('user');
+      if (userData && typeof response.data.user?.emailVerified === 'boolean') {
+        localStorage.setItem('user', JSON.stringify({
+          ...JSON.parse(userData),
+          emailVerified: response.data.user.emailVerified,
+          permissions: response.data.user.permissions,
+          twoFactor: response.data.user.twoFactor
+        }));
+      }
       return true;
     } catch (error) {
       console.error('❌ AuthContext - Token validation failed:', error);
-      // Token is invalid, clear it
-      logout();
+      // Token is invalid and could not be refreshed, clear it
+      clearSession();
       return false;
     }
   };
@@ -198,7 +284,7 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     initializeAuth();
   }, []);
 
-  const login = async (email: string, password: string) => {
+  const login = async (email: string, password: string): Promise<LoginResult> => {
     if (!API_BASE) {
       const errorMessage = 'API configuration is missing. Please check your .env file.';
       console.error('❌ AuthContext - Login failed:', errorMessage);
@@ -213,19 +299,64 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
         email,
         password,
       });
+
+      if (response.data.twoFactorRequired) {
+        console.log('🔐 AuthContext - Second factor required for:', email);
+        return { twoFactorRequired: true, challengeToken: response.data.challengeToken };
+      }
       
-      const { token, user } = response.data;
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(user));
-      setUser(user);
-      
+      storeSession(response.data);
       console.log('✅ AuthContext - Login successful for:', email);
+      return { twoFactorRequired: false };
     } catch (error) {
       const errorMessage = handleAuthError(error, 'logging in');
       throw new Error(errorMessage);
     }
   };
 
+  const completeTwoFactorLogin = async (challengeToken: string, credentials: { code?: string; recoveryCode?: string }) => {
+    try {
+      const response = await axios.post(`${API_BASE}/auth/login/2fa`, { challengeToken, ...credentials });
+      storeSession(response.data);
+      console.log('✅ AuthContext - Two-factor login successful');
+    } catch (error) {
+      const errorMessage = handleAuthError(error, 'verifying the authentication code');
+      throw new Error(errorMessage);
+    }
+  };
+
+  const storeSession = (data: { token: string; refreshToken: string; user: User }) => {
+    localStorage.setItem('token', data.token);
+    localStorage.setItem('refreshToken', data.refreshToken);
+    localStorage.setItem('user', JSON.stringify(data.user));
+    setUser(data.user);
+  };
+
+  // Enabling 2FA upgrades the current session, which comes with a new access token
+  const enableTwoFactor = async (code: string): Promise<string[]> => {
+    const response = await axios.post(`${API_BASE}/auth/2fa/enable`, { code });
+    localStorage.setItem('token', response.data.token);
+    updateTwoFactor({ enabled: true, verified: true });
+    return response.data.recoveryCodes;
+  };
+
+  const disableTwoFactor = async (password: string, code: string) => {
+    await axios.post(`${API_BASE}/auth/2fa/disable`, { password, code });
+    updateTwoFactor({ enabled: false });
+  };
+
+  const updateTwoFactor = (changes: Partial<NonNullable<User['twoFactor']>>) => {
+    const userData = localStorage.getItem('user');
+    if (!userData) return;
+    const storedUser: User = JSON.parse(userData);
+    const nextUser: User = {
+      ...storedUser,
+      twoFactor: { enabled: false, verified: false, required: false, ...storedUser.twoFactor, ...changes }
+    };
+    localStorage.setItem('user', JSON.stringify(nextUser));
+    setUser(nextUser);
+  };
+
   const register = async (
     email: string,
     password: string,
@@ -258,8 +389,9 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
       
       const response = await axios.post(`${API_BASE}/auth/register`, userData);
       
-      const { token, user } = response.data;
+      const { token, refreshToken, user } = response.data;
       localStorage.setItem('token', token);
+      localStorage.setItem('refreshToken', refreshToken);
       localStorage.setItem('user', JSON.stringify(user));
       setUser(user);
       
@@ -270,18 +402,106 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     }
   };
 
-  const logout = () => {
+  // Guardian accounts are linked to students later, with the student's consent
+  const registerGuardian = async (email: string, password: string, name: string, phoneNumber: string) => {
+    if (!API_BASE) {
+      const errorMessage = 'API configuration is missing. Please check your .env file.';
+      console.error('❌ AuthContext - Registration failed:', errorMessage);
+      throw new Error(errorMessage);
+    }
+
+    try {
+      const response = await axios.post(`${API_BASE}/auth/register/guardian`, { email, password, name, phoneNumber });
+      storeSession(response.data);
+      console.log('✅ AuthContext - Guardian registration successful for:', email);
+    } catch (error) {
+      const errorMessage = handleAuthError(error, 'registering');
+      throw new Error(errorMessage);
+    }
+  };
+
+  const clearSession = () => {
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
     setUser(null);
+  };
+
+  const logout = () => {
+    // End the session on the server too; local state is cleared either way
+    if (localStorage.getItem('token') && API_BASE) {
+      axios.post(`${API_BASE}/auth/logout`).catch((error) => {
+        console.error('❌ AuthContext - Server logout failed:', error);
+      });
+    }
+    clearSession();
     console.log('✅ AuthContext - User logged out');
   };
 
+  const logoutEverywhere = async () => {
+    try {
+      await axios.post(`${API_BASE}/auth/logout-all`);
+    } finally {
+      clearSession();
+      console.log('✅ AuthContext - User logged out on all devices');
+    }
+  };
+
+  const verifyEmail = async (token: string) => {
+    const response = await axios.post(`${API_BASE}/auth/verify-email`, { token });
+    // The link may be opened while signed in as someone else; only that account is updated
+    const userData = localStorage.getItem('user');
+    if (userData) {
+      const storedUser: User = JSON.parse(userData);
+      if (storedUser.id === response.data.userId) {
+        const verifiedUser = { ...storedUser, emailVerified: true };
+        localStorage.setItem('user', JSON.stringify(verifiedUser));
+        setUser(verifiedUser);
+      }
+    }
+  };
+
+  const resendVerificationEmail = async (): Promise<string> => {
+    const response = await axios.post(`${API_BASE}/auth/resend-verification`);
+    return response.data.message;
+  };
+
+  const updateProfile = async (changes: Partial<ProfileFields>): Promise<UserProfile> => {
+    const response = await axios.patch<UserProfile>(`${API_BASE}/me`, changes);
+    const userData = localStorage.getItem('user');
+    if (userData) {
+      const storedUser: User = JSON.parse(userData);
+      const { name, phoneNumber, guardianPhone, currentLocation, country } = response.data;
+      const nextUser = { ...storedUser, name, phoneNumber, guardianPhone, currentLocation, country };
+      localStorage.setItem('user', JSON.stringify(nextUser));
+      setUser(nextUser);
+    }
+    return response.data;
+  };
+
+  // The server signs out every other session; this one keeps working
+  const changePassword = async (currentPassword: string, newPassword: string) => {
+    await axios.post(`${API_BASE}/me/password`, { currentPassword, newPassword });
+  };
+
+  // Only hides UI; the server enforces every permission on its own
+  const can = useCallback((permission: string) => !!user?.permissions?.includes(permission), [user]);
+
   const value = {
     user,
+    can,
     login,
     register,
+    registerGuardian,
     logout,
+    logoutEverywhere,
+    completeTwoFactorLogin,
+    enableTwoFactor,
+    disableTwoFactor,
+    verifyEmail,
+    resendVerificationEmail,
+    updateProfile,
+    changePassword,
     loading,
     validateToken,
   };
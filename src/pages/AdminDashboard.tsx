@@ -1,7 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
-import { Plus, Users, BookOpen, Key, Edit, Trash2, AlertCircle, CheckCircle, Clipboard } from 'lucide-react';
+import { Plus, Users, BookOpen, Key, Edit, Trash2, AlertCircle, CheckCircle, Clipboard, ClipboardCheck, ShieldAlert, UserPlus, UserX, ScrollText, Lock, ArchiveRestore } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
+import { useSearchParams } from 'react-router-dom';
+import AdminQuizzes from '../components/AdminQuizzes';
+import AdminLockouts from '../components/AdminLockouts';
+import AdminDeletionRequests from '../components/AdminDeletionRequests';
+import AdminAuditLog from '../components/AdminAuditLog';
+import AdminSensitiveAccess from '../components/AdminSensitiveAccess';
+import AdminTrash from '../components/AdminTrash';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import { getApiErrorMessage } from '../utils/apiUtils';
+import { useAuth } from '../contexts/AuthContext';
 
 interface Teacher {
   id: number;
@@ -9,6 +19,7 @@ interface Teacher {
   bio: string;
   subject: string;
   photo: string;
+  user_id: number | null;
 }
 
 interface Class {
@@ -32,16 +43,46 @@ interface AccessCode {
   is_used: boolean;
   used_by_name?: string;
   created_at: string;
+  batch_id: number | null;
+  max_redemptions: number;
+  redemption_count: number;
+  expires_at: string | null;
+  status: 'available' | 'used' | 'expired' | 'revoked';
 }
 
+interface AccessCodeBatch {
+  id: number;
+  class_title: string;
+  label: string;
+  price: number;
+  quantity: number;
+  max_redemptions: number;
+  expires_at: string | null;
+  created_at: string;
+  code_count: number;
+  redemption_count: number;
+  revoked_count: number;
+}
+
+const CODE_STATUS_STYLES: Record<AccessCode['status'], string> = {
+  available: 'bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300',
+  used: 'bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-300',
+  expired: 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-800 dark:text-yellow-300',
+  revoked: 'bg-gray-200 dark:bg-gray-600 text-gray-700 dark:text-gray-200'
+};
+
 const API_BASE = import.meta.env.VITE_API_BASE_URL;
 const assetUrl = (path: string) => `${API_BASE.replace(/\/api$/, '')}${path}`;
 
 const AdminDashboard: React.FC = () => {
-  const [activeTab, setActiveTab] = useState('teachers');
+  const { can } = useAuth();
+  // Links in notification mails open a tab directly, e.g. /admin?tab=data-access
+  const [searchParams] = useSearchParams();
+  const [activeTab, setActiveTab] = useState(searchParams.get('tab') || 'teachers');
   const [teachers, setTeachers] = useState<Teacher[]>([]);
   const [classes, setClasses] = useState<Class[]>([]);
   const [accessCodes, setAccessCodes] = useState<AccessCode[]>([]);
+  const [codeBatches, setCodeBatches] = useState<AccessCodeBatch[]>([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
@@ -64,13 +105,20 @@ const AdminDashboard: React.FC = () => {
     price: ''
   });
 
-  const [codeForm, setCodeForm] = useState({
+  const emptyCodeForm = {
     class_id: '',
-    price: ''
-  });
+    price: '',
+    quantity: '1',
+    max_redemptions: '1',
+    expires_at: '',
+    label: ''
+  };
+  const [codeForm, setCodeForm] = useState(emptyCodeForm);
 
   const [editModalOpen, setEditModalOpen] = useState(false);
   const [editingClass, setEditingClass] = useState<Class | null>(null);
+  const [accountTeacher, setAccountTeacher] = useState<Teacher | null>(null);
+  const [editingTeacher, setEditingTeacher] = useState<Teacher | null>(null);
 
   // Add state for confirmation dialog
   const [confirmDialog, setConfirmDialog] = useState<{ type: 'teacher' | 'class' | null, id: number | null }>({ type: null, id: null });
@@ -106,10 +154,11 @@ const AdminDashboard: React.FC = () => {
   const fetchData = async () => {
     setLoading(true);
     try {
-      const [teachersRes, classesRes, codesRes] = await Promise.all([
+      const [teachersRes, classesRes, codesRes, batchesRes] = await Promise.all([
         axios.get(`${API_BASE}/teachers`),
         axios.get(`${API_BASE}/classes`),
-        axios.get(`${API_BASE}/access-codes`)
+        axios.get(`${API_BASE}/access-codes`),
+        axios.get(`${API_BASE}/access-codes/batches`)
       ]);
       
       // Safely handle teachers data
@@ -144,6 +193,8 @@ const AdminDashboard: React.FC = () => {
         console.warn('Unexpected access codes data format:', codesData);
         setAccessCodes([]);
       }
+
+      setCodeBatches(Array.isArray(batchesRes.data) ? batchesRes.data : []);
     } catch (error) {
       console.error('Failed to fetch data:', error);
       setError('Failed to fetch data');
@@ -151,6 +202,7 @@ const AdminDashboard: React.FC = () => {
       setTeachers([]);
       setClasses([]);
       setAccessCodes([]);
+      setCodeBatches([]);
     } finally {
       setLoading(false);
     }
@@ -255,16 +307,66 @@ const AdminDashboard: React.FC = () => {
     setError('');
     setSuccess('');
 
+    const quantity = parseInt(codeForm.quantity) || 1;
+    const payload = {
+      class_id: parseInt(codeForm.class_id),
+      price: parseFloat(codeForm.price),
+      max_redemptions: parseInt(codeForm.max_redemptions) || 1,
+      expires_at: codeForm.expires_at ? new Date(`${codeForm.expires_at}T23:59:59`).toISOString() : null
+    };
+
     try {
-      const response = await axios.post(`${API_BASE}/access-codes`, {
-        class_id: parseInt(codeForm.class_id),
-        price: parseFloat(codeForm.price)
-      });
-      showCodeSnackbar(response.data.code);
-      setCodeForm({ class_id: '', price: '' }); // Fixed: Reset form after successful generation
+      if (quantity > 1) {
+        const response = await axios.post(`${API_BASE}/access-codes/batches`, {
+          ...payload,
+          quantity,
+          label: codeForm.label
+        });
+        showSnackbar(t('Generated {{count}} access codes', { count: response.data.codes.length }));
+        await handleExportBatch(response.data.batch.id);
+      } else {
+        const response = await axios.post(`${API_BASE}/access-codes`, payload);
+        showCodeSnackbar(response.data.code);
+      }
+      setCodeForm(emptyCodeForm); // Fixed: Reset form after successful generation
       fetchData();
     } catch (error) {
-      setError('Failed to generate access code');
+      setError(getApiErrorMessage(error, 'Failed to generate access code'));
+    }
+  };
+
+  // The export needs the auth header, so it is fetched as a blob instead of a plain link
+  const handleExportBatch = async (batchId: number) => {
+    try {
+      const response = await axios.get(`${API_BASE}/access-codes/batches/${batchId}/export`, { responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `access-codes-batch-${batchId}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setError('Failed to export access codes');
+    }
+  };
+
+  const handleRevokeCode = async (codeId: number) => {
+    if (!window.confirm(t('Revoke this code? It can no longer be redeemed.'))) return;
+    try {
+      await axios.post(`${API_BASE}/access-codes/${codeId}/revoke`);
+      fetchData();
+    } catch (error) {
+      setError(getApiErrorMessage(error, 'Failed to revoke access code'));
+    }
+  };
+
+  const handleRevokeBatch = async (batchId: number) => {
+    if (!window.confirm(t('Revoke every unused code in this batch?'))) return;
+    try {
+      await axios.post(`${API_BASE}/access-codes/batches/${batchId}/revoke`);
+      fetchData();
+    } catch (error) {
+      setError(getApiErrorMessage(error, 'Failed to revoke batch'));
     }
   };
 
@@ -297,13 +399,15 @@ const AdminDashboard: React.FC = () => {
           headers: { Authorization: `Bearer ${token}` },
         });
         setTeachers((prev) => prev.filter((t) => t.id !== confirmDialog.id));
-        showSnackbar(t('Teacher deleted successfully!'));
+        // The teacher's classes are hidden while the teacher is in the trash
+        setClasses((prev) => prev.filter((c) => c.teacher_id !== confirmDialog.id));
+        showSnackbar(t('Teacher moved to the trash'));
       } else {
         await axios.delete(`${API_BASE}/classes/${confirmDialog.id}`, {
           headers: { Authorization: `Bearer ${token}` },
         });
         setClasses((prev) => prev.filter((c) => c.id !== confirmDialog.id));
-        showSnackbar(t('Class deleted successfully!'));
+        showSnackbar(t('Class moved to the trash'));
       }
     } catch (err) {
       setError(t('Failed to delete'));
@@ -323,13 +427,15 @@ const AdminDashboard: React.FC = () => {
               <h1 className="text-3xl font-bold text-gray-900 dark:text-white">{t('Admin Dashboard')}</h1>
               <p className="text-gray-600 dark:text-gray-300 mt-2">{t('Manage teachers, classes, and access codes')}</p>
             </div>
-            <a
-              href="/admin/students"
-              className="inline-flex items-center px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg font-semibold transition-colors"
-            >
-              <Users className="h-4 w-4 mr-2" />
-              Manage Students
-            </a>
+            {can('students:read') && (
+              <a
+                href="/admin/students"
+                className="inline-flex items-center px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg font-semibold transition-colors"
+              >
+                <Users className="h-4 w-4 mr-2" />
+                Manage Students
+              </a>
+            )}
           </div>
         </div>
 
@@ -385,10 +491,16 @@ const AdminDashboard: React.FC = () => {
           <div className="border-b border-gray-200 dark:border-gray-700">
             <nav className="-mb-px flex space-x-8">
               {[
-                { id: 'teachers', label: 'Teachers', icon: Users },
-                { id: 'classes', label: 'Classes', icon: BookOpen },
-                { id: 'codes', label: 'Access Codes', icon: Key }
-              ].map((tab) => (
+                { id: 'teachers', label: 'Teachers', icon: Users, permission: 'teachers:write' },
+                { id: 'classes', label: 'Classes', icon: BookOpen, permission: 'classes:write' },
+                { id: 'codes', label: 'Access Codes', icon: Key, permission: 'access_codes:manage' },
+                { id: 'quizzes', label: 'Quizzes', icon: ClipboardCheck, permission: 'quizzes:write' },
+                { id: 'security', label: 'Security', icon: ShieldAlert, permission: 'admin_panel:view' },
+                { id: 'privacy', label: 'Privacy', icon: UserX, permission: 'account_deletion:review' },
+                { id: 'data-access', label: 'Data Access', icon: Lock, permission: 'students:sensitive_data' },
+                { id: 'trash', label: 'Trash', icon: ArchiveRestore, permission: 'trash:manage' },
+                { id: 'audit', label: 'Audit Log', icon: ScrollText, permission: 'audit:read' }
+              ].filter((tab) => can(tab.permission)).map((tab) => (
                 <button
                   key={tab.id}
                   onClick={() => setActiveTab(tab.id)}
@@ -458,7 +570,14 @@ const AdminDashboard: React.FC = () => {
                   <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
                     {Array.isArray(teachers) && teachers.length > 0 ? (
                       teachers.map((teacher) => (
-                        <TeacherCard key={teacher.id} teacher={teacher} onDelete={() => handleDelete('teacher', teacher.id)} t={t} />
+                        <TeacherCard
+                          key={teacher.id}
+                          teacher={teacher}
+                          onDelete={() => handleDelete('teacher', teacher.id)}
+                          onCreateLogin={() => setAccountTeacher(teacher)}
+                          onEdit={() => setEditingTeacher(teacher)}
+                          t={t}
+                        />
                       ))
                     ) : (
                       <div className="col-span-full text-center py-8">
@@ -593,6 +712,48 @@ const AdminDashboard: React.FC = () => {
                         className="px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
                         required
                       />
+                      <label className="flex flex-col text-sm text-gray-600 dark:text-gray-300">
+                        Number of codes
+                        <input
+                          type="number"
+                          min="1"
+                          max="1000"
+                          value={codeForm.quantity}
+                          onChange={(e) => setCodeForm({ ...codeForm, quantity: e.target.value })}
+                          className="px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                        />
+                      </label>
+                      <label className="flex flex-col text-sm text-gray-600 dark:text-gray-300">
+                        Redemptions per code
+                        <input
+                          type="number"
+                          min="1"
+                          value={codeForm.max_redemptions}
+                          onChange={(e) => setCodeForm({ ...codeForm, max_redemptions: e.target.value })}
+                          className="px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                        />
+                      </label>
+                      <label className="flex flex-col text-sm text-gray-600 dark:text-gray-300">
+                        Expires on (optional)
+                        <input
+                          type="date"
+                          value={codeForm.expires_at}
+                          onChange={(e) => setCodeForm({ ...codeForm, expires_at: e.target.value })}
+                          className="px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                        />
+                      </label>
+                      {parseInt(codeForm.quantity) > 1 && (
+                        <label className="flex flex-col text-sm text-gray-600 dark:text-gray-300">
+                          Batch label (optional)
+                          <input
+                            type="text"
+                            placeholder="e.g. Autumn term - School A"
+                            value={codeForm.label}
+                            onChange={(e) => setCodeForm({ ...codeForm, label: e.target.value })}
+                            className="px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                          />
+                        </label>
+                      )}
                     </div>
                     <button
                       type="submit"
@@ -604,6 +765,45 @@ const AdminDashboard: React.FC = () => {
                   </form>
                 </div>
 
+                {codeBatches.length > 0 && (
+                  <div>
+                    <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">Code Batches</h2>
+                    <ul className="space-y-2">
+                      {codeBatches.map((batch) => (
+                        <li key={batch.id} className="flex flex-wrap items-center justify-between gap-3 border border-gray-200 dark:border-gray-700 rounded-lg p-4">
+                          <div>
+                            <p className="font-semibold text-gray-900 dark:text-white">
+                              {batch.label || `Batch #${batch.id}`} · {batch.class_title}
+                            </p>
+                            <p className="text-sm text-gray-500 dark:text-gray-400">
+                              {batch.code_count} codes · {batch.redemption_count} redemptions
+                              {batch.max_redemptions > 1 ? ` · ${batch.max_redemptions} uses each` : ''}
+                              {batch.expires_at ? ` · expires ${new Date(batch.expires_at).toLocaleDateString()}` : ''}
+                              {batch.revoked_count > 0 ? ` · ${batch.revoked_count} revoked` : ''}
+                            </p>
+                          </div>
+                          <div className="flex gap-2">
+                            <button
+                              onClick={() => handleExportBatch(batch.id)}
+                              className="px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-white text-sm font-semibold"
+                            >
+                              {t('Export CSV')}
+                            </button>
+                            {batch.revoked_count < batch.code_count && (
+                              <button
+                                onClick={() => handleRevokeBatch(batch.id)}
+                                className="px-4 py-2 rounded-lg bg-red-600 hover:bg-red-700 text-white text-sm font-semibold"
+                              >
+                                {t('Revoke All')}
+                              </button>
+                            )}
+                          </div>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
                 <div>
                   <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">Access Codes</h2>
                   <div className="overflow-x-auto">
@@ -622,9 +822,16 @@ const AdminDashboard: React.FC = () => {
                           <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
                             Status
                           </th>
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                            Uses
+                          </th>
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                            Expires
+                          </th>
                           <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
                             Used By
                           </th>
+                          <th className="px-6 py-3"></th>
                         </tr>
                       </thead>
                       <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
@@ -641,22 +848,34 @@ const AdminDashboard: React.FC = () => {
                                 ${code.price}
                               </td>
                               <td className="px-6 py-4 whitespace-nowrap">
-                                <span className={`px-2 py-1 text-xs font-semibold rounded-full ${
-                                  code.is_used 
-                                    ? 'bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-300' 
-                                    : 'bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300'
-                                }`}>
-                                  {code.is_used ? 'Used' : 'Available'}
+                                <span className={`px-2 py-1 text-xs font-semibold rounded-full capitalize ${CODE_STATUS_STYLES[code.status]}`}>
+                                  {code.status}
                                 </span>
                               </td>
+                              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
+                                {code.redemption_count}/{code.max_redemptions}
+                              </td>
+                              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
+                                {code.expires_at ? new Date(code.expires_at).toLocaleDateString() : '-'}
+                              </td>
                               <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
                                 {code.used_by_name || '-'}
                               </td>
+                              <td className="px-6 py-4 whitespace-nowrap text-sm text-right">
+                                {code.status === 'available' && (
+                                  <button
+                                    onClick={() => handleRevokeCode(code.id)}
+                                    className="text-red-600 dark:text-red-400 hover:underline font-semibold"
+                                  >
+                                    {t('Revoke')}
+                                  </button>
+                                )}
+                              </td>
                             </tr>
                           ))
                         ) : (
                           <tr>
-                            <td colSpan={5} className="px-6 py-8 text-center text-gray-500 dark:text-gray-400">
+                            <td colSpan={8} className="px-6 py-8 text-center text-gray-500 dark:text-gray-400">
                               <Key className="h-8 w-8 mx-auto mb-2 text-gray-400" />
                               <p>No access codes available</p>
                             </td>
@@ -668,6 +887,29 @@ const AdminDashboard: React.FC = () => {
                 </div>
               </div>
             )}
+
+            {/* Quizzes Tab */}
+            {activeTab === 'quizzes' && <AdminQuizzes classes={classes} />}
+
+            {/* Security Tab */}
+            {activeTab === 'security' && (
+              <div className="space-y-8">
+                <TwoFactorSettings />
+                {can('security:manage') && <AdminLockouts />}
+              </div>
+            )}
+
+            {/* Privacy Tab */}
+            {activeTab === 'privacy' && <AdminDeletionRequests />}
+
+            {/* Data Access Tab */}
+            {activeTab === 'data-access' && <AdminSensitiveAccess />}
+
+            {/* Trash Tab */}
+            {activeTab === 'trash' && <AdminTrash onRestored={fetchData} />}
+
+            {/* Audit Log Tab */}
+            {activeTab === 'audit' && <AdminAuditLog />}
           </div>
         </div>
       </div>
@@ -677,15 +919,40 @@ const AdminDashboard: React.FC = () => {
         open={editModalOpen}
         onClose={() => setEditModalOpen(false)}
         classItem={editingClass}
+        teachers={teachers}
         onSave={handleEditSave}
       />
 
+      {editingTeacher && (
+        <EditTeacherModal
+          teacher={editingTeacher}
+          onClose={() => setEditingTeacher(null)}
+          onSave={() => {
+            setEditingTeacher(null);
+            showSnackbar(t('Teacher updated!'));
+            fetchData();
+          }}
+        />
+      )}
+
+      {accountTeacher && (
+        <TeacherAccountModal
+          teacher={accountTeacher}
+          onClose={() => setAccountTeacher(null)}
+          onCreated={() => {
+            setAccountTeacher(null);
+            showSnackbar(t('Teacher login created!'));
+            fetchData();
+          }}
+        />
+      )}
+
       {/* Confirmation Dialog */}
       {confirmDialog.type && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40">
           <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-8 w-full max-w-sm relative">
             <h2 className="text-xl font-bold mb-4 text-gray-900 dark:text-white">{t('Are you sure?')}</h2>
-            <p className="mb-6 text-gray-700 dark:text-gray-200">{confirmDialog.type === 'teacher' ? t('This will permanently delete the teacher.') : t('This will permanently delete the class.')}</p>
+            <p className="mb-6 text-gray-700 dark:text-gray-200">{confirmDialog.type === 'teacher' ? t('The teacher and their classes move to the trash, where an admin can restore them.') : t('The class moves to the trash, where an admin can restore it.')}</p>
             <div className="flex justify-end gap-2">
               <button onClick={cancelDelete} className="px-4 py-2 rounded bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-100 hover:bg-gray-300 dark:hover:bg-gray-600 font-semibold">{t('Cancel')}</button>
               <button onClick={confirmDelete} className="px-4 py-2 rounded bg-red-600 text-white hover:bg-red-700 font-semibold">{t('Delete')}</button>
@@ -698,28 +965,38 @@ const AdminDashboard: React.FC = () => {
 };
 
 // EditClassModal component
-const EditClassModal = ({ open, onClose, classItem, onSave }: any) => {
+// Loads the class fresh from GET /classes/:id and saves only through PATCH, so
+// teacher reassignment and the free/paid switch go through the server's rules
+const EditClassModal = ({ open, onClose, classItem, teachers, onSave }: any) => {
   const [form, setForm] = useState({
-    title: classItem?.title || '',
-    description: classItem?.description || '',
-    video_url: classItem?.video_url || '',
-    price: classItem?.price?.toString() || '0',
+    title: '',
+    description: '',
+    video_url: '',
+    teacher_id: '',
+    is_free: true,
+    price: '0',
     thumbnail: null as File | null,
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
   useEffect(() => {
-    if (classItem) {
-      setForm({
-        title: classItem.title,
-        description: classItem.description,
-        video_url: classItem.video_url,
-        price: classItem.price?.toString() || '0',
-        thumbnail: null,
-      });
-    }
-  }, [classItem]);
+    if (!open || !classItem) return;
+    const toForm = (data: Class) => ({
+      title: data.title,
+      description: data.description || '',
+      video_url: data.video_url || '',
+      teacher_id: data.teacher_id ? String(data.teacher_id) : '',
+      is_free: data.is_free,
+      price: data.price?.toString() || '0',
+      thumbnail: null,
+    });
+    setForm(toForm(classItem));
+    setError('');
+    axios.get(`${API_BASE}/classes/${classItem.id}`)
+      .then((response) => setForm(toForm(response.data)))
+      .catch((err) => setError(getApiErrorMessage(err, 'Failed to load class')));
+  }, [open, classItem]);
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
@@ -730,20 +1007,20 @@ const EditClassModal = ({ open, onClose, classItem, onSave }: any) => {
       formData.append('title', form.title);
       formData.append('description', form.description);
       formData.append('video_url', form.video_url);
-      formData.append('price', form.price);
+      formData.append('teacher_id', form.teacher_id);
+      formData.append('is_free', String(form.is_free));
+      if (!form.is_free) {
+        formData.append('price', form.price);
+      }
       if (form.thumbnail) {
         formData.append('thumbnail', form.thumbnail);
       }
-      const token = localStorage.getItem('token');
-      await axios.put(`${API_BASE}/videos/${classItem.id}`, formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-          Authorization: `Bearer ${token}`,
-        },
+      await axios.patch(`${API_BASE}/classes/${classItem.id}`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
       });
       onSave();
-    } catch (err: any) {
-      setError('Failed to update class');
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to update class'));
     } finally {
       setLoading(false);
     }
@@ -780,15 +1057,37 @@ const EditClassModal = ({ open, onClose, classItem, onSave }: any) => {
             className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
             required
           />
-          <input
-            type="number"
-            step="0.01"
-            placeholder="Price (0 for free)"
-            value={form.price}
-            onChange={e => setForm({ ...form, price: e.target.value })}
+          <select
+            value={form.teacher_id}
+            onChange={e => setForm({ ...form, teacher_id: e.target.value })}
             className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
             required
-          />
+          >
+            <option value="">Select Teacher</option>
+            {Array.isArray(teachers) && teachers.map((teacher: Teacher) => (
+              <option key={teacher.id} value={teacher.id}>{teacher.name}</option>
+            ))}
+          </select>
+          <label className="flex items-center gap-2 text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={form.is_free}
+              onChange={e => setForm({ ...form, is_free: e.target.checked, price: e.target.checked ? '0' : form.price })}
+            />
+            Free class
+          </label>
+          {!form.is_free && (
+            <input
+              type="number"
+              step="0.01"
+              min="0.01"
+              placeholder="Price"
+              value={form.price}
+              onChange={e => setForm({ ...form, price: e.target.value })}
+              className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+              required
+            />
+          )}
           <input
             type="file"
             accept="image/*"
@@ -808,8 +1107,168 @@ const EditClassModal = ({ open, onClose, classItem, onSave }: any) => {
   );
 };
 
+// Edits a teacher's name, subject and bio, and replaces the photo
+const EditTeacherModal: React.FC<{ teacher: Teacher; onClose: () => void; onSave: () => void }> = ({
+  teacher,
+  onClose,
+  onSave
+}) => {
+  const [form, setForm] = useState({
+    name: teacher.name,
+    subject: teacher.subject,
+    bio: teacher.bio || '',
+    photo: null as File | null
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const formData = new FormData();
+      formData.append('name', form.name);
+      formData.append('subject', form.subject);
+      formData.append('bio', form.bio);
+      if (form.photo) {
+        formData.append('photo', form.photo);
+      }
+      await axios.patch(`${API_BASE}/teachers/${teacher.id}`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      onSave();
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to update teacher'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-8 w-full max-w-lg relative">
+        <button className="absolute top-2 right-2 text-gray-400 dark:text-gray-500 hover:text-gray-600 dark:hover:text-gray-300" onClick={onClose}>&times;</button>
+        <h2 className="text-xl font-bold mb-4 text-gray-900 dark:text-white">Edit Teacher</h2>
+        {error && <div className="mb-2 text-red-600 dark:text-red-400">{error}</div>}
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <input
+            type="text"
+            placeholder="Teacher Name"
+            value={form.name}
+            onChange={e => setForm({ ...form, name: e.target.value })}
+            className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            required
+          />
+          <input
+            type="text"
+            placeholder="Subject"
+            value={form.subject}
+            onChange={e => setForm({ ...form, subject: e.target.value })}
+            className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            required
+          />
+          <textarea
+            placeholder="Bio"
+            value={form.bio}
+            onChange={e => setForm({ ...form, bio: e.target.value })}
+            className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            rows={3}
+          />
+          <div className="flex items-center gap-4">
+            {teacher.photo && (
+              <img src={assetUrl(teacher.photo)} alt={teacher.name} className="w-12 h-12 rounded-full object-cover" />
+            )}
+            <label className="flex-1 text-sm text-gray-600 dark:text-gray-300">
+              {teacher.photo ? 'Replace photo' : 'Add photo'}
+              <input
+                type="file"
+                accept="image/*"
+                onChange={e => setForm({ ...form, photo: e.target.files?.[0] || null })}
+                className="block w-full mt-1 text-gray-900 dark:text-white"
+              />
+            </label>
+          </div>
+          <button
+            type="submit"
+            className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded font-semibold disabled:opacity-50"
+            disabled={saving}
+          >
+            {saving ? 'Saving...' : 'Save Changes'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+// Creates the login a teacher uses for the teacher dashboard
+const TeacherAccountModal: React.FC<{ teacher: Teacher; onClose: () => void; onCreated: () => void }> = ({
+  teacher,
+  onClose,
+  onCreated
+}) => {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      await axios.post(`${API_BASE}/teachers/${teacher.id}/account`, { email, password });
+      onCreated();
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to create teacher login'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-8 w-full max-w-md relative">
+        <button className="absolute top-2 right-2 text-gray-400 dark:text-gray-500 hover:text-gray-600 dark:hover:text-gray-300" onClick={onClose}>&times;</button>
+        <h2 className="text-xl font-bold mb-2 text-gray-900 dark:text-white">Create login for {teacher.name}</h2>
+        <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+          Share the temporary password with the teacher. They can manage only their own classes.
+        </p>
+        {error && <div className="mb-2 text-red-600 dark:text-red-400">{error}</div>}
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <input
+            type="email"
+            placeholder="Email"
+            value={email}
+            onChange={e => setEmail(e.target.value)}
+            className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            required
+          />
+          <input
+            type="text"
+            placeholder="Temporary password (min. 6 characters)"
+            value={password}
+            onChange={e => setPassword(e.target.value)}
+            className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            minLength={6}
+            required
+          />
+          <button
+            type="submit"
+            className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded font-semibold disabled:opacity-50"
+            disabled={saving}
+          >
+            {saving ? 'Creating...' : 'Create Login'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
 // Modularize TeacherCard and ClassCard for clarity and style
-const TeacherCard = ({ teacher, onDelete, t }: any) => (
+const TeacherCard = ({ teacher, onEdit, onDelete, onCreateLogin, t }: any) => (
   <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md hover:shadow-xl transition-shadow duration-300 p-6 flex flex-col items-start gap-2 border border-gray-100 dark:border-gray-700 relative group">
     <div className="flex items-center gap-4 w-full">
       <div className="w-16 h-16 rounded-full bg-blue-100 dark:bg-blue-900/30 flex items-center justify-center overflow-hidden">
@@ -825,13 +1284,34 @@ const TeacherCard = ({ teacher, onDelete, t }: any) => (
         <p className="text-gray-600 dark:text-gray-300 text-sm line-clamp-2">{teacher.bio}</p>
       </div>
     </div>
-    <button
-      className="absolute top-3 right-3 flex items-center gap-1 px-2 py-1 bg-red-500 hover:bg-red-600 text-white rounded text-xs font-semibold shadow transition-colors"
-      onClick={() => onDelete(teacher.id)}
-      title="Delete Teacher"
-    >
-      <Trash2 className="h-4 w-4" /> {t('Delete')}
-    </button>
+    {teacher.user_id ? (
+      <span className="px-2 py-0.5 rounded text-xs font-semibold bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300">
+        {t('Has login')}
+      </span>
+    ) : (
+      <button
+        className="inline-flex items-center gap-1 text-sm text-blue-600 dark:text-blue-400 hover:underline font-semibold"
+        onClick={onCreateLogin}
+      >
+        <UserPlus className="h-4 w-4" /> {t('Create login')}
+      </button>
+    )}
+    <div className="absolute top-3 right-3 flex gap-2">
+      <button
+        className="flex items-center gap-1 px-2 py-1 bg-yellow-400 hover:bg-yellow-500 text-white rounded text-xs font-semibold shadow transition-colors"
+        onClick={() => onEdit(teacher)}
+        title="Edit Teacher"
+      >
+        <Edit className="h-4 w-4" /> {t('Edit')}
+      </button>
+      <button
+        className="flex items-center gap-1 px-2 py-1 bg-red-500 hover:bg-red-600 text-white rounded text-xs font-semibold shadow transition-colors"
+        onClick={() => onDelete(teacher.id)}
+        title="Delete Teacher"
+      >
+        <Trash2 className="h-4 w-4" /> {t('Delete')}
+      </button>
+    </div>
   </div>
 );
 
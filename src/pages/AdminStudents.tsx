@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import { 
   Users, 
@@ -7,20 +7,31 @@ import {
   X, 
   Trash2, 
   AlertCircle, 
-  CheckCircle
+  CheckCircle,
+  LogOut,
+  UserCheck,
+  Lock,
+  Search,
+  ChevronLeft,
+  ChevronRight,
+  Upload,
+  Download
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useNavigate } from 'react-router-dom';
 import SecurePasswordInput from '../components/SecurePasswordInput';
+import StudentGuardiansModal from '../components/StudentGuardiansModal';
+import SensitiveDataRequestModal from '../components/SensitiveDataRequestModal';
+import StudentImportModal from '../components/StudentImportModal';
 import { extractArrayFromResponse, isArrayWithItems } from '../utils/arrayUtils';
+import { getApiErrorMessage } from '../utils/apiUtils';
+import { countryList } from '../utils/profileValidation';
 
+// Contact details are not part of the list; they are read through a sensitive data grant
 interface Student {
   id: number;
   name: string;
   email: string;
-  phoneNumber: string;
-  guardianPhone: string;
-  currentLocation: string;
   country: string;
   created_at: string;
 }
@@ -29,13 +40,34 @@ interface EditingStudent {
   id: number;
   name: string;
   email: string;
-  phoneNumber: string;
-  guardianPhone: string;
-  currentLocation: string;
   country: string;
   password?: string;
 }
 
+interface StudentFilters {
+  q: string;
+  country: string;
+  createdFrom: string;
+  createdTo: string;
+  sort: string;
+}
+
+const SORT_OPTIONS = [
+  { value: '-created_at', label: 'Newest first' },
+  { value: 'created_at', label: 'Oldest first' },
+  { value: 'name', label: 'Name A–Z' },
+  { value: '-name', label: 'Name Z–A' },
+  { value: 'email', label: 'Email' },
+  { value: 'country', label: 'Country' }
+];
+
+const PAGE_SIZES = [25, 50, 100];
+
+const emptyFilters: StudentFilters = { q: '', country: '', createdFrom: '', createdTo: '', sort: '-created_at' };
+
+const filterInputClass =
+  'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+
 const AdminStudents: React.FC = () => {
   const [students, setStudents] = useState<Student[]>([]);
   const [loading, setLoading] = useState(true);
@@ -45,20 +77,21 @@ const AdminStudents: React.FC = () => {
   const [editingData, setEditingData] = useState<EditingStudent | null>(null);
   const [editingPassword, setEditingPassword] = useState('');
   const [deleteConfirm, setDeleteConfirm] = useState<number | null>(null);
-  const { user } = useAuth();
+  const [guardiansFor, setGuardiansFor] = useState<Student | null>(null);
+  const [sensitiveDataFor, setSensitiveDataFor] = useState<Student | null>(null);
+  const [showImport, setShowImport] = useState(false);
+  const [filters, setFilters] = useState<StudentFilters>(emptyFilters);
+  const [searchInput, setSearchInput] = useState('');
+  const [page, setPage] = useState(1);
+  const [pageSize, setPageSize] = useState(PAGE_SIZES[0]);
+  const [total, setTotal] = useState<number | null>(null);
+  const [totalPages, setTotalPages] = useState(1);
+  const { user, can } = useAuth();
   const navigate = useNavigate();
 
   const API_BASE = 'http://localhost:3001/api';
 
-  useEffect(() => {
-    if (!user || user.role !== 'admin') {
-      navigate('/login');
-      return;
-    }
-    fetchStudents();
-  }, [user, navigate]);
-
-  const fetchStudents = async () => {
+  const fetchStudents = useCallback(async () => {
     try {
       setLoading(true);
       setError('');
@@ -72,20 +105,24 @@ const AdminStudents: React.FC = () => {
       const response = await axios.get(`${API_BASE}/admin/students`, {
         headers: {
           'Authorization': `Bearer ${token}`
+        },
+        params: {
+          page,
+          pageSize,
+          sort: filters.sort,
+          q: filters.q || undefined,
+          country: filters.country || undefined,
+          createdFrom: filters.createdFrom || undefined,
+          createdTo: filters.createdTo || undefined
         }
       });
 
-      console.log('🔍 Raw API Response:', response.data);
-      
-      const studentsData = extractArrayFromResponse(response.data);
-      console.log('🔍 Extracted students data:', studentsData);
-      
-      if (isArrayWithItems(studentsData)) {
-        console.log('🔍 First student data:', studentsData[0]);
-        setStudents(studentsData);
-      } else {
-        console.log('⚠️ No students data found or invalid format');
-        setStudents([]);
+      setStudents(extractArrayFromResponse(response.data, 'students'));
+      setTotal(response.data.total ?? 0);
+      setTotalPages(response.data.totalPages ?? 1);
+      // e.g. after deleting the last student on the last page
+      if (page > (response.data.totalPages ?? 1)) {
+        setPage(response.data.totalPages);
       }
     } catch (error: any) {
       console.error('❌ Fetch students error:', error);
@@ -93,17 +130,43 @@ const AdminStudents: React.FC = () => {
     } finally {
       setLoading(false);
     }
+  }, [API_BASE, filters, page, pageSize]);
+
+  useEffect(() => {
+    if (!user || !can('students:read')) {
+      navigate('/login');
+      return;
+    }
+    fetchStudents();
+  }, [user, can, navigate, fetchStudents]);
+
+  // Search as the admin types, once they pause
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setFilters((current) => (current.q === searchInput.trim() ? current : { ...current, q: searchInput.trim() }));
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  const updateFilters = (changes: Partial<StudentFilters>) => {
+    setFilters((current) => ({ ...current, ...changes }));
+    setPage(1);
   };
 
+  const clearFilters = () => {
+    setSearchInput('');
+    updateFilters(emptyFilters);
+  };
+
+  const hasFilters = JSON.stringify({ ...filters, sort: emptyFilters.sort }) !== JSON.stringify(emptyFilters);
+
   const startEditing = (student: Student) => {
     setEditingId(student.id);
     setEditingData({
       id: student.id,
       name: student.name,
       email: student.email,
-      phoneNumber: student.phoneNumber,
-      guardianPhone: student.guardianPhone,
-      currentLocation: student.currentLocation,
       country: student.country
     });
     setEditingPassword('');
@@ -157,12 +220,58 @@ const AdminStudents: React.FC = () => {
     }
   };
 
+  const revokeSessions = async (id: number) => {
+    if (!window.confirm('Sign this student out of all devices?')) return;
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(`${API_BASE}/admin/students/${id}/revoke-sessions`, {}, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      setSuccess(`Revoked ${response.data.revoked} active session(s)`);
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to revoke sessions'));
+    }
+  };
+
+  // Same filters and order as the list, every page
+  const exportStudents = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get(`${API_BASE}/admin/students/export`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        },
+        params: {
+          sort: filters.sort,
+          q: filters.q || undefined,
+          country: filters.country || undefined,
+          createdFrom: filters.createdFrom || undefined,
+          createdTo: filters.createdTo || undefined
+        },
+        responseType: 'blob'
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `students-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to export students'));
+    }
+  };
+
   const clearMessages = () => {
     setError('');
     setSuccess('');
   };
 
-  if (loading) {
+  // The full-page spinner is only for the first load; later searches keep the filters on screen
+  if (loading && total === null) {
     return (
       <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex items-center justify-center">
         <div className="text-center">
@@ -176,13 +285,79 @@ const AdminStudents: React.FC = () => {
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900 p-6">
       <div className="max-w-7xl mx-auto">
-        <div className="mb-8">
-          <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
-            Student Management
-          </h1>
-          <p className="text-gray-600 dark:text-gray-400">
-            Manage all student accounts and data
-          </p>
+        <div className="mb-8 flex flex-wrap items-start justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+              Student Management
+            </h1>
+            <p className="text-gray-600 dark:text-gray-400">
+              Manage all student accounts and data{total !== null && ` · ${total} student${total === 1 ? '' : 's'}${hasFilters ? ' found' : ''}`}
+            </p>
+          </div>
+          <div className="flex gap-3">
+            {can('students:write') && (
+              <button
+                onClick={() => setShowImport(true)}
+                className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 dark:bg-blue-700 hover:bg-blue-700 dark:hover:bg-blue-800 text-white font-semibold rounded-lg"
+              >
+                <Upload className="h-4 w-4" /> Import
+              </button>
+            )}
+            <button
+              onClick={exportStudents}
+              disabled={total === 0}
+              className="inline-flex items-center gap-2 px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 font-semibold rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 disabled:opacity-50"
+            >
+              <Download className="h-4 w-4" /> Export CSV
+            </button>
+          </div>
+        </div>
+
+        <div className="mb-6 flex flex-wrap items-end gap-3">
+          <div className="relative flex-1 min-w-[16rem]">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+            <input
+              type="search"
+              placeholder="Search name, email or phone number"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              className={`${filterInputClass} w-full pl-9`}
+            />
+          </div>
+          <select value={filters.country} onChange={(e) => updateFilters({ country: e.target.value })} className={filterInputClass}>
+            <option value="">All countries</option>
+            {countryList.map((country) => (
+              <option key={country} value={country}>{country}</option>
+            ))}
+          </select>
+          <label className="text-sm text-gray-600 dark:text-gray-300">
+            Joined from
+            <input
+              type="date"
+              value={filters.createdFrom}
+              onChange={(e) => updateFilters({ createdFrom: e.target.value })}
+              className={`${filterInputClass} block`}
+            />
+          </label>
+          <label className="text-sm text-gray-600 dark:text-gray-300">
+            to
+            <input
+              type="date"
+              value={filters.createdTo}
+              onChange={(e) => updateFilters({ createdTo: e.target.value })}
+              className={`${filterInputClass} block`}
+            />
+          </label>
+          <select value={filters.sort} onChange={(e) => updateFilters({ sort: e.target.value })} className={filterInputClass}>
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          {hasFilters && (
+            <button onClick={clearFilters} className="text-blue-600 dark:text-blue-400 hover:underline text-sm py-2">
+              Clear filters
+            </button>
+          )}
         </div>
 
         {error && (
@@ -210,9 +385,6 @@ const AdminStudents: React.FC = () => {
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Name</th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Email</th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Country</th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Student Phone</th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Guardian Phone</th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Location</th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Password</th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Joined</th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Actions</th>
@@ -264,60 +436,6 @@ const AdminStudents: React.FC = () => {
                           </div>
                         )}
                       </td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        {editingId === student.id ? (
-                          <input
-                            type="tel"
-                            value={editingData?.phoneNumber || ''}
-                            onChange={(e) => setEditingData(prev => prev ? {...prev, phoneNumber: e.target.value} : null)}
-                            className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
-                          />
-                        ) : (
-                          <div className="text-sm text-gray-900 dark:text-white">
-                            {student.phoneNumber && student.phoneNumber !== 'N/A' ? (
-                              <span className="text-green-600 dark:text-green-400">{student.phoneNumber}</span>
-                            ) : (
-                              <span className="text-gray-400 italic">No phone</span>
-                            )}
-                          </div>
-                        )}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        {editingId === student.id ? (
-                          <input
-                            type="tel"
-                            value={editingData?.guardianPhone || ''}
-                            onChange={(e) => setEditingData(prev => prev ? {...prev, guardianPhone: e.target.value} : null)}
-                            className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
-                          />
-                        ) : (
-                          <div className="text-sm text-gray-900 dark:text-white">
-                            {student.guardianPhone && student.guardianPhone !== 'N/A' ? (
-                              <span className="text-green-600 dark:text-green-400">{student.guardianPhone}</span>
-                            ) : (
-                              <span className="text-gray-400 italic">No guardian phone</span>
-                            )}
-                          </div>
-                        )}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        {editingId === student.id ? (
-                          <input
-                            type="text"
-                            value={editingData?.currentLocation || ''}
-                            onChange={(e) => setEditingData(prev => prev ? {...prev, currentLocation: e.target.value} : null)}
-                            className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
-                          />
-                        ) : (
-                          <div className="text-sm text-gray-900 dark:text-white">
-                            {student.currentLocation && student.currentLocation !== 'N/A' ? (
-                              <span className="text-green-600 dark:text-green-400">{student.currentLocation}</span>
-                            ) : (
-                              <span className="text-gray-400 italic">No location</span>
-                            )}
-                          </div>
-                        )}
-                      </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         {editingId === student.id ? (
                           <div className="w-48">
@@ -365,6 +483,31 @@ const AdminStudents: React.FC = () => {
                             >
                               <Edit className="h-4 w-4" />
                             </button>
+                            <button
+                              onClick={() => revokeSessions(student.id)}
+                              className="text-yellow-600 hover:text-yellow-900"
+                              title="Sign out everywhere"
+                            >
+                              <LogOut className="h-4 w-4" />
+                            </button>
+                            {can('guardians:manage') && (
+                              <button
+                                onClick={() => setGuardiansFor(student)}
+                                className="text-indigo-600 hover:text-indigo-900"
+                                title="Guardians"
+                              >
+                                <UserCheck className="h-4 w-4" />
+                              </button>
+                            )}
+                            {can('students:sensitive_data') && (
+                              <button
+                                onClick={() => setSensitiveDataFor(student)}
+                                className="text-gray-600 hover:text-gray-900"
+                                title="Request contact details"
+                              >
+                                <Lock className="h-4 w-4" />
+                              </button>
+                            )}
                             <button
                               onClick={() => setDeleteConfirm(student.id)}
                               className="text-red-600 hover:text-red-900"
@@ -379,7 +522,7 @@ const AdminStudents: React.FC = () => {
                   ))
                 ) : (
                   <tr>
-                    <td colSpan={9} className="px-6 py-8 text-center text-gray-500 dark:text-gray-400">
+                    <td colSpan={6} className="px-6 py-8 text-center text-gray-500 dark:text-gray-400">
                       <Users className="h-8 w-8 mx-auto mb-2 text-gray-400" />
                       <p>No students available</p>
                     </td>
@@ -390,23 +533,72 @@ const AdminStudents: React.FC = () => {
           </div>
         </div>
 
+        {total !== null && total > 0 && (
+          <div className="mt-4 flex flex-wrap items-center justify-between gap-3 text-sm text-gray-600 dark:text-gray-300">
+            <span>
+              Showing {(page - 1) * pageSize + 1}–{Math.min(page * pageSize, total)} of {total}
+            </span>
+            <div className="flex items-center gap-2">
+              <select
+                value={pageSize}
+                onChange={(e) => {
+                  setPageSize(Number(e.target.value));
+                  setPage(1);
+                }}
+                className={filterInputClass}
+              >
+                {PAGE_SIZES.map((size) => (
+                  <option key={size} value={size}>{size} per page</option>
+                ))}
+              </select>
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1 || loading}
+                className="inline-flex items-center gap-1 px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 disabled:opacity-50"
+              >
+                <ChevronLeft className="h-4 w-4" /> Previous
+              </button>
+              <span>
+                Page {page} of {totalPages}
+              </span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= totalPages || loading}
+                className="inline-flex items-center gap-1 px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 disabled:opacity-50"
+              >
+                Next <ChevronRight className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        )}
+
         {!isArrayWithItems(students) && (
           <div className="text-center py-12">
             <Users className="h-12 w-12 text-gray-400 dark:text-gray-500 mx-auto mb-4" />
             <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">No Students Found</h3>
             <p className="text-gray-500 dark:text-gray-400">
-              {!Array.isArray(students) ? 'Unable to load students data.' : 'No students have registered yet.'}
+              {!Array.isArray(students)
+                ? 'Unable to load students data.'
+                : hasFilters
+                  ? 'No students match your search.'
+                  : 'No students have registered yet.'}
             </p>
           </div>
         )}
       </div>
 
+      {guardiansFor && <StudentGuardiansModal student={guardiansFor} onClose={() => setGuardiansFor(null)} />}
+      {sensitiveDataFor && (
+        <SensitiveDataRequestModal student={sensitiveDataFor} onClose={() => setSensitiveDataFor(null)} />
+      )}
+      {showImport && <StudentImportModal onClose={() => setShowImport(false)} onImported={fetchStudents} />}
+
       {/* Delete Confirmation Modal */}
       {deleteConfirm && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
           <div className="bg-white dark:bg-gray-800 rounded-lg max-w-md w-full p-6">
             <h3 className="text-lg font-bold text-gray-900 dark:text-white mb-4">Delete Student</h3>
-            <p className="text-gray-600 dark:text-gray-300 mb-6">Are you sure you want to delete this student? This action cannot be undone.</p>
+            <p className="text-gray-600 dark:text-gray-300 mb-6">The student is signed out and moved to the trash. An admin can restore the account from there.</p>
             <div className="flex space-x-3">
               <button
                 onClick={() => setDeleteConfirm(null)}
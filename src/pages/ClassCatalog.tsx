@@ -0,0 +1,285 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { Link } from 'react-router-dom';
+import { BookOpen, Search, Users, ChevronLeft, ChevronRight, AlertCircle } from 'lucide-react';
+import { getApiErrorMessage } from '../utils/apiUtils';
+
+interface CatalogClass {
+  id: number;
+  title: string;
+  description: string;
+  thumbnail: string | null;
+  price: string;
+  is_free: boolean;
+  teacher_id: number;
+  teacher_name: string;
+  teacher_subject: string;
+  enrollment_count: number;
+}
+
+interface TeacherOption {
+  id: number;
+  name: string;
+}
+
+interface CatalogFilters {
+  q: string;
+  subject: string;
+  teacherId: string;
+  minPrice: string;
+  maxPrice: string;
+  free: boolean;
+  sort: string;
+}
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL;
+const assetUrl = (path: string) => `${API_BASE.replace(/\/api$/, '')}${path}`;
+
+const PAGE_SIZE = 12;
+
+// An empty sort lets the server pick: best match while searching, newest otherwise
+const sortOptions = (searching: boolean) => [
+  { value: '', label: searching ? 'Best match' : 'Newest first' },
+  ...(searching ? [{ value: '-created_at', label: 'Newest first' }] : []),
+  { value: '-enrollments', label: 'Most popular' },
+  { value: 'price', label: 'Price: low to high' },
+  { value: '-price', label: 'Price: high to low' },
+  { value: 'title', label: 'Title A–Z' }
+];
+
+const emptyFilters: CatalogFilters = { q: '', subject: '', teacherId: '', minPrice: '', maxPrice: '', free: false, sort: '' };
+
+const filterInputClass =
+  'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Public class catalog backed by GET /classes/catalog: full-text search, filters and paging
+const ClassCatalog: React.FC = () => {
+  const [classes, setClasses] = useState<CatalogClass[]>([]);
+  const [subjects, setSubjects] = useState<string[]>([]);
+  const [teachers, setTeachers] = useState<TeacherOption[]>([]);
+  const [filters, setFilters] = useState<CatalogFilters>(emptyFilters);
+  const [searchInput, setSearchInput] = useState('');
+  const [page, setPage] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchCatalog = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await axios.get(`${API_BASE}/classes/catalog`, {
+        params: {
+          page,
+          pageSize: PAGE_SIZE,
+          q: filters.q || undefined,
+          subject: filters.subject || undefined,
+          teacherId: filters.teacherId || undefined,
+          minPrice: filters.free ? undefined : filters.minPrice || undefined,
+          maxPrice: filters.free ? undefined : filters.maxPrice || undefined,
+          free: filters.free || undefined,
+          sort: filters.sort || undefined
+        }
+      });
+      setClasses(response.data.classes);
+      setSubjects(response.data.subjects);
+      setTotal(response.data.total);
+      setTotalPages(response.data.totalPages);
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to load classes'));
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    fetchCatalog();
+  }, [fetchCatalog]);
+
+  useEffect(() => {
+    axios
+      .get(`${API_BASE}/teachers`)
+      .then((response) => setTeachers(Array.isArray(response.data) ? response.data : []))
+      .catch(() => setTeachers([]));
+  }, []);
+
+  // Search as the visitor types, once they pause
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setFilters((current) => (current.q === searchInput.trim() ? current : { ...current, q: searchInput.trim() }));
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  const updateFilters = (changes: Partial<CatalogFilters>) => {
+    setFilters((current) => ({ ...current, ...changes }));
+    setPage(1);
+  };
+
+  const clearFilters = () => {
+    setSearchInput('');
+    updateFilters(emptyFilters);
+  };
+
+  const hasFilters = JSON.stringify({ ...filters, sort: '' }) !== JSON.stringify(emptyFilters);
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 space-y-8">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2 flex items-center gap-3">
+            <BookOpen className="h-8 w-8 text-blue-600 dark:text-blue-400" /> Classes
+          </h1>
+          <p className="text-gray-600 dark:text-gray-300">Find a class by topic, subject, teacher or price.</p>
+        </div>
+
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-4 space-y-4">
+          <div className="relative">
+            <Search className="h-5 w-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="search"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              placeholder="Search titles and descriptions"
+              className={`${filterInputClass} w-full pl-10`}
+            />
+          </div>
+          <div className="flex flex-wrap items-center gap-3">
+            <select value={filters.subject} onChange={(e) => updateFilters({ subject: e.target.value })} className={filterInputClass}>
+              <option value="">All subjects</option>
+              {subjects.map((subject) => (
+                <option key={subject} value={subject}>{subject}</option>
+              ))}
+            </select>
+            <select value={filters.teacherId} onChange={(e) => updateFilters({ teacherId: e.target.value })} className={filterInputClass}>
+              <option value="">All teachers</option>
+              {teachers.map((teacher) => (
+                <option key={teacher.id} value={teacher.id}>{teacher.name}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="0"
+              value={filters.minPrice}
+              onChange={(e) => updateFilters({ minPrice: e.target.value })}
+              disabled={filters.free}
+              placeholder="Min price"
+              className={`${filterInputClass} w-32 disabled:opacity-50`}
+            />
+            <input
+              type="number"
+              min="0"
+              value={filters.maxPrice}
+              onChange={(e) => updateFilters({ maxPrice: e.target.value })}
+              disabled={filters.free}
+              placeholder="Max price"
+              className={`${filterInputClass} w-32 disabled:opacity-50`}
+            />
+            <label className="flex items-center gap-2 text-gray-700 dark:text-gray-300">
+              <input type="checkbox" checked={filters.free} onChange={(e) => updateFilters({ free: e.target.checked })} />
+              <span>Free only</span>
+            </label>
+            <select value={filters.sort} onChange={(e) => updateFilters({ sort: e.target.value })} className={filterInputClass}>
+              {sortOptions(!!filters.q).map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            {hasFilters && (
+              <button onClick={clearFilters} className="text-sm text-blue-600 dark:text-blue-400 hover:underline">
+                Clear filters
+              </button>
+            )}
+          </div>
+        </div>
+
+        {error && (
+          <div className="p-3 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded-lg flex items-center gap-2">
+            <AlertCircle className="h-5 w-5" /> {error}
+          </div>
+        )}
+
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          {loading ? 'Loading...' : `${total} class${total === 1 ? '' : 'es'}`}
+        </p>
+
+        {!loading && classes.length === 0 ? (
+          <div className="text-center py-12">
+            <BookOpen className="h-16 w-16 text-gray-400 dark:text-gray-500 mx-auto mb-4" />
+            <p className="text-gray-500 dark:text-gray-400 text-lg">No classes match your search.</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+            {classes.map((classItem) => (
+              <div
+                key={classItem.id}
+                className="bg-white dark:bg-gray-800 rounded-xl shadow-lg hover:shadow-xl transition-all duration-300 transform hover:-translate-y-2 overflow-hidden flex flex-col"
+              >
+                <div className="relative h-48 bg-gradient-to-br from-blue-400 to-indigo-500">
+                  {classItem.thumbnail ? (
+                    <img src={assetUrl(classItem.thumbnail)} alt={classItem.title} className="w-full h-full object-cover" />
+                  ) : (
+                    <div className="w-full h-full flex items-center justify-center">
+                      <BookOpen className="h-16 w-16 text-white" />
+                    </div>
+                  )}
+                  <div className="absolute top-4 right-4">
+                    <span className={`px-3 py-1 rounded-full text-sm font-semibold text-white ${classItem.is_free ? 'bg-green-500' : 'bg-yellow-500'}`}>
+                      {classItem.is_free ? 'Free' : `$${classItem.price}`}
+                    </span>
+                  </div>
+                </div>
+
+                <div className="p-6 flex flex-col flex-1">
+                  <div className="text-sm text-blue-600 dark:text-blue-400 font-semibold mb-1">{classItem.teacher_subject}</div>
+                  <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-2">{classItem.title}</h3>
+                  <p className="text-gray-600 dark:text-gray-300 mb-4 line-clamp-3 leading-relaxed flex-1">{classItem.description}</p>
+                  <div className="flex items-center justify-between text-sm text-gray-500 dark:text-gray-400 mb-4">
+                    <Link to={`/teacher/${classItem.teacher_id}`} className="hover:text-blue-600 dark:hover:text-blue-400">
+                      {classItem.teacher_name}
+                    </Link>
+                    <span className="inline-flex items-center gap-1">
+                      <Users className="h-4 w-4" /> {classItem.enrollment_count} enrolled
+                    </span>
+                  </div>
+                  {/* Joining and access codes live on the teacher's page */}
+                  <Link
+                    to={`/teacher/${classItem.teacher_id}`}
+                    className="w-full text-center bg-blue-600 hover:bg-blue-700 text-white px-6 py-3 rounded-lg font-semibold transition-colors"
+                  >
+                    View class
+                  </Link>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {totalPages > 1 && (
+          <div className="flex items-center justify-center gap-3 text-sm text-gray-700 dark:text-gray-300">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1 || loading}
+              className="inline-flex items-center gap-1 px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 disabled:opacity-50"
+            >
+              <ChevronLeft className="h-4 w-4" /> Previous
+            </button>
+            <span>
+              Page {page} of {totalPages}
+            </span>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page >= totalPages || loading}
+              className="inline-flex items-center gap-1 px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 disabled:opacity-50"
+            >
+              Next <ChevronRight className="h-4 w-4" />
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ClassCatalog;
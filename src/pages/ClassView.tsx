@@ -1,8 +1,10 @@
-import React, { useState, useEffect } from 'react';
-import { useParams, Navigate, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, Navigate, useNavigate, useSearchParams, Link } from 'react-router-dom';
 import axios from 'axios';
-import { BookOpen, User, Calendar, DollarSign, AlertCircle, Lock } from 'lucide-react';
-import SmartVideoPlayer from '../components/SmartVideoPlayer';
+import { BookOpen, User, Calendar, DollarSign, AlertCircle, Lock, PlayCircle, Paperclip, CheckCircle } from 'lucide-react';
+import SmartVideoPlayer, { PlaybackProgress } from '../components/SmartVideoPlayer';
+import QuizPanel from '../components/QuizPanel';
+import { isProtectedMedia, signMediaPaths } from '../utils/mediaUtils';
 import { useAuth } from '../contexts/AuthContext';
 
 interface Class {
@@ -13,7 +15,39 @@ interface Class {
   thumbnail: string;
   price: number;
   is_free: boolean;
+  teacher_id: number;
   teacher_name: string;
+  teacher: { id: number; name: string; subject: string; bio: string; photo: string } | null;
+}
+
+interface LessonAttachment {
+  name: string;
+  url: string;
+}
+
+interface Lesson {
+  id: number;
+  module_id: number;
+  title: string;
+  description: string;
+  video_url?: string;
+  attachments?: LessonAttachment[];
+  sort_order: number;
+}
+
+interface Module {
+  id: number;
+  title: string;
+  description: string;
+  sort_order: number;
+  lessons: Lesson[];
+}
+
+interface LessonProgress {
+  lesson_id: number;
+  position_seconds: number;
+  duration_seconds: number | null;
+  completed: boolean;
 }
 
 const API_BASE = import.meta.env.VITE_API_BASE_URL;
@@ -23,7 +57,10 @@ const ClassView: React.FC = () => {
   const { id } = useParams<{ id: string }>();
   const { user, logout } = useAuth();
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [classData, setClassData] = useState<Class | null>(null);
+  const [modules, setModules] = useState<Module[]>([]);
+  const [progress, setProgress] = useState<Record<number, LessonProgress>>({});
   const [hasAccess, setHasAccess] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
@@ -43,21 +80,28 @@ const ClassView: React.FC = () => {
 
   const fetchClassData = async () => {
     try {
-      const [accessRes, classesRes] = await Promise.all([
+      const [accessRes, classRes, modulesRes] = await Promise.all([
         axios.get(`${API_BASE}/check-access/${id}`),
-        axios.get(`${API_BASE}/classes`)
+        axios.get(`${API_BASE}/classes/${id}`),
+        axios.get(`${API_BASE}/classes/${id}/modules`)
       ]);
       
+      setClassData(classRes.data);
       setHasAccess(accessRes.data.hasAccess);
-      
-      const classItem = classesRes.data.find((c: Class) => c.id === parseInt(id!));
-      if (classItem) {
-        setClassData(classItem);
-      } else {
-        setError('Class not found');
+      setModules(Array.isArray(modulesRes.data?.modules) ? modulesRes.data.modules : []);
+
+      if (accessRes.data.hasAccess) {
+        const progressRes = await axios.get(`${API_BASE}/classes/${id}/progress`);
+        const progressByLesson: Record<number, LessonProgress> = {};
+        (progressRes.data?.lessons || []).forEach((entry: LessonProgress) => {
+          progressByLesson[entry.lesson_id] = entry;
+        });
+        setProgress(progressByLesson);
       }
     } catch (error: any) {
-      if (error.response?.status === 401 || error.response?.status === 403) {
+      if (error.response?.status === 404) {
+        setError('Class not found');
+      } else if (error.response?.status === 401 || error.response?.status === 403) {
         setAuthError(true);
         setError('Your session has expired. Please log in again to access this class.');
       } else {
@@ -68,6 +112,59 @@ const ClassView: React.FC = () => {
     }
   };
 
+  const lessons = modules.flatMap((module) => module.lessons);
+  const selectedLessonId = parseInt(searchParams.get('lesson') || '', 10);
+  const activeLesson = lessons.find((lesson) => lesson.id === selectedLessonId) || lessons[0] || null;
+  const videoUrl = activeLesson ? activeLesson.video_url : classData?.video_url;
+
+  const activeProgress = activeLesson ? progress[activeLesson.id] : undefined;
+  // Finished lessons start over; anything else resumes where it was left
+  const resumeAt = activeProgress && !activeProgress.completed ? activeProgress.position_seconds : 0;
+  const completedCount = lessons.filter((lesson) => progress[lesson.id]?.completed).length;
+
+  const selectLesson = (lessonId: number) => {
+    setSearchParams({ lesson: String(lessonId) });
+  };
+
+  const activeLessonId = activeLesson?.id;
+  const handleProgress = useCallback(async (playback: PlaybackProgress) => {
+    if (!activeLessonId) return;
+    try {
+      const response = await axios.put(`${API_BASE}/lessons/${activeLessonId}/progress`, {
+        position: playback.position,
+        duration: playback.duration,
+        completed: playback.completed
+      });
+      setProgress((prev) => ({ ...prev, [activeLessonId]: response.data }));
+    } catch (error) {
+      console.error('Failed to save lesson progress:', error);
+    }
+  }, [activeLessonId]);
+
+  // Protected files need a fresh signed link each time a lesson is opened
+  const [signedMedia, setSignedMedia] = useState<Record<string, string>>({});
+  const mediaPaths = [videoUrl, ...(activeLesson?.attachments || []).map((attachment) => attachment.url)]
+    .filter((path): path is string => isProtectedMedia(path));
+  const mediaKey = mediaPaths.join('|');
+  useEffect(() => {
+    if (!hasAccess || !mediaKey) return;
+    let cancelled = false;
+    signMediaPaths(mediaKey.split('|')).then((signed) => {
+      if (!cancelled) setSignedMedia(signed);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [hasAccess, mediaKey]);
+
+  // Only site paths and http(s) links end up in src or href; javascript: and other schemes are dropped
+  const resolveMediaUrl = (path: string) => {
+    if (isProtectedMedia(path)) return signedMedia[path] ? assetUrl(signedMedia[path]) : null;
+    if (/^\/(?!\/)/.test(path)) return assetUrl(path);
+    return /^https?:\/\//i.test(path) ? path : null;
+  };
+  const playableVideoUrl = videoUrl ? resolveMediaUrl(videoUrl) : null;
+
   const handleLoginRedirect = () => {
     logout();
     navigate('/login', { state: { from: `/class/${id}` } });
@@ -127,7 +224,7 @@ const ClassView: React.FC = () => {
             You don't have access to this class. Please enroll or enter an access code to continue.
           </p>
           <button
-            onClick={() => navigate(`/teacher/${classData.teacher_name ? '1' : '1'}`)}
+            onClick={() => navigate(`/teacher/${classData.teacher_id}`)}
             className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-3 rounded-lg font-semibold transition-colors"
           >
             View Teacher Classes
@@ -178,8 +275,18 @@ const ClassView: React.FC = () => {
           <div className="lg:col-span-2">
             <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg overflow-hidden">
               <div className="aspect-video">
-                {classData.video_url ? (
-                  <SmartVideoPlayer url={classData.video_url} title={classData.title} />
+                {playableVideoUrl ? (
+                  <SmartVideoPlayer
+                    key={activeLesson?.id ?? 'class'}
+                    url={playableVideoUrl}
+                    title={activeLesson?.title || classData.title}
+                    startAt={resumeAt}
+                    onProgress={activeLesson ? handleProgress : undefined}
+                  />
+                ) : videoUrl && isProtectedMedia(videoUrl) ? (
+                  <div className="w-full h-full bg-gray-100 dark:bg-gray-700 flex items-center justify-center">
+                    <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600 dark:border-blue-400"></div>
+                  </div>
                 ) : (
                   <div className="w-full h-full bg-gray-100 dark:bg-gray-700 flex items-center justify-center">
                     <BookOpen className="h-16 w-16 text-gray-400 dark:text-gray-500" />
@@ -187,10 +294,91 @@ const ClassView: React.FC = () => {
                 )}
               </div>
             </div>
+
+            {/* Active Lesson Details */}
+            {activeLesson && (
+              <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 mt-6">
+                <h2 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">{activeLesson.title}</h2>
+                {activeLesson.description && (
+                  <p className="text-gray-600 dark:text-gray-300 leading-relaxed whitespace-pre-line">
+                    {activeLesson.description}
+                  </p>
+                )}
+                {activeLesson.attachments && activeLesson.attachments.length > 0 && (
+                  <div className="mt-4">
+                    <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 uppercase tracking-wider mb-2">Attachments</h3>
+                    <ul className="space-y-2">
+                      {activeLesson.attachments.map((attachment) => (
+                        <li key={attachment.url}>
+                          <a
+                            href={resolveMediaUrl(attachment.url) || undefined}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="inline-flex items-center space-x-2 text-blue-600 dark:text-blue-400 hover:underline"
+                          >
+                            <Paperclip className="h-4 w-4" />
+                            <span>{attachment.name}</span>
+                          </a>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Quizzes */}
+            {id && <QuizPanel classId={id} lessonId={activeLesson?.id} />}
           </div>
 
           {/* Class Info */}
-          <div className="lg:col-span-1">
+          <div className="lg:col-span-1 space-y-6">
+            {/* Lesson Sidebar */}
+            {modules.length > 0 && (
+              <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
+                <div className="flex items-center justify-between mb-4">
+                  <h2 className="text-xl font-bold text-gray-900 dark:text-white">Course Content</h2>
+                  <span className="text-sm text-gray-500 dark:text-gray-400">
+                    {completedCount}/{lessons.length} completed
+                  </span>
+                </div>
+                <div className="space-y-5">
+                  {modules.map((module) => (
+                    <div key={module.id}>
+                      <h3 className="text-sm font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider mb-2">
+                        {module.title}
+                      </h3>
+                      {module.lessons.length > 0 ? (
+                        <ul className="space-y-1">
+                          {module.lessons.map((lesson) => (
+                            <li key={lesson.id}>
+                              <button
+                                onClick={() => selectLesson(lesson.id)}
+                                className={`w-full flex items-center space-x-2 px-3 py-2 rounded-lg text-left text-sm transition-colors ${
+                                  activeLesson?.id === lesson.id
+                                    ? 'bg-blue-50 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300 font-semibold'
+                                    : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+                                }`}
+                              >
+                                {progress[lesson.id]?.completed ? (
+                                  <CheckCircle className="h-4 w-4 flex-shrink-0 text-green-500 dark:text-green-400" />
+                                ) : (
+                                  <PlayCircle className="h-4 w-4 flex-shrink-0" />
+                                )}
+                                <span>{lesson.title}</span>
+                              </button>
+                            </li>
+                          ))}
+                        </ul>
+                      ) : (
+                        <p className="text-sm text-gray-400 dark:text-gray-500 italic px-3">No lessons yet</p>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
               <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-4">About This Class</h2>
               <p className="text-gray-600 dark:text-gray-300 leading-relaxed mb-6">
@@ -200,7 +388,19 @@ const ClassView: React.FC = () => {
               <div className="space-y-4">
                 <div className="flex items-center justify-between py-3 border-b border-gray-200 dark:border-gray-700">
                   <span className="text-gray-600 dark:text-gray-400 font-medium">Instructor</span>
-                  <span className="text-gray-900 dark:text-white font-semibold">{classData.teacher_name}</span>
+                  {classData.teacher ? (
+                    <Link
+                      to={`/teacher/${classData.teacher.id}`}
+                      className="text-right text-gray-900 dark:text-white font-semibold hover:text-blue-600 dark:hover:text-blue-400"
+                    >
+                      {classData.teacher.name}
+                      {classData.teacher.subject && (
+                        <span className="block text-sm font-normal text-gray-500 dark:text-gray-400">{classData.teacher.subject}</span>
+                      )}
+                    </Link>
+                  ) : (
+                    <span className="text-gray-900 dark:text-white font-semibold">{classData.teacher_name}</span>
+                  )}
                 </div>
                 
                 <div className="flex items-center justify-between py-3 border-b border-gray-200 dark:border-gray-700">
@@ -0,0 +1,318 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { Users, BookOpen, Award, Link2, Unlink, Clock } from 'lucide-react';
+import { getApiErrorMessage } from '../utils/apiUtils';
+
+interface LinkedStudent {
+  id: number;
+  student_id: number;
+  student_name: string;
+  status: 'pending' | 'active';
+  linked_via: 'invite_code' | 'admin';
+  created_at: string;
+  consent_given_at: string | null;
+}
+
+interface StudentOverview {
+  student: { id: number; name: string } | null;
+  classes: {
+    id: number;
+    title: string;
+    teacher_name: string;
+    enrolled_at: string;
+    total_lessons: number;
+    completed_lessons: number;
+    last_activity_at: string | null;
+  }[];
+  quizResults: {
+    id: number;
+    quiz_title: string;
+    class_title: string;
+    status: string;
+    score: number | null;
+    max_score: number | null;
+    percent: number;
+    passed: boolean | null;
+    submitted_at: string | null;
+  }[];
+}
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL;
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+const primaryButtonClass =
+  'bg-blue-600 dark:bg-blue-700 hover:bg-blue-700 dark:hover:bg-blue-800 text-white font-semibold py-2 px-4 rounded-lg transition-colors disabled:opacity-50';
+
+const formatDate = (value: string | null) =>
+  value ? new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' }) : '—';
+
+// Read-only view of the students who consented to share their progress with this guardian
+const GuardianPortal: React.FC = () => {
+  const [students, setStudents] = useState<LinkedStudent[]>([]);
+  const [selectedId, setSelectedId] = useState<number | null>(null);
+  const [overview, setOverview] = useState<StudentOverview | null>(null);
+  const [code, setCode] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const fetchStudents = useCallback(async () => {
+    try {
+      const response = await axios.get<LinkedStudent[]>(`${API_BASE}/guardian/students`);
+      setStudents(response.data);
+      // Keep the current selection while it is still active, otherwise pick the first active student
+      setSelectedId((current) => {
+        const active = response.data.filter((s) => s.status === 'active');
+        return active.some((s) => s.student_id === current) ? current : active[0]?.student_id ?? null;
+      });
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to load linked students'));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStudents();
+  }, [fetchStudents]);
+
+  useEffect(() => {
+    if (!selectedId) {
+      setOverview(null);
+      return;
+    }
+    axios
+      .get<StudentOverview>(`${API_BASE}/guardian/students/${selectedId}`)
+      .then((response) => setOverview(response.data))
+      .catch((err) => setError(getApiErrorMessage(err, 'Failed to load student progress')));
+  }, [selectedId]);
+
+  const run = async (action: () => Promise<void>, fallback: string) => {
+    setBusy(true);
+    setError('');
+    setNotice('');
+    try {
+      await action();
+      await fetchStudents();
+    } catch (err) {
+      setError(getApiErrorMessage(err, fallback));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleLink = (e: React.FormEvent) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await axios.post<{ student_id: number }>(`${API_BASE}/guardian/students`, { code });
+      setCode('');
+      setSelectedId(response.data.student_id);
+      setNotice('Student linked successfully.');
+    }, 'Failed to link student');
+  };
+
+  const handleUnlink = (student: LinkedStudent) => {
+    if (!window.confirm(`Stop following ${student.student_name}'s progress?`)) return;
+    run(async () => {
+      await axios.delete(`${API_BASE}/guardian/students/${student.student_id}`);
+    }, 'Failed to unlink student');
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 dark:border-blue-400"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">Guardian Portal</h1>
+          <p className="text-gray-600 dark:text-gray-300">Follow the classes, lesson progress and quiz results of your students</p>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg text-red-700 dark:text-red-300">
+            {error}
+          </div>
+        )}
+        {notice && (
+          <div className="mb-6 p-4 bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg text-green-700 dark:text-green-300">
+            {notice}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          <div className="space-y-6">
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow p-6">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-2 flex items-center gap-2">
+                <Link2 className="h-5 w-5" /> Link a student
+              </h2>
+              <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+                Ask the student for the guardian invite code shown on their My Classes page.
+              </p>
+              <form onSubmit={handleLink} className="space-y-3">
+                <input
+                  type="text"
+                  placeholder="XXXXX-XXXXX"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  className={`${inputClass} font-mono uppercase`}
+                  required
+                />
+                <button type="submit" disabled={busy} className={`${primaryButtonClass} w-full`}>
+                  Link Student
+                </button>
+              </form>
+            </div>
+
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow p-6">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4 flex items-center gap-2">
+                <Users className="h-5 w-5" /> My students
+              </h2>
+              {students.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">No students linked yet.</p>
+              ) : (
+                <ul className="space-y-2">
+                  {students.map((student) => (
+                    <li
+                      key={student.id}
+                      className={`flex items-center justify-between gap-2 p-3 rounded-lg border ${
+                        student.student_id === selectedId
+                          ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20'
+                          : 'border-gray-200 dark:border-gray-700'
+                      }`}
+                    >
+                      {student.status === 'active' ? (
+                        <button
+                          onClick={() => setSelectedId(student.student_id)}
+                          className="text-left font-medium text-gray-900 dark:text-white hover:text-blue-600 dark:hover:text-blue-400"
+                        >
+                          {student.student_name}
+                        </button>
+                      ) : (
+                        <span className="text-gray-700 dark:text-gray-300">
+                          {student.student_name}
+                          <span className="ml-2 inline-flex items-center gap-1 text-xs text-yellow-700 dark:text-yellow-400">
+                            <Clock className="h-3 w-3" /> Awaiting the student's consent
+                          </span>
+                        </span>
+                      )}
+                      <button
+                        onClick={() => handleUnlink(student)}
+                        disabled={busy}
+                        className="text-gray-500 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                        title="Unlink student"
+                      >
+                        <Unlink className="h-4 w-4" />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+
+          <div className="lg:col-span-2 space-y-6">
+            {!overview ? (
+              <div className="bg-white dark:bg-gray-800 rounded-xl shadow p-12 text-center">
+                <Users className="h-16 w-16 text-gray-400 dark:text-gray-500 mx-auto mb-4" />
+                <p className="text-gray-600 dark:text-gray-300">Link a student to see their progress here.</p>
+              </div>
+            ) : (
+              <>
+                <div className="bg-white dark:bg-gray-800 rounded-xl shadow p-6">
+                  <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4 flex items-center gap-2">
+                    <BookOpen className="h-5 w-5" /> {overview.student?.name}'s classes
+                  </h2>
+                  {overview.classes.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">Not enrolled in any classes yet.</p>
+                  ) : (
+                    <ul className="space-y-4">
+                      {overview.classes.map((classItem) => {
+                        const percent = classItem.total_lessons > 0
+                          ? Math.round((classItem.completed_lessons / classItem.total_lessons) * 100)
+                          : 0;
+                        return (
+                          <li key={classItem.id}>
+                            <div className="flex items-baseline justify-between gap-2">
+                              <span className="font-medium text-gray-900 dark:text-white">{classItem.title}</span>
+                              <span className="text-sm text-gray-600 dark:text-gray-300">
+                                {classItem.completed_lessons}/{classItem.total_lessons} lessons
+                              </span>
+                            </div>
+                            <div className="text-xs text-gray-500 dark:text-gray-400 mb-1">
+                              {classItem.teacher_name} · Enrolled {formatDate(classItem.enrolled_at)} · Last activity{' '}
+                              {formatDate(classItem.last_activity_at)}
+                            </div>
+                            <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+                              <div className="bg-blue-600 dark:bg-blue-500 h-2 rounded-full" style={{ width: `${percent}%` }} />
+                            </div>
+                          </li>
+                        );
+                      })}
+                    </ul>
+                  )}
+                </div>
+
+                <div className="bg-white dark:bg-gray-800 rounded-xl shadow p-6">
+                  <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4 flex items-center gap-2">
+                    <Award className="h-5 w-5" /> Quiz results
+                  </h2>
+                  {overview.quizResults.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">No quizzes submitted yet.</p>
+                  ) : (
+                    <div className="overflow-x-auto">
+                      <table className="min-w-full text-sm">
+                        <thead>
+                          <tr className="text-left text-gray-500 dark:text-gray-400">
+                            <th className="py-2 pr-4">Quiz</th>
+                            <th className="py-2 pr-4">Class</th>
+                            <th className="py-2 pr-4">Score</th>
+                            <th className="py-2 pr-4">Result</th>
+                            <th className="py-2">Submitted</th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200 dark:divide-gray-700 text-gray-700 dark:text-gray-200">
+                          {overview.quizResults.map((result) => (
+                            <tr key={result.id}>
+                              <td className="py-2 pr-4">{result.quiz_title}</td>
+                              <td className="py-2 pr-4">{result.class_title}</td>
+                              <td className="py-2 pr-4">
+                                {result.score ?? 0}/{result.max_score ?? 0} ({result.percent}%)
+                                {result.status === 'expired' && (
+                                  <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">time ran out</span>
+                                )}
+                              </td>
+                              <td className="py-2 pr-4">
+                                {result.passed === null ? (
+                                  '—'
+                                ) : result.passed ? (
+                                  <span className="text-green-600 dark:text-green-400 font-semibold">Passed</span>
+                                ) : (
+                                  <span className="text-red-600 dark:text-red-400 font-semibold">Not passed</span>
+                                )}
+                              </td>
+                              <td className="py-2">{formatDate(result.submitted_at)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GuardianPortal;
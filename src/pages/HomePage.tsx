@@ -316,6 +316,12 @@ const HomePage: React.FC = () => {
             <p className="text-xl text-slate-600 dark:text-gray-300 max-w-3xl mx-auto leading-relaxed">
               Discover world-class educators who are passionate about sharing their expertise and helping you achieve your learning goals.
             </p>
+            <Link
+              to="/classes"
+              className="inline-flex items-center mt-6 text-blue-600 dark:text-blue-400 font-semibold hover:underline"
+            >
+              Browse all classes <ArrowRight className="h-4 w-4 ml-2" />
+            </Link>
           </div>
 
           {teachers.length === 0 ? (
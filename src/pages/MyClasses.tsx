@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import axios from 'axios';
 import { BookOpen, Calendar, User, Play } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import GuardianAccessSettings from '../components/GuardianAccessSettings';
 
 interface EnrolledClass {
   id: number;
@@ -13,6 +15,9 @@ interface EnrolledClass {
   is_free: boolean;
   teacher_name: string;
   enrolled_at: string;
+  total_lessons: number;
+  completed_lessons: number;
+  progress_percent: number;
 }
 
 const API_BASE = import.meta.env.VITE_API_BASE_URL;
@@ -22,6 +27,7 @@ const MyClasses: React.FC = () => {
   const [classes, setClasses] = useState<EnrolledClass[]>([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const { can } = useAuth();
 
   useEffect(() => {
     fetchMyClasses();
@@ -62,6 +68,8 @@ const MyClasses: React.FC = () => {
           <p className="text-gray-600 dark:text-gray-300">Access all your enrolled courses</p>
         </div>
 
+        {can('guardian_links:manage') && <GuardianAccessSettings />}
+
         {error && (
           <div className="mb-6 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg text-red-700 dark:text-red-300">
             {error}
@@ -126,6 +134,21 @@ const MyClasses: React.FC = () => {
                     <Calendar className="h-4 w-4" />
                     <span>Enrolled: {formatDate(classItem.enrolled_at)}</span>
                   </div>
+
+                  {classItem.total_lessons > 0 && (
+                    <div className="mb-4">
+                      <div className="flex items-center justify-between text-sm text-gray-600 dark:text-gray-300 mb-1">
+                        <span>{classItem.completed_lessons}/{classItem.total_lessons} lessons</span>
+                        <span className="font-semibold">{classItem.progress_percent}%</span>
+                      </div>
+                      <div className="w-full h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+                        <div
+                          className="h-full bg-gradient-to-r from-blue-600 to-indigo-600 rounded-full transition-all duration-300"
+                          style={{ width: `${classItem.progress_percent}%` }}
+                        />
+                      </div>
+                    </div>
+                  )}
                   
                   <p className="text-gray-600 dark:text-gray-300 mb-6 line-clamp-3 leading-relaxed">
                     {classItem.description}
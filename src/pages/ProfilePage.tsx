@@ -0,0 +1,233 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { User, Lock, CheckCircle } from 'lucide-react';
+import { useAuth, UserProfile } from '../contexts/AuthContext';
+import PasswordInput from '../components/PasswordInput';
+import PersonalDataSettings from '../components/PersonalDataSettings';
+import { getApiErrorMessage } from '../utils/apiUtils';
+import { countryList, validateProfile, validateNewPassword, ProfileFields } from '../utils/profileValidation';
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL;
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-60';
+const primaryButtonClass =
+  'bg-blue-600 dark:bg-blue-700 hover:bg-blue-700 dark:hover:bg-blue-800 text-white font-semibold py-2 px-4 rounded-lg transition-colors disabled:opacity-50';
+const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+
+const FIELD_LABELS: Record<keyof ProfileFields, string> = {
+  name: 'Full Name',
+  phoneNumber: 'Phone Number',
+  guardianPhone: 'Parent/Guardian Phone Number',
+  currentLocation: 'Current City/Location',
+  country: 'Country'
+};
+
+const toForm = (profile: UserProfile): ProfileFields => ({
+  name: profile.name || '',
+  phoneNumber: profile.phoneNumber || '',
+  guardianPhone: profile.guardianPhone || '',
+  currentLocation: profile.currentLocation || '',
+  country: profile.country || ''
+});
+
+const Message: React.FC<{ error: string; success: string }> = ({ error, success }) => (
+  <>
+    {error && <div className="p-3 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded-lg">{error}</div>}
+    {success && (
+      <div className="p-3 bg-green-50 dark:bg-green-900/30 text-green-700 dark:text-green-300 rounded-lg flex items-center gap-2">
+        <CheckCircle className="h-4 w-4" /> {success}
+      </div>
+    )}
+  </>
+);
+
+// Account settings every signed-in user can change without an admin
+const ProfilePage: React.FC = () => {
+  const { updateProfile, changePassword } = useAuth();
+  const [profile, setProfile] = useState<UserProfile | null>(null);
+  const [form, setForm] = useState<ProfileFields | null>(null);
+  const [profileStatus, setProfileStatus] = useState({ error: '', success: '' });
+  const [passwords, setPasswords] = useState({ current: '', next: '', confirm: '' });
+  const [passwordStatus, setPasswordStatus] = useState({ error: '', success: '' });
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    axios
+      .get<UserProfile>(`${API_BASE}/me`)
+      .then((response) => {
+        setProfile(response.data);
+        setForm(toForm(response.data));
+      })
+      .catch((err) => setProfileStatus({ error: getApiErrorMessage(err, 'Failed to load your profile'), success: '' }));
+  }, []);
+
+  if (!profile || !form) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900">
+        {profileStatus.error ? (
+          <p className="text-red-600 dark:text-red-400">{profileStatus.error}</p>
+        ) : (
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 dark:border-blue-400"></div>
+        )}
+      </div>
+    );
+  }
+
+  const editableFields = profile.editableFields as (keyof ProfileFields)[];
+
+  const handleSaveProfile = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const changes: Partial<ProfileFields> = {};
+    editableFields.forEach((field) => {
+      if (form[field] !== toForm(profile)[field]) {
+        changes[field] = form[field];
+      }
+    });
+
+    if (Object.keys(changes).length === 0) {
+      setProfileStatus({ error: '', success: 'Nothing to save.' });
+      return;
+    }
+    const errors = validateProfile(changes);
+    if (errors.length > 0) {
+      setProfileStatus({ error: errors.join('. '), success: '' });
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const updated = await updateProfile(changes);
+      setProfile(updated);
+      setForm(toForm(updated));
+      setProfileStatus({ error: '', success: 'Your profile has been updated.' });
+    } catch (err) {
+      setProfileStatus({ error: getApiErrorMessage(err, 'Failed to update your profile'), success: '' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleChangePassword = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const errors = validateNewPassword(passwords.next, passwords.confirm);
+    if (errors.length > 0) {
+      setPasswordStatus({ error: errors.join('. '), success: '' });
+      return;
+    }
+
+    setBusy(true);
+    try {
+      await changePassword(passwords.current, passwords.next);
+      setPasswords({ current: '', next: '', confirm: '' });
+      setPasswordStatus({ error: '', success: 'Password changed. Your other devices have been signed out.' });
+    } catch (err) {
+      setPasswordStatus({ error: getApiErrorMessage(err, 'Failed to change your password'), success: '' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">My Profile</h1>
+          <p className="text-gray-600 dark:text-gray-300">Manage your personal details and password</p>
+        </div>
+
+        <form onSubmit={handleSaveProfile} className="bg-white dark:bg-gray-800 rounded-xl shadow p-6 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+            <User className="h-5 w-5" /> Account details
+          </h2>
+          <Message {...profileStatus} />
+
+          <div>
+            <label className={labelClass}>Email Address</label>
+            <input type="email" value={profile.email} className={inputClass} disabled />
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              Your email is your login and cannot be changed here. Contact an administrator to change it.
+            </p>
+          </div>
+
+          {editableFields.map((field) => (
+            <div key={field}>
+              <label className={labelClass}>{FIELD_LABELS[field]}</label>
+              {field === 'country' ? (
+                <select
+                  value={form.country}
+                  onChange={(e) => setForm({ ...form, country: e.target.value })}
+                  className={inputClass}
+                  required
+                >
+                  <option value="" disabled>Select your country</option>
+                  {countryList.map((c) => (
+                    <option key={c} value={c}>{c}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type={field === 'phoneNumber' || field === 'guardianPhone' ? 'tel' : 'text'}
+                  value={form[field]}
+                  onChange={(e) => setForm({ ...form, [field]: e.target.value })}
+                  className={inputClass}
+                  required
+                />
+              )}
+            </div>
+          ))}
+
+          <button type="submit" disabled={busy} className={primaryButtonClass}>
+            Save Changes
+          </button>
+        </form>
+
+        <form onSubmit={handleChangePassword} className="bg-white dark:bg-gray-800 rounded-xl shadow p-6 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+            <Lock className="h-5 w-5" /> Change password
+          </h2>
+          <Message {...passwordStatus} />
+
+          <div>
+            <label className={labelClass}>Current Password</label>
+            <PasswordInput
+              value={passwords.current}
+              onChange={(e) => setPasswords({ ...passwords, current: e.target.value })}
+              placeholder="Enter your current password"
+              autoComplete="current-password"
+              required
+            />
+          </div>
+          <div>
+            <label className={labelClass}>New Password</label>
+            <PasswordInput
+              value={passwords.next}
+              onChange={(e) => setPasswords({ ...passwords, next: e.target.value })}
+              placeholder="Create a new password"
+              autoComplete="new-password"
+              required
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Confirm New Password</label>
+            <PasswordInput
+              value={passwords.confirm}
+              onChange={(e) => setPasswords({ ...passwords, confirm: e.target.value })}
+              placeholder="Confirm the new password"
+              autoComplete="new-password"
+              required
+            />
+          </div>
+
+          <button type="submit" disabled={busy} className={primaryButtonClass}>
+            Change Password
+          </button>
+        </form>
+
+        <PersonalDataSettings />
+      </div>
+    </div>
+  );
+};
+
+export default ProfilePage;
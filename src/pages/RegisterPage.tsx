@@ -3,33 +3,12 @@ import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { Lock, Mail, User, AlertCircle, Phone, MapPin, Globe, RefreshCw, CheckCircle } from 'lucide-react';
 import PasswordInput from '../components/PasswordInput';
+import { countryList, validateProfile, validateNewPassword } from '../utils/profileValidation';
 
-const countryList = [
-  'Egypt',
-  'Saudi Arabia',
-  'United Arab Emirates',
-  'Jordan',
-  'Lebanon',
-  'Syria',
-  'Iraq',
-  'Kuwait',
-  'Bahrain',
-  'Qatar',
-  'Oman',
-  'Yemen',
-  'Palestine',
-  'Algeria',
-  'Morocco',
-  'Tunisia',
-  'Libya',
-  'Sudan',
-  'Mauritania',
-  'Comoros',
-  'Djibouti',
-  'Somalia'
-];
+type AccountType = 'student' | 'guardian';
 
 const RegisterPage: React.FC = () => {
+  const [accountType, setAccountType] = useState<AccountType>('student');
   const [name, setName] = useState('');
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
@@ -42,47 +21,29 @@ const RegisterPage: React.FC = () => {
   const [loading, setLoading] = useState(false);
   const [retryCount, setRetryCount] = useState(0);
   const [success, setSuccess] = useState(false);
-  const { register } = useAuth();
+  const { register, registerGuardian } = useAuth();
+  const isGuardian = accountType === 'guardian';
   const navigate = useNavigate();
 
-  const phoneRegex = /^\+?\d{10,15}$/;
-
   const validateForm = (): { isValid: boolean; errors: string[] } => {
     const errors: string[] = [];
 
-    if (!name.trim()) {
-      errors.push('Full name is required');
-    }
-
     if (!email.trim()) {
       errors.push('Email address is required');
     } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
       errors.push('Please enter a valid email address');
     }
 
-    if (password.length < 6) {
-      errors.push('Password must be at least 6 characters long');
-    }
-
-    if (password !== confirmPassword) {
-      errors.push('Passwords do not match');
-    }
-
-    if (!phoneRegex.test(phoneNumber)) {
-      errors.push('Please enter a valid phone number (10-15 digits)');
-    }
-
-    if (!phoneRegex.test(guardianPhone)) {
-      errors.push('Please enter a valid guardian phone number (10-15 digits)');
-    }
+    errors.push(...validateNewPassword(password, confirmPassword));
 
-    if (!currentLocation.trim()) {
-      errors.push('Current city/location is required');
-    }
-
-    if (!country) {
-      errors.push('Please select your country');
-    }
+    // Guardians only need contact details; the rest describes a student
+    errors.push(
+      ...validateProfile(
+        isGuardian
+          ? { name, phoneNumber }
+          : { name, phoneNumber, guardianPhone, currentLocation, country }
+      )
+    );
 
     return { isValid: errors.length === 0, errors };
   };
@@ -103,14 +64,18 @@ const RegisterPage: React.FC = () => {
     try {
       console.log('📝 RegisterPage - Starting registration for:', email);
       
-      await register(email, password, name, phoneNumber, guardianPhone, currentLocation, country);
+      if (isGuardian) {
+        await registerGuardian(email, password, name, phoneNumber);
+      } else {
+        await register(email, password, name, phoneNumber, guardianPhone, currentLocation, country);
+      }
       
       console.log('✅ RegisterPage - Registration successful for:', email);
       setSuccess(true);
       
       // Show success message briefly before redirecting
       setTimeout(() => {
-        navigate('/');
+        navigate(isGuardian ? '/guardian' : '/');
       }, 2000);
       
     } catch (error: any) {
@@ -150,7 +115,7 @@ const RegisterPage: React.FC = () => {
     <div className="mb-6 p-4 bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg flex items-center space-x-2">
       <CheckCircle className="h-5 w-5 text-green-600 dark:text-green-400" />
       <span className="text-green-700 dark:text-green-300">
-        Registration successful! Redirecting to home page...
+        Registration successful! Redirecting{isGuardian ? ' to the guardian portal' : ' to home page'}...
       </span>
     </div>
   );
@@ -193,6 +158,32 @@ const RegisterPage: React.FC = () => {
           {success && <SuccessMessage />}
           {error && <ErrorMessage message={error} onRetry={handleRetry} />}
 
+          <div className="grid grid-cols-2 gap-2 mb-6 p-1 bg-gray-100 dark:bg-gray-700 rounded-lg">
+            {([
+              ['student', 'Student'],
+              ['guardian', 'Parent/Guardian']
+            ] as const).map(([type, label]) => (
+              <button
+                key={type}
+                type="button"
+                onClick={() => setAccountType(type)}
+                disabled={loading || success}
+                className={`py-2 rounded-md text-sm font-semibold transition-colors ${
+                  accountType === type
+                    ? 'bg-white dark:bg-gray-800 text-blue-600 dark:text-blue-400 shadow'
+                    : 'text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {isGuardian && (
+            <p className="mb-6 text-sm text-gray-600 dark:text-gray-300">
+              After signing up, ask your child for a guardian invite code from their My Classes page to follow their progress.
+            </p>
+          )}
+
           <form onSubmit={handleSubmit} className="space-y-6">
             <div>
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
@@ -286,62 +277,66 @@ const RegisterPage: React.FC = () => {
               </div>
             </div>
 
-            <div>
-              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                Parent/Guardian Phone Number
-              </label>
-              <div className="relative">
-                <Phone className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400 dark:text-gray-500" />
-                <input
-                  type="tel"
-                  value={guardianPhone}
-                  onChange={(e) => setGuardianPhone(e.target.value)}
-                  className="pl-10 w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400"
-                  placeholder="Enter parent/guardian phone number"
-                  required
-                  disabled={loading || success}
-                />
-              </div>
-            </div>
-
-            <div>
-              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                Current City/Location
-              </label>
-              <div className="relative">
-                <MapPin className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400 dark:text-gray-500" />
-                <input
-                  type="text"
-                  value={currentLocation}
-                  onChange={(e) => setCurrentLocation(e.target.value)}
-                  className="pl-10 w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400"
-                  placeholder="Enter your city or location"
-                  required
-                  disabled={loading || success}
-                />
-              </div>
-            </div>
-
-            <div>
-              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                Country
-              </label>
-              <div className="relative">
-                <Globe className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400 dark:text-gray-500" />
-                <select
-                  value={country}
-                  onChange={(e) => setCountry(e.target.value)}
-                  className="pl-10 w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors appearance-none bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
-                  required
-                  disabled={loading || success}
-                >
-                  <option value="" disabled>Select your country</option>
-                  {countryList.map((c) => (
-                    <option key={c} value={c}>{c}</option>
-                  ))}
-                </select>
-              </div>
-            </div>
+            {!isGuardian && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Parent/Guardian Phone Number
+                  </label>
+                  <div className="relative">
+                    <Phone className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400 dark:text-gray-500" />
+                    <input
+                      type="tel"
+                      value={guardianPhone}
+                      onChange={(e) => setGuardianPhone(e.target.value)}
+                      className="pl-10 w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400"
+                      placeholder="Enter parent/guardian phone number"
+                      required
+                      disabled={loading || success}
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Current City/Location
+                  </label>
+                  <div className="relative">
+                    <MapPin className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400 dark:text-gray-500" />
+                    <input
+                      type="text"
+                      value={currentLocation}
+                      onChange={(e) => setCurrentLocation(e.target.value)}
+                      className="pl-10 w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400"
+                      placeholder="Enter your city or location"
+                      required
+                      disabled={loading || success}
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Country
+                  </label>
+                  <div className="relative">
+                    <Globe className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400 dark:text-gray-500" />
+                    <select
+                      value={country}
+                      onChange={(e) => setCountry(e.target.value)}
+                      className="pl-10 w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors appearance-none bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                      required
+                      disabled={loading || success}
+                    >
+                      <option value="" disabled>Select your country</option>
+                      {countryList.map((c) => (
+                        <option key={c} value={c}>{c}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              </>
+            )}
 
             <button
               type="submit"
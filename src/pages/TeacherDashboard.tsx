@@ -0,0 +1,425 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { BookOpen, Users, Edit, Plus, Layers, User } from 'lucide-react';
+import CourseContentEditor from '../components/CourseContentEditor';
+import { getApiErrorMessage } from '../utils/apiUtils';
+
+interface TeacherProfile {
+  id: number;
+  name: string;
+  bio: string;
+  subject: string;
+  photo: string | null;
+}
+
+interface TeacherClass {
+  id: number;
+  title: string;
+  description: string;
+  video_url: string;
+  thumbnail: string | null;
+  price: number;
+  is_free: boolean;
+  student_count: number;
+  module_count: number;
+  lesson_count: number;
+}
+
+interface EnrolledStudent {
+  id: number;
+  name: string;
+  email: string;
+  enrolled_at: string;
+  completed_lessons: number;
+  total_lessons: number;
+}
+
+interface ClassForm {
+  title: string;
+  description: string;
+  video_url: string;
+  price: string;
+  thumbnail: File | null;
+}
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL;
+const assetUrl = (path: string) => `${API_BASE.replace(/\/api$/, '')}${path}`;
+
+const inputClass =
+  'w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+const primaryButtonClass =
+  'bg-blue-600 dark:bg-blue-700 hover:bg-blue-700 dark:hover:bg-blue-800 text-white font-semibold py-2 px-4 rounded-lg transition-colors disabled:opacity-50';
+
+const emptyClassForm: ClassForm = { title: '', description: '', video_url: '', price: '0', thumbnail: null };
+
+const TeacherDashboard: React.FC = () => {
+  const [profile, setProfile] = useState<TeacherProfile | null>(null);
+  const [profileForm, setProfileForm] = useState({ name: '', subject: '', bio: '', photo: null as File | null });
+  const [editingProfile, setEditingProfile] = useState(false);
+  const [classes, setClasses] = useState<TeacherClass[]>([]);
+  // null: form closed, 0: new class, otherwise the id of the class being edited
+  const [classFormTarget, setClassFormTarget] = useState<number | null>(null);
+  const [classForm, setClassForm] = useState<ClassForm>(emptyClassForm);
+  const [openPanel, setOpenPanel] = useState<{ classId: number; panel: 'content' | 'students' } | null>(null);
+  const [students, setStudents] = useState<EnrolledStudent[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const fetchData = useCallback(async () => {
+    try {
+      const [profileRes, classesRes] = await Promise.all([
+        axios.get(`${API_BASE}/teacher/profile`),
+        axios.get(`${API_BASE}/teacher/classes`)
+      ]);
+      setProfile(profileRes.data);
+      setClasses(classesRes.data);
+    } catch (err) {
+      setError(getApiErrorMessage(err, 'Failed to load your teacher profile'));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const run = async (action: () => Promise<void>, fallback: string) => {
+    setBusy(true);
+    setError('');
+    setSuccess('');
+    try {
+      await action();
+    } catch (err) {
+      setError(getApiErrorMessage(err, fallback));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startEditProfile = () => {
+    if (!profile) return;
+    setProfileForm({ name: profile.name, subject: profile.subject, bio: profile.bio || '', photo: null });
+    setEditingProfile(true);
+  };
+
+  const handleSaveProfile = (e: React.FormEvent) => {
+    e.preventDefault();
+    const formData = new FormData();
+    formData.append('name', profileForm.name);
+    formData.append('subject', profileForm.subject);
+    formData.append('bio', profileForm.bio);
+    if (profileForm.photo) {
+      formData.append('photo', profileForm.photo);
+    }
+
+    run(async () => {
+      const response = await axios.put(`${API_BASE}/teacher/profile`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      setProfile(response.data);
+      setEditingProfile(false);
+      setSuccess('Profile updated');
+    }, 'Failed to update profile');
+  };
+
+  const openClassForm = (classItem?: TeacherClass) => {
+    setClassFormTarget(classItem ? classItem.id : 0);
+    setClassForm(
+      classItem
+        ? {
+            title: classItem.title,
+            description: classItem.description || '',
+            video_url: classItem.video_url || '',
+            price: classItem.price?.toString() || '0',
+            thumbnail: null
+          }
+        : emptyClassForm
+    );
+  };
+
+  const handleSaveClass = (e: React.FormEvent) => {
+    e.preventDefault();
+    const formData = new FormData();
+    formData.append('title', classForm.title);
+    formData.append('description', classForm.description);
+    formData.append('video_url', classForm.video_url);
+    formData.append('price', classForm.price);
+    if (classForm.thumbnail) {
+      formData.append('thumbnail', classForm.thumbnail);
+    }
+
+    run(async () => {
+      const config = { headers: { 'Content-Type': 'multipart/form-data' } };
+      if (classFormTarget) {
+        await axios.patch(`${API_BASE}/classes/${classFormTarget}`, formData, config);
+        setSuccess('Class updated');
+      } else {
+        await axios.post(`${API_BASE}/classes`, formData, config);
+        setSuccess('Class created');
+      }
+      setClassFormTarget(null);
+      setClassForm(emptyClassForm);
+      await fetchData();
+    }, 'Failed to save class');
+  };
+
+  const togglePanel = (classId: number, panel: 'content' | 'students') => {
+    if (openPanel?.classId === classId && openPanel.panel === panel) {
+      setOpenPanel(null);
+      return;
+    }
+    setOpenPanel({ classId, panel });
+    if (panel === 'students') {
+      setStudents([]);
+      run(async () => {
+        const response = await axios.get(`${API_BASE}/teacher/classes/${classId}/students`);
+        setStudents(response.data);
+      }, 'Failed to load enrolled students');
+    }
+  };
+
+  const classFormView = (
+    <form onSubmit={handleSaveClass} className="space-y-3 bg-white dark:bg-gray-800 p-6 rounded-lg border border-gray-200 dark:border-gray-700">
+      <h3 className="text-lg font-semibold text-gray-900 dark:text-white">{classFormTarget ? 'Edit Class' : 'New Class'}</h3>
+      <input
+        type="text"
+        placeholder="Class Title"
+        value={classForm.title}
+        onChange={(e) => setClassForm({ ...classForm, title: e.target.value })}
+        className={inputClass}
+        required
+      />
+      <textarea
+        placeholder="Description"
+        value={classForm.description}
+        onChange={(e) => setClassForm({ ...classForm, description: e.target.value })}
+        className={inputClass}
+        rows={3}
+      />
+      <input
+        type="url"
+        placeholder="Video URL"
+        value={classForm.video_url}
+        onChange={(e) => setClassForm({ ...classForm, video_url: e.target.value })}
+        className={inputClass}
+      />
+      <input
+        type="number"
+        step="0.01"
+        min="0"
+        placeholder="Price (0 for free)"
+        value={classForm.price}
+        onChange={(e) => setClassForm({ ...classForm, price: e.target.value })}
+        className={inputClass}
+        required
+      />
+      <input
+        type="file"
+        accept="image/*"
+        onChange={(e) => setClassForm({ ...classForm, thumbnail: e.target.files?.[0] || null })}
+        className={inputClass}
+      />
+      <div className="flex gap-2">
+        <button type="submit" disabled={busy} className={primaryButtonClass}>
+          {classFormTarget ? 'Save Changes' : 'Create Class'}
+        </button>
+        <button type="button" onClick={() => setClassFormTarget(null)} className="py-2 px-4 text-gray-600 dark:text-gray-300">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 py-8">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 space-y-8">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white">Teacher Dashboard</h1>
+          <p className="text-gray-600 dark:text-gray-300 mt-2">Manage your profile, your classes and their lessons</p>
+        </div>
+
+        {error && <div className="p-3 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded-lg">{error}</div>}
+        {success && <div className="p-3 bg-green-50 dark:bg-green-900/30 text-green-700 dark:text-green-300 rounded-lg">{success}</div>}
+
+        {profile && (
+          <section className="bg-white dark:bg-gray-800 p-6 rounded-lg border border-gray-200 dark:border-gray-700">
+            {editingProfile ? (
+              <form onSubmit={handleSaveProfile} className="space-y-3">
+                <input
+                  type="text"
+                  placeholder="Name"
+                  value={profileForm.name}
+                  onChange={(e) => setProfileForm({ ...profileForm, name: e.target.value })}
+                  className={inputClass}
+                  required
+                />
+                <input
+                  type="text"
+                  placeholder="Subject"
+                  value={profileForm.subject}
+                  onChange={(e) => setProfileForm({ ...profileForm, subject: e.target.value })}
+                  className={inputClass}
+                  required
+                />
+                <textarea
+                  placeholder="Bio"
+                  value={profileForm.bio}
+                  onChange={(e) => setProfileForm({ ...profileForm, bio: e.target.value })}
+                  className={inputClass}
+                  rows={3}
+                />
+                <input
+                  type="file"
+                  accept="image/*"
+                  onChange={(e) => setProfileForm({ ...profileForm, photo: e.target.files?.[0] || null })}
+                  className={inputClass}
+                />
+                <div className="flex gap-2">
+                  <button type="submit" disabled={busy} className={primaryButtonClass}>Save Profile</button>
+                  <button type="button" onClick={() => setEditingProfile(false)} className="py-2 px-4 text-gray-600 dark:text-gray-300">
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <div className="flex items-center gap-4">
+                <div className="w-20 h-20 rounded-full bg-blue-100 dark:bg-blue-900/30 flex items-center justify-center overflow-hidden shrink-0">
+                  {profile.photo ? (
+                    <img src={assetUrl(profile.photo)} alt={profile.name} className="w-full h-full object-cover" />
+                  ) : (
+                    <User className="h-10 w-10 text-blue-400 dark:text-blue-300" />
+                  )}
+                </div>
+                <div className="flex-1">
+                  <h2 className="text-xl font-semibold text-gray-900 dark:text-white">{profile.name}</h2>
+                  <p className="text-blue-600 dark:text-blue-400 font-medium">{profile.subject}</p>
+                  <p className="text-gray-600 dark:text-gray-300 text-sm">{profile.bio}</p>
+                </div>
+                <button
+                  onClick={startEditProfile}
+                  className="inline-flex items-center gap-1 text-sm text-blue-600 dark:text-blue-400 hover:underline font-semibold"
+                >
+                  <Edit className="h-4 w-4" /> Edit profile
+                </button>
+              </div>
+            )}
+          </section>
+        )}
+
+        <section className="space-y-4">
+          <div className="flex items-center justify-between">
+            <h2 className="text-2xl font-semibold text-gray-900 dark:text-white">My Classes</h2>
+            {classFormTarget === null && (
+              <button onClick={() => openClassForm()} className={`${primaryButtonClass} inline-flex items-center gap-1`}>
+                <Plus className="h-4 w-4" /> New Class
+              </button>
+            )}
+          </div>
+
+          {classFormTarget === 0 && classFormView}
+
+          {classes.length === 0 && classFormTarget !== 0 && (
+            <div className="text-center py-8 bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700">
+              <BookOpen className="h-12 w-12 text-gray-400 dark:text-gray-500 mx-auto mb-4" />
+              <p className="text-gray-500 dark:text-gray-400">You have no classes yet</p>
+            </div>
+          )}
+
+          {classes.map((classItem) =>
+            classFormTarget === classItem.id ? (
+              <div key={classItem.id}>{classFormView}</div>
+            ) : (
+              <div key={classItem.id} className="bg-white dark:bg-gray-800 p-6 rounded-lg border border-gray-200 dark:border-gray-700 space-y-4">
+                <div className="flex items-start gap-4">
+                  <div className="w-24 h-16 rounded-lg bg-gray-100 dark:bg-gray-700 flex items-center justify-center overflow-hidden shrink-0">
+                    {classItem.thumbnail ? (
+                      <img src={assetUrl(classItem.thumbnail)} alt={classItem.title} className="w-full h-full object-cover" />
+                    ) : (
+                      <BookOpen className="h-8 w-8 text-gray-400 dark:text-gray-500" />
+                    )}
+                  </div>
+                  <div className="flex-1">
+                    <h3 className="font-semibold text-lg text-gray-900 dark:text-white">{classItem.title}</h3>
+                    <p className="text-gray-600 dark:text-gray-300 text-sm line-clamp-2">{classItem.description}</p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                      {classItem.is_free ? 'Free' : `$${classItem.price}`} · {classItem.student_count} student(s) ·{' '}
+                      {classItem.module_count} module(s) · {classItem.lesson_count} lesson(s)
+                    </p>
+                  </div>
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  <button
+                    onClick={() => openClassForm(classItem)}
+                    className="inline-flex items-center px-3 py-1 bg-yellow-400 hover:bg-yellow-500 text-white rounded text-sm font-semibold"
+                  >
+                    <Edit className="h-4 w-4 mr-1" /> Edit
+                  </button>
+                  <button
+                    onClick={() => togglePanel(classItem.id, 'content')}
+                    className="inline-flex items-center px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded text-sm font-semibold"
+                  >
+                    <Layers className="h-4 w-4 mr-1" /> Modules & Lessons
+                  </button>
+                  <button
+                    onClick={() => togglePanel(classItem.id, 'students')}
+                    className="inline-flex items-center px-3 py-1 bg-green-600 hover:bg-green-700 text-white rounded text-sm font-semibold"
+                  >
+                    <Users className="h-4 w-4 mr-1" /> Students
+                  </button>
+                </div>
+
+                {openPanel?.classId === classItem.id && openPanel.panel === 'content' && (
+                  <CourseContentEditor classId={classItem.id} />
+                )}
+
+                {openPanel?.classId === classItem.id && openPanel.panel === 'students' && (
+                  students.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">{busy ? 'Loading...' : 'No students enrolled yet.'}</p>
+                  ) : (
+                    <div className="overflow-x-auto">
+                      <table className="min-w-full text-sm">
+                        <thead>
+                          <tr className="text-left text-gray-500 dark:text-gray-400">
+                            <th className="py-2 pr-4">Name</th>
+                            <th className="py-2 pr-4">Email</th>
+                            <th className="py-2 pr-4">Enrolled</th>
+                            <th className="py-2">Progress</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {students.map((student) => (
+                            <tr key={student.id} className="border-t border-gray-200 dark:border-gray-700 text-gray-800 dark:text-gray-200">
+                              <td className="py-2 pr-4">{student.name}</td>
+                              <td className="py-2 pr-4">{student.email}</td>
+                              <td className="py-2 pr-4">{new Date(student.enrolled_at).toLocaleDateString()}</td>
+                              <td className="py-2">
+                                {student.completed_lessons}/{student.total_lessons} lessons
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )
+                )}
+              </div>
+            )
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default TeacherDashboard;
@@ -105,7 +105,7 @@ const TeacherProfile: React.FC = () => {
     }
   };
 
-  const handleJoinClass = async (classItem: Class) => {
+  const handleJoinClass = async (listedClass: Class) => {
     if (!user) {
       setError('Please login to join classes');
       return;
@@ -113,6 +113,16 @@ const TeacherProfile: React.FC = () => {
 
     setError('');
 
+    // The class may have switched between free and paid since the page loaded
+    let classItem = listedClass;
+    try {
+      const response = await axios.get(`${API_BASE}/classes/${listedClass.id}`);
+      classItem = response.data;
+      setClasses((current) => current.map((c) => (c.id === classItem.id ? classItem : c)));
+    } catch (error) {
+      console.warn('Could not refresh class details:', error);
+    }
+
     if (classItem.is_free) {
       try {
         const response = await axios.post(`${API_BASE}/enroll-free`, {
@@ -125,7 +135,9 @@ const TeacherProfile: React.FC = () => {
           navigate(`/class/${classItem.id}`);
         }
       } catch (error: any) {
-        if (error.response?.status === 401 || error.response?.status === 403) {
+        if (error.response?.data?.code === 'EMAIL_NOT_VERIFIED') {
+          setError(error.response.data.error);
+        } else if (error.response?.status === 401 || error.response?.status === 403) {
           setAuthError(true);
           setError('Your session has expired. Please log in again to join classes.');
         } else if (error.response?.data?.error === 'Already enrolled in this class') {
@@ -181,7 +193,10 @@ const TeacherProfile: React.FC = () => {
         }, 800);
       }
     } catch (error: any) {
-      if (error.response?.status === 401 || error.response?.status === 403) {
+      if (error.response?.data?.code === 'EMAIL_NOT_VERIFIED') {
+        setCodeError(error.response.data.error);
+        showSnackbar(error.response.data.error, 'error');
+      } else if (error.response?.status === 401 || error.response?.status === 403) {
         setAuthError(true);
         setError('Your session has expired. Please log in again to redeem codes.');
         setShowCodeModal(false);
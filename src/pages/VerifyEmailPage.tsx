@@ -0,0 +1,75 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { AlertCircle, CheckCircle } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { getApiErrorMessage } from '../utils/apiUtils';
+
+const VerifyEmailPage: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [status, setStatus] = useState<'verifying' | 'verified' | 'failed'>(token ? 'verifying' : 'failed');
+  const [error, setError] = useState(token ? '' : 'This verification link is incomplete.');
+  const { verifyEmail } = useAuth();
+  // Tokens are single-use, so the request must not be repeated by a second effect run
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    verifyEmail(token)
+      .then(() => setStatus('verified'))
+      .catch((err) => {
+        setError(getApiErrorMessage(err, 'Failed to verify email address'));
+        setStatus('failed');
+      });
+  }, [token, verifyEmail]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8 text-center">
+        <h2 className="mt-6 text-3xl font-extrabold text-gray-900 dark:text-white">
+          Email verification
+        </h2>
+
+        {status === 'verifying' && (
+          <div className="flex flex-col items-center space-y-4">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+            <p className="text-gray-600 dark:text-gray-300">Confirming your email address...</p>
+          </div>
+        )}
+
+        {status === 'verified' && (
+          <div className="bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg p-4">
+            <div className="flex items-center justify-center space-x-2">
+              <CheckCircle className="h-5 w-5 text-green-500 dark:text-green-400" />
+              <p className="text-green-800 dark:text-green-200 text-sm">
+                Your email address is verified. You can now enroll in classes and redeem access codes.
+              </p>
+            </div>
+          </div>
+        )}
+
+        {status === 'failed' && (
+          <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4">
+            <div className="flex items-center justify-center space-x-2">
+              <AlertCircle className="h-5 w-5 text-red-500 dark:text-red-400" />
+              <p className="text-red-800 dark:text-red-200 text-sm">
+                {error} Sign in and use the banner at the top of the page to get a new link.
+              </p>
+            </div>
+          </div>
+        )}
+
+        <Link
+          to="/"
+          className="inline-block text-sm font-medium text-blue-600 dark:text-blue-400 hover:text-blue-500 dark:hover:text-blue-300"
+        >
+          Go to the home page
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
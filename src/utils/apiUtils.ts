@@ -0,0 +1,12 @@
+import axios from 'axios';
+
+/**
+ * Extract the error message sent by the API ({ error: '...' }),
+ * falling back to a generic message for network and unexpected errors
+ */
+export const getApiErrorMessage = (error: unknown, fallback: string): string => {
+  if (axios.isAxiosError(error) && typeof error.response?.data?.error === 'string') {
+    return error.response.data.error;
+  }
+  return fallback;
+};
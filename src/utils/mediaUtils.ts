@@ -0,0 +1,36 @@
+import axios from 'axios';
+
+/**
+ * Protected Media Helpers
+ *
+ * Paid lesson files are stored under /media/ and can only be fetched through
+ * short-lived signed links issued by the server for enrolled users.
+ */
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL;
+
+export const MEDIA_PREFIX = '/media/';
+
+export const isProtectedMedia = (path?: string | null): boolean =>
+  !!path && path.startsWith(MEDIA_PREFIX);
+
+/**
+ * Request signed links for the given protected paths
+ * Paths the user cannot access are left out of the result
+ */
+export const signMediaPaths = async (paths: string[]): Promise<Record<string, string>> => {
+  const unique = Array.from(new Set(paths.filter((path) => isProtectedMedia(path))));
+  const results = await Promise.allSettled(
+    unique.map((path) => axios.get(`${API_BASE}/media/sign`, { params: { path } }))
+  );
+
+  const signed: Record<string, string> = {};
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      signed[unique[index]] = result.value.data.url;
+    } else {
+      console.error(`Failed to sign media ${unique[index]}:`, result.reason);
+    }
+  });
+  return signed;
+};
@@ -0,0 +1,82 @@
+// Profile rules shared by signup and the profile page; server/profileValidation.js enforces the same ones
+
+export const countryList = [
+  'Egypt',
+  'Saudi Arabia',
+  'United Arab Emirates',
+  'Jordan',
+  'Lebanon',
+  'Syria',
+  'Iraq',
+  'Kuwait',
+  'Bahrain',
+  'Qatar',
+  'Oman',
+  'Yemen',
+  'Palestine',
+  'Algeria',
+  'Morocco',
+  'Tunisia',
+  'Libya',
+  'Sudan',
+  'Mauritania',
+  'Comoros',
+  'Djibouti',
+  'Somalia'
+];
+
+export const phoneRegex = /^\+?\d{10,15}$/;
+
+export const MIN_PASSWORD_LENGTH = 6;
+
+export interface ProfileFields {
+  name: string;
+  phoneNumber: string;
+  guardianPhone: string;
+  currentLocation: string;
+  country: string;
+}
+
+/**
+ * Validates the profile fields that are present; guardian phone, location and
+ * country are only part of student profiles and are skipped when omitted.
+ */
+export const validateProfile = (fields: Partial<ProfileFields>): string[] => {
+  const errors: string[] = [];
+
+  if (fields.name !== undefined && !fields.name.trim()) {
+    errors.push('Full name is required');
+  }
+
+  if (fields.phoneNumber !== undefined && !phoneRegex.test(fields.phoneNumber)) {
+    errors.push('Please enter a valid phone number (10-15 digits)');
+  }
+
+  if (fields.guardianPhone !== undefined && !phoneRegex.test(fields.guardianPhone)) {
+    errors.push('Please enter a valid guardian phone number (10-15 digits)');
+  }
+
+  if (fields.currentLocation !== undefined && !fields.currentLocation.trim()) {
+    errors.push('Current city/location is required');
+  }
+
+  if (fields.country !== undefined && !fields.country) {
+    errors.push('Please select your country');
+  }
+
+  return errors;
+};
+
+export const validateNewPassword = (password: string, confirmPassword: string): string[] => {
+  const errors: string[] = [];
+
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    errors.push(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  }
+
+  if (password !== confirmPassword) {
+    errors.push('Passwords do not match');
+  }
+
+  return errors;
+};
@@ -0,0 +1,20 @@
+export type SensitiveDataType = 'phone' | 'guardian_phone' | 'location' | 'all';
+
+export const SENSITIVE_DATA_LABELS: Record<SensitiveDataType, string> = {
+  phone: 'Phone number',
+  guardian_phone: 'Guardian phone number',
+  location: 'Location',
+  all: 'All contact details'
+};
+
+export interface SensitiveData {
+  phoneNumber?: string | null;
+  guardianPhone?: string | null;
+  currentLocation?: string | null;
+}
+
+export const SENSITIVE_FIELD_LABELS: Record<keyof SensitiveData, string> = {
+  phoneNumber: 'Phone',
+  guardianPhone: 'Guardian phone',
+  currentLocation: 'Location'
+};